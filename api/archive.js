@@ -0,0 +1,60 @@
+// api/archive.js
+// Archive sweep: copies reports that expire within ARCHIVE_BEFORE_EXPIRY_HOURS
+// to the cold store (lib/coldStore), so /api/report can restore them after
+// their hot-store TTL runs out. Vercel Cron calls it daily with
+// "Authorization: Bearer $CRON_SECRET"; the VW_TOKEN also works.
+//
+// A report that is re-saved or extended after it was archived is tracked
+// again and archived again before its new expiry.
+//
+// Archived hidden reports are added to the archived index sets
+// (lib/reportIndex.js), so data-subject requests still find them by email and
+// domain once their listing entries expire.
+//
+// Without a cold store the sweep still runs, over reports that have already
+// expired, so they stop being tracked in `report-expiry`.
+
+import { isCronAuthorized } from "../lib/auth.js";
+import { coldStoreBackend } from "../lib/coldStore/index.js";
+import { archiveLeadSeconds } from "../lib/retention.js";
+import { indexArchivedSubmission } from "../lib/reportIndex.js";
+import { archiveReport, reportsExpiringBefore, untrackExpiry } from "../lib/reportStore.js";
+
+const REPORTS_PER_RUN = Number(process.env.ARCHIVE_REPORTS_PER_RUN || 200);
+
+export const config = {
+  maxDuration: 300,
+};
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") return res.status(405).json({ error: "GET only" });
+    if (!isCronAuthorized(req)) return res.status(401).json({ error: "Unauthorized" });
+
+    const backend = coldStoreBackend();
+    const before = backend ? Date.now() + archiveLeadSeconds() * 1000 : Date.now();
+    const due = await reportsExpiringBefore(before, REPORTS_PER_RUN);
+    let archived = 0;
+    let expired = 0;
+    let failed = 0;
+    for (const reportId of due) {
+      try {
+        if (backend && (await archiveReport(reportId))) {
+          await indexArchivedSubmission(reportId);
+          archived += 1;
+        } else {
+          expired += 1;
+        }
+        await untrackExpiry(reportId);
+      } catch (err) {
+        failed += 1;
+        console.error("[archive] report", reportId, "failed:", err.message);
+      }
+    }
+    console.log("[archive] sweep — archived:", archived, "expired before archiving:", expired, "failed:", failed);
+    return res.status(200).json({ backend, archived, expired, failed });
+  } catch (err) {
+    console.error("[archive] Unhandled error:", err);
+    return res.status(500).json({ error: "Server error", message: err?.message || null });
+  }
+}
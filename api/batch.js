@@ -0,0 +1,156 @@
+// api/batch.js
+// Portfolio batch scoring: scores up to MAX_BATCH companies in one request and
+// returns a summary per company plus a portfolio rollup.
+//
+// POST { submissions: [<diagnostic payload>, ...] }
+//   or { csv: "<header row + one row per company>" } (or a raw text/csv body)
+// Optional: tier, exclude_from_benchmarks and validation apply to every CSV
+// row and to every submission that does not set its own; enrich: true queues
+// LLM enrichment for GET /api/enrich instead of running it here.
+//
+// Each submission is scored and stored exactly as /api/diagnostic would. One
+// bad submission does not fail the batch; it comes back with status "invalid"
+// or "failed". Submissions not started within BATCH_TIME_BUDGET_MS come back
+// with status "deferred", to be sent again in another batch.
+
+import crypto from "crypto";
+import { isAuthorized } from "../lib/auth.js";
+import { createDiagLogger } from "../lib/diagLogger.js";
+import { parseCsv, toCsv } from "../lib/intake.js";
+import { prettyPillar } from "../lib/pillars.js";
+import { buildPortfolioRollup } from "../lib/portfolio.js";
+import { queueEnrichment } from "../lib/reportStore.js";
+import { readSubmission, runDiagnostic } from "./diagnostic.js";
+
+const MAX_BATCH = 50;
+
+// No new submission starts after this long. Each one can wait on the
+// classifier's LLM (CLASSIFIER_LLM_TIMEOUT_MS) as well as storage, so the
+// default leaves a minute of maxDuration for the last one and the response.
+const TIME_BUDGET_MS = Number(process.env.BATCH_TIME_BUDGET_MS) || 240000;
+
+export const config = {
+  maxDuration: 300,
+};
+
+// Returns { submissions } or { error }
+function readBatch(body) {
+  if (typeof body === "string") return readBatch({ csv: body });
+
+  const defaults = {
+    ...(body?.tier ? { tier: body.tier } : {}),
+    ...(body?.exclude_from_benchmarks ? { exclude_from_benchmarks: true } : {}),
+    ...(body?.validation ? { validation: body.validation } : {}),
+  };
+
+  let submissions;
+  if (typeof body?.csv === "string") {
+    // One CSV payload per row, the same shape scripts/import-csv.js posts
+    submissions = parseCsv(body.csv).map((row) => ({ source: "csv", csv: toCsv([row]), ...defaults }));
+  } else if (Array.isArray(body?.submissions)) {
+    submissions = body.submissions.map((s) => (s && typeof s === "object" && !Array.isArray(s) ? { ...defaults, ...s } : s));
+  } else {
+    return { error: "Invalid payload: send 'submissions' (an array of diagnostic payloads) or 'csv'." };
+  }
+
+  if (!submissions.length) return { error: "Invalid payload: the batch has no submissions." };
+  if (submissions.length > MAX_BATCH) {
+    return { error: `Invalid payload: a batch can hold at most ${MAX_BATCH} submissions (got ${submissions.length}).` };
+  }
+  return { submissions };
+}
+
+function companySummary(index, options, body) {
+  const summary = body.summary || {};
+  return {
+    index,
+    status: "scored",
+    company: body.report?.client?.company_name || options.client.company || `Submission ${index + 1}`,
+    website: options.client.website || "",
+    tier: body.tier,
+    provisional: !!body.provisional,
+    score: summary.score,
+    band: summary.band,
+    primary_constraint: summary.primary_constraint,
+    primary_constraint_label: summary.primary_constraint_label || prettyPillar(summary.primary_constraint),
+    confidence: summary.confidence,
+    questions_needed: summary.questions_needed ?? 0,
+    operating_tensions: (body.brand_to_gtm_os_operating_tensions || []).map(({ id, tension, pillar, severity }) => ({ id, tension, pillar, severity })),
+    exec_report_url: body.exec_report_url || null,
+    audit_report_url: body.audit_report_url || null,
+    hidden_report_url: body.hidden_report_url || null,
+    resume_url: body.resume_url || null,
+  };
+}
+
+export default async function handler(req, res) {
+  const L = createDiagLogger(req);
+
+  try {
+    if (req.method !== "POST") return res.status(405).json({ error: "POST only" });
+    if (!isAuthorized(req)) return res.status(401).json({ error: "Unauthorized" });
+
+    const batch = readBatch(req.body);
+    if (batch.error) return res.status(400).json({ error: batch.error });
+
+    const batchId = crypto.randomBytes(8).toString("hex");
+    const enrichRequested = !!req.body?.enrich;
+    console.log("[batch] start", batchId, "submissions:", batch.submissions.length, "enrich:", enrichRequested);
+
+    const companies = [];
+    let queued = 0;
+    const startedAt = Date.now();
+
+    // One at a time: each submission writes benchmarks and group membership
+    // that the next one may read.
+    for (const [index, payload] of batch.submissions.entries()) {
+      if (Date.now() - startedAt > TIME_BUDGET_MS) {
+        companies.push({ index, status: "deferred" });
+        continue;
+      }
+
+      const submission = readSubmission(payload);
+      if (submission.error) {
+        companies.push({ index, status: "invalid", error: submission.error, source: submission.source || null, errors: submission.errors, warnings: submission.warnings });
+        continue;
+      }
+
+      try {
+        L.start();
+        const { body, enrichJob } = await runDiagnostic(req, L, submission.options);
+        companies.push({ ...companySummary(index, submission.options, body), warnings: submission.warnings });
+        if (enrichRequested && enrichJob) {
+          await queueEnrichment({ ...enrichJob, batch_id: batchId });
+          queued += 1;
+        }
+      } catch (err) {
+        console.error(`[batch] submission ${index} failed:`, err.message);
+        companies.push({ index, status: "failed", error: err.message });
+      }
+    }
+
+    const scored = companies.filter((c) => c.status === "scored");
+    const deferred = companies.filter((c) => c.status === "deferred").length;
+    // runDiagnostic only returns enrichment jobs when LLM_ENRICH is on, and
+    // never for provisional scores
+    let enrichment = "not_requested";
+    if (enrichRequested) enrichment = process.env.LLM_ENRICH === "1" ? "queued" : "disabled";
+
+    console.log("[batch] done", batchId, "scored:", scored.length, "of", companies.length, "deferred:", deferred, "queued:", queued);
+    return res.status(200).json({
+      batch_id: batchId,
+      submitted: companies.length,
+      scored: scored.length,
+      provisional: scored.filter((c) => c.provisional).length,
+      failed: companies.length - scored.length - deferred,
+      deferred,
+      enrichment: { status: enrichment, queued },
+      companies,
+      portfolio: buildPortfolioRollup(scored),
+    });
+
+  } catch (err) {
+    console.error("[batch] Unhandled error:", err);
+    return res.status(500).json({ error: "Server error", message: err?.message || null });
+  }
+}
@@ -3,9 +3,33 @@
 // Updated to use lib/scoring.js as the active scoring engine
 // Keeps legacy scoring for internal comparison only
 
+import {
+  MIN_REQUIRED_FIELDS,
+  buildOsInputs,
+  countPresentRequired,
+  normalizeAnswers,
+  normalizeIncomingAnswers,
+  resolveAnswers,
+} from "../lib/answers.js";
+import { extractAuthToken } from "../lib/auth.js";
+import { getPeerBenchmark, recordSubmission } from "../lib/benchmarks.js";
+import { classifyAnswers } from "../lib/classifier.js";
+import { recordAssessment, resolveCompanyId } from "../lib/companyHistory.js";
+import { rankMissingQuestions } from "../lib/completion.js";
 import { createDiagLogger } from "../lib/diagLogger.js";
-import { makeReportId, saveReport } from "../lib/reportStore.js";
-import { scoreDiagnostic } from "../lib/scoring.js";
+import { buildHiddenReportData } from "../lib/hiddenReport.js";
+import { abandonIdempotentRequest, beginIdempotentRequest, finishIdempotentRequest, readIdempotencyKey } from "../lib/idempotency.js";
+import { recordGroupMember, resolveGroupId } from "../lib/groups.js";
+import { parseIntake } from "../lib/intake.js";
+import { getRadarLabels, pillarKeyFromEngineKey, pillarKeyFromLabel, prettyPillar, toReportPillarScores } from "../lib/pillars.js";
+import { quantityBand } from "../lib/quantity.js";
+import { findQuestion, getQuestion, normalizeText } from "../lib/questions.js";
+import { indexSubmission, linkIdempotencyRecord, summarizeSubmission } from "../lib/reportIndex.js";
+import { makeReportId, makeResumeToken, saveReport, saveResume } from "../lib/reportStore.js";
+import { loadRulebook } from "../lib/rulebook.js";
+import { scoreBand, scoreDiagnostic } from "../lib/scoring.js";
+import { classifyStage, getTargetPillarScores } from "../lib/stage.js";
+import { validateSubmission } from "../lib/validation.js";
 import { runEnrichment } from "./enrich.js";
 
 
@@ -18,119 +42,6 @@ function cap(n, max) {
   return Math.max(0, Math.min(Number(n) || 0, max));
 }
 
-function scoreBand(totalScore) {
-  if (totalScore >= 85) return "Your revenue system is well aligned";
-  if (totalScore >= 70) return "Good foundation with room to optimize";
-  if (totalScore >= 55) return "One constraint is likely holding the system back";
-  return "High potential — the system is ready to be unlocked";
-}
-
-function prettyPillar(key) {
-  const map = {
-    positioning: "Positioning & Category",
-    value_architecture: "Value Architecture",
-    pricing_packaging: "Pricing & Packaging",
-    gtm_focus: "GTM Focus",
-    measurement: "Measurement",
-  };
-  return map[key] || key || null;
-}
-
-function pillarKeyFromLabel(label) {
-  const map = {
-    "Positioning & Category": "positioning",
-    "Value Architecture": "value_architecture",
-    "Pricing & Packaging": "pricing_packaging",
-    "GTM Focus": "gtm_focus",
-    "Measurement": "measurement",
-  };
-  return map[label] || "positioning";
-}
-
-function normalizeChannels(val) {
-  if (Array.isArray(val)) return val;
-  if (typeof val === "string") {
-    return val
-      .split(/,|\n/)
-      .map((s) => s.trim())
-      .filter(Boolean);
-  }
-  return [];
-}
-
-function cleanScalar(v) {
-  if (v === undefined || v === null) return null;
-  if (typeof v === "string") {
-    const t = v.trim();
-    return t === "" ? null : t;
-  }
-  if (typeof v === "number" || typeof v === "boolean") return v;
-  return v;
-}
-
-function normalizeIncomingAnswers(answers) {
-  const out = {};
-  for (const [kRaw, vRaw] of Object.entries(answers || {})) {
-    const k = String(kRaw || "").trim();
-    if (!k) continue;
-
-    if (Array.isArray(vRaw)) {
-      out[k] = vRaw
-        .map((x) => (typeof x === "string" ? x.trim() : x))
-        .filter((x) => !(typeof x === "string" && x === ""));
-      if (out[k].length === 0) out[k] = null;
-    } else {
-      out[k] = cleanScalar(vRaw);
-    }
-  }
-  return out;
-}
-
-function normalizeAnswers(answers) {
-  return {
-    annual_revenue: answers["Annual Revenue"] ?? null,
-    revenue_model: answers["Primary Revenue Model"] ?? null,
-    acv: answers["Average Contract Value (ACV)"] ?? null,
-    sales_cycle: answers["Average Sales Cycle Length"] ?? null,
-    close_rate: answers["Close Rate (%)"] ?? null,
-
-    category: answers["What category do you compete in?"] ?? null,
-    compared_to: answers["What brands, products, or services do prospective customers most often compare you to?"] ?? null,
-
-    win_reason: answers["Why do you most often win deals?"] ?? null,
-    lose_reason: answers["Why do you most often lose deals?"] ?? null,
-    positioning_consistency:
-      answers["Do current and prospective customers describe your offering consistently?"] ?? null,
-
-    roi_repeatable: answers["Can you quantify ROI for most customers?"] ?? null,
-    sales_lead: answers["Sales conversations primarily lead with:"] ?? null,
-    financial_metrics_improved:
-      answers["What financial metrics do customers see improve due to your product?"] ??
-      null,
-
-    discounting: answers["How often are discounts required to close deals?"] ?? null,
-    pricing_clarity:
-      answers["Do customers clearly understand your pricing tiers?"] ?? null,
-    gross_margin: answers["What is your gross margin (%)?"] ?? null,
-
-    acquisition_channels:
-      answers["What are your primary acquisition channels (select up to 3)"] ?? null,
-    cac_by_channel: answers["Do you know your Customer Acquisition Cost (CAC) by channel?"] ?? null,
-
-    growth_status: answers["How would you rate your growth status?"] ?? null,
-    marketing_measured_by: answers["Marketing is measured primarily by:"] ?? null,
-    attribution_trusted: answers["Do you have confidence in what your marketing is delivering (revenue, pipeline attribution)?"] ?? null,
-    forecast_accuracy: answers["Are revenue forecasts accurate within 10%"] ?? null,
-    win_lose_other: answers["Win lose other"] ?? null,
-  };
-}
-
-/* =========================================================
-   OS Scoring Version
-========================================================= */
-
-const OS_SCORING_VERSION = "os_v2.0_consulting";
-
 /* =========================================================
    Legacy Scoring
 ========================================================= */
@@ -146,82 +57,79 @@ function getConfig() {
     score_rules: {
       positioning: [
         {
-          if: { "Why do you most often win deals?": "Lowest price" },
+          if: { win_reason: "Lowest price" },
           delta: -2,
           flag: "Price-led wins suggest commoditization risk.",
         },
         {
-          if: { "Why do you most often lose deals?": "Price" },
+          if: { lose_reason: "Price" },
           delta: -2,
           flag: "Pricing pressure indicates weak value anchoring.",
         },
         {
-          if: { "Why do you most often lose deals?": "Lack of differentiation" },
+          if: { lose_reason: "Lack of differentiation" },
           delta: -2,
           flag: "Differentiation gap in competitive deals.",
         },
         {
-          if: { "Do customers describe your company consistently?": "Often unclear" },
+          if: { positioning_consistency: "Often unclear" },
           delta: -2,
           flag: "Positioning clarity issue.",
         },
-        { if: { "Why do you most often win deals?": "Clear differentiation" }, delta: 2 },
-        { if: { "Why do you most often win deals?": "Brand trust" }, delta: 1 },
+        { if: { win_reason: "Clear differentiation" }, delta: 2 },
+        { if: { win_reason: "Brand trust" }, delta: 1 },
       ],
       value_architecture: [
         {
-          if: { "Can you quantify ROI for most customers?": "Yes — documented & repeatable" },
+          if: { roi_repeatable: "Yes — documented & repeatable" },
           delta: 3,
         },
         {
-          if: { "Can you quantify ROI for most customers?": "No" },
+          if: { roi_repeatable: "No" },
           delta: -3,
           flag: "ROI not clearly quantified.",
         },
         {
-          if: { "Sales conversations primarily lead with:": "Features" },
+          if: { sales_lead: "Features" },
           delta: -2,
           flag: "Feature-led selling limits pricing power.",
         },
-        { if: { "Sales conversations primarily lead with:": "Financial ROI" }, delta: 2 },
+        { if: { sales_lead: "Financial ROI" }, delta: 2 },
         {
-          if: {
-            "What financial metrics do customers see improve due to your product?":
-              "Not clearly defined",
-          },
+          if: { financial_metrics_improved: "Not clearly defined" },
           delta: -2,
           flag: "Economic value not clearly anchored to metrics.",
         },
       ],
       pricing_packaging: [
         {
-          if: { "How often are discounts required to close deals?": "Frequently (40%+)" },
+          if: { discounting: "Frequently (40%+)" },
           delta: -3,
           flag: "Frequent discounting compresses margin.",
         },
-        { if: { "How often are discounts required to close deals?": "Sometimes (10–40%)" }, delta: -1 },
+        { if: { discounting: "Sometimes (10–40%)" }, delta: -1 },
         {
-          if: { "Do customers clearly understand your pricing tiers?": "Often confused" },
+          if: { pricing_clarity: "Often confused" },
           delta: -2,
           flag: "Pricing structure may be unclear.",
         },
-        { if: { "What is your gross margin (%)?": "Under 50%" }, delta: -2 },
-        { if: { "What is your gross margin (%)?": "75%+" }, delta: 2 },
+        { if: { gross_margin: "Under 50%" }, delta: -2 },
+        { if: { gross_margin: "75%+" }, delta: 2 },
       ],
       gtm_focus: [
-        { if: { "Do you know CAC by channel?": "No" }, delta: -2, flag: "Channel economics unclear." },
-        { if: { "How would you rate your growth status?": "Stalled" }, delta: -2, flag: "Growth stall indicator." },
-        { if: { "How would you rate your growth status?": "Plateauing" }, delta: -1 },
+        { if: { cac_by_channel: "No" }, delta: -2, flag: "Channel economics unclear." },
+        { if: { growth_status: "Stalled" }, delta: -2, flag: "Growth stall indicator." },
+        { if: { growth_status: "Plateauing" }, delta: -1 },
       ],
       measurement: [
         {
-          if: { "Marketing is measured primarily by:": "Leads" },
+          if: { marketing_measured_by: "Leads" },
           delta: -2,
           flag: "Lead-focused measurement may signal vanity metrics.",
         },
-        { if: { "Marketing is measured primarily by:": "Revenue" }, delta: 2 },
-        { if: { "Is attribution trusted internally?": "No" }, delta: -2, flag: "Attribution credibility gap." },
-        { if: { "Are revenue forecasts accurate within 10%": "No" }, delta: -2, flag: "Forecast reliability risk." },
+        { if: { marketing_measured_by: "Revenue" }, delta: 2 },
+        { if: { attribution_trusted: "No" }, delta: -2, flag: "Attribution credibility gap." },
+        { if: { forecast_accuracy: "No" }, delta: -2, flag: "Forecast reliability risk." },
       ],
     },
     alignment_bands: [
@@ -233,25 +141,9 @@ function getConfig() {
   };
 }
 
-function normalizeKey(str) {
-  return String(str || "").trim().toLowerCase().replace(/[?!.]+$/, "");
-}
-
-function normalizeValue(str) {
-  return String(str || "").trim().toLowerCase().replace(/[?!.]+$/, "");
-}
-
-function buildNormalizedLookup(answers) {
-  const lookup = {};
-  for (const [k, v] of Object.entries(answers)) {
-    lookup[normalizeKey(k)] = v;
-  }
-  return lookup;
-}
-
-function scoreLegacy(answers, config) {
+// Legacy rules are keyed by question id, so they read the registry-normalized answers.
+function scoreLegacy(na, config) {
   const base = config.pillar_base_score;
-  const normalizedLookup = buildNormalizedLookup(answers);
 
   const pillars = {
     positioning: base,
@@ -268,8 +160,8 @@ function scoreLegacy(answers, config) {
       const field = Object.keys(rule.if)[0];
       const expected = rule.if[field];
 
-      const rawAnswer = field in answers ? answers[field] : normalizedLookup[normalizeKey(field)];
-      if (normalizeValue(rawAnswer) === normalizeValue(expected)) {
+      const values = (Array.isArray(na[field]) ? na[field] : [na[field]]).map((v) => quantityBand(getQuestion(field), v) || v);
+      if (values.some((v) => normalizeText(v) === normalizeText(expected))) {
         pillars[pillar] += rule.delta;
         if (rule.flag) flags.push(rule.flag);
       }
@@ -289,105 +181,6 @@ function scoreLegacy(answers, config) {
   return { total, band, pillars, primaryConstraint, flags };
 }
 
-/* =========================================================
-   Dynamic target scores
-========================================================= */
-
-function getDynamicTargetPillarScores(normalizedAnswers, tier = "exec") {
-  const revenue = String(normalizedAnswers?.annual_revenue || "").toLowerCase();
-  const acv = String(normalizedAnswers?.acv || "").toLowerCase();
-  const cycle = String(normalizedAnswers?.sales_cycle || "").toLowerCase();
-  const growth = String(normalizedAnswers?.growth_status || "").toLowerCase();
-  const model = String(normalizedAnswers?.revenue_model || "").toLowerCase();
-
-  let targets;
-
-  const isEnterprise =
-    revenue.includes("100m+") ||
-    revenue.includes("$100m+") ||
-    revenue.includes("50–100") ||
-    revenue.includes("50-100") ||
-    acv.includes("75–250") ||
-    acv.includes("75-250") ||
-    acv.includes("250k+");
-
-  const isScaling =
-    revenue.includes("25–50") ||
-    revenue.includes("25-50") ||
-    revenue.includes("10–25") ||
-    revenue.includes("10-25") ||
-    acv.includes("25–75") ||
-    acv.includes("25-75");
-
-  if (isEnterprise) {
-    targets = {
-      positioning: 16,
-      value_architecture: 15,
-      pricing_packaging: 15,
-      gtm_focus: 15,
-      measurement: 16,
-    };
-  } else if (isScaling) {
-    targets = {
-      positioning: 15,
-      value_architecture: 14,
-      pricing_packaging: 14,
-      gtm_focus: 15,
-      measurement: 14,
-    };
-  } else {
-    targets = {
-      positioning: 14,
-      value_architecture: 13,
-      pricing_packaging: 13,
-      gtm_focus: 14,
-      measurement: 13,
-    };
-  }
-
-  if (acv.includes("250k+")) {
-    targets.value_architecture += 1;
-    targets.pricing_packaging += 1;
-  } else if (acv.includes("75–250") || acv.includes("75-250")) {
-    targets.value_architecture += 1;
-  }
-
-  if (cycle.includes("6–12") || cycle.includes("6-12") || cycle.includes("12+")) {
-    targets.gtm_focus += 1;
-    targets.measurement += 1;
-  }
-
-  if (model.includes("usage") || model.includes("hybrid")) {
-    targets.pricing_packaging += 1;
-  }
-
-  if (growth.includes("accelerating") || growth.includes("scaling rapidly")) {
-    targets.gtm_focus += 1;
-  }
-
-  if (tier === "audit" || tier === "hidden") {
-    targets = {
-      positioning: Math.min(20, targets.positioning),
-      value_architecture: Math.min(20, targets.value_architecture + 1),
-      pricing_packaging: Math.min(20, targets.pricing_packaging + 1),
-      gtm_focus: Math.min(20, targets.gtm_focus),
-      measurement: Math.min(20, targets.measurement + 1),
-    };
-  }
-
-  return targets;
-}
-
-function getRadarLabels() {
-  return {
-    positioning: "Positioning",
-    value_architecture: "Value",
-    pricing_packaging: "Pricing",
-    gtm_focus: "GTM",
-    measurement: "Measurement",
-  };
-}
-
 /* =========================================================
    Email Copy
 ========================================================= */
@@ -468,20 +261,56 @@ function renderAudit({ osScored, clientName, clientCompany, auditReportUrl }) {
   return { subject, bodyText, bodyHtml };
 }
 
+// Sent instead of the summary email when a submission is below MIN_REQUIRED_FIELDS:
+// the provisional score plus the top questions and the resume link.
+function renderCompletionEmail({ osScored, clientName, clientCompany, missingQuestions, questionsNeeded, resumeUrl, reportUrl }) {
+  const subject = `Complete your Vallenwood Revenue System Score — ${clientCompany || "Your Organization"}`;
+  const plural = questionsNeeded === 1 ? "question" : "questions";
+  const topQuestions = (missingQuestions || []).slice(0, Math.max(questionsNeeded, 3));
+
+  const questionItems = topQuestions.map((q) => `<li style="margin:0 0 6px;font-size:14px;line-height:1.5;">${q.label}</li>`).join("");
+
+  const bodyHtml = `
+  <div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;background:#f7f4ea;padding:32px 16px;color:#2f2f2f;">
+    <div style="max-width:640px;margin:0 auto;background:#ffffff;border:1px solid #e6dfcf;border-radius:16px;overflow:hidden;">
+      <div style="padding:28px 28px 18px;background:linear-gradient(135deg,#ffffff,#fbfaf6);border-bottom:1px solid #e6dfcf;">
+        <div style="font-size:11px;font-weight:700;letter-spacing:.08em;text-transform:uppercase;color:#6f875f;margin-bottom:10px;">Vallenwood Consulting</div>
+        <h1 style="margin:0 0 8px;font-size:28px;line-height:1.1;color:#2f2f2f;">Your provisional Revenue System Score</h1>
+        <p style="margin:0;color:#6f6f69;font-size:15px;line-height:1.6;">${questionsNeeded} more ${plural} will complete your diagnostic.</p>
+      </div>
+      <div style="padding:24px 28px;">
+        <p style="margin:0 0 16px;font-size:15px;line-height:1.6;">Hi ${clientName || "there"},</p>
+        <p style="margin:0 0 20px;font-size:15px;line-height:1.6;">Thank you for starting the Vallenwood Revenue System Score diagnostic for <strong>${clientCompany || "your organization"}</strong>. A few answers were missing, so some pillars are estimated for now.</p>
+        <div style="border:1px solid #e6dfcf;border-radius:14px;padding:18px;background:#fbfaf6;margin-bottom:20px;">
+          <p style="margin:0 0 8px;font-size:13px;color:#6f6f69;text-transform:uppercase;letter-spacing:.04em;">Provisional Score</p>
+          <p style="margin:0 0 16px;font-size:18px;font-weight:700;">${osScored.brand_to_gtm_os_score}/100 · ${osScored.interpretation_band}</p>
+          <p style="margin:0 0 8px;font-size:13px;color:#6f6f69;text-transform:uppercase;letter-spacing:.04em;">Questions that sharpen it most</p>
+          <ol style="margin:0;padding-left:20px;">${questionItems}</ol>
+        </div>
+        <a href="${resumeUrl}" style="display:inline-block;background:#6f875f;color:#ffffff;text-decoration:none;font-weight:700;padding:14px 20px;border-radius:12px;font-size:15px;">Complete Your Diagnostic</a>
+        <p style="margin:20px 0 0;font-size:14px;line-height:1.6;color:#6f6f69;">Your full report replaces the provisional one at the same link${reportUrl ? `: <a href="${reportUrl}" style="color:#6f875f;font-weight:600;text-decoration:none;">Provisional Report &rarr;</a>` : "."}</p>
+      </div>
+      <div style="padding:18px 28px;border-top:1px solid #e6dfcf;color:#6f6f69;font-size:13px;line-height:1.6;">Provisional scores are directional. Estimated pillars are marked in the report.</div>
+    </div>
+  </div>`;
+
+  const bodyText = `Hi ${clientName || "there"},\n\nThank you for starting the Vallenwood Revenue System Score diagnostic for ${clientCompany || "your organization"}.\n\nProvisional score: ${osScored.brand_to_gtm_os_score}/100 — ${osScored.interpretation_band}\n\nAnswer ${questionsNeeded} more ${plural} to complete your diagnostic:\n${topQuestions.map((q, i) => `${i + 1}. ${q.label}`).join("\n")}\n\nComplete your diagnostic:\n${resumeUrl}\n\n${reportUrl ? `Provisional report:\n${reportUrl}\n\n` : ""}— Jasper\nVallenwood Consulting`;
+
+  return { subject, bodyText, bodyHtml };
+}
+
 function renderInternalEmail({ osScored, clientName, clientCompany, clientEmail, clientWebsite, execReportUrl, auditReportUrl, hiddenReportUrl, answers }) {
   const niceConstraint = prettyPillar(osScored.primary_constraint_key);
   const subject = `New Diagnostic — ${clientCompany || "Unknown Company"} · ${niceConstraint}`;
   const na = normalizeAnswers(answers || {});
 
-  const pillarRows = [
-    { label: "Positioning & Category", score: osScored.pillar_scores.positioning },
-    { label: "Value Architecture", score: osScored.pillar_scores.value_architecture },
-    { label: "Pricing & Packaging", score: osScored.pillar_scores.pricing_packaging },
-    { label: "GTM Focus", score: osScored.pillar_scores.gtm_focus },
-    { label: "Measurement", score: osScored.pillar_scores.measurement },
-  ].map(p => {
+  // Rows follow the engine's constraint ranking, most constraining first
+  const ranking = osScored.constraint_ranking || [];
+  const nextConstraint = ranking[1]?.label || "";
+  const pillarRows = ranking.map(p => {
     const color = p.score < 14 ? "#c67b5c" : "#6f875f";
-    return `<tr><td style="padding:5px 0;font-size:13px;color:#2f2f2f;">${p.label}</td><td style="text-align:right;font-size:13px;font-weight:700;color:${color};">${p.score}/20</td></tr>`;
+    const detail = [p.bias ? `−${p.bias} tension bias` : "", p.gap_to_target > 0 ? `${p.gap_to_target} below target` : ""].filter(Boolean).join(" · ");
+    return `<tr><td style="padding:5px 0;font-size:13px;color:#2f2f2f;">${p.rank}. ${p.label}${detail ? `<span style="display:block;font-size:11px;color:#6f6f69;">${detail}</span>` : ""}</td><td style="text-align:right;font-size:13px;font-weight:700;color:${color};">${p.score}/20</td></tr>`;
   }).join("");
 
   const tensionRows = (osScored.contradictions || []).map(c => `
@@ -518,7 +347,7 @@ function renderInternalEmail({ osScored, clientName, clientCompany, clientEmail,
           </div>
         </div>
         <div style="border:1px solid #e6dfcf;border-radius:14px;padding:16px;background:#fff;margin-bottom:16px;">
-          <p style="margin:0 0 10px;font-size:12px;font-weight:700;text-transform:uppercase;letter-spacing:.06em;color:#6f6f69;">5-Pillar Breakdown</p>
+          <p style="margin:0 0 10px;font-size:12px;font-weight:700;text-transform:uppercase;letter-spacing:.06em;color:#6f6f69;">5-Pillar Constraint Ranking</p>
           <table style="width:100%;border-collapse:collapse;">${pillarRows}</table>
         </div>
         <div style="border:1px solid #e6dfcf;border-left:4px solid #c67b5c;border-radius:14px;padding:16px;background:#fffdfa;margin-bottom:16px;">
@@ -541,7 +370,7 @@ function renderInternalEmail({ osScored, clientName, clientCompany, clientEmail,
     </div>
   </div>`;
 
-  const bodyText = `New Diagnostic Submission — ${clientCompany || "Unknown"}\n\nContact: ${clientName || ""} (${clientEmail || ""})\nScore: ${osScored.brand_to_gtm_os_score}/100 — ${osScored.interpretation_band}\nPrimary Constraint: ${niceConstraint}\n\nClient report: ${execReportUrl || ""}\nAudit report: ${auditReportUrl || ""}\nInternal brief: ${hiddenReportUrl || ""}\n\n— Vallenwood Consulting`;
+  const bodyText = `New Diagnostic Submission — ${clientCompany || "Unknown"}\n\nContact: ${clientName || ""} (${clientEmail || ""})\nScore: ${osScored.brand_to_gtm_os_score}/100 — ${osScored.interpretation_band}\nPrimary Constraint: ${niceConstraint}\nNext Constraint: ${nextConstraint}\n\nClient report: ${execReportUrl || ""}\nAudit report: ${auditReportUrl || ""}\nInternal brief: ${hiddenReportUrl || ""}\n\n— Vallenwood Consulting`;
 
   return { subject, bodyText, bodyHtml };
 }
@@ -550,9 +379,8 @@ function renderInternalEmail({ osScored, clientName, clientCompany, clientEmail,
    Report Builder
 ========================================================= */
 
-function buildReport({ tier, clientName, clientEmail, clientCompany, clientWebsite, answers, osScored, legacyScored, content }) {
+function buildReport({ tier, clientName, clientEmail, clientCompany, clientWebsite, source, sourceRef, answers, na, answerIssues, answerMappings, osScored, legacyScored, content }) {
   const generatedAt = new Date().toISOString();
-  const na = normalizeAnswers(answers);
   const contradictionBullets = (osScored.contradictions || []).slice(0, 3).map((c) => c.tension);
   const primarySymptoms = (osScored.contradictions || [])
     .filter((c) => pillarKeyFromLabel(c.pillar) === osScored.primary_constraint_key)
@@ -570,19 +398,27 @@ function buildReport({ tier, clientName, clientEmail, clientCompany, clientWebsi
       website: clientWebsite || null,
     },
     inputs: {
-      source: "honeybook",
+      source: source || "honeybook",
+      source_ref: sourceRef || null,
       raw_answers: answers,
       normalized_answers: na,
+      answer_issues: answerIssues,
+      answer_mappings: answerMappings || [],
     },
     scoring: {
-      os_scoring_version: OS_SCORING_VERSION,
+      os_scoring_version: osScored.rulebook.version,
+      rulebook: osScored.rulebook,
       overall_score: osScored.brand_to_gtm_os_score,
       overall_max: 100,
       band: osScored.interpretation_band,
       confidence: osScored.confidence || "Moderate",
+      confidence_score: osScored.confidence_detail?.score ?? null,
+      score_range: osScored.confidence_detail?.score_range || null,
+      confidence_detail: osScored.confidence_detail || null,
       contradiction_count: (osScored.contradictions || []).length,
       contradiction_penalty: osScored.contradiction_penalty || 0,
       operating_tensions: osScored.contradictions || [],
+      contradiction_checks: osScored.contradiction_checks,
       primary_constraint: {
         key: osScored.primary_constraint_key,
         label: prettyPillar(osScored.primary_constraint_key),
@@ -594,6 +430,7 @@ function buildReport({ tier, clientName, clientEmail, clientCompany, clientWebsi
           "Inconsistent messaging and weak differentiation",
         ],
       },
+      constraint_ranking: osScored.constraint_ranking || [],
       pillar_scores: [
         { key: "positioning", label: "Positioning & Category", score: osScored.pillar_scores.positioning, max: 20 },
         { key: "value_architecture", label: "Value Architecture", score: osScored.pillar_scores.value_architecture, max: 20 },
@@ -610,6 +447,7 @@ function buildReport({ tier, clientName, clientEmail, clientCompany, clientWebsi
         pillar_scores: legacyScored.pillars,
         flags: legacyScored.flags || [],
       },
+      trace: osScored.trace || [],
     },
     narrative: {
       executive_summary: {
@@ -664,7 +502,7 @@ function buildReport({ tier, clientName, clientEmail, clientCompany, clientWebsi
   };
 
   if (tier === "audit") {
-    baseReport.full_tier = buildFullTierPlaceholder({ answers, osScored });
+    baseReport.full_tier = buildFullTierPlaceholder({ answers, na, osScored });
   } else {
     baseReport.exec_tier = buildExecTierUpsell();
   }
@@ -710,7 +548,7 @@ function buildExecTierUpsell() {
   };
 }
 
-function buildFullTierPlaceholder({ answers, osScored }) {
+function buildFullTierPlaceholder({ answers, na, osScored }) {
   return {
     swot: {
       strengths: [{ point: "Strength placeholder", evidence: [] }],
@@ -719,10 +557,8 @@ function buildFullTierPlaceholder({ answers, osScored }) {
       threats: [{ point: "Threat placeholder", evidence: [] }],
     },
     competitive_context: {
-      category: answers["What category do you compete in?"] || null,
-      most_compared_to: answers["Who do customers compare you to most often?"]
-        ? [answers["Who do customers compare you to most often?"]]
-        : [],
+      category: na.category || null,
+      most_compared_to: na.compared_to ? [na.compared_to] : [],
       competitive_archetypes: [],
       positioning_hypotheses: [],
     },
@@ -746,7 +582,7 @@ function buildFullTierPlaceholder({ answers, osScored }) {
     first_sprint_plan: { weeks: [] },
     appendix: {
       response_summary: Object.entries(answers).map(([question, answer]) => ({
-        question,
+        question: findQuestion(question)?.label || question,
         answer: Array.isArray(answer) ? answer.join(", ") : String(answer ?? ""),
         notes: null,
       })),
@@ -754,54 +590,11 @@ function buildFullTierPlaceholder({ answers, osScored }) {
   };
 }
 
-/* =========================================================
-   Auth helper
-========================================================= */
-
-function extractAuthToken(req) {
-  const headerToken = req.headers["x-vw-token"];
-  if (headerToken) return String(headerToken).trim();
-  const auth = req.headers["authorization"] || req.headers["Authorization"];
-  if (!auth) return null;
-  const s = String(auth).trim();
-  const m = s.match(/^Bearer\s+(.+)$/i);
-  if (m && m[1]) return m[1].trim();
-  return null;
-}
-
-/* =========================================================
-   Insufficient data guard
-========================================================= */
-
-const MIN_REQUIRED_FIELDS = 9;
-
-const OS_REQUIRED_KEYS = [
-  "annual_revenue", "acv", "sales_cycle", "close_rate",
-  "win_reason", "lose_reason", "consistency", "roi_quantifiable",
-  "sales_lead_with", "discount_frequency", "pricing_tiers_clarity",
-  "gross_margin", "acquisition_channels", "marketing_measured_by",
-  "attribution_trusted", "forecast_accuracy", "cac_by_channel",
-];
-
-function countPresentRequired(osInputs) {
-  const present = [];
-  const missing = [];
-  for (const k of OS_REQUIRED_KEYS) {
-    const v = osInputs[k];
-    const isPresent = Array.isArray(v)
-      ? v.length > 0
-      : v !== null && v !== undefined && String(v).trim() !== "";
-    if (isPresent) present.push(k);
-    else missing.push(k);
-  }
-  return { presentCount: present.length, presentKeys: present, missingKeys: missing };
-}
-
 /* =========================================================
    Hosted report builders
 ========================================================= */
 
-function getBaseUrl(req) {
+export function getBaseUrl(req) {
   if (process.env.APP_BASE_URL) return process.env.APP_BASE_URL.replace(/\/$/, "");
   const proto =
     req.headers["x-forwarded-proto"] ||
@@ -819,11 +612,11 @@ function buildExecReportData(report) {
     gtm_focus: pillarArray.find((p) => p.key === "gtm_focus")?.score ?? 0,
     measurement: pillarArray.find((p) => p.key === "measurement")?.score ?? 0,
   };
-  const sorted = [...pillarArray].sort((a, b) => a.score - b.score);
-  const strongest = [...pillarArray].sort((a, b) => b.score - a.score)[0] || null;
-  const secondary = sorted[1] || null;
+  const ranking = report?.scoring?.constraint_ranking || [];
+  const strongest = ranking[ranking.length - 1] || null;
+  const secondary = ranking[1] || null;
   const normalizedAnswers = report?.inputs?.normalized_answers || {};
-  const targetPillarScores = getDynamicTargetPillarScores(normalizedAnswers, "exec");
+  const targetPillarScores = getTargetPillarScores(normalizedAnswers, "exec", { rulebookVersion: report?.scoring?.rulebook?.version, stage: report?.scoring?.stage });
   const radarLabels = getRadarLabels();
   const secondaryExplanation = secondary
     ? `Once the primary constraint is improved, ${secondary.label} is likely to become the next limiting factor in the operating system.`
@@ -832,11 +625,19 @@ function buildExecReportData(report) {
   return {
     company_name: report?.client?.company_name || "Company",
     contact_name: report?.client?.contact_name || "Client",
+    contact_email: report?.client?.contact_email || "",
     website: report?.client?.website || "",
+    company_id: report?.inputs?.company_id || null,
     report_date: report?.generated_at ? new Date(report.generated_at).toLocaleDateString("en-US", { year: "numeric", month: "long" }) : "",
     overall_score: report?.scoring?.overall_score ?? 0,
     score_band: report?.scoring?.band || "",
     confidence: report?.scoring?.confidence || "Moderate",
+    score_range: report?.scoring?.score_range || null,
+    score_margin: report?.scoring?.confidence_detail?.margin ?? null,
+    provisional: !!report?.scoring?.provisional,
+    imputed_pillars: report?.scoring?.imputed_pillars || [],
+    questions_needed: report?.scoring?.questions_needed ?? 0,
+    resume_url: report?.scoring?.resume_url || null,
     primary_constraint_label: report?.scoring?.primary_constraint?.label || "",
     primary_constraint_why_it_matters: report?.scoring?.primary_constraint?.why_it_matters || "",
     executive_summary_paragraph: report?.narrative?.executive_summary?.summary_paragraph || "",
@@ -851,9 +652,12 @@ function buildExecReportData(report) {
     risks: report?.narrative?.operating_tensions?.slice(0, 3).map((t) => t.tension) || report?.scoring?.legacy?.flags?.slice(0, 3) || [],
     operating_tensions: report?.narrative?.operating_tensions?.slice(0, 3) || [],
     benchmark_context: { average_saas_company: 62, top_quartile: 78, elite_gtm_system: 85 },
+    peer_benchmark: report?.scoring?.peer_benchmark || null,
+    stage: report?.scoring?.stage || null,
     pillar_scores: pillarScores,
     target_pillar_scores: targetPillarScores,
     radar_labels: radarLabels,
+    constraint_ranking: ranking,
     primary_constraint_score: pillarArray.find((p) => p.key === report?.scoring?.primary_constraint?.key)?.score ?? 0,
     primary_constraint_interpretation: report?.narrative?.pillar_interpretations?.[0]?.interpretation || "",
     strongest_pillar_label: strongest?.label || "",
@@ -866,7 +670,7 @@ function buildExecReportData(report) {
 
 function buildAuditReportData(report) {
   const normalizedAnswers = report?.inputs?.normalized_answers || {};
-  const targetPillarScores = getDynamicTargetPillarScores(normalizedAnswers, "audit");
+  const targetPillarScores = getTargetPillarScores(normalizedAnswers, "audit", { rulebookVersion: report?.scoring?.rulebook?.version, stage: report?.scoring?.stage });
   const radarLabels = getRadarLabels();
   const pillarArray = Array.isArray(report?.scoring?.pillar_scores) ? report.scoring.pillar_scores : [];
   const fullTier = report?.full_tier || {};
@@ -881,6 +685,10 @@ function buildAuditReportData(report) {
     overall_score: report?.scoring?.overall_score ?? 0,
     score_band: report?.scoring?.band || "",
     confidence: report?.scoring?.confidence || "Moderate",
+    provisional: !!report?.scoring?.provisional,
+    imputed_pillars: report?.scoring?.imputed_pillars || [],
+    questions_needed: report?.scoring?.questions_needed ?? 0,
+    resume_url: report?.scoring?.resume_url || null,
     primary_constraint_label: report?.scoring?.primary_constraint?.label || "",
     primary_constraint_why_it_matters: report?.scoring?.primary_constraint?.why_it_matters || "",
     headline_diagnosis: report?.headline_diagnosis || narrative?.headline_diagnosis || "",
@@ -899,7 +707,10 @@ function buildAuditReportData(report) {
     },
     target_pillar_scores: targetPillarScores,
     radar_labels: radarLabels,
+    constraint_ranking: report?.scoring?.constraint_ranking || [],
     benchmark_context: { average_saas_company: 62, top_quartile: 78, elite_gtm_system: 85 },
+    peer_benchmark: report?.scoring?.peer_benchmark || null,
+    stage: report?.scoring?.stage || null,
     operating_tensions: narrative?.operating_tensions?.slice(0, 5) || report?.scoring?.operating_tensions?.slice(0, 5) || [],
     swot: fullTier?.swot || null,
     root_cause_hypotheses: fullTier?.root_cause_hypotheses || [],
@@ -912,268 +723,158 @@ function buildAuditReportData(report) {
   };
 }
 
-function buildHiddenReportData(report) {
-  const pillarArray = Array.isArray(report?.scoring?.pillar_scores) ? report.scoring.pillar_scores : [];
-  const ranked = [...pillarArray].sort((a, b) => a.score - b.score);
-  const pillarScores = {};
-  pillarArray.forEach((p) => { pillarScores[p.key] = p.score; });
-  const primary = ranked[0] || null;
-  const normalized = report?.inputs?.normalized_answers || {};
-  const targetPillarScores = getDynamicTargetPillarScores(normalized, "hidden");
-  const radarLabels = getRadarLabels();
-  const rawChannels = normalized?.acquisition_channels;
-  const primaryChannels = Array.isArray(rawChannels)
-    ? rawChannels
-    : typeof rawChannels === "string"
-      ? rawChannels.split(",").map((s) => s.trim()).filter(Boolean)
-      : [];
-
-  return {
-    company_name: report?.client?.company_name || "Company",
-    contact_name: report?.client?.contact_name || "Client",
-    report_date: report?.generated_at ? new Date(report.generated_at).toLocaleDateString("en-US", { year: "numeric", month: "long" }) : "",
-    diagnostic_snapshot: {
-      annual_revenue: normalized?.annual_revenue || null,
-      acv: normalized?.acv || null,
-      sales_cycle: normalized?.sales_cycle || null,
-      close_rate: normalized?.close_rate || null,
-      primary_channels: primaryChannels,
-      measurement_model: normalized?.marketing_measured_by || null,
-      growth_status: normalized?.growth_status || null,
-    },
-    benchmark_context: { average_saas_company: 62, top_quartile: 78, elite_gtm_system: 88 },
-    scoring: {
-      overall_score: report?.scoring?.overall_score || 0,
-      score_band: report?.scoring?.band || "",
-      confidence: report?.scoring?.confidence || "Moderate",
-      pillar_scores: pillarScores,
-      target_pillar_scores: targetPillarScores,
-      radar_labels: radarLabels,
-      pillar_ranked: ranked.map((p) => ({ key: p.key, label: p.label, score: p.score })),
-      primary_constraint: primary ? { key: primary.key, label: primary.label, score: primary.score } : null,
-    },
-    signal_analysis: {
-      operating_tensions: report?.scoring?.operating_tensions || [],
-      strength_signals: [
-        ...(pillarScores.measurement >= 17 ? ["Measurement maturity appears relatively strong compared to other pillars."] : []),
-        ...(pillarScores.gtm_focus >= 17 ? ["GTM execution appears relatively strong compared to other pillars."] : []),
-      ],
-      constraint_signals: [
-        ...(pillarScores.value_architecture < 14 ? ["Weak value architecture may create downstream pressure on pricing and positioning."] : []),
-        ...(pillarScores.pricing_packaging < 14 ? ["Pricing and packaging appear to be limiting margin protection or deal discipline."] : []),
-      ],
-      risk_signals: (report?.scoring?.operating_tensions || []).slice(0, 3).map((c) => c.implication),
-      opportunity_signals: [
-        ...(String(normalized?.discounting || "").includes("Rarely") ? ["Low discounting frequency suggests some pricing power already exists."] : []),
-      ],
-    },
-    interpretation: {
-      executive_readout: "Initial diagnostic suggests the primary leverage point lies in improving the constraint most likely to suppress pricing power, differentiation, or GTM efficiency.",
-      root_cause_hypotheses: (report?.scoring?.operating_tensions || []).slice(0, 3).map((c) => c.implication),
-    },
-    call_briefing: report?.call_briefing || {
-      opening_summary: "Begin by confirming where the commercial motion appears stronger than the proof, pricing, or measurement systems supporting it.",
-      top_questions_to_ask: [
-        "How do prospects typically evaluate ROI before purchasing?",
-        "Where in the sales process do pricing objections appear?",
-        "Which customer proof points most often move deals forward?",
-      ],
-      areas_to_validate_live: [
-        "Whether pricing tiers reflect actual customer value segments",
-        "Whether sales messaging consistently leads with outcomes",
-        "Whether attribution trust matches leadership expectations",
-      ],
-    },
-    consulting_opportunity: report?.consulting_opportunity || {
-      likely_needs: ["Value architecture refinement", "Pricing and packaging strategy", "Messaging system alignment"],
-      priority_engagement_angle: prettyPillar(report?.scoring?.primary_constraint?.key) || "Strategic Diagnostic Sprint",
-      upsell_readiness: (report?.scoring?.overall_score || 0) <= 70 ? "High" : "Moderate",
-    },
-    // Enriched fields — populated by enrichHiddenReport after response is sent
-    headline_diagnosis: report?.narrative?.headline_diagnosis || "",
-    executive_headline: report?.narrative?.executive_headline || "",
-    the_operating_tension: report?.narrative?.the_operating_tension || "",
-    what_this_means_in_practice: report?.narrative?.what_this_means_in_practice || [],
-    diagnosis_implications: report?.diagnosis_implications || [],
-    operating_tensions: report?.scoring?.operating_tensions || [],
-    what_good_looks_like: report?.narrative?.what_good_looks_like || "",
-    upgrade_bridge: report?.narrative?.upgrade_bridge || [],
-    root_cause_hypotheses: report?.full_tier?.root_cause_hypotheses || [],
-    swot: report?.full_tier?.swot || null,
-    constraint_chain: report?.full_tier?.constraint_chain || [],
-    competitive_context: report?.full_tier?.competitive_context || null,
-    pricing_packaging_audit: report?.full_tier?.pricing_packaging_audit || null,
-    roadmap: report?.full_tier?.roadmap || null,
-    constraint_hypothesis_summary: report?.constraint_hypothesis_summary || "",
-    constraint_hypothesis: report?.constraint_hypothesis || [],
-    commercial_friction: report?.commercial_friction || [],
-    likely_objections: report?.likely_objections || [],
-    discovery_questions: report?.discovery_questions || [],
-    conversation_strategy: report?.conversation_strategy || [],
-    engagement_opportunities: report?.engagement_opportunities || [],
-    pillar_scores: pillarScores,
-    target_pillar_scores: targetPillarScores,
-    radar_labels: radarLabels,
-    primary_constraint_label: primary?.label || "",
-  };
-}
-
-async function buildReportUrl(req, report, tier, extraFields = {}) {
+async function buildReportUrl(req, report, tier, extraFields = {}, reportId = null) {
   const baseUrl = getBaseUrl(req);
-  const reportId = makeReportId();
+  const id = reportId || makeReportId();
   let reportData;
   if (tier === "audit") reportData = buildAuditReportData(report);
   else if (tier === "hidden") reportData = buildHiddenReportData(report);
   else reportData = buildExecReportData(report);
-  await saveReport(reportId, { tier, reportData: { ...reportData, ...extraFields } });
-  return `${baseUrl}/api/report?id=${reportId}&tier=${tier}`;
+  await saveReport(id, { tier, reportData: { ...reportData, ...extraFields } }, { author: { type: "scoring" } });
+  return `${baseUrl}/api/report?id=${id}&tier=${tier}`;
 }
 
 /* =========================================================
-   Handler
+   Pipeline
 ========================================================= */
 
-export const config = {
-  maxDuration: 300,
-};
-
-export default async function handler(req, res) {
-  const L = createDiagLogger(req);
-  L.start();
+function toOsScored(scoring) {
+  return {
+    brand_to_gtm_os_score: scoring.osScore,
+    interpretation_band: scoreBand(scoring.osScore),
+    primary_constraint_key: pillarKeyFromLabel(scoring.primaryConstraint),
+    constraint_ranking: scoring.constraintRanking,
+    pillar_scores: toReportPillarScores(scoring.scores),
+    imputed_pillars: (scoring.imputedPillars || []).map(pillarKeyFromEngineKey),
+    confidence: scoring.confidence,
+    confidence_detail: scoring.confidenceDetail,
+    contradictions: scoring.contradictions || [],
+    contradiction_checks: scoring.contradictionChecks || null,
+    contradiction_penalty: scoring.contradictionPenalty || 0,
+    raw_score: scoring.rawScore,
+    adjusted_raw_score: scoring.adjustedRawScore,
+    rulebook: scoring.rulebook,
+    trace: scoring.trace || [],
+  };
+}
 
+// Listing index (lib/reportIndex.js). A failure here never fails the submission;
+// the reports themselves are already saved.
+async function recordInIndex(report, ids) {
   try {
-    if (req.method !== "POST") {
-      L.finish(405);
-      return res.status(405).json({ error: "POST only" });
-    }
-
-    const token = extractAuthToken(req);
-    if (!token || token !== process.env.VW_TOKEN) {
-      L.finish(401);
-      return res.status(401).json({ error: "Unauthorized" });
-    }
-
-    const payload = req.body || {};
-    const rawAnswers = payload.answers;
-
-    if (
-      rawAnswers === undefined ||
-      rawAnswers === null ||
-      typeof rawAnswers !== "object" ||
-      Array.isArray(rawAnswers) ||
-      Object.keys(rawAnswers).length === 0
-    ) {
-      L.finish(400);
-      return res.status(400).json({ error: "Invalid payload: 'answers' must be a non-empty object." });
-    }
-
-    const answers = normalizeIncomingAnswers(rawAnswers);
-
-    let tier = payload.tier || "exec";
-    if (tier === "full") tier = "audit";
-
-    const clientEmail = payload.client_email || "";
-    const clientName = payload.client_name || "";
-    const clientCompany = payload.client_company || "";
-    const clientWebsite = payload.client_website || "";
-
-    // Legacy scoring
-    const tLegacy = L.mark();
-    const config = getConfig();
-    const legacyScored = scoreLegacy(answers, config);
-    L.step("scoreLegacy", tLegacy, { total: legacyScored.total, band: legacyScored.band });
-
-    // OS scoring
-    const tOS = L.mark();
-    const na = normalizeAnswers(answers);
-
-    const osInputs = {
-      annual_revenue: na.annual_revenue,
-      revenue_model: na.revenue_model,
-      acv: na.acv,
-      sales_cycle: na.sales_cycle,
-      close_rate: na.close_rate,
-      category: na.category,
-      compared_to: na.compared_to,
-      win_reason: na.win_reason,
-      lose_reason: na.lose_reason,
-      consistency: na.positioning_consistency,
-      roi_quantifiable: na.roi_repeatable,
-      sales_lead_with: na.sales_lead,
-      financial_metrics_improved: na.financial_metrics_improved,
-      discount_frequency: na.discounting,
-      pricing_tiers_clarity: na.pricing_clarity,
-      gross_margin: na.gross_margin,
-      acquisition_channels: normalizeChannels(na.acquisition_channels),
-      cac_by_channel: na.cac_by_channel,
-      growth_status: na.growth_status,
-      marketing_measured_by: na.marketing_measured_by,
-      attribution_trusted: na.attribution_trusted,
-      forecast_accuracy: na.forecast_accuracy,
-    };
+    await indexSubmission(summarizeSubmission(report, ids));
+  } catch (err) {
+    console.error("[diag] report index failed:", err.message);
+  }
+}
 
-    const { presentCount, missingKeys } = countPresentRequired(osInputs);
-
-    // Insufficient data path
-    if (presentCount < MIN_REQUIRED_FIELDS) {
-      const content = { subject: "Diagnostic incomplete — more information needed", bodyText: "", bodyHtml: null };
-      const generatedAt = new Date().toISOString();
-      const report = {
-        schema_version: "1.1", generated_at: generatedAt, tier,
-        client: { company_name: clientCompany || null, contact_name: clientName || null, contact_email: clientEmail || "", website: clientWebsite || null },
-        inputs: { source: "honeybook", raw_answers: answers, normalized_answers: na },
-        scoring: {
-          os_scoring_version: OS_SCORING_VERSION, insufficient_data: true,
-          required_min: MIN_REQUIRED_FIELDS, present_required_count: presentCount,
-          missing_required_fields: missingKeys, overall_score: null, overall_max: 100,
-          band: "Insufficient data", confidence: null, contradiction_count: 0,
-          contradiction_penalty: 0, operating_tensions: [], primary_constraint: null, pillar_scores: [],
-          legacy: { legacy_scoring_version: LEGACY_SCORING_VERSION, overall_score: legacyScored.total, overall_max: 25, band: legacyScored.band, primary_constraint: legacyScored.primaryConstraint, pillar_scores: legacyScored.pillars, flags: legacyScored.flags || [] },
-        },
-        narrative: { executive_summary: { headline: "Insufficient data to score reliably", summary_paragraph: "We received your submission, but not enough inputs were provided.", key_observations: [], what_to_do_next: ["Resubmit with additional answers"] }, pillar_interpretations: [], operating_tensions: [] },
-        deliverables: { email: { subject: content.subject, body_text: content.bodyText, body_html: null }, pdf: { title: "Brand-to-GTM OS Executive Summary", pdf_url: null, html_url: null, pages_estimate: 1 } },
-        disclaimer: { ai_assisted: false, limitations: ["This diagnostic requires a minimum set of inputs to produce a reliable score."] },
-      };
-      const hiddenReportUrl = await buildReportUrl(req, report, "hidden");
-      const auditReportUrl = await buildReportUrl(req, report, "audit");
-      const hiddenReportId = new URL(hiddenReportUrl).searchParams.get("id");
-      const execReportUrl = tier === "exec" ? await buildReportUrl(req, report, "exec", { hidden_report_id: hiddenReportId }) : null;
-      L.finish(200);
-      return res.status(200).json({ report, summary: { score: null, band: "Insufficient data", primary_constraint: null, insufficient_data: true }, tier, exec_report_url: execReportUrl, audit_report_url: auditReportUrl, hidden_report_url: hiddenReportUrl, email_subject: content.subject, email_body_text: content.bodyText, email_body_html: null, client_email: clientEmail });
-    }
+// Scores one submission, saves its reports and returns { body, enrich, enrichJob }.
+// The handler sends `body` and then awaits `enrich` (null when there is nothing
+// to enrich); `enrichJob` holds the same work as runEnrichment arguments.
+// /api/resume passes the report ids of the provisional submission in
+// `reportIds`, so the completed report replaces it under the same links.
+export async function runDiagnostic(req, L, { answers, source, sourceRef = null, tier, client = {}, groupId = null, companyId = null, excludeFromBenchmarks = false, reportIds = null, resumedAt = null }) {
+  const clientEmail = client.email || "";
+  const clientName = client.name || "";
+  const clientCompany = client.company || "";
+  const clientWebsite = client.website || "";
+
+  const rulebook = loadRulebook();
+
+  const resolved = resolveAnswers(answers);
+  const { unknownKeys, unrecognizedValues } = resolved;
+  const answerIssues = { unknown_keys: unknownKeys, unrecognized_values: unrecognizedValues };
+  if (unknownKeys.length || unrecognizedValues.length) {
+    console.warn("[diag] answer issues:", JSON.stringify(answerIssues));
+  }
 
-    // Full scoring path
-    const scoring = scoreDiagnostic(osInputs);
-    const osScored = {
-      brand_to_gtm_os_score: scoring.osScore,
-      interpretation_band: scoreBand(scoring.osScore),
-      primary_constraint_key: pillarKeyFromLabel(scoring.primaryConstraint),
-      pillar_scores: {
-        positioning: scoring.scores.positioning,
-        value_architecture: scoring.scores.value,
-        pricing_packaging: scoring.scores.pricing,
-        gtm_focus: scoring.scores.gtm,
-        measurement: scoring.scores.measurement,
-      },
-      confidence: scoring.confidence,
-      contradictions: scoring.contradictions || [],
-      contradiction_penalty: scoring.contradictionPenalty || 0,
-      raw_score: scoring.rawScore,
-      adjusted_raw_score: scoring.adjustedRawScore,
+  // Free-text answers → nearest canonical option (keyword model, optional LLM)
+  const tClassify = L.mark();
+  const { normalized: na, mappings: answerMappings } = await classifyAnswers(resolved.normalized, unrecognizedValues);
+  L.step("classifyAnswers", tClassify, { mapped: answerMappings.filter((m) => m.applied).length, review: answerMappings.length });
+
+  const stage = classifyStage(na, { rulebook });
+
+  // Legacy scoring
+  const tLegacy = L.mark();
+  const config = getConfig();
+  const legacyScored = scoreLegacy(na, config);
+  L.step("scoreLegacy", tLegacy, { total: legacyScored.total, band: legacyScored.band });
+
+  // OS scoring
+  const tOS = L.mark();
+  const osInputs = buildOsInputs(na);
+
+  const { presentCount, missingKeys } = countPresentRequired(osInputs);
+
+  // Provisional path — too few answers for a full score. Pillars without enough
+  // answers are imputed, the missing questions are ranked and a resume link lets
+  // the prospect answer only those. Provisional scores skip the peer benchmarks
+  // and LLM enrichment.
+  if (presentCount < MIN_REQUIRED_FIELDS) {
+    const osScored = toOsScored(scoreDiagnostic(osInputs, { rulebook, stage, provisional: true }));
+    const missingQuestions = rankMissingQuestions(osInputs, { rulebook });
+    const questionsNeeded = MIN_REQUIRED_FIELDS - presentCount;
+    L.step("scoreOS", tOS, { total: osScored.brand_to_gtm_os_score, provisional: true, imputed: osScored.imputed_pillars.length });
+
+    const hiddenReportId = reportIds?.hidden || makeReportId();
+    const execReportId = tier === "exec" ? reportIds?.exec || makeReportId() : null;
+    const baseUrl = getBaseUrl(req);
+    const resumeToken = makeResumeToken();
+    const resumeUrl = `${baseUrl}/api/resume?token=${resumeToken}`;
+    const clientReportUrl = execReportId
+      ? `${baseUrl}/api/report?id=${execReportId}&tier=exec`
+      : `${baseUrl}/api/report?id=${hiddenReportId}&tier=audit`;
+
+    const content = renderCompletionEmail({ osScored, clientName, clientCompany, missingQuestions, questionsNeeded, resumeUrl, reportUrl: clientReportUrl });
+    const report = buildReport({ tier, clientName, clientEmail, clientCompany, clientWebsite, source, sourceRef, answers, na, answerIssues, answerMappings, osScored, legacyScored, content });
+
+    const imputedLabels = osScored.imputed_pillars.map(prettyPillar);
+    Object.assign(report.scoring, {
+      insufficient_data: true,
+      provisional: true,
+      imputed_pillars: osScored.imputed_pillars,
+      required_min: MIN_REQUIRED_FIELDS,
+      present_required_count: presentCount,
+      missing_required_fields: missingKeys,
+      missing_questions: missingQuestions,
+      questions_needed: questionsNeeded,
+      resume_url: resumeUrl,
+      peer_benchmark: null,
+      stage,
+    });
+    report.scoring.pillar_scores = report.scoring.pillar_scores.map((p) => ({ ...p, imputed: osScored.imputed_pillars.includes(p.key) }));
+    report.narrative.executive_summary = {
+      headline: "Provisional score — a few answers short of a full diagnostic",
+      summary_paragraph: imputedLabels.length
+        ? `This score is provisional. ${imputedLabels.join(", ")} ${imputedLabels.length === 1 ? "is" : "are"} estimated because too few of ${imputedLabels.length === 1 ? "its" : "their"} questions were answered.`
+        : "This score is provisional because some required questions were not answered.",
+      key_observations: report.narrative.executive_summary.key_observations,
+      what_to_do_next: [`Answer ${questionsNeeded} more ${questionsNeeded === 1 ? "question" : "questions"} to complete your diagnostic`],
     };
+    report.disclaimer.limitations.unshift("This is a provisional score. Pillars marked as estimated were imputed from partial answers and will change when the diagnostic is completed.");
 
-    L.step("scoreOS", tOS, { total: osScored.brand_to_gtm_os_score, band: osScored.interpretation_band });
-
-    const tBuild = L.mark();
-    const report = buildReport({ tier, clientName, clientEmail, clientCompany, clientWebsite, answers, osScored, legacyScored, content: { subject: "", bodyText: "", bodyHtml: "" } });
-    report.scoring.insufficient_data = false;
-    report.scoring.required_min = MIN_REQUIRED_FIELDS;
-    report.scoring.present_required_count = presentCount;
-    report.scoring.missing_required_fields = [];
-    L.step("buildReport", tBuild);
+    const hiddenReportUrl = await buildReportUrl(req, report, "hidden", {}, hiddenReportId);
+    const execReportUrl = execReportId ? await buildReportUrl(req, report, "exec", { hidden_report_id: hiddenReportId }, execReportId) : null;
+    const auditReportUrl = hiddenReportUrl.replace("tier=hidden", "tier=audit");
+    await recordInIndex(report, { hiddenReportId, execReportId });
 
-    const llmEnabled = process.env.LLM_ENRICH === "1";
-    console.log("[diag] LLM_ENRICH value:", JSON.stringify(process.env.LLM_ENRICH), "llmEnabled:", llmEnabled);
+    await saveResume(resumeToken, {
+      tier,
+      client: { email: clientEmail, name: clientName, company: clientCompany, website: clientWebsite },
+      source,
+      source_ref: sourceRef,
+      raw_answers: answers,
+      hidden_report_id: hiddenReportId,
+      exec_report_id: execReportId,
+      missing_questions: missingQuestions.map((q) => q.id),
+      questions_needed: questionsNeeded,
+      group_id: groupId || null,
+      company_id: companyId || null,
+      exclude_from_benchmarks: !!excludeFromBenchmarks,
+      created_at: report.generated_at,
+      completed_at: null,
+    });
 
     const summary = {
       score: osScored.brand_to_gtm_os_score,
@@ -1181,91 +882,348 @@ export default async function handler(req, res) {
       primary_constraint: osScored.primary_constraint_key,
       primary_constraint_label: prettyPillar(osScored.primary_constraint_key),
       confidence: osScored.confidence,
-      insufficient_data: false,
+      confidence_score: osScored.confidence_detail.score,
+      score_range: osScored.confidence_detail.score_range,
+      score_margin: osScored.confidence_detail.margin,
+      insufficient_data: true,
+      provisional: true,
+      imputed_pillars: osScored.imputed_pillars,
       present_required_count: presentCount,
       required_min: MIN_REQUIRED_FIELDS,
-      missing_required_fields: [],
+      missing_required_fields: missingKeys,
+      questions_needed: questionsNeeded,
+      missing_questions: missingQuestions,
+      resume_url: resumeUrl,
     };
 
-    // Build report URLs and save initial (unenriched) versions to Redis
-    // Build hidden first so we can store hidden_report_id in the exec record for enrichment lookup
-    const hiddenReportUrl = await buildReportUrl(req, report, "hidden");
-    const hiddenReportId = hiddenReportUrl ? new URL(hiddenReportUrl).searchParams.get("id") : null;
-    const execReportUrl = tier === "exec" ? await buildReportUrl(req, report, "exec", { hidden_report_id: hiddenReportId }) : null;
-    // Audit URL reuses hidden report data with audit template — no separate Redis write
-    const auditReportUrl = hiddenReportUrl ? hiddenReportUrl.replace("tier=hidden", "tier=audit") : null;
+    return {
+      body: {
+        report,
+        summary,
+        answer_issues: answerIssues,
+        tier,
+        provisional: true,
+        overall_score: osScored.brand_to_gtm_os_score,
+        band: osScored.interpretation_band,
+        primary_constraint: osScored.primary_constraint_key,
+        resume_url: resumeUrl,
+        exec_report_url: execReportUrl,
+        audit_report_url: auditReportUrl,
+        hidden_report_url: hiddenReportUrl,
+        email_subject: content.subject,
+        email_body_text: content.bodyText,
+        email_body_html: content.bodyHtml,
+        client_email: clientEmail,
+      },
+      enrich: null,
+      enrichJob: null,
+    };
+  }
 
-    // Render emails
-    const tRender = L.mark();
-    const content = tier === "audit"
-      ? renderAudit({ osScored, clientName, clientCompany, auditReportUrl })
-      : renderExecSummary({ osScored, clientName, clientCompany, execReportUrl });
-    L.step("render", tRender);
+  // Full scoring path
+  const osScored = toOsScored(scoreDiagnostic(osInputs, { rulebook, stage }));
 
-    const internalContent = renderInternalEmail({ osScored, clientName, clientCompany, clientEmail, clientWebsite, execReportUrl, auditReportUrl, hiddenReportUrl, answers });
+  L.step("scoreOS", tOS, { total: osScored.brand_to_gtm_os_score, band: osScored.interpretation_band, rulebook: rulebook.version });
 
-    report.deliverables.email = { subject: content.subject, body_text: content.bodyText, body_html: content.bodyHtml || null };
-    report.deliverables.internal_email = { subject: internalContent.subject, body_text: internalContent.bodyText, body_html: internalContent.bodyHtml || null };
+  // Peer benchmark — percentiles against earlier submissions, then add this one
+  const tBench = L.mark();
+  let peerBenchmark = null;
+  try {
+    const benchInput = {
+      na,
+      osScore: osScored.brand_to_gtm_os_score,
+      pillarScores: osScored.pillar_scores,
+      rulebookVersion: rulebook.version,
+    };
+    peerBenchmark = await getPeerBenchmark(benchInput);
+    if (!excludeFromBenchmarks) await recordSubmission(benchInput);
+  } catch (err) {
+    console.error("[diag] peer benchmark failed:", err.message);
+  }
+  L.step("benchmark", tBench, { available: !!peerBenchmark?.available });
+
+  const tBuild = L.mark();
+  const report = buildReport({ tier, clientName, clientEmail, clientCompany, clientWebsite, source, sourceRef, answers, na, answerIssues, answerMappings, osScored, legacyScored, content: { subject: "", bodyText: "", bodyHtml: "" } });
+  report.scoring.insufficient_data = false;
+  report.scoring.provisional = false;
+  report.scoring.required_min = MIN_REQUIRED_FIELDS;
+  report.scoring.present_required_count = presentCount;
+  report.scoring.missing_required_fields = [];
+  report.scoring.peer_benchmark = peerBenchmark;
+  report.scoring.stage = stage;
+  if (resumedAt) report.inputs.resumed_at = resumedAt;
+
+  // Multi-respondent grouping — explicit group id, else the website domain when
+  // the respondent's email is on it
+  const companyGroupId = resolveGroupId({ groupId, website: clientWebsite, email: clientEmail });
+  report.inputs.group_id = companyGroupId;
+  report.inputs.respondent_role = na.respondent_role || null;
+
+  // Longitudinal tracking — explicit company id, else the website domain when
+  // the respondent's email is on it
+  const trackedCompanyId = resolveCompanyId({ companyId, website: clientWebsite, email: clientEmail });
+  report.inputs.company_id = trackedCompanyId;
+  L.step("buildReport", tBuild);
+
+  const llmEnabled = process.env.LLM_ENRICH === "1";
+  console.log("[diag] LLM_ENRICH value:", JSON.stringify(process.env.LLM_ENRICH), "llmEnabled:", llmEnabled);
+
+  const summary = {
+    score: osScored.brand_to_gtm_os_score,
+    band: osScored.interpretation_band,
+    primary_constraint: osScored.primary_constraint_key,
+    primary_constraint_label: prettyPillar(osScored.primary_constraint_key),
+    confidence: osScored.confidence,
+    confidence_score: osScored.confidence_detail.score,
+    score_range: osScored.confidence_detail.score_range,
+    score_margin: osScored.confidence_detail.margin,
+    insufficient_data: false,
+    provisional: false,
+    present_required_count: presentCount,
+    required_min: MIN_REQUIRED_FIELDS,
+    missing_required_fields: [],
+    group_id: companyGroupId,
+    respondent_role: report.inputs.respondent_role,
+  };
 
-    // -------------------------------------------------------
-    // RESPOND IMMEDIATELY — Zapier gets its response fast.
-    // Background enrichment updates Redis after this returns.
-    // -------------------------------------------------------
-    L.finish(200);
-    res.status(200).json({
-      report,
-      brand_to_gtm_os_score: osScored.brand_to_gtm_os_score,
-      brand_to_gtm_os_band: osScored.interpretation_band,
-      brand_to_gtm_os_pillar_scores: osScored.pillar_scores,
-      brand_to_gtm_os_primary_constraint: osScored.primary_constraint_key,
-      brand_to_gtm_os_primary_constraint_label: prettyPillar(osScored.primary_constraint_key),
-      brand_to_gtm_os_confidence: osScored.confidence,
-      brand_to_gtm_os_operating_tensions: osScored.contradictions,
-      summary,
-      tier,
-      overall_score: osScored.brand_to_gtm_os_score,
-      band: osScored.interpretation_band,
-      primary_constraint: osScored.primary_constraint_key,
-      email_subject: content.subject,
-      email_body_text: content.bodyText,
-      email_body_html: content.bodyHtml || null,
-      client_email: clientEmail,
-      internal_email_subject: internalContent.subject,
-      internal_email_body_html: internalContent.bodyHtml || null,
-      exec_report_url: execReportUrl,
-      audit_report_url: auditReportUrl,
-      hidden_report_url: hiddenReportUrl,
-    });
+  // Build report URLs and save initial (unenriched) versions to Redis
+  // Build hidden first so we can store hidden_report_id in the exec record for enrichment lookup
+  const hiddenReportUrl = await buildReportUrl(req, report, "hidden", {}, reportIds?.hidden);
+  const hiddenReportId = hiddenReportUrl ? new URL(hiddenReportUrl).searchParams.get("id") : null;
+  const execReportUrl = tier === "exec" ? await buildReportUrl(req, report, "exec", { hidden_report_id: hiddenReportId }, reportIds?.exec) : null;
+  // Audit URL reuses hidden report data with audit template — no separate Redis write
+  const auditReportUrl = hiddenReportUrl ? hiddenReportUrl.replace("tier=hidden", "tier=audit") : null;
+
+  const execReportId = execReportUrl ? new URL(execReportUrl).searchParams.get("id") : null;
+  await recordInIndex(report, { hiddenReportId, execReportId });
+
+  if (trackedCompanyId) {
+    try {
+      await recordAssessment(trackedCompanyId, report, hiddenReportId);
+    } catch (err) {
+      console.error("[diag] company history failed:", err.message);
+    }
+  }
 
-    // -------------------------------------------------------
-    // BACKGROUND ENRICHMENT — called via HTTP to /api/enrich
-    // res.json() already sent above, so Zapier has its response.
-    // This await keeps the function alive for the full enrichment.
-    // -------------------------------------------------------
-    if (llmEnabled) {
-      const auditReportId = auditReportUrl ? new URL(auditReportUrl).searchParams.get("id") : null;
-      const hiddenReportId = new URL(hiddenReportUrl).searchParams.get("id");
-      const enrichPayload = {
-        tier,
-        auditReportId,
+  if (companyGroupId) {
+    try {
+      await recordGroupMember(companyGroupId, {
+        email: clientEmail,
+        role: report.inputs.respondent_role,
+        name: clientName,
         hiddenReportId,
-        report: {
-          client: report.client,
-          inputs: { normalized_answers: report.inputs?.normalized_answers },
-          scoring: report.scoring,
-          narrative: report.narrative,
-          full_tier: report.full_tier,
-          generated_at: report.generated_at,
-        },
-      };
+        execReportId,
+        submittedAt: report.generated_at,
+      });
+    } catch (err) {
+      console.error("[diag] group membership failed:", err.message);
+    }
+  }
+
+  // Render emails
+  const tRender = L.mark();
+  const content = tier === "audit"
+    ? renderAudit({ osScored, clientName, clientCompany, auditReportUrl })
+    : renderExecSummary({ osScored, clientName, clientCompany, execReportUrl });
+  L.step("render", tRender);
+
+  const internalContent = renderInternalEmail({ osScored, clientName, clientCompany, clientEmail, clientWebsite, execReportUrl, auditReportUrl, hiddenReportUrl, answers });
+
+  report.deliverables.email = { subject: content.subject, body_text: content.bodyText, body_html: content.bodyHtml || null };
+  report.deliverables.internal_email = { subject: internalContent.subject, body_text: internalContent.bodyText, body_html: internalContent.bodyHtml || null };
+
+  const body = {
+    report,
+    brand_to_gtm_os_score: osScored.brand_to_gtm_os_score,
+    brand_to_gtm_os_band: osScored.interpretation_band,
+    brand_to_gtm_os_pillar_scores: osScored.pillar_scores,
+    brand_to_gtm_os_primary_constraint: osScored.primary_constraint_key,
+    brand_to_gtm_os_primary_constraint_label: prettyPillar(osScored.primary_constraint_key),
+    brand_to_gtm_os_confidence: osScored.confidence,
+    brand_to_gtm_os_score_range: osScored.confidence_detail.score_range,
+    brand_to_gtm_os_operating_tensions: osScored.contradictions,
+    summary,
+    answer_issues: answerIssues,
+    tier,
+    provisional: false,
+    overall_score: osScored.brand_to_gtm_os_score,
+    band: osScored.interpretation_band,
+    primary_constraint: osScored.primary_constraint_key,
+    email_subject: content.subject,
+    email_body_text: content.bodyText,
+    email_body_html: content.bodyHtml || null,
+    client_email: clientEmail,
+    internal_email_subject: internalContent.subject,
+    internal_email_body_html: internalContent.bodyHtml || null,
+    exec_report_url: execReportUrl,
+    audit_report_url: auditReportUrl,
+    hidden_report_url: hiddenReportUrl,
+  };
+
+  // -------------------------------------------------------
+  // BACKGROUND ENRICHMENT — called after the response is sent.
+  // Awaiting it keeps the function alive for the full enrichment.
+  // /api/batch queues `enrichJob` instead of calling `enrich`.
+  // -------------------------------------------------------
+  const enrichJob = llmEnabled
+    ? {
+      report: {
+        client: report.client,
+        inputs: { normalized_answers: report.inputs?.normalized_answers, group_id: report.inputs?.group_id, company_id: report.inputs?.company_id, respondent_role: report.inputs?.respondent_role },
+        scoring: report.scoring,
+        narrative: report.narrative,
+        full_tier: report.full_tier,
+        generated_at: report.generated_at,
+      },
+      tier,
+      auditReportId: auditReportUrl ? new URL(auditReportUrl).searchParams.get("id") : null,
+      hiddenReportId,
+    }
+    : null;
+  const enrich = enrichJob
+    ? async () => {
       try {
-        console.log("[diag] calling runEnrichment — auditReportId:", auditReportId, "hiddenReportId:", hiddenReportId);
-        await runEnrichment({ report: enrichPayload.report, tier, auditReportId, hiddenReportId });
+        console.log("[diag] calling runEnrichment — auditReportId:", enrichJob.auditReportId, "hiddenReportId:", hiddenReportId);
+        await runEnrichment(enrichJob);
         console.log("[diag] enrichment complete");
       } catch (err) {
         console.error("[diag] enrichment failed:", err.message);
       }
     }
+    : null;
+
+  return { body, enrich, enrichJob };
+}
+
+/* =========================================================
+   Submissions
+========================================================= */
+
+// Reads one submission payload (flat answers or any intake adapter's native
+// shape) into runDiagnostic options, checked against lib/validation.js.
+// Returns { source, mode, warnings, options }, or { source, mode, error,
+// errors, warnings } for a 422. /api/batch reads each of its submissions
+// through here too.
+export function readSubmission(payload) {
+  const intake = parseIntake(payload);
+  const check = validateSubmission(payload, intake);
+  const { mode, errors, warnings } = check;
+
+  if (errors.length) {
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : "";
+    return { source: intake.source, mode, error: `Invalid payload: ${errors[0].message}${more}`, errors, warnings };
+  }
+
+  // A top-level respondent_role overrides a role answered in the form, under
+  // whichever of the question's keys the form used
+  const formAnswers = check.respondentRole
+    ? Object.fromEntries(Object.entries(check.answers).filter(([key]) => findQuestion(key)?.id !== "respondent_role"))
+    : check.answers;
+  const answers = normalizeIncomingAnswers(check.respondentRole ? { ...formAnswers, respondent_role: check.respondentRole } : formAnswers);
+
+  return {
+    source: intake.source,
+    mode,
+    warnings,
+    options: {
+      answers,
+      source: intake.source,
+      sourceRef: intake.ref,
+      tier: check.tier,
+      client: {
+        email: check.client.client_email,
+        name: check.client.client_name,
+        company: check.client.client_company,
+        website: check.client.client_website,
+      },
+      groupId: check.groupId,
+      companyId: check.companyId,
+      excludeFromBenchmarks: check.excludeFromBenchmarks,
+    },
+  };
+}
+
+/* =========================================================
+   Handler
+========================================================= */
+
+export const config = {
+  maxDuration: 300,
+};
+
+export default async function handler(req, res) {
+  const L = createDiagLogger(req);
+  L.start();
+
+  try {
+    if (req.method !== "POST") {
+      L.finish(405);
+      return res.status(405).json({ error: "POST only" });
+    }
+
+    const token = extractAuthToken(req);
+    if (!token || token !== process.env.VW_TOKEN) {
+      L.finish(401);
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    const submission = readSubmission(req.body || {});
+    if (submission.error) {
+      L.finish(422);
+      return res.status(422).json({ error: submission.error, source: submission.source, validation: submission.mode, errors: submission.errors, warnings: submission.warnings });
+    }
+    console.log("[diag] intake source:", submission.source);
+    if (submission.warnings.length) console.warn("[diag] validation warnings:", JSON.stringify(submission.warnings));
+
+    // Retries (Zapier re-sends on timeouts) get the first response back
+    const { key: idempotencyKey, error: keyError } = readIdempotencyKey(req);
+    if (keyError) {
+      L.finish(400);
+      return res.status(400).json({ error: keyError });
+    }
+    const idem = await beginIdempotentRequest(idempotencyKey, submission.options);
+    if (idem.replay) {
+      console.log("[diag] idempotent replay —", idempotencyKey ? "Idempotency-Key" : "payload hash");
+      L.finish(idem.replay.status);
+      res.setHeader("Idempotent-Replayed", "true");
+      return res.status(idem.replay.status).json(idem.replay.body);
+    }
+    if (idem.pending) {
+      L.finish(409);
+      res.setHeader("Retry-After", "10");
+      return res.status(409).json({ error: "An identical submission is still being processed. Retry shortly to get its result." });
+    }
+    if (idem.mismatch) {
+      L.finish(422);
+      return res.status(422).json({ error: "Idempotency-Key was already used for a different payload." });
+    }
+
+    let result;
+    try {
+      result = await runDiagnostic(req, L, submission.options);
+    } catch (err) {
+      await abandonIdempotentRequest(idem.claim).catch((e) => console.error("[diag] could not release idempotency key:", e.message));
+      throw err;
+    }
+    const { body, enrich } = result;
+    const responseBody = { ...body, validation: submission.mode, warnings: submission.warnings };
+    try {
+      await finishIdempotentRequest(idem.claim, 200, responseBody);
+      // So a data-subject erasure (lib/privacy.js) finds the stored response
+      const hiddenId = idem.claim && responseBody.hidden_report_url
+        ? new URL(responseBody.hidden_report_url).searchParams.get("id")
+        : null;
+      if (hiddenId) await linkIdempotencyRecord(hiddenId, idem.claim.key);
+    } catch (err) {
+      console.error("[diag] could not store idempotent response:", err.message);
+    }
+
+    // Respond immediately — Zapier gets its response fast.
+    // Background enrichment updates Redis after this returns.
+    L.finish(200);
+    res.status(200).json(responseBody);
+
+    if (enrich) await enrich();
     return;
 
   } catch (err) {
@@ -1274,4 +1232,4 @@ export default async function handler(req, res) {
     console.error("[diag] Unhandled error:", err);
     return res.status(500).json({ error: "Server error", message: err?.message || null, name: err?.name || null });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,26 @@
+// api/group.js
+// Multi-respondent company diagnostic aggregate: every respondent's scores, the
+// per-pillar averages and spread, and the alignment tensions between roles.
+// Same auth header as /api/diagnostic.
+
+import { isAuthorized } from "../lib/auth.js";
+import { isValidGroupId, loadGroupAggregate } from "../lib/groups.js";
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") return res.status(405).json({ error: "GET only" });
+    if (!isAuthorized(req)) return res.status(401).json({ error: "Unauthorized" });
+
+    const groupId = String(req.query.id || "").trim().toLowerCase();
+    if (!groupId) return res.status(400).json({ error: "Missing group id" });
+    if (!isValidGroupId(groupId)) return res.status(400).json({ error: "Invalid group id" });
+
+    const aggregate = await loadGroupAggregate(groupId);
+    if (!aggregate.respondent_count) return res.status(404).json({ error: "Group not found" });
+
+    return res.status(200).json(aggregate);
+  } catch (err) {
+    console.error("[group] Unhandled error:", err);
+    return res.status(500).json({ error: "Server error", message: err?.message || null });
+  }
+}
@@ -0,0 +1,82 @@
+// api/privacy.js
+// Data-subject requests (lib/privacy.js): export or erase everything stored
+// about a contact email or company domain. Same auth header as
+// /api/diagnostic. Every request is written to the privacy log.
+//
+// POST { action: "export", email | domain, requested_by }
+//        → { bundle, html: { <report id>: "<!doctype html>..." }, log_id }
+// POST { action: "erase", email | domain, requested_by, confirm }
+//        → { erased, remaining, verified, unreadable_jobs, log_id }; `confirm`
+//          repeats the email or domain
+// GET  [?limit=<n>]                      privacy log, newest first
+
+import { isAuthorized } from "../lib/auth.js";
+import { DEFAULT_LOG_LIMIT, MAX_LOG_LIMIT, eraseSubject, exportSubject, listPrivacyLog, readSubject } from "../lib/privacy.js";
+import { renderReportHtml } from "./report.js";
+
+const MAX_REQUESTER_LENGTH = 120;
+
+export const config = {
+  maxDuration: 300,
+};
+
+// Exec records render as the exec report, hidden records as the audit report
+// the client received. Group comparisons are left out: they name the other
+// respondents.
+async function renderBundleHtml(bundle) {
+  const html = {};
+  for (const { report_id: reportId, record } of bundle.reports) {
+    const tier = record.tier === "exec" ? "exec" : "audit";
+    const reportData = { ...(record.reportData || {}), group_id: null };
+    html[reportId] = await renderReportHtml(reportId, { ...record, reportData }, tier);
+  }
+  return html;
+}
+
+async function handlePost(req, res) {
+  const body = req.body || {};
+  const { subject, error } = readSubject({ email: body.email, domain: body.domain });
+  if (error) return res.status(400).json({ error });
+
+  // Requests are attributed to a named person in the log
+  const requestedBy = String(body.requested_by || "").trim();
+  if (!requestedBy || requestedBy.length > MAX_REQUESTER_LENGTH) {
+    return res.status(400).json({ error: `requested_by must be 1–${MAX_REQUESTER_LENGTH} characters` });
+  }
+
+  if (body.action === "export") {
+    const { bundle, log } = await exportSubject(subject, { requestedBy });
+    const html = await renderBundleHtml(bundle);
+    return res.status(200).json({ bundle, html, log_id: log.id });
+  }
+
+  if (body.action === "erase") {
+    // Erasure cannot be undone; the caller repeats the subject to confirm it
+    const confirmed = readSubject({ [subject.type]: body.confirm }).subject;
+    if (confirmed?.value !== subject.value) {
+      return res.status(400).json({ error: `confirm must repeat the ${subject.type} to erase` });
+    }
+    const { erased, remaining, verified, unreadable_jobs: unreadableJobs, log } = await eraseSubject(subject, { requestedBy });
+    return res.status(verified ? 200 : 500).json({ subject, erased, remaining, verified, unreadable_jobs: unreadableJobs, log_id: log.id });
+  }
+
+  return res.status(400).json({ error: "action must be \"export\" or \"erase\"" });
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET" && req.method !== "POST") return res.status(405).json({ error: "GET or POST only" });
+    if (!isAuthorized(req)) return res.status(401).json({ error: "Unauthorized" });
+
+    if (req.method === "POST") return await handlePost(req, res);
+
+    const limit = req.query?.limit === undefined ? DEFAULT_LOG_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LOG_LIMIT) {
+      return res.status(400).json({ error: `limit must be an integer from 1 to ${MAX_LOG_LIMIT}` });
+    }
+    return res.status(200).json({ entries: await listPrivacyLog(limit) });
+  } catch (err) {
+    console.error("[privacy] Unhandled error:", err);
+    return res.status(500).json({ error: "Server error", message: err?.message || null });
+  }
+}
@@ -5,7 +5,11 @@
 
 import fs from "fs";
 import path from "path";
-import { getReport } from "../lib/reportStore.js";
+import { loadCompanyHistory } from "../lib/companyHistory.js";
+import { clientGroupView, loadGroupAggregate } from "../lib/groups.js";
+import { extendReport, getReport } from "../lib/reportStore.js";
+import { extendOnView } from "../lib/retention.js";
+import { getTargetPillarScores } from "../lib/stage.js";
 
 function getDefaultRadarLabels() {
   return {
@@ -17,16 +21,6 @@ function getDefaultRadarLabels() {
   };
 }
 
-function getDefaultTargetScores() {
-  return {
-    positioning: 16,
-    value_architecture: 15,
-    pricing_packaging: 15,
-    gtm_focus: 16,
-    measurement: 15,
-  };
-}
-
 function getPillarScoreObject(reportData) {
   const source =
     reportData?.pillar_scores ??
@@ -93,8 +87,9 @@ function normalizeReportDataForTemplate(reportData, tier) {
     ...(reportData?.radar_labels || reportData?.scoring?.radar_labels || {}),
   };
 
+  // Stored targets win; older records without them fall back to the stage profile.
   const targetPillarScores = {
-    ...getDefaultTargetScores(),
+    ...getTargetPillarScores(reportData?.normalized_answers || {}, tier, { stage: reportData?.stage || undefined }),
     ...(reportData?.target_pillar_scores || reportData?.scoring?.target_pillar_scores || {}),
   };
 
@@ -144,6 +139,12 @@ function normalizeReportDataForTemplate(reportData, tier) {
     radar_label_multiline_array: radarLabelMultiLineArray,
     pillar_score_array: actualScoreArray,
     target_score_array: targetScoreArray,
+    constraint_ranking: reportData?.constraint_ranking || reportData?.scoring?.constraint_ranking || [],
+    // Provisional reports: flat on exec records, under scoring on hidden records (also served as audit)
+    provisional: !!(reportData?.provisional ?? reportData?.scoring?.provisional),
+    imputed_pillars: reportData?.imputed_pillars || reportData?.scoring?.imputed_pillars || [],
+    questions_needed: reportData?.questions_needed ?? reportData?.scoring?.questions_needed ?? 0,
+    resume_url: reportData?.resume_url || reportData?.scoring?.resume_url || null,
   };
 
   if (tier === "hidden") {
@@ -166,6 +167,109 @@ function normalizeReportDataForTemplate(reportData, tier) {
   return normalized;
 }
 
+// JSON for an inline <script>. Report data carries client-typed text, which
+// must not close the tag, open a comment or end a line (U+2028 / U+2029).
+function scriptJson(value) {
+  return JSON.stringify(value)
+    .replace(/</g, "\\u003c")
+    .replace(/>/g, "\\u003e")
+    .replace(/&/g, "\\u0026")
+    .replace(/\u2028/g, "\\u2028")
+    .replace(/\u2029/g, "\\u2029");
+}
+
+// The tier's template with the stored record injected as window.REPORT_DATA.
+// Also used by the data-subject export (api/privacy.js).
+export async function renderReportHtml(reportId, stored, tier) {
+  let finalReportData = stored.reportData || stored;
+
+  // Audit tier uses the same Redis record as hidden — just a different template.
+  // The audit URL is the hidden URL with tier=audit, so reportId is the hidden report ID.
+
+  // For exec tier: pull AI-enriched fields from the hidden report record so slides 4 and 5
+  // can use enriched content. hidden_report_id is stored in the exec record at write time.
+  if (tier === "exec" && finalReportData.hidden_report_id) {
+    try {
+      const hiddenStored = await getReport(finalReportData.hidden_report_id);
+      if (hiddenStored) {
+        const h = hiddenStored.reportData || hiddenStored;
+        const ENRICH_FIELDS = [
+          "headline_diagnosis",
+          "the_operating_tension",
+          "what_this_means_in_practice",
+          "what_good_looks_like",
+          "constraint_chain",
+          "swot",
+          "root_cause_hypotheses",
+          "signal_analysis",
+        ];
+        const patch = {};
+        for (const field of ENRICH_FIELDS) {
+          const val = h[field];
+          if (val === undefined || val === null || val === "") continue;
+          if (Array.isArray(val) && val.length === 0) continue;
+          patch[field] = val;
+        }
+        finalReportData = { ...finalReportData, ...patch };
+      }
+    } catch (e) {
+      console.warn("[report] Could not load hidden report for exec enrichment:", e.message);
+    }
+  }
+
+  // Hidden and audit tiers: compare this respondent with the rest of their
+  // company group, read live so later respondents show up on earlier reports.
+  if ((tier === "hidden" || tier === "audit") && finalReportData.group_id) {
+    try {
+      const group = await loadGroupAggregate(finalReportData.group_id);
+      if (group.respondent_count > 1) {
+        // The audit report goes to the client: roles only, no colleagues' ids or scores
+        finalReportData = {
+          ...finalReportData,
+          group: tier === "audit" ? clientGroupView(group) : { ...group, self_report_id: reportId },
+        };
+      }
+    } catch (e) {
+      console.warn("[report] Could not load company group:", e.message);
+    }
+  }
+
+  // Exec and audit tiers: compare with the company's earlier assessments.
+  // History is keyed by hidden report id, which an exec record links to.
+  if ((tier === "exec" || tier === "audit") && finalReportData.company_id) {
+    try {
+      const history = await loadCompanyHistory(
+        finalReportData.company_id,
+        tier === "exec" ? finalReportData.hidden_report_id : reportId,
+      );
+      if (history) finalReportData = { ...finalReportData, history };
+    } catch (e) {
+      console.warn("[report] Could not load company history:", e.message);
+    }
+  }
+
+  // Select the correct HTML template for this tier
+  let templatePath;
+  if (tier === "audit") {
+    templatePath = path.join(process.cwd(), "reports", "audit-report.html");
+  } else if (tier === "hidden") {
+    templatePath = path.join(process.cwd(), "reports", "hidden-report.html");
+  } else {
+    templatePath = path.join(process.cwd(), "reports", "exec-report.html");
+  }
+
+  // Normalize data for chart and template consumption
+  // No enrichment here — enrichment runs in diagnostic.js background process
+  finalReportData = normalizeReportDataForTemplate(finalReportData, tier);
+
+  const html = fs.readFileSync(templatePath, "utf8");
+  const injection = `<script>window.REPORT_DATA = ${scriptJson(finalReportData)};</script>`;
+
+  return html.includes("</head>")
+    ? html.replace("</head>", `  ${injection}\n</head>`)
+    : `${injection}\n${html}`;
+}
+
 export default async function handler(req, res) {
   try {
     if (req.method !== "GET") {
@@ -185,68 +289,24 @@ export default async function handler(req, res) {
     }
 
     const tier = requestedTier || stored.tier || "exec";
-    let finalReportData = stored.reportData || stored;
 
-    // Audit tier uses the same Redis record as hidden — just a different template.
-    // The audit URL is the hidden URL with tier=audit, so reportId is the hidden report ID.
-
-    // For exec tier: pull AI-enriched fields from the hidden report record so slides 4 and 5
-    // can use enriched content. hidden_report_id is stored in the exec record at write time.
-    if (tier === "exec" && finalReportData.hidden_report_id) {
+    // Opening a report restarts its retention, and that of the hidden record
+    // an exec report reads its enrichment from
+    if (extendOnView()) {
       try {
-        const hiddenStored = await getReport(finalReportData.hidden_report_id);
-        if (hiddenStored) {
-          const h = hiddenStored.reportData || hiddenStored;
-          const ENRICH_FIELDS = [
-            "headline_diagnosis",
-            "the_operating_tension",
-            "what_this_means_in_practice",
-            "what_good_looks_like",
-            "constraint_chain",
-            "swot",
-            "root_cause_hypotheses",
-            "signal_analysis",
-          ];
-          const patch = {};
-          for (const field of ENRICH_FIELDS) {
-            const val = h[field];
-            if (val === undefined || val === null || val === "") continue;
-            if (Array.isArray(val) && val.length === 0) continue;
-            patch[field] = val;
-          }
-          finalReportData = { ...finalReportData, ...patch };
-        }
+        await extendReport(reportId, stored.tier);
+        const hiddenReportId = (stored.reportData || stored).hidden_report_id;
+        if (hiddenReportId) await extendReport(hiddenReportId, "hidden");
       } catch (e) {
-        console.warn("[report] Could not load hidden report for exec enrichment:", e.message);
+        console.warn("[report] Could not extend report retention:", e.message);
       }
     }
 
-    // Select the correct HTML template for this tier
-    let templatePath;
-    if (tier === "audit") {
-      templatePath = path.join(process.cwd(), "reports", "audit-report.html");
-    } else if (tier === "hidden") {
-      templatePath = path.join(process.cwd(), "reports", "hidden-report.html");
-    } else {
-      templatePath = path.join(process.cwd(), "reports", "exec-report.html");
-    }
-
-    // Normalize data for chart and template consumption
-    // No enrichment here — enrichment runs in diagnostic.js background process
-    finalReportData = normalizeReportDataForTemplate(finalReportData, tier);
-
-    const html = fs.readFileSync(templatePath, "utf8");
-    const injection = `<script>window.REPORT_DATA = ${JSON.stringify(finalReportData)};</script>`;
-
-    const injected = html.includes("</head>")
-      ? html.replace("</head>", `  ${injection}\n</head>`)
-      : `${injection}\n${html}`;
-
     res.setHeader("Content-Type", "text/html; charset=utf-8");
-    return res.status(200).send(injected);
+    return res.status(200).send(await renderReportHtml(reportId, stored, tier));
 
   } catch (err) {
     console.error("[report] Unhandled error:", err);
     return res.status(500).send(`Server error: ${err.message}`);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,89 @@
+// api/reports.js
+// Consultant report listing: searches the index in lib/reportIndex.js and
+// returns one summary per submission with links to all three report tiers.
+// Same auth header as /api/diagnostic.
+//
+// GET /api/reports?company=&email=&domain=&tier=&band=&constraint=&from=&to=&q=&page=&limit=
+
+import { isAuthorized } from "../lib/auth.js";
+import { PILLARS } from "../lib/pillars.js";
+import { DEFAULT_PAGE_SIZE, INDEX_FILTERS, MAX_PAGE_SIZE, filterValue, listSubmissions } from "../lib/reportIndex.js";
+import { getBaseUrl } from "./diagnostic.js";
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// ISO dates or timestamps. A date-only `to` covers that whole day (UTC).
+function readDate(raw, { endOfDay = false } = {}) {
+  const text = String(raw).trim();
+  const date = new Date(DATE_ONLY.test(text) && endOfDay ? `${text}T23:59:59.999Z` : text);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function readPositiveInt(raw, fallback) {
+  if (raw === undefined || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isInteger(n) && n >= 1 ? n : null;
+}
+
+// Returns { query } for listSubmissions, or { error }
+function readQuery(params) {
+  const filters = {};
+  for (const filter of INDEX_FILTERS) {
+    const raw = params[filter];
+    if (raw === undefined || String(raw).trim() === "") continue;
+    let value = filterValue(filter, raw);
+    if (filter === "constraint") {
+      // Pillar key or label
+      const pillar = PILLARS.find((p) => p.key === value || p.label.toLowerCase() === value);
+      if (!pillar) return { error: `Unknown constraint "${raw}" (expected ${PILLARS.map((p) => p.key).join(", ")})` };
+      value = pillar.key;
+    }
+    if (filter === "tier" && !["exec", "audit"].includes(value)) {
+      return { error: `Unknown tier "${raw}" (expected exec or audit)` };
+    }
+    if (!value) return { error: `Invalid ${filter} "${raw}"` };
+    filters[filter] = value;
+  }
+
+  const from = params.from ? readDate(params.from) : null;
+  if (params.from && !from) return { error: `Invalid from date "${params.from}"` };
+  const to = params.to ? readDate(params.to, { endOfDay: true }) : null;
+  if (params.to && !to) return { error: `Invalid to date "${params.to}"` };
+  if (from && to && from > to) return { error: "from must not be after to" };
+
+  const page = readPositiveInt(params.page, 1);
+  if (!page) return { error: "page must be a positive integer" };
+  const limit = readPositiveInt(params.limit, DEFAULT_PAGE_SIZE);
+  if (!limit || limit > MAX_PAGE_SIZE) return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+
+  return { query: { filters, from, to, q: String(params.q || ""), page, limit } };
+}
+
+function reportLinks(baseUrl, summary) {
+  const hidden = `${baseUrl}/api/report?id=${summary.hidden_report_id}`;
+  return {
+    exec: summary.exec_report_id ? `${baseUrl}/api/report?id=${summary.exec_report_id}&tier=exec` : null,
+    audit: `${hidden}&tier=audit`,
+    hidden: `${hidden}&tier=hidden`,
+  };
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") return res.status(405).json({ error: "GET only" });
+    if (!isAuthorized(req)) return res.status(401).json({ error: "Unauthorized" });
+
+    const { query, error } = readQuery(req.query || {});
+    if (error) return res.status(400).json({ error });
+
+    const result = await listSubmissions(query);
+    const baseUrl = getBaseUrl(req);
+    return res.status(200).json({
+      ...result,
+      reports: result.reports.map((summary) => ({ ...summary, links: reportLinks(baseUrl, summary) })),
+    });
+  } catch (err) {
+    console.error("[reports] Unhandled error:", err);
+    return res.status(500).json({ error: "Server error", message: err?.message || null });
+  }
+}
@@ -0,0 +1,178 @@
+// api/resume.js
+// "Complete your diagnostic" flow for provisional submissions.
+// GET  /api/resume?token=...  renders a form with only the missing questions, most useful first
+// POST /api/resume            { token, answers } merges them into the original submission,
+//                             re-scores it and saves the full report under the same report ids
+// The resume token is the only credential: prospects use this route directly.
+
+import fs from "fs";
+import path from "path";
+import { MIN_REQUIRED_FIELDS, buildOsInputs, countPresentRequired, normalizeIncomingAnswers, resolveAnswers } from "../lib/answers.js";
+import { createDiagLogger } from "../lib/diagLogger.js";
+import { findQuestion, getQuestion } from "../lib/questions.js";
+import { claimResume, getReport, getResume, releaseResume, saveResume } from "../lib/reportStore.js";
+import { getBaseUrl, runDiagnostic } from "./diagnostic.js";
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{20,64}$/;
+
+function clientReportUrl(req, state) {
+  const base = getBaseUrl(req);
+  return state.exec_report_id
+    ? `${base}/api/report?id=${state.exec_report_id}&tier=exec`
+    : `${base}/api/report?id=${state.hidden_report_id}&tier=audit`;
+}
+
+// New answers first so they win over blanks left in the original submission
+function mergeAnswers(stored = {}, incoming = {}) {
+  const merged = { ...incoming };
+  const answered = new Set(Object.keys(incoming).map((k) => findQuestion(k)?.id));
+  for (const [key, value] of Object.entries(stored)) {
+    if (answered.has(findQuestion(key)?.id)) continue;
+    merged[key] = value;
+  }
+  return merged;
+}
+
+async function renderForm(req, res, token, state) {
+  const stored = await getReport(state.hidden_report_id);
+  const scoring = (stored?.reportData || stored)?.scoring || {};
+  const ranked = scoring.missing_questions?.length
+    ? scoring.missing_questions
+    : state.missing_questions.map((id) => ({ id }));
+
+  const data = {
+    token,
+    submit_url: "/api/resume",
+    company_name: state.client?.company || "",
+    contact_name: state.client?.name || "",
+    provisional_score: scoring.overall_score ?? null,
+    questions_needed: state.questions_needed,
+    report_url: clientReportUrl(req, state),
+    questions: ranked
+      .map((m) => ({ q: getQuestion(m.id), reason: m.reason || "" }))
+      .filter(({ q }) => q)
+      .map(({ q, reason }) => ({ id: q.id, label: q.label, options: q.options || [], multi: !!q.multi, reason })),
+  };
+
+  const html = fs.readFileSync(path.join(process.cwd(), "reports", "resume-form.html"), "utf8");
+  // Company and contact names are user input; keep them from closing the script tag
+  const injection = `<script>window.RESUME_DATA = ${JSON.stringify(data).replace(/</g, "\\u003c")};</script>`;
+  const injected = html.includes("</head>")
+    ? html.replace("</head>", `  ${injection}\n</head>`)
+    : `${injection}\n${html}`;
+
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  return res.status(200).send(injected);
+}
+
+// Optional hook so completed diagnostics reach the same Zapier flow as new ones
+async function notifyCompletion(body) {
+  const url = process.env.RESUME_WEBHOOK_URL;
+  if (!url) return;
+  try {
+    const r = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...body, resumed: true }),
+    });
+    if (!r.ok) console.error("[resume] completion webhook failed:", r.status);
+  } catch (err) {
+    console.error("[resume] completion webhook failed:", err.message);
+  }
+}
+
+export const config = {
+  maxDuration: 300,
+};
+
+export default async function handler(req, res) {
+  const L = createDiagLogger(req);
+
+  try {
+    if (req.method === "GET") {
+      const token = String(req.query.token || "").trim();
+      if (!TOKEN_PATTERN.test(token)) return res.status(400).send("Missing or invalid resume token");
+
+      const state = await getResume(token);
+      if (!state) return res.status(404).send("This link has expired or is not valid.");
+      if (state.completed_at) {
+        res.setHeader("Location", state.report_url || clientReportUrl(req, state));
+        return res.status(302).end();
+      }
+      return renderForm(req, res, token, state);
+    }
+
+    if (req.method !== "POST") {
+      return res.status(405).json({ error: "GET or POST only" });
+    }
+
+    const { token: rawToken, answers } = req.body || {};
+    const token = String(rawToken || "").trim();
+    if (!TOKEN_PATTERN.test(token)) return res.status(400).json({ error: "Invalid payload: missing or invalid 'token'." });
+    if (!answers || typeof answers !== "object" || Array.isArray(answers)) {
+      return res.status(400).json({ error: "Invalid payload: 'answers' must be an object." });
+    }
+
+    const state = await getResume(token);
+    if (!state) return res.status(404).json({ error: "This link has expired or is not valid." });
+    if (state.completed_at) {
+      return res.status(409).json({ error: "This diagnostic has already been completed.", report_url: state.report_url });
+    }
+
+    const incoming = normalizeIncomingAnswers(answers);
+    const unexpected = Object.keys(incoming).filter((k) => !state.missing_questions.includes(findQuestion(k)?.id));
+    if (unexpected.length) {
+      return res.status(400).json({ error: `Invalid payload: only the missing questions can be answered here (got ${unexpected.join(", ")}).` });
+    }
+
+    const merged = mergeAnswers(state.raw_answers, incoming);
+    const { presentCount, missingKeys } = countPresentRequired(buildOsInputs(resolveAnswers(merged).normalized));
+    if (presentCount < MIN_REQUIRED_FIELDS) {
+      const more = MIN_REQUIRED_FIELDS - presentCount;
+      return res.status(422).json({
+        error: `Please answer ${more} more ${more === 1 ? "question" : "questions"} to complete your diagnostic.`,
+        questions_needed: more,
+        missing_required_fields: missingKeys,
+      });
+    }
+
+    if (!(await claimResume(token))) {
+      return res.status(409).json({ error: "This diagnostic is already being completed." });
+    }
+
+    let result;
+    try {
+      L.start();
+      result = await runDiagnostic(req, L, {
+        answers: merged,
+        source: state.source,
+        sourceRef: state.source_ref,
+        tier: state.tier,
+        client: state.client,
+        groupId: state.group_id || null,
+        companyId: state.company_id || null,
+        excludeFromBenchmarks: state.exclude_from_benchmarks,
+        reportIds: { hidden: state.hidden_report_id, exec: state.exec_report_id },
+        resumedAt: new Date().toISOString(),
+      });
+    } catch (err) {
+      await releaseResume(token);
+      throw err;
+    }
+
+    const reportUrl = clientReportUrl(req, state);
+    await saveResume(token, { ...state, completed_at: new Date().toISOString(), report_url: reportUrl });
+    console.log("[resume] completed — hiddenReportId:", state.hidden_report_id);
+
+    L.finish(200);
+    res.status(200).json({ report_url: reportUrl, summary: result.body.summary });
+
+    await notifyCompletion(result.body);
+    if (result.enrich) await result.enrich();
+    return;
+
+  } catch (err) {
+    console.error("[resume] Unhandled error:", err);
+    return res.status(500).json({ error: "Server error", message: err?.message || null });
+  }
+}
@@ -0,0 +1,89 @@
+// api/revisions.js
+// Report revision history (lib/revisions.js). Same auth header as
+// /api/diagnostic.
+//
+// GET  ?id=<report id>                   revisions, oldest first
+// GET  ?id=&revision=<n>                 one revision with its full record
+// GET  ?id=&from=<n>[&to=<n>]            field-by-field diff (to: current)
+// POST { id, action: "edit", editor, changes: { "field.path": value } }
+// POST { id, action: "rollback", editor, revision: <n> }
+
+import { isAuthorized } from "../lib/auth.js";
+import { diffRevisions, editReport, getRevision, listRevisions, rollbackReport } from "../lib/revisions.js";
+
+const MAX_EDITOR_LENGTH = 120;
+
+function readRevisionNumber(raw) {
+  const n = Number(raw);
+  return Number.isInteger(n) && n >= 1 ? n : null;
+}
+
+async function handleGet(req, res, reportId) {
+  const query = req.query || {};
+
+  if (query.revision !== undefined) {
+    const revision = readRevisionNumber(query.revision);
+    if (!revision) return res.status(400).json({ error: "revision must be a positive integer" });
+    const found = await getRevision(reportId, revision);
+    if (!found) return res.status(404).json({ error: `Revision ${revision} not found` });
+    return res.status(200).json({ report_id: reportId, ...found });
+  }
+
+  if (query.from !== undefined) {
+    const from = readRevisionNumber(query.from);
+    const to = query.to === undefined ? null : readRevisionNumber(query.to);
+    if (!from || (query.to !== undefined && !to)) {
+      return res.status(400).json({ error: "from and to must be positive integers" });
+    }
+    const diff = await diffRevisions(reportId, from, to);
+    if (diff.error) return res.status(diff.status).json({ error: diff.error });
+    return res.status(200).json({ report_id: reportId, ...diff });
+  }
+
+  const history = await listRevisions(reportId);
+  if (!history) return res.status(404).json({ error: "Report not found" });
+  return res.status(200).json(history);
+}
+
+async function handlePost(req, res) {
+  const body = req.body || {};
+  const reportId = String(body.id || "").trim();
+  if (!reportId) return res.status(400).json({ error: "Missing report id" });
+
+  // Consultant edits and rollbacks are attributed to a named person
+  const editor = String(body.editor || "").trim();
+  if (!editor || editor.length > MAX_EDITOR_LENGTH) {
+    return res.status(400).json({ error: `editor must be 1–${MAX_EDITOR_LENGTH} characters` });
+  }
+
+  let result;
+  if (body.action === "edit") {
+    result = await editReport(reportId, { editor, changes: body.changes });
+  } else if (body.action === "rollback") {
+    const revision = readRevisionNumber(body.revision);
+    if (!revision) return res.status(400).json({ error: "revision must be a positive integer" });
+    result = await rollbackReport(reportId, { revision, editor });
+  } else {
+    return res.status(400).json({ error: "action must be \"edit\" or \"rollback\"" });
+  }
+
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  console.log("[revisions]", body.action, "report", reportId, "→ revision", result.revision, "by", editor);
+  return res.status(200).json({ report_id: reportId, revision: result.revision });
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET" && req.method !== "POST") return res.status(405).json({ error: "GET or POST only" });
+    if (!isAuthorized(req)) return res.status(401).json({ error: "Unauthorized" });
+
+    if (req.method === "POST") return await handlePost(req, res);
+
+    const reportId = String(req.query?.id || "").trim();
+    if (!reportId) return res.status(400).json({ error: "Missing report id" });
+    return await handleGet(req, res, reportId);
+  } catch (err) {
+    console.error("[revisions] Unhandled error:", err);
+    return res.status(500).json({ error: "Server error", message: err?.message || null });
+  }
+}
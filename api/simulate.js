@@ -0,0 +1,87 @@
+// api/simulate.js
+// What-if scoring for discovery calls. Re-scores a submission (raw answers or a
+// stored report id) with proposed answer overrides. Nothing is saved. A stored
+// report is re-scored with the rulebook it was scored with, raw answers with
+// the active one.
+
+import { buildOsInputs, countPresentRequired, MIN_REQUIRED_FIELDS, normalizeIncomingAnswers, resolveAnswers } from "../lib/answers.js";
+import { isAuthorized } from "../lib/auth.js";
+import { classifyAnswersLocal } from "../lib/classifier.js";
+import { getIndexEntry, getReport } from "../lib/reportStore.js";
+import { loadRulebook } from "../lib/rulebook.js";
+import { simulate } from "../lib/simulation.js";
+
+// Returns { answers, rulebookVersion } or null. Hidden records saved before
+// they kept their rulebook fall back to the version in the report index.
+async function loadStoredSubmission(reportId) {
+  const stored = await getReport(reportId);
+  if (!stored) return null;
+  let data = stored.reportData || stored;
+  let hiddenId = reportId;
+
+  // Exec records point at the hidden record, which carries the answers
+  if (!data.normalized_answers && data.hidden_report_id) {
+    hiddenId = data.hidden_report_id;
+    const hidden = await getReport(hiddenId);
+    if (hidden) data = hidden.reportData || hidden;
+  }
+
+  const rulebookVersion = data.scoring?.rulebook?.version || (await getIndexEntry(hiddenId))?.rulebook_version || null;
+  return { answers: data.normalized_answers || {}, rulebookVersion };
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "POST") return res.status(405).json({ error: "POST only" });
+    if (!isAuthorized(req)) return res.status(401).json({ error: "Unauthorized" });
+
+    const { answers, report_id: reportId, overrides = {}, top } = req.body || {};
+
+    if (overrides === null || typeof overrides !== "object" || Array.isArray(overrides)) {
+      return res.status(400).json({ error: "Invalid payload: 'overrides' must be an object." });
+    }
+
+    let na;
+    let rulebook;
+    let answerIssues = null;
+    let answerMappings = null;
+    if (reportId) {
+      const stored = await loadStoredSubmission(String(reportId).trim());
+      if (!stored) return res.status(404).json({ error: "Report not found" });
+      na = stored.answers;
+      if (Object.keys(na).length === 0) {
+        return res.status(422).json({ error: "Stored report has no answers to simulate from. Pass 'answers' instead." });
+      }
+      if (stored.rulebookVersion) {
+        try {
+          rulebook = loadRulebook(stored.rulebookVersion);
+        } catch (err) {
+          return res.status(422).json({ error: `Rulebook ${stored.rulebookVersion}, which scored this report, cannot be loaded: ${err.message}` });
+        }
+      }
+    } else if (answers && typeof answers === "object" && !Array.isArray(answers)) {
+      const resolved = resolveAnswers(normalizeIncomingAnswers(answers));
+      // Keyword model only: simulations stay fast and repeatable
+      const classified = classifyAnswersLocal(resolved.normalized, resolved.unrecognizedValues);
+      na = classified.normalized;
+      answerIssues = { unknown_keys: resolved.unknownKeys, unrecognized_values: resolved.unrecognizedValues };
+      answerMappings = classified.mappings;
+    } else {
+      return res.status(400).json({ error: "Invalid payload: provide 'answers' or 'report_id'." });
+    }
+
+    const inputs = buildOsInputs(na);
+    const { presentCount } = countPresentRequired(inputs);
+    const result = simulate(inputs, overrides, { rulebook, top: Math.max(1, Math.min(Number(top) || 5, 20)) });
+
+    return res.status(200).json({
+      ...result,
+      insufficient_data: presentCount < MIN_REQUIRED_FIELDS,
+      present_required_count: presentCount,
+      ...(answerIssues ? { answer_issues: answerIssues, answer_mappings: answerMappings } : {}),
+    });
+  } catch (err) {
+    console.error("[simulate] Unhandled error:", err);
+    return res.status(500).json({ error: "Server error", message: err?.message || null });
+  }
+}
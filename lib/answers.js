@@ -0,0 +1,119 @@
+// lib/answers.js
+// Answer normalization shared by the diagnostic, simulation and scoring tools.
+// HoneyBook question text → normalized snake_case answers → scoring-engine inputs.
+
+import { parseQuantity, quantityBand } from "./quantity.js";
+import { findQuestion, matchOption, QUESTIONS } from "./questions.js";
+
+export function normalizeChannels(val) {
+  if (Array.isArray(val)) return val;
+  if (typeof val === "string") {
+    return val
+      .split(/,|\n/)
+      .map((s) => s.trim())
+      .filter(Boolean);
+  }
+  return [];
+}
+
+function cleanScalar(v) {
+  if (v === undefined || v === null) return null;
+  if (typeof v === "string") {
+    const t = v.trim();
+    return t === "" ? null : t;
+  }
+  if (typeof v === "number" || typeof v === "boolean") return v;
+  return v;
+}
+
+export function normalizeIncomingAnswers(answers) {
+  const out = {};
+  for (const [kRaw, vRaw] of Object.entries(answers || {})) {
+    const k = String(kRaw || "").trim();
+    if (!k) continue;
+
+    if (Array.isArray(vRaw)) {
+      out[k] = vRaw
+        .map((x) => (typeof x === "string" ? x.trim() : x))
+        .filter((x) => !(typeof x === "string" && x === ""));
+      if (out[k].length === 0) out[k] = null;
+    } else {
+      out[k] = cleanScalar(vRaw);
+    }
+  }
+  return out;
+}
+
+// Resolves question text (or aliases / ids) through the registry and snaps option
+// values to their canonical spelling. Numeric questions also snap equivalent
+// bands ("$25k-$75k" → "$25–75K") and keep exact values ("32%", "$12.5M") as
+// given for lib/quantity.js. Unknown keys and off-list values are reported back
+// instead of dropping silently.
+export function resolveAnswers(answers) {
+  const normalized = {};
+  for (const q of QUESTIONS) normalized[q.id] = null;
+
+  const unknownKeys = [];
+  const unrecognizedValues = [];
+
+  for (const [key, value] of Object.entries(answers || {})) {
+    const q = findQuestion(key);
+    if (!q) {
+      unknownKeys.push(key);
+      continue;
+    }
+    if (normalized[q.id] !== null || value === null || value === undefined) continue;
+
+    if (!q.options) {
+      normalized[q.id] = value;
+      continue;
+    }
+
+    const values = Array.isArray(value) ? value : q.multi ? normalizeChannels(value) : [value];
+    const mapped = values.map((v) => {
+      if (q.quantity && parseQuantity(v, q.quantity)?.exact) return v;
+      const option = matchOption(q, v) || quantityBand(q, v);
+      if (!option) unrecognizedValues.push({ question: q.id, key, value: v });
+      return option || v;
+    });
+    normalized[q.id] = Array.isArray(value) || (q.multi && mapped.length > 1) ? mapped : mapped[0] ?? null;
+  }
+
+  return { normalized, unknownKeys, unrecognizedValues };
+}
+
+export function normalizeAnswers(answers) {
+  return resolveAnswers(answers).normalized;
+}
+
+// Maps normalized answers onto the input keys lib/scoring.js expects.
+export function buildOsInputs(na) {
+  const out = {};
+  for (const q of QUESTIONS) {
+    if (!q.input) continue;
+    out[q.input] = q.input === "acquisition_channels" ? normalizeChannels(na[q.id]) : na[q.id];
+  }
+  return out;
+}
+
+/* =========================================================
+   Insufficient data guard
+========================================================= */
+
+export const MIN_REQUIRED_FIELDS = 9;
+
+export const OS_REQUIRED_KEYS = QUESTIONS.filter((q) => q.required).map((q) => q.input);
+
+export function countPresentRequired(osInputs) {
+  const present = [];
+  const missing = [];
+  for (const k of OS_REQUIRED_KEYS) {
+    const v = osInputs[k];
+    const isPresent = Array.isArray(v)
+      ? v.length > 0
+      : v !== null && v !== undefined && String(v).trim() !== "";
+    if (isPresent) present.push(k);
+    else missing.push(k);
+  }
+  return { presentCount: present.length, presentKeys: present, missingKeys: missing };
+}
@@ -0,0 +1,26 @@
+// lib/auth.js
+// Shared token check for the authenticated API routes.
+// Accepts the x-vw-token header or an Authorization: Bearer token.
+
+export function extractAuthToken(req) {
+  const headerToken = req.headers["x-vw-token"];
+  if (headerToken) return String(headerToken).trim();
+  const auth = req.headers["authorization"] || req.headers["Authorization"];
+  if (!auth) return null;
+  const s = String(auth).trim();
+  const m = s.match(/^Bearer\s+(.+)$/i);
+  if (m && m[1]) return m[1].trim();
+  return null;
+}
+
+export function isAuthorized(req) {
+  const token = extractAuthToken(req);
+  return Boolean(token) && token === process.env.VW_TOKEN;
+}
+
+// Scheduled routes also accept the CRON_SECRET Vercel Cron sends as a Bearer token
+export function isCronAuthorized(req) {
+  const token = extractAuthToken(req);
+  const allowed = [process.env.VW_TOKEN, process.env.CRON_SECRET].filter(Boolean);
+  return Boolean(token) && allowed.includes(token);
+}
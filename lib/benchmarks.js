@@ -0,0 +1,138 @@
+// lib/benchmarks.js
+// Peer benchmarks from stored submissions. Every scored submission adds its OS and
+// pillar scores to score histograms for its peer cohorts (revenue band, ACV band,
+// revenue model). Only counts are kept — nothing that identifies the company.
+
+import { PILLARS, prettyPillar } from "./pillars.js";
+import { quantityBand } from "./quantity.js";
+import { getQuestion } from "./questions.js";
+import { getCounters, incrementCounters } from "./reportStore.js";
+
+export const DEFAULT_MIN_COHORT_SIZE = 20;
+
+// How each revenue model reads in "$10–25M SaaS companies". "Other" is not a cohort.
+const MODEL_NOUNS = {
+  "Subscription (SaaS)": "SaaS",
+  "Usage-based": "usage-based",
+  Hybrid: "hybrid-model",
+  Transactional: "transactional",
+  Services: "services",
+};
+
+export function getMinCohortSize() {
+  const n = Number(process.env.BENCHMARK_MIN_COHORT);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : DEFAULT_MIN_COHORT_SIZE;
+}
+
+function slug(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+// Cohorts from most to least specific. Revenue and ACV are read as registry
+// bands, so an exact "$12.5M" joins the "$10–25M" cohort.
+export function cohortsFor(na) {
+  const revenue = quantityBand(getQuestion("annual_revenue"), na?.annual_revenue);
+  if (!revenue) return [];
+
+  const model = MODEL_NOUNS[na?.revenue_model] ? na.revenue_model : null;
+  const acv = quantityBand(getQuestion("acv"), na?.acv);
+  const noun = model ? `${MODEL_NOUNS[model]} companies` : "companies";
+
+  const out = [];
+  if (model && acv) {
+    out.push({
+      level: "revenue_acv_model",
+      key: `rev=${slug(revenue)}|acv=${slug(acv)}|model=${slug(model)}`,
+      label: `${revenue} ${noun} with ${acv} ACV`,
+    });
+  }
+  if (model) {
+    out.push({ level: "revenue_model", key: `rev=${slug(revenue)}|model=${slug(model)}`, label: `${revenue} ${noun}` });
+  }
+  out.push({ level: "revenue", key: `rev=${slug(revenue)}`, label: `${revenue} companies` });
+  return out;
+}
+
+// Scores from different rulebooks are not comparable, so histograms are per version.
+function histogramKey(rulebookVersion, cohort) {
+  return `bench:${rulebookVersion}:${cohort.key}`;
+}
+
+function histogramFields(osScore, pillarScores) {
+  const fields = { n: 1, [`os:${osScore}`]: 1 };
+  for (const p of PILLARS) fields[`${p.key}:${pillarScores[p.key]}`] = 1;
+  return fields;
+}
+
+// Mid-rank percentile: peers below count fully, ties count half.
+function percentileRank(hist, prefix, score) {
+  let below = 0;
+  let equal = 0;
+  let total = 0;
+  for (const [field, count] of Object.entries(hist)) {
+    if (!field.startsWith(`${prefix}:`)) continue;
+    const value = Number(field.slice(prefix.length + 1));
+    total += count;
+    if (value < score) below += count;
+    else if (value === score) equal += count;
+  }
+  if (!total) return null;
+  const pct = Math.round(((below + equal / 2) / total) * 100);
+  return Math.max(1, Math.min(99, pct));
+}
+
+export function ordinal(n) {
+  const mod100 = n % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${n}th`;
+  return `${n}${{ 1: "st", 2: "nd", 3: "rd" }[n % 10] || "th"}`;
+}
+
+// Percentiles against previously recorded peers (the submission itself is not counted).
+export async function getPeerBenchmark({ na, osScore, pillarScores, rulebookVersion }) {
+  const minCohortSize = getMinCohortSize();
+  const cohorts = cohortsFor(na);
+  if (!cohorts.length) {
+    return { available: false, reason: "no_cohort", min_cohort_size: minCohortSize };
+  }
+
+  let largest = 0;
+  for (const cohort of cohorts) {
+    const hist = await getCounters(histogramKey(rulebookVersion, cohort));
+    const size = hist.n || 0;
+    largest = Math.max(largest, size);
+    if (size < minCohortSize) continue;
+
+    const osPct = percentileRank(hist, "os", osScore);
+    const pillars = {};
+    for (const p of PILLARS) {
+      const pct = percentileRank(hist, p.key, pillarScores[p.key]);
+      pillars[p.key] = {
+        score: pillarScores[p.key],
+        percentile: pct,
+        sentence: pct === null ? "" : `You are in the ${ordinal(pct)} percentile of ${cohort.label} on ${prettyPillar(p.key)}.`,
+      };
+    }
+
+    return {
+      available: true,
+      cohort: { level: cohort.level, label: cohort.label, size },
+      min_cohort_size: minCohortSize,
+      rulebook_version: rulebookVersion,
+      os_score: {
+        score: osScore,
+        percentile: osPct,
+        sentence: osPct === null ? "" : `Your OS score is in the ${ordinal(osPct)} percentile of ${cohort.label}.`,
+      },
+      pillars,
+    };
+  }
+
+  return { available: false, reason: "cohort_too_small", cohort_size: largest, min_cohort_size: minCohortSize };
+}
+
+export async function recordSubmission({ na, osScore, pillarScores, rulebookVersion }) {
+  const fields = histogramFields(osScore, pillarScores);
+  for (const cohort of cohortsFor(na)) {
+    await incrementCounters(histogramKey(rulebookVersion, cohort), fields);
+  }
+}
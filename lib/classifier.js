@@ -0,0 +1,190 @@
+// lib/classifier.js
+// Maps free-text answers onto the nearest canonical option. A local keyword /
+// synonym model (the registry's `synonyms`) runs on every submission; answers it
+// cannot place confidently go to the LLM when CLASSIFIER_LLM=1.
+//
+// Candidates are off-list values reported by resolveAnswers and "Other" win/lose
+// reasons explained in the win_lose_other text. Each produces a mapping entry
+// { question, label, key, original, mapped, confidence, level, method, applied, matched }.
+// Only high and medium confidence mappings replace the answer; low ones are kept
+// as suggestions for consultant review.
+
+import Anthropic from "@anthropic-ai/sdk";
+import { getQuestion, normalizeText } from "./questions.js";
+
+const APPLY_LEVELS = ["high", "medium"];
+const OTHER_TEXT_QUESTIONS = ["win_reason", "lose_reason"];
+const WIN_CUE = /\b(win|wins|winning|won(?!['’]t))\b/i;
+const LOSE_CUE = /\b(lose|loses|losing|lost|loss|losses)\b/i;
+
+export function confidenceLevel(confidence) {
+  if (confidence >= 0.75) return "high";
+  if (confidence >= 0.4) return "medium";
+  return "low";
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// "stem*" matches any word starting with the stem; other phrases match whole words.
+function phraseMatches(phrase, text) {
+  const stem = phrase.endsWith("*");
+  const body = escapeRegExp(normalizeText(stem ? phrase.slice(0, -1) : phrase));
+  return new RegExp(`(^|[^a-z0-9])${body}${stem ? "" : "(?![a-z0-9])"}`).test(text);
+}
+
+function stripOtherPrefix(text) {
+  return String(text ?? "").replace(/^\s*other\b\s*[:(—–-]*\s*/i, "").replace(/\)\s*$/, "").trim();
+}
+
+// Scores every option by the words in its matched phrases (the option label
+// counts as a phrase). Confidence falls when the text is short on signal or
+// when a runner-up option scores close to the winner.
+export function classifyText(question, text) {
+  const cleaned = normalizeText(stripOtherPrefix(text));
+  if (!question?.synonyms || !cleaned) return null;
+
+  const scored = Object.entries(question.synonyms).map(([option, phrases]) => {
+    const label = option.replace(/\s*\(.*\)\s*$/, "");
+    const candidates = [...new Set([label, ...phrases].map((p) => p.toLowerCase()))];
+    const matched = candidates.filter((p) => phraseMatches(p, cleaned));
+    const score = matched.reduce((sum, p) => sum + p.replace(/\*$/, "").split(/\s+/).length, 0);
+    return { option, score, matched };
+  });
+  scored.sort((a, b) => b.score - a.score);
+
+  const [best, second] = scored;
+  if (!best || best.score === 0) return { option: null, confidence: 0, level: "none", matched: [] };
+
+  const confidence = Math.round(Math.min(1, best.score / 2) * ((best.score - (second?.score || 0)) / best.score) * 100) / 100;
+  return { option: best.option, confidence, level: confidenceLevel(confidence), matched: best.matched };
+}
+
+// With one "Other" reason the whole text explains it. With both, each reason
+// gets the clauses that only talk about its side ("we win on support; we lose on
+// price"); clauses that name both sides or neither are left unmapped.
+function splitOtherText(text, questions) {
+  if (questions.length < 2) return Object.fromEntries(questions.map((id) => [id, text]));
+  const clauses = { win_reason: [], lose_reason: [] };
+  for (const clause of text.split(/[.;!?\n]+|,?\s+but\s+/i)) {
+    const win = WIN_CUE.test(clause);
+    if (win !== LOSE_CUE.test(clause)) clauses[win ? "win_reason" : "lose_reason"].push(clause.trim());
+  }
+  return Object.fromEntries(
+    Object.entries(clauses).filter(([, list]) => list.length).map(([id, list]) => [id, list.join("; ")])
+  );
+}
+
+function collectCandidates(normalized, unrecognizedValues) {
+  const candidates = unrecognizedValues
+    .filter((issue) => getQuestion(issue.question)?.synonyms)
+    .map((issue) => ({ question: issue.question, key: issue.key, original: issue.value }));
+
+  const otherText = typeof normalized.win_lose_other === "string" ? normalized.win_lose_other.trim() : "";
+  if (otherText) {
+    const questions = OTHER_TEXT_QUESTIONS.filter((id) => normalizeText(normalized[id]) === "other");
+    for (const [id, text] of Object.entries(splitOtherText(otherText, questions))) {
+      candidates.push({ question: id, key: "win_lose_other", original: text });
+    }
+  }
+  return candidates;
+}
+
+function toMapping(candidate, result, method) {
+  const question = getQuestion(candidate.question);
+  return {
+    question: candidate.question,
+    label: question?.label || candidate.question,
+    key: candidate.key,
+    original: candidate.original,
+    mapped: result?.option || null,
+    confidence: result?.confidence || 0,
+    level: result?.level || "none",
+    method,
+    applied: !!result?.option && APPLY_LEVELS.includes(result.level),
+    matched: result?.matched || [],
+  };
+}
+
+function applyMappings(normalized, mappings) {
+  const out = { ...normalized };
+  for (const m of mappings) {
+    if (!m.applied) continue;
+    const target = m.key === "win_lose_other" ? "Other" : m.original;
+    const current = out[m.question];
+    out[m.question] = Array.isArray(current)
+      ? [...new Set(current.map((v) => (v === target ? m.mapped : v)))]
+      : m.mapped;
+  }
+  return out;
+}
+
+export function classifyAnswersLocal(normalized = {}, unrecognizedValues = []) {
+  const mappings = collectCandidates(normalized, unrecognizedValues).map((c) =>
+    toMapping(c, classifyText(getQuestion(c.question), c.original), "keyword")
+  );
+  return { normalized: applyMappings(normalized, mappings), mappings };
+}
+
+/* =========================================================
+   LLM fallback
+========================================================= */
+
+let client = null;
+
+async function classifyWithLlm(items) {
+  client ||= new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+  const model = process.env.LLM_MODEL || "claude-sonnet-4-5";
+  const timeout = Number(process.env.CLASSIFIER_LLM_TIMEOUT_MS) || 8000;
+
+  const payload = items.map((m, i) => ({
+    id: i,
+    question: m.label,
+    options: getQuestion(m.question).options.filter((o) => normalizeText(o) !== "other"),
+    answer: stripOtherPrefix(m.original),
+  }));
+
+  const response = await client.messages.create(
+    {
+      model,
+      max_tokens: 1024,
+      temperature: 0,
+      system: "You map free-text B2B survey answers onto the closest listed option. Reply with JSON only: {\"items\":[{\"id\":number,\"option\":string|null,\"confidence\":number}]}. option must be copied exactly from that item's options, or null when none fit. confidence is 0 to 1.",
+      messages: [{ role: "user", content: JSON.stringify(payload) }],
+    },
+    // Runs before the response is sent, so one bounded attempt only
+    { timeout, maxRetries: 0 }
+  );
+
+  const text = response.content.filter((b) => b.type === "text").map((b) => b.text).join("");
+  const parsed = JSON.parse(text.replace(/```json|```/g, "").trim());
+
+  return (parsed.items || []).map((r) => {
+    const options = payload[r.id]?.options || [];
+    const option = options.includes(r.option) ? r.option : null;
+    const confidence = option ? Math.max(0, Math.min(1, Number(r.confidence) || 0)) : 0;
+    return { id: r.id, option, confidence, level: option ? confidenceLevel(confidence) : "none" };
+  });
+}
+
+// Local model first; anything it could not apply is retried with the LLM when
+// enabled. LLM failures keep the local result.
+export async function classifyAnswers(normalized = {}, unrecognizedValues = [], { llm = process.env.CLASSIFIER_LLM === "1" } = {}) {
+  const local = classifyAnswersLocal(normalized, unrecognizedValues);
+  const pending = local.mappings.filter((m) => !m.applied);
+  if (!llm || !pending.length) return local;
+
+  try {
+    const results = await classifyWithLlm(pending);
+    const mappings = local.mappings.map((m) => {
+      const r = results.find((x) => pending[x.id] === m);
+      if (!r?.option || r.confidence <= m.confidence) return m;
+      return toMapping(m, { ...r, matched: [] }, "llm");
+    });
+    return { normalized: applyMappings(normalized, mappings), mappings };
+  } catch (err) {
+    console.error("[classifier] LLM classification failed:", err.message);
+    return local;
+  }
+}
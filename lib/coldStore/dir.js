@@ -0,0 +1,52 @@
+// lib/coldStore/dir.js
+// Directory cold store: one file per key under ARCHIVE_DIR (default
+// .data/archive). Point it at a mounted volume in production, or use it as a
+// local stand-in for S3.
+
+import fs from "fs/promises";
+import path from "path";
+
+function fileFor(dir, key) {
+  return path.join(dir, encodeURIComponent(key));
+}
+
+export function createDirColdStore({ dir }) {
+  let ready = null;
+  const ensureDir = () => (ready ||= fs.mkdir(dir, { recursive: true }));
+
+  return {
+    async get(key) {
+      try {
+        return await fs.readFile(fileFor(dir, key), "utf8");
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+    // Write-then-rename so a restore never reads a half-written archive
+    async put(key, value) {
+      await ensureDir();
+      const file = fileFor(dir, key);
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(tmp, value);
+      await fs.rename(tmp, file);
+    },
+    async del(key) {
+      await fs.rm(fileFor(dir, key), { force: true });
+    },
+    // In-flight writes end in .tmp and are skipped
+    async list(prefix) {
+      let names;
+      try {
+        names = await fs.readdir(dir);
+      } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+      }
+      return names
+        .filter((name) => !name.endsWith(".tmp"))
+        .map((name) => decodeURIComponent(name))
+        .filter((key) => key.startsWith(prefix));
+    },
+  };
+}
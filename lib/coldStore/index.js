@@ -0,0 +1,70 @@
+// lib/coldStore/index.js
+// Cold store for archived reports: plain objects by key, no expiry. Reports
+// are copied here before their hot-store TTL runs out and read back when a
+// link is opened after expiry (see lib/reportStore.js).
+//
+//   get(key)          → string | null
+//   put(key, value)
+//   del(key)
+//   list(prefix)      → keys starting with prefix (maintenance scripts only)
+//
+// ARCHIVE_BACKEND picks "dir" or "s3". Without it, ARCHIVE_DIR selects dir and
+// ARCHIVE_S3_BUCKET selects s3. With neither, archiving is off and expired
+// reports are gone, as before.
+
+import path from "path";
+
+export const COLD_BACKENDS = ["dir", "s3"];
+
+export function coldStoreBackend() {
+  const configured = String(process.env.ARCHIVE_BACKEND || "").trim().toLowerCase();
+  if (configured) {
+    if (!COLD_BACKENDS.includes(configured)) {
+      throw new Error(`Unknown ARCHIVE_BACKEND "${configured}" (expected ${COLD_BACKENDS.join(", ")})`);
+    }
+    return configured;
+  }
+  if (process.env.ARCHIVE_DIR) return "dir";
+  if (process.env.ARCHIVE_S3_BUCKET) return "s3";
+  return null;
+}
+
+async function createColdStore(backend) {
+  if (backend === "dir") {
+    const { createDirColdStore } = await import("./dir.js");
+    return createDirColdStore({ dir: path.resolve(process.env.ARCHIVE_DIR || ".data/archive") });
+  }
+  const bucket = process.env.ARCHIVE_S3_BUCKET;
+  const endpoint = process.env.ARCHIVE_S3_ENDPOINT;
+  const accessKeyId = process.env.ARCHIVE_S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.ARCHIVE_S3_SECRET_ACCESS_KEY;
+  if (!bucket || !endpoint || !accessKeyId || !secretAccessKey) {
+    throw new Error("Missing ARCHIVE_S3_BUCKET / ARCHIVE_S3_ENDPOINT / ARCHIVE_S3_ACCESS_KEY_ID / ARCHIVE_S3_SECRET_ACCESS_KEY");
+  }
+  const { createS3ColdStore } = await import("./s3.js");
+  return createS3ColdStore({
+    endpoint,
+    bucket,
+    region: process.env.ARCHIVE_S3_REGION || "us-east-1",
+    accessKeyId,
+    secretAccessKey,
+  });
+}
+
+let coldPromise = null;
+
+// Resolves to null when archiving is not configured
+export function getColdStore() {
+  if (!coldPromise) {
+    coldPromise = Promise.resolve()
+      .then(() => {
+        const backend = coldStoreBackend();
+        return backend ? createColdStore(backend) : null;
+      })
+      .catch((err) => {
+        coldPromise = null;
+        throw err;
+      });
+  }
+  return coldPromise;
+}
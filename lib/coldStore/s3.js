@@ -0,0 +1,103 @@
+// lib/coldStore/s3.js
+// S3-compatible cold store (AWS S3, Cloudflare R2, MinIO, ...). Path-style
+// requests signed with AWS Signature V4 over fetch, so no SDK is needed.
+
+import crypto from "crypto";
+
+function sha256Hex(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+// RFC 3986 encoding, as SigV4 expects
+function encodeRfc3986(text) {
+  return encodeURIComponent(text).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodeKey(key) {
+  return key.split("/").map(encodeRfc3986).join("/");
+}
+
+// Query parameters sorted by name; the same string is signed and sent
+function canonicalQuery(query) {
+  return Object.keys(query).sort().map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`).join("&");
+}
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" };
+
+function xmlText(text) {
+  return text.replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => XML_ENTITIES[name]);
+}
+
+export function createS3ColdStore({ endpoint, bucket, region, accessKeyId, secretAccessKey }) {
+  const base = endpoint.replace(/\/+$/, "");
+
+  // `key` null addresses the bucket itself (listing)
+  async function send(method, key, body = "", query = {}) {
+    const url = new URL(key === null ? `${base}/${encodeURIComponent(bucket)}` : `${base}/${encodeURIComponent(bucket)}/${encodeKey(key)}`);
+    url.search = canonicalQuery(query);
+    const amzDate = new Date().toISOString().replace(/[-:]|\.\d{3}/g, "");
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256Hex(body);
+
+    const signed = { host: url.host, "x-amz-content-sha256": payloadHash, "x-amz-date": amzDate };
+    const names = Object.keys(signed).sort();
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery(query),
+      names.map((name) => `${name}:${signed[name]}\n`).join(""),
+      names.join(";"),
+      payloadHash,
+    ].join("\n");
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), "s3"), "aws4_request");
+    const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+    const res = await fetch(url, {
+      method,
+      headers: {
+        "x-amz-content-sha256": payloadHash,
+        "x-amz-date": amzDate,
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(";")}, Signature=${signature}`,
+        ...(method === "PUT" ? { "content-type": "application/json" } : {}),
+      },
+      body: method === "PUT" ? body : undefined,
+    });
+    if (method === "GET" && res.status === 404) return null;
+    if (!res.ok) {
+      throw new Error(`S3 ${method} ${key ?? bucket} failed: ${res.status} ${(await res.text()).slice(0, 200)}`);
+    }
+    return method === "GET" ? res.text() : null;
+  }
+
+  return {
+    async get(key) {
+      return send("GET", key);
+    },
+    async put(key, value) {
+      await send("PUT", key, value);
+    },
+    async del(key) {
+      await send("DELETE", key);
+    },
+    // ListObjectsV2, following continuation tokens
+    async list(prefix) {
+      const keys = [];
+      let token = null;
+      do {
+        const query = { "list-type": "2", prefix };
+        if (token) query["continuation-token"] = token;
+        const xml = await send("GET", null, "", query);
+        if (xml === null) throw new Error(`S3 bucket ${bucket} not found`);
+        for (const [, key] of xml.matchAll(/<Key>([^<]*)<\/Key>/g)) keys.push(xmlText(key));
+        token = /<IsTruncated>true<\/IsTruncated>/.test(xml) ? xmlText(xml.match(/<NextContinuationToken>([^<]*)</)?.[1] || "") : null;
+      } while (token);
+      return keys;
+    },
+  };
+}
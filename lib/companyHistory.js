@@ -0,0 +1,129 @@
+// lib/companyHistory.js
+// Longitudinal tracking across repeat diagnostics. Full-score submissions are
+// linked under an explicit company id or, failing that, the website domain when
+// the respondent's email is on it, and each keeps a small snapshot (score,
+// pillars, operating tensions) that outlives the report itself. The exec and audit reports compare themselves with the
+// assessment before them: score history, pillar deltas, and the tensions that
+// were resolved or are new.
+//
+// Submissions within ROUND_DAYS of the first one in a round count as one
+// assessment, so several respondents (or a same-week retake) are averaged
+// rather than compared with each other.
+
+import { isValidGroupId, verifiedDomain } from "./groups.js";
+import { PILLARS } from "./pillars.js";
+import { addCompanyAssessment, getCompanyAssessments } from "./reportStore.js";
+
+export const ROUND_DAYS = 14;
+
+// Company ids use the same format as group ids
+export function isValidCompanyId(companyId) {
+  return isValidGroupId(companyId);
+}
+
+// Explicit company ids, set by the consulting team, win; otherwise submissions
+// are linked by website domain, when the respondent's email is on it. A typed-in
+// website alone would let anyone read a company's score history from their own
+// report. Returns null when neither is usable.
+export function resolveCompanyId({ companyId, website, email } = {}) {
+  const explicit = String(companyId || "").trim().toLowerCase();
+  if (explicit) return isValidCompanyId(explicit) ? explicit : null;
+  return verifiedDomain({ website, email });
+}
+
+function snapshotOf(report, hiddenReportId) {
+  const scoring = report.scoring || {};
+  const pillarScores = {};
+  for (const p of scoring.pillar_scores || []) pillarScores[p.key] = p.score;
+  return {
+    hidden_report_id: hiddenReportId,
+    assessed_at: report.generated_at,
+    tier: report.tier,
+    respondent_role: report.inputs?.respondent_role || null,
+    score: scoring.overall_score,
+    band: scoring.band || null,
+    primary_constraint: scoring.primary_constraint?.key || null,
+    pillar_scores: pillarScores,
+    tensions: (scoring.operating_tensions || []).map((t) => ({ id: t.id, pillar: t.pillar, tension: t.tension })),
+  };
+}
+
+export async function recordAssessment(companyId, report, hiddenReportId) {
+  await addCompanyAssessment(companyId, hiddenReportId, snapshotOf(report, hiddenReportId));
+}
+
+function toRounds(snapshots) {
+  const rounds = [];
+  const sorted = [...snapshots].sort((a, b) => Date.parse(a.assessed_at) - Date.parse(b.assessed_at));
+  for (const s of sorted) {
+    const last = rounds[rounds.length - 1];
+    if (last && Date.parse(s.assessed_at) - Date.parse(last[0].assessed_at) <= ROUND_DAYS * 24 * 60 * 60 * 1000) last.push(s);
+    else rounds.push([s]);
+  }
+  return rounds;
+}
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+const oneDecimal = (n) => Math.round(n * 10) / 10;
+
+// One point per earlier assessment: averaged scores, every tension seen
+function summarizeRound(round) {
+  const tensions = new Map();
+  for (const s of round) for (const t of s.tensions) if (!tensions.has(t.id)) tensions.set(t.id, t);
+  const pillarScores = {};
+  for (const p of PILLARS) {
+    const values = round.map((s) => s.pillar_scores[p.key]).filter((v) => typeof v === "number");
+    if (values.length) pillarScores[p.key] = oneDecimal(mean(values));
+  }
+  return {
+    assessed_at: round[0].assessed_at,
+    score: Math.round(mean(round.map((s) => s.score))),
+    band: round[round.length - 1].band,
+    respondents: round.length,
+    pillar_scores: pillarScores,
+    tensions: [...tensions.values()],
+  };
+}
+
+// History as seen from one submission: earlier assessments only, so a report
+// reads the same after the company retakes the diagnostic. Null when the
+// submission is not tracked or is the company's first assessment.
+export async function loadCompanyHistory(companyId, hiddenReportId) {
+  const snapshots = await getCompanyAssessments(companyId);
+  const current = snapshots.find((s) => s.hidden_report_id === hiddenReportId);
+  if (!current) return null;
+
+  const rounds = toRounds(snapshots);
+  const currentRound = rounds.findIndex((round) => round.includes(current));
+  const earlier = rounds.slice(0, currentRound).map(summarizeRound);
+  if (!earlier.length) return null;
+
+  const previous = earlier[earlier.length - 1];
+  const currentIds = new Set(current.tensions.map((t) => t.id));
+  const previousIds = new Set(previous.tensions.map((t) => t.id));
+  const pillarDeltas = {};
+  for (const p of PILLARS) {
+    if (typeof current.pillar_scores[p.key] === "number" && typeof previous.pillar_scores[p.key] === "number") {
+      pillarDeltas[p.key] = oneDecimal(current.pillar_scores[p.key] - previous.pillar_scores[p.key]);
+    }
+  }
+
+  return {
+    company_id: companyId,
+    assessments: earlier.length + 1,
+    previous: {
+      assessed_at: previous.assessed_at,
+      score: previous.score,
+      band: previous.band,
+      respondents: previous.respondents,
+    },
+    score_delta: current.score - previous.score,
+    pillar_deltas: pillarDeltas,
+    resolved_tensions: previous.tensions.filter((t) => !currentIds.has(t.id)),
+    new_tensions: current.tensions.filter((t) => !previousIds.has(t.id)),
+    points: [
+      ...earlier.map((r) => ({ assessed_at: r.assessed_at, score: r.score, respondents: r.respondents, current: false })),
+      { assessed_at: current.assessed_at, score: current.score, respondents: 1, current: true },
+    ],
+  };
+}
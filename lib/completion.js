@@ -0,0 +1,90 @@
+// lib/completion.js
+// "Complete your diagnostic" support for submissions below MIN_REQUIRED_FIELDS.
+// Ranks the unanswered required questions by how much answering each one would
+// raise provisional confidence, so the resume form asks the most useful first.
+//
+// The confidence gain is structural: the coverage points every required answer
+// restores, plus the imputed-pillar points when the answer lifts a pillar over
+// the provisional coverage threshold. Selection is greedy, so a pillar that needs
+// two more answers is credited on the second one. Ties go to the question whose
+// options move the OS score most, then to registry order.
+
+import { PILLARS } from "./pillars.js";
+import { QUESTIONS, normalizeText } from "./questions.js";
+import { loadRulebook, lower } from "./rulebook.js";
+import { pillarCoverage, scoreDiagnostic } from "./scoring.js";
+
+function pillarForInput(rulebook, input) {
+  const key = Object.keys(rulebook.pillars).find((k) =>
+    (rulebook.pillars[k].groups || []).some((g) => g.field === input)
+  );
+  return key ? PILLARS.find((p) => p.engineKey === key) : null;
+}
+
+function reasonFor(entry) {
+  const parts = [];
+  if (entry.completes_pillar) parts.push(`replaces the estimated ${entry.completes_pillar} score with a measured one`);
+  if (entry.confidence_gain > 0) parts.push(`adds about ${entry.confidence_gain} confidence points`);
+  if (entry.score_swing > 0) parts.push(`can move the score by up to ${entry.score_swing} point${entry.score_swing === 1 ? "" : "s"}`);
+  if (!parts.length) return "Completes the required answers.";
+  const text = parts.join(", ");
+  return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+}
+
+function isImputed(pillar, present, rulebook) {
+  return pillarCoverage(pillar, present).coverage < rulebook.normalization.provisional.min_pillar_coverage;
+}
+
+// Spread of OS scores across the question's options, everything else as answered
+function scoreSwing(q, inputs, rulebook) {
+  const scores = (q.options || [])
+    .filter((o) => normalizeText(o) !== "other")
+    .map((o) => scoreDiagnostic({ ...inputs, [q.input]: q.multi ? [o] : o }, { rulebook, provisional: true }).osScore);
+  return scores.length ? Math.max(...scores) - Math.min(...scores) : 0;
+}
+
+// Returns [{ rank, id, input, label, pillar, confidence_gain, score_swing, completes_pillar, reason }],
+// most useful first.
+export function rankMissingQuestions(inputs = {}, options = {}) {
+  const rulebook =
+    options.rulebook && typeof options.rulebook === "object"
+      ? options.rulebook
+      : loadRulebook(options.rulebook);
+  if (!rulebook.normalization.provisional) throw new Error(`Rulebook ${rulebook.version} has no normalization.provisional block`);
+
+  const required = QUESTIONS.filter((q) => q.required && q.input);
+  const coveragePoints = rulebook.normalization.confidence.coverage_weight / required.length;
+  const imputedPoints = rulebook.normalization.provisional.imputed_confidence_points || 0;
+
+  const present = Object.fromEntries(Object.entries(inputs).filter(([, v]) => lower(v) !== ""));
+  const remaining = required
+    .filter((q) => !(q.input in present))
+    .map((q) => ({ q, pillar: pillarForInput(rulebook, q.input), swing: scoreSwing(q, inputs, rulebook) }));
+  const ranked = [];
+
+  while (remaining.length) {
+    const candidates = remaining.map((c) => {
+      const pillar = c.pillar && rulebook.pillars[c.pillar.engineKey];
+      const completes = !!pillar && isImputed(pillar, present, rulebook) && !isImputed(pillar, { ...present, [c.q.input]: true }, rulebook);
+      return { ...c, completes, gain: coveragePoints + (completes ? imputedPoints : 0) };
+    });
+    const best = candidates.reduce((a, b) => (b.gain > a.gain || (b.gain === a.gain && b.swing > a.swing) ? b : a));
+
+    const entry = {
+      rank: ranked.length + 1,
+      id: best.q.id,
+      input: best.q.input,
+      label: best.q.label,
+      pillar: best.pillar?.label || null,
+      confidence_gain: Math.round(best.gain * 10) / 10,
+      score_swing: best.swing,
+      completes_pillar: best.completes ? best.pillar.label : null,
+    };
+    ranked.push({ ...entry, reason: reasonFor(entry) });
+
+    present[best.q.input] = true;
+    remaining.splice(remaining.findIndex((c) => c.q === best.q), 1);
+  }
+
+  return ranked;
+}
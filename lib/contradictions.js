@@ -0,0 +1,98 @@
+// lib/contradictions.js
+// Operating-tension (contradiction) rule registry. Rules come from the rulebook's
+// contradictions.json plus any registered in code, and can be switched off per
+// deployment with OS_DISABLED_CONTRADICTIONS (comma-separated rule ids).
+//
+// A rule is { id, pillar, severity, tension, implication, remediation?, check?,
+// when: [conditions] } or, for code-registered rules, { ..., test(inputs, scores) }.
+
+import { lower, matchesConditions } from "./rulebook.js";
+
+const registered = new Map();
+
+function validateRule(rule, where) {
+  if (!rule?.id) throw new Error(`Contradiction rule ${where}: missing id`);
+  if (typeof rule.severity !== "number") throw new Error(`Contradiction rule ${rule.id}: severity must be a number`);
+  if (!rule.pillar || !rule.tension) throw new Error(`Contradiction rule ${rule.id}: pillar and tension are required`);
+  if (!Array.isArray(rule.when) && typeof rule.test !== "function") {
+    throw new Error(`Contradiction rule ${rule.id}: needs "when" conditions or a test function`);
+  }
+}
+
+export function validateContradictionRules(rules = []) {
+  rules.forEach((rule, i) => validateRule(rule, `#${i}`));
+}
+
+// Adds a rule to every evaluation in this process. A registered rule with the
+// same id as a rulebook rule replaces it.
+export function register(rule) {
+  validateRule(rule, "(registered)");
+  registered.set(rule.id, rule);
+}
+
+export function unregister(id) {
+  registered.delete(id);
+}
+
+export function getDisabledContradictions() {
+  return String(process.env.OS_DISABLED_CONTRADICTIONS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+export function getContradictionRules(rulebook) {
+  const byId = new Map();
+  for (const rule of rulebook?.contradictions?.rules || []) byId.set(rule.id, rule);
+  for (const rule of registered.values()) byId.set(rule.id, rule);
+  return [...byId.values()];
+}
+
+export function evaluateRule(rule, inputs = {}, scores = {}) {
+  if (typeof rule.test === "function") return !!rule.test(inputs, scores);
+  return matchesConditions(rule.when, inputs, scores);
+}
+
+// A rule only counts as "checked" when every answer it reads was given;
+// otherwise a non-trigger says nothing about the company.
+function missingFields(rule, inputs) {
+  const fields = (rule.when || []).map((c) => c.field || c.present).filter(Boolean);
+  return [...new Set(fields)].filter((f) => lower(inputs[f]) === "");
+}
+
+function toContradiction(rule) {
+  return {
+    id: rule.id,
+    tension: rule.tension,
+    implication: rule.implication || "",
+    ...(rule.remediation ? { remediation: rule.remediation } : {}),
+    pillar: rule.pillar,
+    severity: rule.severity,
+  };
+}
+
+export function evaluateContradictions(inputs = {}, scores = {}, { rulebook, disabled = getDisabledContradictions() } = {}) {
+  const triggered = [];
+  const clean = [];
+  const notEvaluated = [];
+  const skipped = [];
+
+  for (const rule of getContradictionRules(rulebook)) {
+    if (rule.enabled === false || disabled.includes(rule.id)) {
+      skipped.push(rule.id);
+      continue;
+    }
+
+    if (evaluateRule(rule, inputs, scores)) {
+      triggered.push(toContradiction(rule));
+      continue;
+    }
+
+    const missing = missingFields(rule, inputs);
+    const entry = { id: rule.id, check: rule.check || rule.tension, pillar: rule.pillar };
+    if (missing.length) notEvaluated.push({ ...entry, missing_inputs: missing });
+    else clean.push(entry);
+  }
+
+  return { triggered, clean, not_evaluated: notEvaluated, disabled: skipped };
+}
@@ -0,0 +1,153 @@
+// lib/encryption.js
+// Field-level envelope encryption for stored records. Each sealed record gets
+// its own random data key; the listed fields are encrypted with it (AES-256-GCM)
+// and the data key is stored wrapped by a master key:
+//
+//   { ...record, <field>: { $enc: "<base64 iv|tag|ciphertext>" },
+//     encryption: { v: 1, key_id, data_key, fields: ["reportData.contact_name", ...] } }
+//
+// Master keys come from REPORT_ENCRYPTION_KEYS: comma-separated
+// "<key id>:<base64 32-byte key>" pairs. The first key encrypts; the others only
+// decrypt, so a retired key stays listed until `npm run encryption:rotate` has
+// re-encrypted everything sealed with it. Without keys, records are stored in
+// plaintext. Plaintext records always read back as they are.
+
+import crypto from "crypto";
+
+const KEY_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// { active: { id, key } | null, byId: Map<id, key> }. Throws on a malformed
+// REPORT_ENCRYPTION_KEYS rather than silently storing plaintext.
+export function encryptionKeys() {
+  const byId = new Map();
+  let active = null;
+  for (const entry of String(process.env.REPORT_ENCRYPTION_KEYS || "").split(",")) {
+    const text = entry.trim();
+    if (!text) continue;
+    const [id, encoded, ...rest] = text.split(":");
+    const key = Buffer.from(encoded || "", "base64");
+    if (!KEY_ID_PATTERN.test(id) || rest.length || key.length !== 32) {
+      throw new Error("REPORT_ENCRYPTION_KEYS entries must be <key id>:<base64 32-byte key>");
+    }
+    if (byId.has(id)) throw new Error(`Duplicate key id "${id}" in REPORT_ENCRYPTION_KEYS`);
+    byId.set(id, key);
+    active ||= { id, key };
+  }
+  return { active, byId };
+}
+
+export function encryptionEnabled() {
+  return encryptionKeys().active !== null;
+}
+
+// The field path (or key id) is authenticated with the ciphertext, so a value
+// cannot be moved to another field or record key undetected
+function encrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const body = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), body]).toString("base64");
+}
+
+function decrypt(key, payload, aad) {
+  const raw = Buffer.from(payload, "base64");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, raw.subarray(0, IV_BYTES));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(raw.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(raw.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+function readPath(target, segments) {
+  let node = target;
+  for (const segment of segments) {
+    if (!node || typeof node !== "object" || !Object.hasOwn(node, segment)) return undefined;
+    node = node[segment];
+  }
+  return node;
+}
+
+function writePath(target, segments, value) {
+  const parent = readPath(target, segments.slice(0, -1));
+  parent[segments[segments.length - 1]] = value;
+}
+
+// Copy of `record` with each dotted path in `fields` encrypted. Missing fields
+// are skipped. Returns the record itself when encryption is off or nothing
+// matched.
+export function sealFields(record, fields) {
+  const { active } = encryptionKeys();
+  if (!active || !record || typeof record !== "object") return record;
+
+  const sealed = structuredClone(record);
+  const dataKey = crypto.randomBytes(32);
+  const done = [];
+  for (const field of fields) {
+    const segments = field.split(".");
+    const value = readPath(sealed, segments);
+    if (value === undefined) continue;
+    writePath(sealed, segments, { $enc: encrypt(dataKey, JSON.stringify(value), field) });
+    done.push(field);
+  }
+  if (!done.length) return record;
+
+  sealed.encryption = {
+    v: 1,
+    key_id: active.id,
+    data_key: encrypt(active.key, dataKey, `data-key:${active.id}`),
+    fields: done,
+  };
+  return sealed;
+}
+
+// Decrypted copy of a sealed record; anything else is returned as it is.
+// Throws when the record's key is no longer configured or it was tampered with.
+export function openFields(record) {
+  const meta = record?.encryption;
+  if (!meta) return record;
+  const key = encryptionKeys().byId.get(meta.key_id);
+  if (!key) throw new Error(`Record is encrypted with key "${meta.key_id}", which is not in REPORT_ENCRYPTION_KEYS`);
+
+  const dataKey = decrypt(key, meta.data_key, `data-key:${meta.key_id}`);
+  const { encryption: _meta, ...opened } = structuredClone(record);
+  for (const field of meta.fields) {
+    const segments = field.split(".");
+    const box = readPath(opened, segments);
+    if (box?.$enc) writePath(opened, segments, JSON.parse(decrypt(dataKey, box.$enc, field).toString("utf8")));
+  }
+  return opened;
+}
+
+// The listed fields a record holds in plaintext, e.g. fields added to a sealed
+// list after the record was stored
+export function plaintextFields(record, fields) {
+  const sealed = new Set(record?.encryption?.fields || []);
+  return fields.filter((field) => !sealed.has(field) && readPath(record, field.split(".")) !== undefined);
+}
+
+// Key for hashing values that end up in storage key names (the report index
+// sets), which cannot be encrypted: REPORT_INDEX_KEY, a base64 32-byte key. It
+// is kept apart from the master keys because changing it means rebuilding the
+// index. Null when unset; required once encryption is on, rather than leaving
+// contact details in key names.
+export function indexHashKey() {
+  const encoded = String(process.env.REPORT_INDEX_KEY || "").trim();
+  if (!encoded) {
+    if (encryptionEnabled()) throw new Error("REPORT_INDEX_KEY must be set when REPORT_ENCRYPTION_KEYS is");
+    return null;
+  }
+  const key = Buffer.from(encoded, "base64");
+  if (key.length !== 32) throw new Error("REPORT_INDEX_KEY must be a base64 32-byte key");
+  return key;
+}
+
+export function keyedHash(key, value) {
+  return crypto.createHmac("sha256", key).update(String(value)).digest("hex");
+}
+
+// Key id a record is sealed with, or null for plaintext
+export function sealedKeyId(record) {
+  return record?.encryption?.key_id || null;
+}
@@ -38,6 +38,7 @@ function getCompactInput(data) {
     website: data.client?.website || null,
     // Pass key inputs explicitly so the model mirrors them back in output
     key_inputs: {
+      company_stage: data.scoring?.stage?.label || null,
       win_reason: na.win_reason,
       lose_reason: na.lose_reason,
       discounting: na.discounting,
@@ -56,13 +57,18 @@ function getCompactInput(data) {
   };
 }
 
+// Model used for enrichment; recorded as the author of enriched revisions
+export function enrichmentModel() {
+  return process.env.LLM_MODEL || "claude-sonnet-4-5";
+}
+
 // ---------------------------------------------------------------------------
 // callClaude — shared wrapper for all Anthropic API calls
 // Uses claude-sonnet-4-5 (set via LLM_MODEL env var)
 // max_tokens set to 4096 to ensure full JSON output reaches all fields
 // ---------------------------------------------------------------------------
 async function callClaude({ systemPrompt, userPrompt }) {
-  const model = process.env.LLM_MODEL || "claude-sonnet-4-5";
+  const model = enrichmentModel();
 
   const response = await client.messages.create({
     model,
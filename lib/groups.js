@@ -0,0 +1,270 @@
+// lib/groups.js
+// Multi-respondent company diagnostics. Submissions from the same company (the CEO,
+// CMO and CRO taking the diagnostic separately) are grouped under an explicit
+// group id or, failing that, the company website's domain when the respondent's
+// email is on it. Each respondent keeps their own report; the aggregate compares
+// them: per-pillar averages and spread, and the answers where roles disagree
+// most, as alignment tensions.
+//
+// Group membership lives in the store (`group:<id>`, or a keyed hash of the id
+// under REPORT_INDEX_KEY, see lib/reportStore.js); scores and answers are read
+// from each respondent's hidden report when the aggregate is built. The full
+// aggregate is for the consulting team (/api/group, the hidden report); clients
+// see clientGroupView, which names roles only.
+
+import crypto from "crypto";
+import { indexHashKey, keyedHash } from "./encryption.js";
+import { PILLARS, pillarKeyFromEngineKey, prettyPillar } from "./pillars.js";
+import { getQuestionByInput, normalizeText } from "./questions.js";
+import { addGroupMember, getGroupMembers, getReport, readStoredReport, rekeyGroups } from "./reportStore.js";
+import { asString } from "./rulebook.js";
+
+const GROUP_ID_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/;
+
+// Answers whose scoring points differ by less than this between respondents are
+// not reported as tensions.
+export const MIN_TENSION_POINTS = 2;
+const MAX_TENSIONS = 5;
+
+export function isValidGroupId(groupId) {
+  return GROUP_ID_PATTERN.test(String(groupId || "").trim().toLowerCase());
+}
+
+export function domainFromWebsite(website) {
+  const text = String(website || "").trim().toLowerCase();
+  if (!text) return null;
+  try {
+    const host = new URL(/^[a-z][a-z0-9+.-]*:\/\//.test(text) ? text : `https://${text}`).hostname;
+    const domain = host.replace(/^www\./, "");
+    return domain.includes(".") ? domain : null;
+  } catch {
+    return null;
+  }
+}
+
+// Shared webmail domains say nothing about who someone works for
+const PERSONAL_EMAIL_DOMAINS = new Set([
+  "aol.com", "gmail.com", "googlemail.com", "hotmail.com", "icloud.com", "live.com",
+  "me.com", "msn.com", "outlook.com", "proton.me", "protonmail.com", "yahoo.com",
+]);
+
+// The website's domain when the email address is on it or on one of its
+// subdomains, otherwise null. Anyone can type a company's website into the
+// form; only an email on its domain links a submission to that company.
+export function verifiedDomain({ website, email } = {}) {
+  const domain = domainFromWebsite(website);
+  const emailDomain = String(email || "").trim().toLowerCase().match(/^[^@\s]+@([^@\s]+)$/)?.[1];
+  if (!domain || !emailDomain || PERSONAL_EMAIL_DOMAINS.has(domain)) return null;
+  return emailDomain === domain || emailDomain.endsWith(`.${domain}`) ? domain : null;
+}
+
+// Explicit group ids win; otherwise respondents are grouped by website domain,
+// when their email is on it. Returns null when neither is usable.
+export function resolveGroupId({ groupId, website, email } = {}) {
+  const explicit = String(groupId || "").trim().toLowerCase();
+  if (explicit) return isValidGroupId(explicit) ? explicit : null;
+  return verifiedDomain({ website, email });
+}
+
+// One entry per person: the email when there is one (hashed — the group hash
+// holds no contact details), otherwise the report itself. With REPORT_INDEX_KEY
+// set the hash is keyed, so a known address cannot be checked against it.
+export function memberKeyFor(email, hiddenReportId, hashKey = indexHashKey()) {
+  const e = String(email || "").trim().toLowerCase();
+  if (!e) return `report:${hiddenReportId}`;
+  return `email:${hashKey ? keyedHash(hashKey, e) : crypto.createHash("sha256").update(e).digest("hex").slice(0, 24)}`;
+}
+
+// Renames group hashes and member keys for the current REPORT_INDEX_KEY, or
+// stores them in plaintext with `plaintext`; run by `npm run encryption:rotate`. A
+// member's new key comes from the contact email on their hidden report, so
+// members whose report is gone keep the one they have.
+export async function rebuildGroupKeys({ plaintext = false } = {}) {
+  const hashKey = plaintext ? null : indexHashKey();
+  return rekeyGroups(async (key, member) => {
+    if (!key.startsWith("email:")) return key;
+    const stored = await readStoredReport(member.hidden_report_id);
+    const email = stored?.record?.reportData?.contact_email;
+    return email ? memberKeyFor(email, member.hidden_report_id, hashKey) : key;
+  }, { plaintext });
+}
+
+export async function recordGroupMember(groupId, { email, role, name, hiddenReportId, execReportId, submittedAt }) {
+  await addGroupMember(groupId, memberKeyFor(email, hiddenReportId), {
+    role: role || null,
+    name: name || null,
+    hidden_report_id: hiddenReportId,
+    exec_report_id: execReportId || null,
+    submitted_at: submittedAt,
+  });
+}
+
+/* =========================================================
+   Aggregate
+========================================================= */
+
+// Points each scoring input contributed, summed per field, from a report's trace.
+function answerPoints(trace = []) {
+  const out = {};
+  for (const t of trace) {
+    if (!t.field || (t.stage !== "rule" && t.stage !== "unmatched")) continue;
+    out[t.field] ||= { pillar: pillarKeyFromEngineKey(t.pillar), points: 0 };
+    out[t.field].points += t.delta;
+  }
+  return out;
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function spreadStats(values) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return { mean: round1(values.reduce((a, b) => a + b, 0) / values.length), min, max, spread: round1(max - min) };
+}
+
+// Role when it identifies the respondent on its own, otherwise role and name.
+function labelRespondents(respondents) {
+  return respondents.map((r, i) => {
+    const shared = respondents.filter((o) => o.role && o.role === r.role).length > 1;
+    const role = r.role && r.role !== "Other" ? r.role : null;
+    const label = role && !shared ? role : `${role || "Respondent"} (${r.name || i + 1})`;
+    return { ...r, label };
+  });
+}
+
+function severityFor(spread) {
+  if (spread >= 4) return 3;
+  if (spread >= 3) return 2;
+  return 1;
+}
+
+// The scoring answers where respondents disagree most, by the points between the
+// highest- and lowest-scoring answer.
+function alignmentTensions(respondents) {
+  const fields = [...new Set(respondents.flatMap((r) => Object.keys(r.points)))];
+  const tensions = [];
+
+  for (const field of fields) {
+    // Trace fields are scoring inputs; normalized answers are keyed by question id
+    const question = getQuestionByInput(field);
+    const answerKey = question?.id || field;
+    const answers = respondents
+      .filter((r) => r.points[field] && asString(r.answers[answerKey]))
+      .map((r) => ({ respondent: r.label, role: r.role, value: asString(r.answers[answerKey]), points: r.points[field].points, pillar: r.points[field].pillar }));
+    if (answers.length < 2 || new Set(answers.map((a) => normalizeText(a.value))).size < 2) continue;
+
+    answers.sort((a, b) => b.points - a.points);
+    const high = answers[0];
+    const low = answers[answers.length - 1];
+    const spread = round1(high.points - low.points);
+    if (spread < MIN_TENSION_POINTS) continue;
+
+    const pillarLabel = prettyPillar(high.pillar);
+    tensions.push({
+      question: question?.id || field,
+      question_label: question?.label || field,
+      pillar: high.pillar,
+      pillar_label: pillarLabel,
+      spread,
+      severity: severityFor(spread),
+      answers: answers.map(({ pillar, ...a }) => a),
+      tension: `${high.respondent} says "${high.value}", ${low.respondent} says "${low.value}"`,
+      implication: `${pillarLabel} moves ${spread} points on this answer depending on who responds, so the leadership team is not working from the same picture.`,
+    });
+  }
+
+  const order = (key) => PILLARS.findIndex((p) => p.key === key);
+  return tensions.sort((a, b) => b.spread - a.spread || order(a.pillar) - order(b.pillar)).slice(0, MAX_TENSIONS);
+}
+
+// respondents: [{ hidden_report_id, exec_report_id, role, name, submitted_at,
+// os_score, band, primary_constraint, pillar_scores, answers, points }]
+export function buildGroupAggregate(groupId, respondents = []) {
+  const labelled = labelRespondents([...respondents].sort((a, b) => String(a.submitted_at).localeCompare(String(b.submitted_at))));
+
+  return {
+    group_id: groupId,
+    respondent_count: labelled.length,
+    respondents: labelled.map(({ answers, points, ...r }) => r),
+    os: labelled.length ? spreadStats(labelled.map((r) => r.os_score)) : null,
+    pillars: labelled.length
+      ? PILLARS.map((p) => ({
+        key: p.key,
+        label: p.label,
+        ...spreadStats(labelled.map((r) => r.pillar_scores[p.key] ?? 0)),
+        scores: labelled.map((r) => ({ respondent: r.label, score: r.pillar_scores[p.key] ?? 0 })),
+      }))
+      : [],
+    alignment_tensions: alignmentTensions(labelled),
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : round1((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+function roleName(role) {
+  return role && role !== "Other" ? role : null;
+}
+
+// What the client-facing audit report may show about the rest of the group:
+// medians and spread per role and across the group, and alignment tensions
+// attributed to roles. No report ids, names or individual scores.
+export function clientGroupView(aggregate) {
+  const byRole = new Map();
+  for (const r of aggregate.respondents) {
+    const role = roleName(r.role) || "Other";
+    if (!byRole.has(role)) byRole.set(role, []);
+    byRole.get(role).push(r);
+  }
+  const scores = aggregate.respondents.map((r) => r.os_score);
+
+  return {
+    respondent_count: aggregate.respondent_count,
+    roles: [...byRole].map(([role, list]) => ({
+      role,
+      respondents: list.length,
+      os_median: median(list.map((r) => r.os_score)),
+      pillar_medians: Object.fromEntries(PILLARS.map((p) => [p.key, median(list.map((r) => r.pillar_scores[p.key] ?? 0))])),
+    })),
+    os: scores.length ? { median: median(scores), spread: aggregate.os.spread } : null,
+    pillars: aggregate.pillars.map((p) => ({ key: p.key, label: p.label, median: median(p.scores.map((s) => s.score)), spread: p.spread })),
+    alignment_tensions: aggregate.alignment_tensions.map(({ answers, tension, ...t }) => {
+      const high = answers[0];
+      const low = answers[answers.length - 1];
+      return { ...t, tension: `${roleName(high.role) || "One respondent"} says "${high.value}", ${roleName(low.role) || "another"} says "${low.value}"` };
+    }),
+  };
+}
+
+// Loads every respondent's hidden report. Members whose report has expired are
+// left out.
+export async function loadGroupAggregate(groupId) {
+  const members = await getGroupMembers(groupId);
+  const respondents = [];
+
+  for (const m of members) {
+    const stored = await getReport(m.hidden_report_id);
+    if (!stored) continue;
+    const d = stored.reportData || stored;
+    respondents.push({
+      hidden_report_id: m.hidden_report_id,
+      exec_report_id: m.exec_report_id,
+      role: m.role,
+      name: m.name,
+      submitted_at: m.submitted_at,
+      os_score: d.scoring?.overall_score ?? 0,
+      band: d.scoring?.score_band || "",
+      primary_constraint: d.scoring?.primary_constraint?.label || d.primary_constraint_label || "",
+      pillar_scores: d.pillar_scores || d.scoring?.pillar_scores || {},
+      answers: d.normalized_answers || {},
+      points: answerPoints(d.score_trace),
+    });
+  }
+
+  return buildGroupAggregate(groupId, respondents);
+}
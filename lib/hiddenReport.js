@@ -0,0 +1,149 @@
+// lib/hiddenReport.js
+// The hidden report record, which the audit tier is also rendered from. It is
+// built when a diagnostic is scored (api/diagnostic.js) and rebuilt after LLM
+// enrichment (api/enrich.js); both use this one builder so the two saves carry
+// the same fields.
+
+import { prettyPillar, getRadarLabels } from "./pillars.js";
+import { getTargetPillarScores } from "./stage.js";
+
+// `report` is the diagnostic report, or a stored hidden record's reportData when
+// /api/enrich is called for a saved report: pillar scores may then already be
+// an object, and contact fields, answers, the score trace, tensions, stage and
+// the enriched full-tier sections sit at the top level rather than under
+// inputs, scoring and full_tier.
+export function buildHiddenReportData(report) {
+  const rawPillars = report?.scoring?.pillar_scores ?? {};
+  const pillarScores = Array.isArray(rawPillars)
+    ? Object.fromEntries(rawPillars.map((p) => [p.key, p.score]))
+    : { ...rawPillars };
+  const pillarArray = Object.entries(pillarScores).map(([key, score]) => ({ key, score }));
+  // Older reports predate the engine's constraint ranking; fall back to score order
+  const ranked = report?.scoring?.constraint_ranking?.length
+    ? report.scoring.constraint_ranking
+    : [...pillarArray].sort((a, b) => a.score - b.score);
+  const primary = ranked[0] || null;
+  const normalized = report?.inputs?.normalized_answers || report?.normalized_answers || {};
+  const stage = report?.scoring?.stage || report?.stage || null;
+  const operatingTensions = report?.scoring?.operating_tensions || report?.operating_tensions || [];
+  const fullTier = (field, fallback) => report?.full_tier?.[field] || report?.[field] || fallback;
+  const targetPillarScores = getTargetPillarScores(normalized, "hidden", { rulebookVersion: report?.scoring?.rulebook?.version, stage });
+  const radarLabels = getRadarLabels();
+  const rawChannels = normalized?.acquisition_channels;
+  const primaryChannels = Array.isArray(rawChannels)
+    ? rawChannels
+    : typeof rawChannels === "string"
+      ? rawChannels.split(",").map((s) => s.trim()).filter(Boolean)
+      : [];
+
+  return {
+    company_name: report?.client?.company_name || report?.company_name || "Company",
+    contact_name: report?.client?.contact_name || report?.contact_name || "Client",
+    contact_email: report?.client?.contact_email || report?.contact_email || "",
+    website: report?.client?.website || report?.website || "",
+    report_date: report?.generated_at ? new Date(report.generated_at).toLocaleDateString("en-US", { year: "numeric", month: "long" }) : report?.report_date || "",
+    diagnostic_snapshot: {
+      annual_revenue: normalized?.annual_revenue || null,
+      acv: normalized?.acv || null,
+      sales_cycle: normalized?.sales_cycle || null,
+      close_rate: normalized?.close_rate || null,
+      primary_channels: primaryChannels,
+      measurement_model: normalized?.marketing_measured_by || null,
+      growth_status: normalized?.growth_status || null,
+    },
+    benchmark_context: { average_saas_company: 62, top_quartile: 78, elite_gtm_system: 88 },
+    peer_benchmark: report?.scoring?.peer_benchmark || report?.peer_benchmark || null,
+    stage,
+    scoring: {
+      overall_score: report?.scoring?.overall_score || 0,
+      score_band: report?.scoring?.band || report?.scoring?.score_band || "",
+      confidence: report?.scoring?.confidence || "Moderate",
+      confidence_score: report?.scoring?.confidence_score ?? null,
+      score_range: report?.scoring?.score_range || null,
+      rulebook: report?.scoring?.rulebook || null,
+      pillar_scores: pillarScores,
+      target_pillar_scores: targetPillarScores,
+      radar_labels: radarLabels,
+      pillar_ranked: ranked.map((p) => ({ key: p.key, label: p.label || prettyPillar(p.key), score: p.score })),
+      constraint_ranking: report?.scoring?.constraint_ranking || [],
+      primary_constraint: primary ? { key: primary.key, label: primary.label || prettyPillar(primary.key), score: primary.score } : null,
+      provisional: !!report?.scoring?.provisional,
+      imputed_pillars: report?.scoring?.imputed_pillars || [],
+      missing_questions: report?.scoring?.missing_questions || [],
+      questions_needed: report?.scoring?.questions_needed ?? 0,
+      resume_url: report?.scoring?.resume_url || null,
+    },
+    signal_analysis: {
+      operating_tensions: operatingTensions,
+      strength_signals: [
+        ...(pillarScores.measurement >= 17 ? ["Measurement maturity appears relatively strong compared to other pillars."] : []),
+        ...(pillarScores.gtm_focus >= 17 ? ["GTM execution appears relatively strong compared to other pillars."] : []),
+      ],
+      constraint_signals: [
+        ...(pillarScores.value_architecture < 14 ? ["Weak value architecture may create downstream pressure on pricing and positioning."] : []),
+        ...(pillarScores.pricing_packaging < 14 ? ["Pricing and packaging appear to be limiting margin protection or deal discipline."] : []),
+      ],
+      risk_signals: operatingTensions.slice(0, 3).map((c) => c.implication),
+      opportunity_signals: [
+        ...(String(normalized?.discounting || "").includes("Rarely") ? ["Low discounting frequency suggests some pricing power already exists."] : []),
+      ],
+    },
+    interpretation: {
+      executive_readout: "Initial diagnostic suggests the primary leverage point lies in improving the constraint most likely to suppress pricing power, differentiation, or GTM efficiency.",
+      root_cause_hypotheses: operatingTensions.slice(0, 3).map((c) => c.implication),
+    },
+    call_briefing: report?.call_briefing || {
+      opening_summary: "Begin by confirming where the commercial motion appears stronger than the proof, pricing, or measurement systems supporting it.",
+      top_questions_to_ask: [
+        "How do prospects typically evaluate ROI before purchasing?",
+        "Where in the sales process do pricing objections appear?",
+        "Which customer proof points most often move deals forward?",
+      ],
+      areas_to_validate_live: [
+        "Whether pricing tiers reflect actual customer value segments",
+        "Whether sales messaging consistently leads with outcomes",
+        "Whether attribution trust matches leadership expectations",
+      ],
+    },
+    consulting_opportunity: report?.consulting_opportunity || {
+      likely_needs: ["Value architecture refinement", "Pricing and packaging strategy", "Messaging system alignment"],
+      priority_engagement_angle: prettyPillar(report?.scoring?.primary_constraint?.key) || "Strategic Diagnostic Sprint",
+      upsell_readiness: (report?.scoring?.overall_score || 0) <= 70 ? "High" : "Moderate",
+    },
+    // Enriched fields — populated by enrichHiddenReport after response is sent
+    headline_diagnosis: report?.narrative?.headline_diagnosis || report?.headline_diagnosis || "",
+    executive_headline: report?.narrative?.executive_headline || report?.executive_headline || "",
+    the_operating_tension: report?.narrative?.the_operating_tension || report?.the_operating_tension || "",
+    what_this_means_in_practice: report?.narrative?.what_this_means_in_practice?.length
+      ? report.narrative.what_this_means_in_practice
+      : report?.what_this_means_in_practice || [],
+    diagnosis_implications: report?.diagnosis_implications || [],
+    operating_tensions: operatingTensions,
+    what_good_looks_like: report?.narrative?.what_good_looks_like || report?.what_good_looks_like || "",
+    upgrade_bridge: report?.narrative?.upgrade_bridge || report?.upgrade_bridge || [],
+    root_cause_hypotheses: fullTier("root_cause_hypotheses", []),
+    swot: fullTier("swot", null),
+    constraint_chain: fullTier("constraint_chain", []),
+    competitive_context: fullTier("competitive_context", null),
+    pricing_packaging_audit: fullTier("pricing_packaging_audit", null),
+    roadmap: fullTier("roadmap", null),
+    constraint_hypothesis_summary: report?.constraint_hypothesis_summary || "",
+    constraint_hypothesis: report?.constraint_hypothesis || [],
+    commercial_friction: report?.commercial_friction || [],
+    likely_objections: report?.likely_objections || [],
+    discovery_questions: report?.discovery_questions || [],
+    conversation_strategy: report?.conversation_strategy || [],
+    engagement_opportunities: report?.engagement_opportunities || [],
+    score_trace: report?.scoring?.trace || report?.score_trace || [],
+    contradiction_checks: report?.scoring?.contradiction_checks || report?.contradiction_checks || null,
+    answer_mappings: report?.inputs?.answer_mappings || report?.answer_mappings || [],
+    normalized_answers: normalized,
+    group_id: report?.inputs?.group_id || report?.group_id || null,
+    company_id: report?.inputs?.company_id || report?.company_id || null,
+    respondent_role: report?.inputs?.respondent_role || report?.respondent_role || null,
+    pillar_scores: pillarScores,
+    target_pillar_scores: targetPillarScores,
+    radar_labels: radarLabels,
+    primary_constraint_label: primary?.label || prettyPillar(primary?.key) || "",
+  };
+}
@@ -0,0 +1,98 @@
+// lib/idempotency.js
+// Idempotent /api/diagnostic submissions. Zapier retries on timeouts; a retry
+// inside the window gets the first response back, with the same report ids and
+// URLs, without re-scoring, re-saving, re-sending or re-enriching.
+//
+// A request is identified by its Idempotency-Key header when it has one, and
+// otherwise by a hash of the normalized submission. Keys are remembered for
+// IDEMPOTENCY_KEY_TTL_SECONDS (default 24 hours), payload hashes for
+// IDEMPOTENCY_HASH_TTL_SECONDS (default 15 minutes; 0 turns the fallback off).
+
+import crypto from "crypto";
+import {
+  claimIdempotencyKey,
+  getIdempotencyRecord,
+  releaseIdempotencyKey,
+  saveIdempotencyRecord,
+} from "./reportStore.js";
+
+const MAX_KEY_LENGTH = 255;
+
+// Longer than the diagnostic's maxDuration, so a crashed request frees its key
+const PENDING_SECONDS = 330;
+
+function ttlSeconds(name, fallback) {
+  const raw = String(process.env[name] ?? "").trim();
+  if (!raw) return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : fallback;
+}
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+// JSON with object keys sorted, so key order in the payload does not matter
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Hash of what is actually scored: answers, tier, contact fields and options
+export function submissionFingerprint(options) {
+  const { answers, source, tier, client, groupId, companyId, excludeFromBenchmarks } = options;
+  return sha256(stableStringify({ answers, source, tier, client, groupId, companyId, excludeFromBenchmarks }));
+}
+
+export function readIdempotencyKey(req) {
+  const raw = req.headers["idempotency-key"] ?? req.headers["Idempotency-Key"];
+  if (raw === undefined || raw === null) return { key: null };
+  const key = String(raw).trim();
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    return { error: `Idempotency-Key must be 1–${MAX_KEY_LENGTH} characters.` };
+  }
+  return { key };
+}
+
+// Claims the request. Returns one of
+//   { replay: { status, body } }  — the first request finished; send this
+//   { pending: true }             — the first request is still running
+//   { mismatch: true }            — the key was used for a different payload
+//   { claim }                     — go ahead; pass `claim` to finish / abandon
+//   { claim: null }               — idempotency is off for this request
+export async function beginIdempotentRequest(headerKey, options) {
+  const fingerprint = submissionFingerprint(options);
+  const ttl = headerKey ? ttlSeconds("IDEMPOTENCY_KEY_TTL_SECONDS", 60 * 60 * 24) : ttlSeconds("IDEMPOTENCY_HASH_TTL_SECONDS", 60 * 15);
+  if (!ttl) return { claim: null };
+
+  const claim = { key: headerKey ? `key:${sha256(headerKey)}` : `hash:${fingerprint}`, fingerprint, ttl };
+  const pending = { status: "pending", fingerprint, started_at: new Date().toISOString() };
+  if (await claimIdempotencyKey(claim.key, pending, PENDING_SECONDS)) return { claim };
+
+  const existing = await getIdempotencyRecord(claim.key);
+  // Expired between the two calls; claim it again
+  if (!existing) return (await claimIdempotencyKey(claim.key, pending, PENDING_SECONDS)) ? { claim } : { pending: true };
+  if (existing.fingerprint !== fingerprint) return { mismatch: true };
+  if (existing.status === "pending") return { pending: true };
+  return { replay: { status: existing.response_status, body: existing.response } };
+}
+
+export async function finishIdempotentRequest(claim, status, body) {
+  if (!claim) return;
+  await saveIdempotencyRecord(claim.key, {
+    status: "complete",
+    fingerprint: claim.fingerprint,
+    completed_at: new Date().toISOString(),
+    response_status: status,
+    response: body,
+  }, claim.ttl);
+}
+
+// The first request failed; let a retry run it again
+export async function abandonIdempotentRequest(claim) {
+  if (!claim) return;
+  await releaseIdempotencyKey(claim.key);
+}
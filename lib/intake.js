@@ -0,0 +1,286 @@
+// lib/intake.js
+// Intake adapters: turn a form tool's native payload into the flat answers object
+// /api/diagnostic scores, plus the client contact fields. Answer keys are resolved
+// later by lib/questions.js, so a form field only needs a label, alias or question
+// id the registry knows (a Typeform field ref of "annual_revenue" works as well as
+// the "Annual Revenue" title).
+//
+// Every adapter returns { source, answers, client, tier, ref } or { source, error }.
+
+import { findQuestion, normalizeText } from "./questions.js";
+
+// Form fields that carry the contact details rather than diagnostic answers
+const CLIENT_FIELDS = {
+  client_email: ["client_email", "client email", "email", "email address", "work email", "your email"],
+  client_name: ["client_name", "client name", "name", "full name", "your name", "contact name"],
+  client_company: ["client_company", "client company", "company", "company name", "organization", "organisation"],
+  client_website: ["client_website", "client website", "website", "company website", "domain"],
+  group_id: ["group_id", "group id", "group"],
+  company_id: ["company_id", "company id"],
+  tier: ["tier"],
+};
+
+function clientFieldFor(key) {
+  const k = normalizeText(key);
+  return Object.keys(CLIENT_FIELDS).find((field) => CLIENT_FIELDS[field].includes(k)) || null;
+}
+
+function asText(value) {
+  if (Array.isArray(value)) return value.join(", ");
+  return value === null || value === undefined ? "" : String(value).trim();
+}
+
+// Entries are { keys: [candidate names, best first], value, kind }. The first
+// name the registry recognises becomes the answer key; contact fields go to
+// `client`; anything else is passed through under its first name so
+// resolveAnswers reports it as an unknown key.
+function collect(entries) {
+  const answers = {};
+  const client = {};
+
+  for (const { keys, value, kind } of entries) {
+    const names = keys.filter((k) => k !== null && k !== undefined && String(k).trim() !== "").map(String);
+    if (!names.length || value === null || value === undefined) continue;
+
+    const questionKey = names.find((k) => findQuestion(k));
+    if (questionKey) {
+      answers[questionKey] = value;
+      continue;
+    }
+
+    const clientKey = names.map(clientFieldFor).find(Boolean) || (kind === "email" ? "client_email" : null);
+    if (clientKey) {
+      if (!client[clientKey]) client[clientKey] = asText(value);
+      continue;
+    }
+
+    answers[names[0]] = value;
+  }
+
+  const { tier, ...contact } = client;
+  return { answers, client: contact, tier: tier || null };
+}
+
+/* =========================================================
+   HoneyBook (flat answers keyed by question text)
+========================================================= */
+
+function isFlatAnswers(payload) {
+  return !!payload?.answers && typeof payload.answers === "object" && !Array.isArray(payload.answers);
+}
+
+function parseFlat(payload) {
+  return {
+    answers: payload.answers,
+    client: {
+      client_email: payload.client_email || "",
+      client_name: payload.client_name || "",
+      client_company: payload.client_company || "",
+      client_website: payload.client_website || "",
+    },
+    tier: null,
+    ref: null,
+  };
+}
+
+/* =========================================================
+   Typeform (form_response webhook)
+========================================================= */
+
+function typeformValue(answer) {
+  switch (answer.type) {
+    case "choice":
+      return answer.choice?.label ?? answer.choice?.other ?? null;
+    case "choices":
+      return [...(answer.choices?.labels || []), ...(answer.choices?.other ? [answer.choices.other] : [])];
+    case "boolean":
+      return answer.boolean ? "Yes" : "No";
+    default:
+      return answer[answer.type] ?? null;
+  }
+}
+
+function parseTypeform(payload) {
+  const response = payload.form_response || {};
+  const titles = new Map((response.definition?.fields || []).map((f) => [f.id, f.title]));
+
+  const entries = (response.answers || []).map((a) => ({
+    keys: [a.field?.ref, titles.get(a.field?.id), a.field?.id],
+    value: typeformValue(a),
+    kind: a.type,
+  }));
+  for (const [key, value] of Object.entries(response.hidden || {})) {
+    entries.push({ keys: [key], value });
+  }
+
+  return {
+    ...collect(entries),
+    ref: { form_id: response.form_id || null, response_id: response.token || payload.event_id || null, submitted_at: response.submitted_at || null },
+  };
+}
+
+/* =========================================================
+   Tally (FORM_RESPONSE webhook)
+========================================================= */
+
+const TALLY_MULTI_TYPES = ["CHECKBOXES", "MULTI_SELECT"];
+
+// Choice fields send option ids; checkbox fields also send one boolean field per
+// option, which are skipped in favour of the parent field.
+function tallyValue(field) {
+  const options = field.options || [];
+  if (!Array.isArray(field.value) || !options.length) return field.value;
+  const labels = field.value.map((id) => options.find((o) => o.id === id)?.text ?? id);
+  return TALLY_MULTI_TYPES.includes(field.type) ? labels : labels[0] ?? null;
+}
+
+function parseTally(payload) {
+  const data = payload.data || {};
+  const entries = (data.fields || [])
+    .filter((f) => !(f.type === "CHECKBOXES" && typeof f.value === "boolean"))
+    .map((f) => ({
+      keys: [f.label, f.key],
+      value: tallyValue(f),
+      kind: f.type === "INPUT_EMAIL" ? "email" : null,
+    }));
+
+  return {
+    ...collect(entries),
+    ref: { form_id: data.formId || null, response_id: data.responseId || data.submissionId || payload.eventId || null, submitted_at: data.createdAt || payload.createdAt || null },
+  };
+}
+
+/* =========================================================
+   Google Forms (Apps Script onFormSubmit relay)
+========================================================= */
+
+// Accepts the spreadsheet trigger's e.namedValues ({ title: [value] }) or
+// FormResponse item responses posted as [{ title, response }].
+function parseGoogleForms(payload) {
+  const entries = [];
+
+  for (const [title, values] of Object.entries(payload.namedValues || {})) {
+    if (normalizeText(title) === "timestamp") continue;
+    const list = (Array.isArray(values) ? values : [values]).filter((v) => asText(v) !== "");
+    entries.push({ keys: [title], value: list.length > 1 ? list : list[0] ?? null });
+  }
+  for (const item of payload.itemResponses || []) {
+    entries.push({ keys: [item.title], value: item.response ?? null });
+  }
+  if (payload.respondentEmail) entries.push({ keys: ["email"], value: payload.respondentEmail });
+
+  const timestamp = payload.namedValues?.Timestamp;
+  return {
+    ...collect(entries),
+    ref: { form_id: payload.formId || null, response_id: payload.responseId || null, submitted_at: payload.submittedAt || (Array.isArray(timestamp) ? timestamp[0] : timestamp) || null },
+  };
+}
+
+/* =========================================================
+   CSV (header row + one response row)
+========================================================= */
+
+// RFC 4180: quoted fields, doubled quotes, CRLF or LF line endings, optional BOM.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+  return body.map((cells) => Object.fromEntries(header.map((h, i) => [h.trim(), cells[i] ?? ""])));
+}
+
+export function toCsv(rows) {
+  const headers = [...new Set(rows.flatMap((r) => Object.keys(r)))];
+  const cell = (v) => {
+    const s = asText(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [headers.map(cell).join(","), ...rows.map((r) => headers.map((h) => cell(r[h])).join(","))].join("\n") + "\n";
+}
+
+// Multi-select cells may separate choices with ";" or "|" since "," is the
+// column delimiter in most exports.
+function csvValue(key, value) {
+  const q = findQuestion(key);
+  if (!q?.multi || !/[;|]/.test(value)) return value;
+  return value.split(/[;|]/).map((s) => s.trim()).filter(Boolean);
+}
+
+function parseCsvPayload(payload) {
+  const rows = parseCsv(payload.csv);
+  if (rows.length !== 1) {
+    return { error: `CSV payload must have a header row and exactly one response row (got ${rows.length}). Use scripts/import-csv.js for files with several responses.` };
+  }
+
+  const entries = Object.entries(rows[0])
+    .filter(([, value]) => value.trim() !== "")
+    .map(([key, value]) => ({ keys: [key], value: csvValue(key, value.trim()) }));
+
+  return { ...collect(entries), ref: null };
+}
+
+/* =========================================================
+   Detection
+========================================================= */
+
+const ADAPTERS = [
+  { id: "typeform", detect: (p) => !!p?.form_response && typeof p.form_response === "object", parse: parseTypeform },
+  { id: "tally", detect: (p) => p?.eventType === "FORM_RESPONSE" && Array.isArray(p?.data?.fields), parse: parseTally },
+  { id: "google_forms", detect: (p) => (!!p?.namedValues && typeof p.namedValues === "object") || Array.isArray(p?.itemResponses), parse: parseGoogleForms },
+  { id: "csv", detect: (p) => typeof p?.csv === "string", parse: parseCsvPayload },
+  { id: "honeybook", detect: isFlatAnswers, parse: parseFlat },
+];
+
+export const INTAKE_SOURCES = ADAPTERS.map((a) => a.id);
+
+// An explicit `source` wins when it names an adapter; otherwise the payload shape decides.
+export function detectSource(payload) {
+  const explicit = typeof payload?.source === "string" ? payload.source.trim().toLowerCase() : "";
+  if (explicit && INTAKE_SOURCES.includes(explicit)) return explicit;
+  return ADAPTERS.find((a) => a.detect(payload))?.id || null;
+}
+
+export function parseIntake(payload) {
+  const source = detectSource(payload);
+  if (!source) {
+    return { source: null, error: `'answers' must be a non-empty object, or send a native ${INTAKE_SOURCES.filter((s) => s !== "honeybook").join(" / ")} payload.` };
+  }
+
+  const result = ADAPTERS.find((a) => a.id === source).parse(payload);
+  if (result.error) return { source, error: result.error };
+  return { source, ...result };
+}
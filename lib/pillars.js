@@ -0,0 +1,43 @@
+// lib/pillars.js
+// Pillar keys, labels and the mapping between scoring-engine keys
+// (positioning, value, pricing, gtm, measurement) and report keys.
+
+export const PILLARS = [
+  { key: "positioning", engineKey: "positioning", label: "Positioning & Category" },
+  { key: "value_architecture", engineKey: "value", label: "Value Architecture" },
+  { key: "pricing_packaging", engineKey: "pricing", label: "Pricing & Packaging" },
+  { key: "gtm_focus", engineKey: "gtm", label: "GTM Focus" },
+  { key: "measurement", engineKey: "measurement", label: "Measurement" },
+];
+
+// Short labels for the radar chart axes
+export function getRadarLabels() {
+  return {
+    positioning: "Positioning",
+    value_architecture: "Value",
+    pricing_packaging: "Pricing",
+    gtm_focus: "GTM",
+    measurement: "Measurement",
+  };
+}
+
+export function prettyPillar(key) {
+  return PILLARS.find((p) => p.key === key)?.label || key || null;
+}
+
+export function pillarKeyFromLabel(label) {
+  return PILLARS.find((p) => p.label === label)?.key || "positioning";
+}
+
+export function pillarKeyFromEngineKey(engineKey) {
+  return PILLARS.find((p) => p.engineKey === engineKey)?.key || engineKey;
+}
+
+// Converts scoreDiagnostic().scores into { positioning, value_architecture, ... }
+export function toReportPillarScores(scores = {}) {
+  const out = {};
+  PILLARS.forEach((p) => {
+    out[p.key] = scores[p.engineKey] ?? 0;
+  });
+  return out;
+}
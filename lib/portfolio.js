@@ -0,0 +1,95 @@
+// lib/portfolio.js
+// Portfolio rollup for /api/batch: how a set of companies scored as a whole.
+// Score distribution, the most common primary constraints and the operating
+// tensions that show up most often across the portfolio.
+//
+// Only full scores count towards the rollup; provisional scores are estimates
+// and are reported as a count.
+
+import { PILLARS, prettyPillar } from "./pillars.js";
+
+const MAX_TENSIONS = 10;
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function median(sorted) {
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : round1((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+// 10-point buckets from the lowest to the highest bucket any company is in
+function histogram(scores) {
+  const lo = Math.floor(Math.min(...scores) / 10) * 10;
+  const hi = Math.min(90, Math.floor(Math.max(...scores) / 10) * 10);
+  const buckets = [];
+  for (let start = lo; start <= hi; start += 10) {
+    const end = start === 90 ? 100 : start + 9;
+    buckets.push({ range: `${start}–${end}`, count: scores.filter((s) => s >= start && s <= end).length });
+  }
+  return buckets;
+}
+
+function share(count, total) {
+  return total ? Math.round((count / total) * 100) : 0;
+}
+
+// companies: [{ company, score, band, primary_constraint, provisional,
+// operating_tensions: [{ id, tension, pillar, severity }] }] — failed
+// submissions are left out by the caller.
+export function buildPortfolioRollup(companies = []) {
+  const scored = companies.filter((c) => !c.provisional);
+  const total = scored.length;
+  if (!total) {
+    return { companies_scored: 0, provisional_count: companies.length, score: null, distribution: [], bands: [], primary_constraints: [], operating_tensions: [] };
+  }
+
+  const scores = scored.map((c) => c.score).sort((a, b) => a - b);
+
+  const bands = new Map();
+  for (const c of scored) {
+    const entry = bands.get(c.band) || { band: c.band, count: 0, min_score: c.score };
+    entry.count += 1;
+    entry.min_score = Math.min(entry.min_score, c.score);
+    bands.set(c.band, entry);
+  }
+
+  const constraints = new Map();
+  for (const c of scored) {
+    const entry = constraints.get(c.primary_constraint) || { key: c.primary_constraint, label: prettyPillar(c.primary_constraint), count: 0, companies: [] };
+    entry.count += 1;
+    entry.companies.push(c.company);
+    constraints.set(c.primary_constraint, entry);
+  }
+
+  const tensions = new Map();
+  for (const c of scored) {
+    for (const t of c.operating_tensions || []) {
+      // Contradiction rules name their pillar by label
+      const pillar = PILLARS.find((p) => p.label === t.pillar)?.key || null;
+      const entry = tensions.get(t.id) || { id: t.id, tension: t.tension, pillar, pillar_label: t.pillar, severity: t.severity, count: 0, companies: [] };
+      entry.count += 1;
+      entry.companies.push(c.company);
+      tensions.set(t.id, entry);
+    }
+  }
+
+  const order = (key) => PILLARS.findIndex((p) => p.key === key);
+  return {
+    companies_scored: total,
+    provisional_count: companies.length - total,
+    score: { mean: round1(scores.reduce((a, b) => a + b, 0) / total), median: median(scores), min: scores[0], max: scores[total - 1] },
+    distribution: histogram(scores),
+    bands: [...bands.values()]
+      .sort((a, b) => b.min_score - a.min_score)
+      .map(({ min_score, ...b }) => ({ ...b, share: share(b.count, total) })),
+    primary_constraints: [...constraints.values()]
+      .sort((a, b) => b.count - a.count || order(a.key) - order(b.key))
+      .map((c) => ({ ...c, share: share(c.count, total) })),
+    operating_tensions: [...tensions.values()]
+      .sort((a, b) => b.count - a.count || b.severity - a.severity)
+      .slice(0, MAX_TENSIONS)
+      .map((t) => ({ ...t, share: share(t.count, total) })),
+  };
+}
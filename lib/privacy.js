@@ -0,0 +1,314 @@
+// lib/privacy.js
+// Data-subject requests: "send me my data" and "delete everything you have
+// about me". A subject is a contact email or a company domain. Discovery starts
+// from the report index (lib/reportIndex.js): the submissions listed under the
+// email or domain, and those archived under it. Everything else is reached from
+// those submissions: the exec record, revisions, resume state, idempotency
+// records, groups and company history they name. The audit tier is served from
+// the hidden record.
+//
+// Queued enrichment jobs carry the client and answers until they run, so they
+// are searched too. A job that cannot be decrypted cannot be matched; erasure
+// reports how many there are.
+//
+// Every export and erasure is written to the privacy log. Email subjects are
+// logged as a hash and a masked address, so the log does not keep the data an
+// erasure removed. An erasure is logged before it is verified, and the
+// verification gets its own entry.
+
+import crypto from "crypto";
+import { domainFromWebsite, memberKeyFor } from "./groups.js";
+import { findSubmissionIds, forgetIndexValue, removeSubmissionFromIndex } from "./reportIndex.js";
+import {
+  appendPrivacyLog,
+  deleteReport,
+  deleteResume,
+  getCompanyAssessments,
+  getGroupMembers,
+  getIdempotencyRecord,
+  getIndexEntry,
+  getResume,
+  listEnrichmentJobs,
+  readPrivacyLog,
+  readStoredReport,
+  releaseIdempotencyKey,
+  removeCompanyAssessment,
+  removeEnrichmentJob,
+  removeGroupMember,
+} from "./reportStore.js";
+import { EMAIL_PATTERN } from "./validation.js";
+
+export const DEFAULT_LOG_LIMIT = 50;
+export const MAX_LOG_LIMIT = 500;
+
+// Returns { subject: { type: "email" | "domain", value } } or { error }. The
+// domain also accepts a full URL.
+export function readSubject({ email, domain } = {}) {
+  const address = String(email || "").trim().toLowerCase();
+  const site = String(domain || "").trim();
+  if (address && site) return { error: "Give either email or domain, not both" };
+  if (address) {
+    return EMAIL_PATTERN.test(address)
+      ? { subject: { type: "email", value: address } }
+      : { error: `"${address}" is not an email address` };
+  }
+  if (site) {
+    const value = domainFromWebsite(site);
+    return value ? { subject: { type: "domain", value } } : { error: `"${site}" is not a domain` };
+  }
+  return { error: "Missing email or domain" };
+}
+
+function matchesSubject(subject, { email, website }) {
+  if (subject.type === "email") return String(email || "").trim().toLowerCase() === subject.value;
+  return domainFromWebsite(website) === subject.value;
+}
+
+// Resume tokens in a report's resume links, current version and revisions
+function resumeTokensIn(stored) {
+  const text = JSON.stringify([stored.record, stored.revisions]);
+  return [...text.matchAll(/\/api\/resume\?token=([A-Za-z0-9_-]+)/g)].map((m) => m[1]);
+}
+
+/* ===== Discovery ===== */
+
+// Everything stored about the subject:
+//   { reports: [{ report_id, tier, archived, record, revisions }], resume_states,
+//     idempotency_records, index_entries, group_memberships, company_history,
+//     queued_jobs, unreadable_jobs }
+// Resume states, idempotency records and queued jobs carry what they are stored
+// under so erasure can delete them; the export leaves that out.
+//
+// `seed` adds what an earlier discovery found ({ reportIds, resumeTokens,
+// idempotencyKeys, groupIds, companyIds }), so verifying an erasure looks
+// again where the records were, not only in the index it just cleared.
+export async function findSubjectData(subject, seed = {}) {
+  const ids = new Set([...(await findSubmissionIds(subject.type, subject.value)), ...(seed.reportIds || [])]);
+  const tokens = new Set(seed.resumeTokens);
+  const idempotencyKeys = new Set(seed.idempotencyKeys);
+  const groupIds = new Set(seed.groupIds);
+  const companyIds = new Set(seed.companyIds);
+  if (subject.type === "domain") {
+    groupIds.add(subject.value);
+    companyIds.add(subject.value);
+  }
+
+  // Queued jobs name their reports, which may not be stored yet
+  const queuedJobs = [];
+  let unreadableJobs = 0;
+  const jobs = [];
+  for (const entry of await listEnrichmentJobs()) {
+    if (entry.job) jobs.push(entry);
+    else unreadableJobs += 1;
+  }
+  const jobIds = (entry) => [entry.job.hiddenReportId, entry.job.auditReportId].filter(Boolean);
+  for (const entry of jobs) {
+    const client = entry.job.report?.client || {};
+    if (matchesSubject(subject, { email: client.contact_email, website: client.website })) {
+      for (const id of jobIds(entry)) ids.add(id);
+    }
+  }
+
+  // Reports, following each submission's exec and hidden records
+  const reports = new Map();
+  const indexEntries = [];
+  const pending = [...ids];
+  while (pending.length) {
+    const id = pending.pop();
+    const stored = await readStoredReport(id);
+    // The listing summary, or the one archived with the report after it expired
+    const summary = (await getIndexEntry(id)) || stored?.index;
+    if (summary) indexEntries.push(summary);
+    const reportData = stored?.record?.reportData || {};
+    const listed = summary || {};
+    for (const linked of [reportData.hidden_report_id, listed.exec_report_id]) {
+      if (linked && !ids.has(linked)) {
+        ids.add(linked);
+        pending.push(linked);
+      }
+    }
+    for (const key of listed.idempotency_keys || []) idempotencyKeys.add(key);
+    for (const groupId of [reportData.group_id, listed.group_id]) if (groupId) groupIds.add(groupId);
+    for (const companyId of [reportData.company_id, listed.company_id]) if (companyId) companyIds.add(companyId);
+    if (!stored) continue;
+    reports.set(id, stored);
+    for (const token of resumeTokensIn(stored)) tokens.add(token);
+  }
+
+  for (const entry of jobs) {
+    if (jobIds(entry).some((id) => ids.has(id))) queuedJobs.push(entry);
+  }
+
+  const resumeStates = [];
+  for (const token of tokens) {
+    const state = await getResume(token);
+    if (state) resumeStates.push({ token, state });
+  }
+
+  const idempotencyRecords = [];
+  for (const key of idempotencyKeys) {
+    const record = await getIdempotencyRecord(key);
+    if (record?.response) idempotencyRecords.push({ key, record });
+  }
+
+  // Group members are keyed by a hash of the email; company history snapshots
+  // by hidden report id. Both outlive the reports they came from.
+  const memberKey = subject.type === "email" ? memberKeyFor(subject.value) : null;
+  const groupMemberships = [];
+  for (const groupId of groupIds) {
+    for (const member of await getGroupMembers(groupId)) {
+      const matched = member.key === memberKey
+        || ids.has(member.hidden_report_id)
+        || (subject.type === "domain" && groupId === subject.value);
+      if (matched) groupMemberships.push({ ...member, group_id: groupId });
+    }
+  }
+
+  const companyHistory = [];
+  for (const companyId of companyIds) {
+    for (const snapshot of await getCompanyAssessments(companyId)) {
+      const matched = ids.has(snapshot.hidden_report_id) || (subject.type === "domain" && companyId === subject.value);
+      if (matched) companyHistory.push({ ...snapshot, company_id: companyId });
+    }
+  }
+
+  return {
+    reports: [...reports].map(([reportId, stored]) => ({
+      report_id: reportId,
+      tier: stored.record?.tier || null,
+      archived: stored.archived,
+      record: stored.record,
+      revisions: stored.revisions,
+    })),
+    resume_states: resumeStates,
+    idempotency_records: idempotencyRecords,
+    index_entries: indexEntries,
+    group_memberships: groupMemberships,
+    company_history: companyHistory,
+    queued_jobs: queuedJobs,
+    unreadable_jobs: unreadableJobs,
+  };
+}
+
+// Where a discovery found things, for verifying their erasure
+function seedOf(found) {
+  return {
+    reportIds: found.reports.map((r) => r.report_id),
+    resumeTokens: found.resume_states.map(({ token }) => token),
+    idempotencyKeys: found.idempotency_records.map(({ key }) => key),
+    groupIds: found.group_memberships.map((m) => m.group_id),
+    companyIds: found.company_history.map((s) => s.company_id),
+  };
+}
+
+function countsOf(found) {
+  return {
+    reports: found.reports.length,
+    archived_reports: found.reports.filter((r) => r.archived).length,
+    revisions: found.reports.reduce((sum, r) => sum + r.revisions.length, 0),
+    resume_states: found.resume_states.length,
+    idempotency_records: found.idempotency_records.length,
+    index_entries: found.index_entries.length,
+    group_memberships: found.group_memberships.length,
+    company_history: found.company_history.length,
+    queued_jobs: found.queued_jobs.length,
+  };
+}
+
+function isEmpty(counts) {
+  return Object.values(counts).every((n) => n === 0);
+}
+
+/* ===== Privacy log ===== */
+
+function loggedSubject(subject) {
+  if (subject.type !== "email") return subject;
+  const [local, domain] = subject.value.split("@");
+  return {
+    type: "email",
+    hash: crypto.createHash("sha256").update(subject.value).digest("hex"),
+    masked: `${local.slice(0, 1)}***@${domain}`,
+  };
+}
+
+async function logRequest(action, subject, requestedBy, details) {
+  const entry = {
+    id: crypto.randomUUID(),
+    action,
+    subject: loggedSubject(subject),
+    requested_by: requestedBy,
+    at: new Date().toISOString(),
+    ...details,
+  };
+  await appendPrivacyLog(entry);
+  console.log("[privacy]", action, entry.subject.masked || entry.subject.value, "by", requestedBy, "—", JSON.stringify(details.counts));
+  return entry;
+}
+
+// Newest first
+export async function listPrivacyLog(limit = DEFAULT_LOG_LIMIT) {
+  return readPrivacyLog(limit);
+}
+
+/* ===== Export and erasure ===== */
+
+// The subject's records, without the keys they are stored under. Returns
+// { bundle, log }.
+export async function exportSubject(subject, { requestedBy }) {
+  const found = await findSubjectData(subject);
+  const counts = countsOf(found);
+  const log = await logRequest("export", subject, requestedBy, {
+    counts,
+    report_ids: found.reports.map((r) => r.report_id),
+  });
+  const bundle = {
+    subject,
+    generated_at: log.at,
+    counts,
+    reports: found.reports,
+    resume_states: found.resume_states.map(({ state }) => state),
+    idempotency_records: found.idempotency_records.map(({ record }) => record),
+    index_entries: found.index_entries,
+    group_memberships: found.group_memberships.map(({ key: _key, ...member }) => member),
+    company_history: found.company_history,
+    queued_jobs: found.queued_jobs.map(({ job }) => job),
+  };
+  return { bundle, log };
+}
+
+// Deletes everything findSubjectData finds and logs the erasure, then runs
+// discovery again, over the index and everywhere the records were, to confirm
+// nothing is left, and logs that too. The erasure is logged first so a failed
+// verification cannot leave it unrecorded. Returns { erased, remaining,
+// verified, unreadable_jobs, log }, `log` being the erasure's entry.
+export async function eraseSubject(subject, { requestedBy }) {
+  const found = await findSubjectData(subject);
+
+  // Queued jobs first, so none starts enriching a report being erased
+  for (const { list, raw } of found.queued_jobs) await removeEnrichmentJob(list, raw);
+  for (const { report_id: reportId } of found.reports) await deleteReport(reportId);
+  for (const { token } of found.resume_states) await deleteResume(token);
+  for (const { key } of found.idempotency_records) await releaseIdempotencyKey(key);
+  for (const summary of found.index_entries) await removeSubmissionFromIndex(summary.hidden_report_id, summary);
+  await forgetIndexValue(subject.type, subject.value);
+  for (const member of found.group_memberships) await removeGroupMember(member.group_id, member.key);
+  for (const snapshot of found.company_history) await removeCompanyAssessment(snapshot.company_id, snapshot.hidden_report_id);
+
+  const erased = countsOf(found);
+  const log = await logRequest("erase", subject, requestedBy, {
+    counts: erased,
+    report_ids: found.reports.map((r) => r.report_id),
+  });
+
+  const after = await findSubjectData(subject, seedOf(found));
+  const remaining = countsOf(after);
+  const verified = isEmpty(remaining);
+  await logRequest("erase-verification", subject, requestedBy, {
+    erase_log_id: log.id,
+    counts: remaining,
+    verified,
+    unreadable_jobs: after.unreadable_jobs,
+  });
+  if (!verified) console.error("[privacy] erasure", log.id, "left records behind:", JSON.stringify(remaining));
+  return { erased, remaining, verified, unreadable_jobs: after.unreadable_jobs, log };
+}
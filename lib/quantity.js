@@ -0,0 +1,202 @@
+// lib/quantity.js
+// Range / quantity parser for the numeric questions (revenue, ACV, sales cycle,
+// close rate, gross margin). Accepts the form's bands ("25–40%", "$25-75K",
+// "Under 1 month", "$100M+") and exact values ("32%", "€48,000", "95 days",
+// "$12.5M") and yields a numeric range in the question's unit:
+//
+//   { min, max, unit, exact, currency }
+//
+// min / max are null for open ends ("Under 15%" has no min, "40%+" no max).
+// Units are "percent", "currency" (whole amounts, k / M / B expanded) and
+// "months" (days, weeks and years converted). Currency symbols are recorded but
+// amounts are not converted.
+
+import { getQuestionByInput } from "./questions.js";
+
+const CURRENCY_SYMBOLS = { $: "USD", "€": "EUR", "£": "GBP" };
+const CURRENCY_CODES = ["usd", "eur", "gbp"];
+const MAGNITUDES = { k: 1e3, m: 1e6, mm: 1e6, mn: 1e6, b: 1e9, bn: 1e9 };
+const DAYS_PER_MONTH = 365 / 12;
+
+const TIME_UNITS = [
+  [/^(days?|d)$/, 1 / DAYS_PER_MONTH],
+  [/^(weeks?|wks?|w)$/, 7 / DAYS_PER_MONTH],
+  [/^(months?|mos?|mths?)$/, 1],
+  [/^(years?|yrs?|y)$/, 12],
+];
+
+const UNDER = /^(under|less than|below|up to|<=?)\s*/;
+const OVER = /^(over|more than|above|at least|>=?)\s*/;
+const PLUS = /\s*(\+|\bor more\b|\band above\b)/;
+const HEDGES = /^(about|around|approx(imately)?|roughly|~|between)\s*/;
+
+// number, optional magnitude suffix, optional unit word
+const TOKEN = /([$€£])?\s*(\d+(?:\.\d+)?)\s*([a-z%]+)?/g;
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function timeFactor(word) {
+  return TIME_UNITS.find(([re]) => re.test(word))?.[1] ?? null;
+}
+
+// One number token read in the question's unit. Returns { value, scale } where
+// scale is the suffix multiplier (so "25–75K" can lend the K to the 25), or
+// null when the token's unit belongs to a different kind of quantity.
+function readToken(match, unit) {
+  const [, symbol, digits, suffixRaw] = match;
+  const suffix = suffixRaw || "";
+  const value = Number(digits);
+
+  if (unit === "percent") {
+    if (symbol || (suffix && !["%", "percent", "pct"].includes(suffix))) return null;
+    return { value, scale: null };
+  }
+
+  if (unit === "currency") {
+    if (!suffix) return { value, scale: null };
+    if (MAGNITUDES[suffix]) return { value, scale: MAGNITUDES[suffix] };
+    if (CURRENCY_CODES.includes(suffix)) return { value, scale: null };
+    return null;
+  }
+
+  if (unit === "months") {
+    if (symbol || suffix === "%") return null;
+    if (!suffix) return { value, scale: null };
+    const factor = timeFactor(suffix);
+    return factor === null ? null : { value, scale: factor };
+  }
+
+  return null;
+}
+
+function detectCurrency(text) {
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find((s) => text.includes(s));
+  if (symbol) return CURRENCY_SYMBOLS[symbol];
+  const code = CURRENCY_CODES.find((c) => new RegExp(`\\b${c}\\b`).test(text));
+  return code ? code.toUpperCase() : null;
+}
+
+export function parseQuantity(value, unit) {
+  if (value === null || value === undefined || Array.isArray(value) || !unit) return null;
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? { min: value, max: value, unit, exact: true, currency: null } : null;
+  }
+
+  let text = String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/(\d),(?=\d{3}\b)/g, "$1")
+    .replace(/\s*[–—]\s*/g, "-")
+    .replace(/\s+/g, " ")
+    .replace(HEDGES, "");
+  if (!text) return null;
+
+  let open = null;
+  if (UNDER.test(text)) {
+    open = "under";
+    text = text.replace(UNDER, "");
+  } else if (OVER.test(text)) {
+    open = "over";
+    text = text.replace(OVER, "");
+  }
+  if (PLUS.test(text)) {
+    if (open === "under") return null;
+    open = "over";
+    text = text.replace(PLUS, "");
+  }
+  text = text.replace(/\s+(to|and)\s+/g, "-");
+
+  // Anything left besides numbers, units, currency codes and a range separator
+  // means this is prose, not a quantity.
+  const residue = text.replace(TOKEN, "").replace(/-|\b(usd|eur|gbp)\b/g, "").trim();
+  if (residue) return null;
+
+  const tokens = [...text.matchAll(TOKEN)];
+  if (!tokens.length || tokens.length > 2 || (open && tokens.length > 1)) return null;
+
+  const read = tokens.map((t) => readToken(t, unit));
+  if (read.some((r) => r === null)) return null;
+
+  // "25–75K" and "1–3 months": the last token's suffix applies to the first
+  const lastScale = read[read.length - 1].scale;
+  const values = read.map((r) => round(r.value * (r.scale ?? lastScale ?? 1)));
+
+  let min;
+  let max;
+  if (values.length === 2) {
+    [min, max] = values[0] <= values[1] ? values : [values[1], values[0]];
+  } else {
+    min = open === "under" ? null : values[0];
+    max = open === "over" ? null : values[0];
+  }
+
+  return {
+    min,
+    max,
+    unit,
+    exact: values.length === 1 && !open,
+    currency: unit === "currency" ? detectCurrency(String(value).toLowerCase()) : null,
+  };
+}
+
+// Quantity for a scoring input, read in the unit its registry question declares.
+export function fieldQuantity(field, value) {
+  const unit = getQuestionByInput(field)?.quantity;
+  return unit ? parseQuantity(value, unit) : null;
+}
+
+export function formatQuantity(x, unit) {
+  if (x === null || x === undefined) return "";
+  if (unit === "percent") return `${x}%`;
+  if (unit === "months") return `${x} month${x === 1 ? "" : "s"}`;
+  return x.toLocaleString("en-US");
+}
+
+// range is [lo, hi], either end null for open. Exact values count from the
+// lower bound up to, not including, the upper one (32% and 25% are in [25, 40],
+// 40% is not). Bands must sit entirely inside the range.
+export function inRange(q, range) {
+  if (!q || !Array.isArray(range)) return false;
+  const [lo, hi] = range;
+  if (q.exact) {
+    return (lo === null || q.min >= lo) && (hi === null || q.min < hi);
+  }
+  const qMin = q.min ?? -Infinity;
+  const qMax = q.max ?? Infinity;
+  return qMin >= (lo ?? -Infinity) && qMax <= (hi ?? Infinity);
+}
+
+function sameRange(a, b) {
+  return a && b && a.min === b.min && a.max === b.max;
+}
+
+// The registry option a quantity falls into: the identical band for band
+// answers, the containing band for exact values. null when nothing fits.
+export function quantityBand(question, value) {
+  if (!question?.quantity || !question.options) return null;
+  const q = parseQuantity(value, question.quantity);
+  if (!q) return null;
+
+  const bands = question.options.map((option) => ({ option, range: parseQuantity(option, question.quantity) }));
+  if (!q.exact) return bands.find((b) => sameRange(b.range, q))?.option || null;
+  return bands.find((b) => b.range && inRange(q, [b.range.min, b.range.max]))?.option || null;
+}
+
+// Piecewise-linear curve through [[x, delta], ...] points (x ascending),
+// flat beyond either end, rounded to the curve's step.
+export function curveDelta(curve, x) {
+  const points = curve.points;
+  let y;
+  if (x <= points[0][0]) y = points[0][1];
+  else if (x >= points[points.length - 1][0]) y = points[points.length - 1][1];
+  else {
+    const i = points.findIndex(([px]) => px > x);
+    const [x0, y0] = points[i - 1];
+    const [x1, y1] = points[i];
+    y = y0 + ((x - x0) / (x1 - x0)) * (y1 - y0);
+  }
+  const step = curve.step || 1;
+  return Math.round(y / step) * step;
+}
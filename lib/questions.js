@@ -0,0 +1,364 @@
+// lib/questions.js
+// Canonical question registry. One entry per diagnostic question with a stable id
+// (the normalized answer key), the scoring input it feeds, the label variants we
+// accept from forms and Zapier mappings, the options the form offers and, for
+// lib/classifier.js, synonyms that map free-text answers onto those options
+// ("stem*" matches any word starting with the stem). Numeric questions declare a
+// `quantity` unit so lib/quantity.js can read exact values as well as the bands.
+
+export const QUESTIONS = [
+  {
+    id: "annual_revenue",
+    input: "annual_revenue",
+    label: "Annual Revenue",
+    aliases: [],
+    options: ["Under $5M", "$5–10M", "$10–25M", "$25–50M", "$50–100M", "$100M+"],
+    quantity: "currency",
+    required: true,
+  },
+  {
+    id: "revenue_model",
+    input: "revenue_model",
+    label: "Primary Revenue Model",
+    aliases: ["Revenue Model"],
+    options: ["Subscription (SaaS)", "Usage-based", "Hybrid", "Transactional", "Services", "Other"],
+    synonyms: {
+      "Subscription (SaaS)": ["subscription*", "saas", "recurring", "licen*", "annual contract*", "arr", "mrr"],
+      "Usage-based": ["usage", "consumption", "pay as you go", "metered", "per seat", "per user"],
+      "Hybrid": ["hybrid", "mix", "combination", "plus usage", "platform fee"],
+      "Transactional": ["transaction*", "one-time", "one time", "per order", "marketplace", "commission*", "take rate"],
+      "Services": ["service*", "consulting", "agency", "project*", "retainer*"],
+    },
+  },
+  {
+    id: "acv",
+    input: "acv",
+    label: "Average Contract Value (ACV)",
+    aliases: ["ACV", "Average Contract Value"],
+    options: ["Under $10K", "$10–25K", "$25–75K", "$75–250K", "$250K+"],
+    quantity: "currency",
+    required: true,
+  },
+  {
+    id: "sales_cycle",
+    input: "sales_cycle",
+    label: "Average Sales Cycle Length",
+    aliases: ["Sales Cycle Length", "Average Sales Cycle"],
+    options: ["Under 1 month", "1–3 months", "3–6 months", "6–12 months", "12+ months"],
+    quantity: "months",
+    required: true,
+  },
+  {
+    id: "close_rate",
+    input: "close_rate",
+    label: "Close Rate (%)",
+    aliases: ["Close Rate"],
+    options: ["Under 15%", "15–25%", "25–40%", "40%+"],
+    quantity: "percent",
+    required: true,
+  },
+  {
+    id: "category",
+    input: "category",
+    label: "What category do you compete in?",
+    aliases: [],
+    options: null,
+  },
+  {
+    id: "compared_to",
+    input: "compared_to",
+    label: "What brands, products, or services do prospective customers most often compare you to?",
+    aliases: ["Who do customers compare you to most often?"],
+    options: null,
+  },
+  {
+    id: "win_reason",
+    input: "win_reason",
+    label: "Why do you most often win deals?",
+    aliases: [],
+    options: ["Clear differentiation", "Brand trust", "Feature depth", "Speed / ease of use", "Product breadth", "Strong relationships", "Lowest price", "Other"],
+    synonyms: {
+      "Clear differentiation": ["differentiat*", "unique*", "different", "only one", "only solution", "stand out", "positioning"],
+      "Brand trust": ["trust*", "reputation", "brand", "credib*", "track record", "reference*", "reliab*"],
+      "Feature depth": ["feature*", "functionality", "capabilit*", "depth", "powerful", "advanced", "customi*"],
+      "Speed / ease of use": ["easy", "ease", "simple", "simplicity", "fast*", "speed", "quick*", "intuitive", "usability", "user friendly", "onboarding", "time to value", "implementation"],
+      "Product breadth": ["breadth", "all-in-one", "all in one", "platform", "suite", "end to end", "one stop", "integrat*"],
+      "Strong relationships": ["relationship*", "onboarding team", "customer success", "support", "service", "team", "people", "responsive*", "account manag*"],
+      "Lowest price": ["price*", "pricing", "cheap*", "cost", "affordab*", "budget", "value for money"],
+    },
+    required: true,
+  },
+  {
+    id: "lose_reason",
+    input: "lose_reason",
+    label: "Why do you most often lose deals?",
+    aliases: [],
+    options: ["Price", "Feature gaps", "Procurement friction", "Brand trust", "Unclear ROI", "Lack of differentiation", "Category confusion", "Other"],
+    synonyms: {
+      "Price": ["price*", "pricing", "expensive", "cost*", "budget*", "cheaper", "too much"],
+      "Feature gaps": ["feature*", "missing", "functionality", "capabilit*", "roadmap", "integration*", "doesn't do", "does not do"],
+      "Procurement friction": ["procurement", "legal", "security review*", "contract*", "red tape", "approval*", "compliance", "infosec", "vendor onboarding"],
+      "Brand trust": ["trust*", "unknown", "brand", "reputation", "risk*", "small company", "startup", "credib*"],
+      "Unclear ROI": ["roi", "return", "business case", "justify", "payback", "status quo", "no decision"],
+      "Lack of differentiation": ["differentiat*", "commodit*", "same as", "look the same", "similar", "me too"],
+      "Category confusion": ["category", "confus*", "don't understand what", "do not understand what", "not sure what", "educat*"],
+    },
+    required: true,
+  },
+  {
+    id: "positioning_consistency",
+    input: "consistency",
+    label: "Do current and prospective customers describe your offering consistently?",
+    aliases: ["Do customers describe your company consistently?"],
+    options: ["Yes — very consistent", "Somewhat", "Often unclear"],
+    synonyms: {
+      "Yes — very consistent": ["yes", "consistent*", "always", "clear*", "aligned"],
+      "Somewhat": ["somewhat", "mostly", "partially", "sometimes", "depends", "mixed", "kind of"],
+      "Often unclear": ["no", "unclear", "inconsistent*", "all over the place", "confus*", "varies", "not really"],
+    },
+    required: true,
+  },
+  {
+    id: "roi_repeatable",
+    input: "roi_quantifiable",
+    label: "Can you quantify ROI for most customers?",
+    aliases: [],
+    options: ["Yes — documented & repeatable", "Somewhat", "No"],
+    synonyms: {
+      "Yes — documented & repeatable": ["yes", "documented", "repeatable", "always", "case stud*", "proven"],
+      "Somewhat": ["somewhat", "partially", "sometimes", "some customers", "kind of", "mostly", "anecdotal*"],
+      "No": ["no", "not really", "never", "can't", "cannot", "don't", "hard to"],
+    },
+    required: true,
+  },
+  {
+    id: "sales_lead",
+    input: "sales_lead_with",
+    label: "Sales conversations primarily lead with:",
+    aliases: [],
+    options: ["Financial ROI", "Business outcomes", "Technical differentiation", "Features"],
+    synonyms: {
+      "Financial ROI": ["roi", "financial*", "savings", "payback", "business case", "cost saving*", "dollar*"],
+      "Business outcomes": ["outcome*", "result*", "goal*", "impact", "pain*", "problem*", "business value"],
+      "Technical differentiation": ["technical", "architecture", "technolog*", "tech", "engineering", "security", "performance"],
+      "Features": ["feature*", "demo*", "product tour*", "functionality", "capabilit*"],
+    },
+    required: true,
+  },
+  {
+    id: "financial_metrics_improved",
+    input: "financial_metrics_improved",
+    label: "What financial metrics do customers see improve due to your product?",
+    aliases: [],
+    options: ["Revenue growth", "Margin expansion", "Cost reduction", "Risk reduction", "Productivity gains", "Not clearly defined"],
+    synonyms: {
+      "Revenue growth": ["revenue", "growth", "sales", "upsell*", "conversion*", "bookings"],
+      "Margin expansion": ["margin*", "profit*"],
+      "Cost reduction": ["cost*", "saving*", "spend"],
+      "Risk reduction": ["risk*", "compliance", "security", "fraud", "audit*"],
+      "Productivity gains": ["productiv*", "time sav*", "efficien*", "automat*", "hours"],
+      "Not clearly defined": ["not sure", "unclear", "unknown", "don't know", "not defined", "varies"],
+    },
+    multi: true,
+  },
+  {
+    id: "discounting",
+    input: "discount_frequency",
+    label: "How often are discounts required to close deals?",
+    aliases: [],
+    options: ["Rarely (<10%)", "Sometimes (10–40%)", "Frequently (40%+)"],
+    synonyms: {
+      "Rarely (<10%)": ["rarely", "never", "almost never", "seldom", "hardly"],
+      "Sometimes (10–40%)": ["sometimes", "occasional*", "some deals", "end of quarter"],
+      "Frequently (40%+)": ["frequent*", "often", "always", "most deals", "every deal", "usually"],
+    },
+    required: true,
+  },
+  {
+    id: "pricing_clarity",
+    input: "pricing_tiers_clarity",
+    label: "Do customers clearly understand your pricing tiers?",
+    aliases: [],
+    options: ["Yes — very clear", "Somewhat", "Often confused"],
+    synonyms: {
+      "Yes — very clear": ["yes", "clear", "simple", "straightforward", "transparent"],
+      "Somewhat": ["somewhat", "mostly", "partially", "sometimes", "kind of"],
+      "Often confused": ["no", "confus*", "complicated", "complex", "unclear", "questions about"],
+    },
+    required: true,
+  },
+  {
+    id: "gross_margin",
+    input: "gross_margin",
+    label: "What is your gross margin (%)?",
+    aliases: ["Gross Margin (%)", "Gross Margin"],
+    options: ["Under 50%", "50–65%", "65–75%", "75%+"],
+    quantity: "percent",
+    required: true,
+  },
+  {
+    id: "acquisition_channels",
+    input: "acquisition_channels",
+    label: "What are your primary acquisition channels (select up to 3)",
+    aliases: ["What are your primary acquisition channels?"],
+    options: ["Partnerships", "Content", "Product-led", "Outbound SDR", "Founder-led selling", "Events", "Paid search", "Paid social"],
+    synonyms: {
+      "Partnerships": ["partner*", "reseller*", "alliance*", "channel partner*", "integrations marketplace"],
+      "Content": ["content", "seo", "blog*", "organic", "webinar*", "newsletter*", "podcast*"],
+      "Product-led": ["product-led", "product led", "plg", "free trial*", "freemium", "self-serve", "self serve"],
+      "Outbound SDR": ["outbound", "sdr*", "bdr*", "cold", "prospecting"],
+      "Founder-led selling": ["founder*", "ceo", "network*"],
+      "Events": ["event*", "conference*", "trade show*", "tradeshow*", "meetup*"],
+      "Paid search": ["paid search", "google ads", "adwords", "sem", "ppc"],
+      "Paid social": ["paid social", "linkedin ads", "facebook ads", "meta ads", "social ads"],
+    },
+    multi: true,
+    required: true,
+  },
+  {
+    id: "cac_by_channel",
+    input: "cac_by_channel",
+    label: "Do you know your Customer Acquisition Cost (CAC) by channel?",
+    aliases: ["Do you know CAC by channel?"],
+    options: ["Yes", "Rough estimates", "No"],
+    synonyms: {
+      "Yes": ["yes", "tracked", "by channel", "exact*"],
+      "Rough estimates": ["rough*", "estimat*", "ballpark", "some channels", "partially", "somewhat"],
+      "No": ["no", "not tracked", "don't know", "unknown", "not really"],
+    },
+    required: true,
+  },
+  {
+    id: "growth_status",
+    input: "growth_status",
+    label: "How would you rate your growth status?",
+    aliases: [],
+    options: ["Scaling rapidly", "Accelerating", "Steady growth", "Holding steady", "Plateauing", "Below expectations", "Stalled", "It's complicated"],
+    synonyms: {
+      "Scaling rapidly": ["rapid*", "hypergrowth", "doubling", "tripling", "explosive"],
+      "Accelerating": ["accelerat*", "picking up", "speeding up"],
+      "Steady growth": ["steady growth", "steadily", "consistent growth", "healthy", "growing"],
+      "Holding steady": ["flat", "holding", "stable", "unchanged"],
+      "Plateauing": ["plateau*", "slowing", "leveling", "levelling"],
+      "Below expectations": ["below", "behind plan", "missed", "under plan", "short of"],
+      "Stalled": ["stall*", "stuck", "declin*", "shrink*"],
+      "It's complicated": ["complicated", "mixed", "depends", "uneven"],
+    },
+  },
+  {
+    id: "marketing_measured_by",
+    input: "marketing_measured_by",
+    label: "Marketing is measured primarily by:",
+    aliases: [],
+    options: ["Revenue", "Pipeline", "Brand metrics", "Leads"],
+    synonyms: {
+      "Revenue": ["revenue", "bookings", "closed won", "closed-won", "arr"],
+      "Pipeline": ["pipeline", "opportunit*", "sql*", "sourced"],
+      "Brand metrics": ["brand", "awareness", "share of voice", "traffic", "engagement", "impressions"],
+      "Leads": ["lead*", "mql*", "form fill*", "signup*", "sign-up*", "contacts"],
+    },
+    required: true,
+  },
+  {
+    id: "attribution_trusted",
+    input: "attribution_trusted",
+    label: "Do you have confidence in what your marketing is delivering (revenue, pipeline attribution)?",
+    aliases: ["Is attribution trusted internally?"],
+    options: ["Yes", "Debated", "No"],
+    synonyms: {
+      "Yes": ["yes", "trusted", "confident", "reliable"],
+      "Debated": ["debat*", "disput*", "argue*", "depends", "somewhat", "mixed", "partially"],
+      "No": ["no", "not trusted", "don't trust", "unreliable", "not really"],
+    },
+    required: true,
+  },
+  {
+    id: "forecast_accuracy",
+    input: "forecast_accuracy",
+    label: "Are revenue forecasts accurate within 10%",
+    aliases: ["Are revenue forecasts accurate within 10%?"],
+    options: ["Yes", "No"],
+    synonyms: {
+      "Yes": ["yes", "accurate", "usually", "mostly", "within"],
+      "No": ["no", "inaccurate", "miss*", "off", "rarely", "not really"],
+    },
+    required: true,
+  },
+  {
+    id: "win_lose_other",
+    input: null,
+    label: "Win lose other",
+    aliases: [],
+    options: null,
+  },
+  {
+    // Not scored — labels the respondent in multi-respondent company diagnostics
+    id: "respondent_role",
+    input: null,
+    label: "What is your role?",
+    aliases: ["Role", "Your role", "Job title", "Title", "Respondent role"],
+    options: ["CEO / Founder", "CMO / Marketing", "CRO / Sales", "CFO / Finance", "COO / Operations", "Other"],
+    synonyms: {
+      "CEO / Founder": ["ceo", "founder", "co-founder", "cofounder", "chief executive", "president", "owner", "managing director", "general manager"],
+      "CMO / Marketing": ["cmo", "marketing", "brand", "demand gen*", "growth", "communications"],
+      "CRO / Sales": ["cro", "sales", "revenue", "business development", "commercial", "account executive*"],
+      "CFO / Finance": ["cfo", "finance", "financ*", "controller", "accounting"],
+      "COO / Operations": ["coo", "operations", "ops", "revops", "chief operating"],
+    },
+  },
+];
+
+/* =========================================================
+   Lookup
+========================================================= */
+
+// Folds the variations we see between form tools: case, trailing punctuation,
+// en/em dashes vs hyphens, curly quotes and stray whitespace.
+export function normalizeText(str) {
+  return String(str ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/\s*[–—-]\s*/g, "-")
+    .replace(/\s+/g, " ")
+    .replace(/[?!.:]+$/, "")
+    .trim();
+}
+
+const byKey = new Map();
+for (const q of QUESTIONS) {
+  for (const key of [q.id, q.input, q.label, ...q.aliases]) {
+    if (key) byKey.set(normalizeText(key), q);
+  }
+}
+
+export function getQuestion(id) {
+  return QUESTIONS.find((q) => q.id === id) || null;
+}
+
+export function getQuestionByInput(input) {
+  return QUESTIONS.find((q) => q.input === input) || null;
+}
+
+// Resolves a question id, scoring input key, label or alias to its registry entry.
+export function findQuestion(key) {
+  return byKey.get(normalizeText(key)) || null;
+}
+
+function stripParenthetical(str) {
+  return str.replace(/\s*\(.*\)\s*$/, "").trim();
+}
+
+// Returns the canonical option for a single value, or null when it is not one
+// of the question's options. "Sometimes" matches "Sometimes (10–40%)".
+export function matchOption(question, value) {
+  if (!question?.options) return null;
+  const v = normalizeText(value);
+  if (!v) return null;
+  return (
+    question.options.find((o) => normalizeText(o) === v) ||
+    question.options.find((o) => normalizeText(stripParenthetical(o)) === v) ||
+    null
+  );
+}
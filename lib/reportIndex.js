@@ -0,0 +1,260 @@
+// lib/reportIndex.js
+// Secondary indexes over stored submissions, so consultants can find a report
+// without its link. Each submission (keyed by its hidden report id) gets a
+// summary record and an entry in one sorted set per index value, scored by
+// submission time:
+//
+//   idx:all, idx:company:<name>, idx:email:<address>, idx:domain:<domain>,
+//   idx:tier:<tier>, idx:band:<band>, idx:constraint:<pillar key>
+//
+// Summaries live as long as the reports. A set entry whose summary has expired
+// is dropped the next time a listing reads it. Archived submissions are also
+// kept in idx-archived:email:* and idx-archived:domain:* sets, which do not
+// expire, so data-subject requests (lib/privacy.js) find them after that.
+//
+// A summary also lists the idempotency records holding the submission's
+// response (`idempotency_keys`), for the same reason.
+//
+// Key names cannot be encrypted, so with REPORT_INDEX_KEY set the company, email
+// and domain values appear in them only as an HMAC (idx:email:<hmac>).
+
+import { indexHashKey, keyedHash } from "./encryption.js";
+import { domainFromWebsite } from "./groups.js";
+import {
+  addToArchivedIndex,
+  addToIndex,
+  deleteArchivedIndex,
+  deleteIndex,
+  deleteIndexEntry,
+  getIndexEntry,
+  listArchivedIndexEntries,
+  listArchivedIndexKeys,
+  listIndexedIds,
+  listIndexKeys,
+  readArchivedIndex,
+  readIndex,
+  removeFromArchivedIndex,
+  removeFromIndex,
+  saveIndexEntry,
+} from "./reportStore.js";
+
+export const INDEX_FILTERS = ["company", "email", "domain", "tier", "band", "constraint"];
+// Filters whose values identify a person or company
+const HASHED_FILTERS = ["company", "email", "domain"];
+// Filters a data-subject request looks up
+const SUBJECT_FILTERS = ["email", "domain"];
+
+export const DEFAULT_PAGE_SIZE = 25;
+export const MAX_PAGE_SIZE = 100;
+
+// Case- and whitespace-insensitive, so "Acme  Inc" and "acme inc" match
+function indexValue(text) {
+  return String(text ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+// Index value for each filter; the domain filter also accepts a full URL
+export function filterValue(filter, raw) {
+  if (filter === "domain") return domainFromWebsite(raw);
+  return indexValue(raw) || null;
+}
+
+// Set key (without "idx:") for one filter value, from filterValue
+export function indexKey(filter, value, hashKey = indexHashKey()) {
+  return hashKey && HASHED_FILTERS.includes(filter) ? `${filter}:${keyedHash(hashKey, value)}` : `${filter}:${value}`;
+}
+
+function indexKeys(summary, hashKey = indexHashKey()) {
+  const keys = ["all"];
+  const values = {
+    company: summary.company,
+    email: summary.contact_email,
+    domain: summary.website,
+    tier: summary.tier,
+    band: summary.band,
+    constraint: summary.primary_constraint,
+  };
+  for (const filter of INDEX_FILTERS) {
+    const value = filterValue(filter, values[filter]);
+    if (value) keys.push(indexKey(filter, value, hashKey));
+  }
+  return keys;
+}
+
+// The listing row for one submission, from the report runDiagnostic built
+export function summarizeSubmission(report, { hiddenReportId, execReportId = null }) {
+  const scoring = report.scoring || {};
+  return {
+    hidden_report_id: hiddenReportId,
+    exec_report_id: execReportId,
+    company: report.client?.company_name || null,
+    contact_name: report.client?.contact_name || null,
+    contact_email: report.client?.contact_email || null,
+    website: report.client?.website || null,
+    domain: domainFromWebsite(report.client?.website),
+    tier: report.tier,
+    score: scoring.overall_score ?? null,
+    band: scoring.band || null,
+    primary_constraint: scoring.primary_constraint?.key || null,
+    primary_constraint_label: scoring.primary_constraint?.label || null,
+    provisional: !!scoring.provisional,
+    group_id: report.inputs?.group_id || null,
+    company_id: report.inputs?.company_id || null,
+    respondent_role: report.inputs?.respondent_role || null,
+    rulebook_version: scoring.os_scoring_version || null,
+    created_at: report.generated_at,
+  };
+}
+
+// Adds or replaces a submission's index entries. A resumed diagnostic keeps its
+// hidden report id, so the old entries are moved rather than duplicated.
+export async function indexSubmission(summary) {
+  const id = summary.hidden_report_id;
+  const keys = indexKeys(summary);
+  const previous = await getIndexEntry(id);
+  if (previous) {
+    for (const key of indexKeys(previous)) {
+      if (!keys.includes(key)) await removeFromIndex(key, id);
+    }
+  }
+  const createdAt = previous?.created_at || summary.created_at;
+  const score = Date.parse(createdAt) || Date.now();
+  await saveIndexEntry(id, {
+    ...summary,
+    created_at: createdAt,
+    updated_at: summary.created_at,
+    idempotency_keys: previous?.idempotency_keys || [],
+  });
+  for (const key of keys) await addToIndex(key, id, score);
+}
+
+// Records the idempotency record (lib/idempotency.js claim key) that holds a
+// submission's response
+export async function linkIdempotencyRecord(hiddenReportId, claimKey) {
+  const summary = await getIndexEntry(hiddenReportId);
+  if (!summary || summary.idempotency_keys?.includes(claimKey)) return;
+  await saveIndexEntry(hiddenReportId, { ...summary, idempotency_keys: [...(summary.idempotency_keys || []), claimKey] });
+}
+
+function subjectKeys(summary, hashKey = indexHashKey()) {
+  return indexKeys(summary, hashKey).filter((key) => SUBJECT_FILTERS.some((filter) => key.startsWith(`${filter}:`)));
+}
+
+// Keeps an archived submission findable by email and domain; GET /api/archive
+// calls it for every report it archives. False when there is no summary (exec
+// reports, or submissions made before the index).
+export async function indexArchivedSubmission(id) {
+  const summary = await getIndexEntry(id);
+  if (!summary) return false;
+  const score = Date.parse(summary.created_at) || Date.now();
+  for (const key of subjectKeys(summary)) await addToArchivedIndex(key, id, score);
+  return true;
+}
+
+// Hidden report ids submitted under an email or domain, listed or archived,
+// newest first
+export async function findSubmissionIds(filter, raw) {
+  const value = filterValue(filter, raw);
+  if (!value) return [];
+  const key = indexKey(filter, value);
+  return [...new Set([...(await readIndex(key)), ...(await readArchivedIndex(key))])];
+}
+
+// Drops a submission from every index it is in, archived sets included, and
+// its summary. Pass the summary archived with the report when the listed one
+// has expired.
+export async function removeSubmissionFromIndex(id, archivedSummary = null) {
+  const summary = (await getIndexEntry(id)) || archivedSummary;
+  if (summary) {
+    for (const key of indexKeys(summary)) await removeFromIndex(key, id);
+    for (const key of subjectKeys(summary)) await removeFromArchivedIndex(key, id);
+  }
+  await deleteIndexEntry(id);
+}
+
+// Empties the email or domain sets for one value, listed and archived
+export async function forgetIndexValue(filter, raw) {
+  const value = filterValue(filter, raw);
+  if (!value) return;
+  await deleteIndex(indexKey(filter, value));
+  await deleteArchivedIndex(indexKey(filter, value));
+}
+
+// Rebuilds the company, email and domain sets from the summaries, keyed for
+// the current REPORT_INDEX_KEY, or in plaintext with `plaintext` (before
+// encryption is turned off), and the archived sets from the summaries in the
+// archive. Needed when the key is first set or changed; run by
+// `npm run encryption:rotate`. Returns the number of submissions indexed.
+export async function rebuildIndexKeys({ plaintext = false } = {}) {
+  const hashKey = plaintext ? null : indexHashKey();
+  for (const filter of HASHED_FILTERS) {
+    for (const key of await listIndexKeys(`${filter}:`)) await deleteIndex(key);
+  }
+  for (const key of await listArchivedIndexKeys()) await deleteArchivedIndex(key);
+  let count = 0;
+  for (const id of await listIndexedIds()) {
+    const summary = await getIndexEntry(id);
+    if (!summary) continue;
+    const score = Date.parse(summary.created_at) || Date.now();
+    for (const key of indexKeys(summary, hashKey)) {
+      if (HASHED_FILTERS.some((filter) => key.startsWith(`${filter}:`))) await addToIndex(key, id, score);
+    }
+    count += 1;
+  }
+  for (const summary of await listArchivedIndexEntries()) {
+    const score = Date.parse(summary.created_at) || Date.now();
+    for (const key of subjectKeys(summary, hashKey)) await addToArchivedIndex(key, summary.hidden_report_id, score);
+  }
+  return count;
+}
+
+function matchesQuery(summary, q) {
+  return [summary.company, summary.contact_name, summary.contact_email, summary.domain]
+    .some((field) => indexValue(field).includes(q));
+}
+
+// Filters are exact index values (see filterValue); `q` is a substring search
+// over company, contact and domain. `from` / `to` are Dates. Newest first.
+export async function listSubmissions({ filters = {}, from = null, to = null, q = "", page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const range = { from: from ? from.getTime() : -Infinity, to: to ? to.getTime() : Infinity };
+  const keys = INDEX_FILTERS.filter((f) => filters[f]).map((f) => indexKey(f, filters[f]));
+  if (!keys.length) keys.push("all");
+
+  // Newest-first ids of the first index, kept when every other index has them
+  const lists = [];
+  for (const key of keys) lists.push(await readIndex(key, range));
+  const others = lists.slice(1).map((ids) => new Set(ids));
+  let ids = lists[0].filter((id) => others.every((set) => set.has(id)));
+
+  const load = async (id) => {
+    const summary = await getIndexEntry(id);
+    if (!summary) {
+      for (const key of keys) await removeFromIndex(key, id);
+      if (!keys.includes("all")) await removeFromIndex("all", id);
+    }
+    return summary;
+  };
+
+  const query = indexValue(q);
+  const start = (page - 1) * limit;
+  let rows;
+  let total;
+  if (query) {
+    const matched = [];
+    for (const id of ids) {
+      const summary = await load(id);
+      if (summary && matchesQuery(summary, query)) matched.push(summary);
+    }
+    total = matched.length;
+    rows = matched.slice(start, start + limit);
+  } else {
+    rows = [];
+    for (const id of ids.slice(start, start + limit)) {
+      const summary = await load(id);
+      if (summary) rows.push(summary);
+      else ids = ids.filter((other) => other !== id);
+    }
+    total = ids.length;
+  }
+
+  return { total, page, limit, pages: Math.ceil(total / limit), reports: rows };
+}
@@ -1,39 +1,676 @@
+// lib/reportStore.js
+// Report, resume, group, company history, index, queue and idempotency records,
+// and the report archive. Storage goes through lib/storage, so the same keys and
+// TTLs work on every configured backend; archived reports go to lib/coldStore.
+// Client PII and raw answers are sealed by lib/encryption.js on the way in and
+// opened on the way out, so callers always see plaintext.
+
 import crypto from "crypto";
-import { createClient } from "redis";
+import { getColdStore } from "./coldStore/index.js";
+import { encryptionKeys, indexHashKey, keyedHash, openFields, plaintextFields, sealFields, sealedKeyId } from "./encryption.js";
+import { companyHistorySeconds, reportRetentionSeconds } from "./retention.js";
+import { getStore } from "./storage/index.js";
 
-let clientPromise = null;
+// Fields encrypted when REPORT_ENCRYPTION_KEYS is set, per record kind
+const REPORT_SEALED_FIELDS = [
+  "reportData.contact_name",
+  "reportData.contact_email",
+  "reportData.website",
+  "reportData.normalized_answers",
+  "reportData.answer_mappings",
+  // Answers as given, answer bands and intake free text
+  "reportData.score_trace",
+  "reportData.diagnostic_snapshot",
+  "reportData.stage",
+  "reportData.competitive_context",
+];
+const RESUME_SEALED_FIELDS = ["client", "raw_answers"];
+const IDEMPOTENCY_SEALED_FIELDS = ["response"];
+const INDEX_SEALED_FIELDS = ["contact_name", "contact_email", "website"];
+const GROUP_SEALED_FIELDS = ["name", "group_id"];
+const HISTORY_SEALED_FIELDS = ["company_id", "respondent_role", "tensions"];
+const ENRICH_JOB_SEALED_FIELDS = [
+  "report.client",
+  "report.inputs.normalized_answers",
+  "report.scoring.trace",
+  "report.scoring.stage",
+  "report.full_tier.competitive_context",
+];
 
-async function getRedisClient() {
-  if (!clientPromise) {
-    const url = process.env.REDIS_URL;
-    if (!url) {
-      throw new Error("Missing REDIS_URL");
-    }
+export function makeReportId() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+// Report records expire after their tier's retention (lib/retention.js). Each
+// one is also tracked in `report-expiry`, scored by its expiry time, so
+// GET /api/archive can copy it to the cold store first.
+async function trackExpiry(store, reportId, seconds) {
+  await store.zAdd("report-expiry", Date.now() + seconds * 1000, reportId);
+}
+
+// Every save is also kept as a numbered revision in `revisions:<id>` (field
+// "count" plus one field per revision number), with its author:
+//   { type: "scoring" } | { type: "enrichment", model }
+//   | { type: "consultant", name } | { type: "rollback", name, from_revision }
+// Revisions expire with the report. Returns the new revision number.
+//
+// `keepTtl` re-saves without restarting the retention clock (enrichment).
+export async function saveReport(reportId, reportData, { keepTtl = false, author = { type: "scoring" } } = {}) {
+  const store = await getStore();
+  const remaining = keepTtl ? await store.ttl(`report:${reportId}`) : -2;
+  const seconds = remaining > 0 ? remaining : reportRetentionSeconds(reportData.tier);
+  const sealed = sealFields(reportData, REPORT_SEALED_FIELDS);
+  await store.set(`report:${reportId}`, JSON.stringify(sealed), { ex: seconds });
+  await trackExpiry(store, reportId, seconds);
+
+  const revision = await store.hIncrBy(`revisions:${reportId}`, "count", 1);
+  await store.hSet(`revisions:${reportId}`, String(revision), JSON.stringify({
+    revision,
+    author,
+    created_at: new Date().toISOString(),
+    record: sealed,
+  }));
+  await store.expire(`revisions:${reportId}`, seconds);
+  return revision;
+}
 
-    const client = createClient({ url });
-    client.on("error", (err) => {
-      console.error("[redis] Client error:", err);
-    });
+// Falls back to the cold store after expiry and restores what it finds there,
+// with its revisions, its report index entry and a fresh retention period.
+export async function getReport(reportId) {
+  const store = await getStore();
+  const raw = await store.get(`report:${reportId}`);
+  if (raw) return openFields(JSON.parse(raw));
 
-    clientPromise = client.connect().then(() => client);
+  const archived = await getArchivedReport(reportId);
+  if (!archived) return null;
+  const seconds = reportRetentionSeconds(archived.record.tier);
+  await store.set(`report:${reportId}`, JSON.stringify(archived.record), { ex: seconds });
+  await trackExpiry(store, reportId, seconds);
+  const revisions = archived.revisions || {};
+  for (const [field, value] of Object.entries(revisions)) await store.hSet(`revisions:${reportId}`, field, value);
+  if (Object.keys(revisions).length) await store.expire(`revisions:${reportId}`, seconds);
+  if (archived.index) {
+    // lib/reportIndex.js imports this module, so it is loaded on first restore
+    const { indexSubmission } = await import("./reportIndex.js");
+    await indexSubmission(openFields(archived.index));
   }
+  console.log("[archive] restored report", reportId, "archived_at:", archived.archived_at);
+  return openFields(archived.record);
+}
 
-  return clientPromise;
+// Oldest first, without the "count" field
+function parseRevisions(raw) {
+  return Object.entries(raw)
+    .filter(([field]) => field !== "count")
+    .map(([, value]) => {
+      const revision = JSON.parse(value);
+      return { ...revision, record: openFields(revision.record) };
+    })
+    .sort((a, b) => a.revision - b.revision);
 }
 
-export function makeReportId() {
-  return crypto.randomBytes(16).toString("hex");
+export async function getReportRevisions(reportId) {
+  const store = await getStore();
+  return parseRevisions(await store.hGetAll(`revisions:${reportId}`));
 }
 
-export async function saveReport(reportId, reportData) {
-  const client = await getRedisClient();
-  await client.set(`report:${reportId}`, JSON.stringify(reportData), {
-    EX: 60 * 60 * 24 * 30,
-  });
+// Restarts a report's retention period; false when it has already expired.
+export async function extendReport(reportId, tier) {
+  const store = await getStore();
+  const seconds = reportRetentionSeconds(tier);
+  if (!(await store.expire(`report:${reportId}`, seconds))) return false;
+  await store.expire(`revisions:${reportId}`, seconds);
+  await trackExpiry(store, reportId, seconds);
+  return true;
 }
 
-export async function getReport(reportId) {
-  const client = await getRedisClient();
-  const raw = await client.get(`report:${reportId}`);
+// Ids of reports expiring before `beforeMs`, soonest first
+export async function reportsExpiringBefore(beforeMs, limit) {
+  const store = await getStore();
+  return store.zRangeByScore("report-expiry", -Infinity, beforeMs, { count: limit });
+}
+
+export async function untrackExpiry(reportId) {
+  const store = await getStore();
+  await store.zRem("report-expiry", reportId);
+}
+
+/* ===== Cold store ===== */
+
+// Report ids come from links, so anything else never reaches the cold store
+const ARCHIVE_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+function archiveKey(reportId) {
+  return `reports/${reportId}.json`;
+}
+
+// Copies the current hot record to the cold store, still sealed, with its
+// revisions and (for hidden reports) its index summary. Returns false when the
+// record is already gone or archiving is not configured.
+export async function archiveReport(reportId) {
+  const cold = await getColdStore();
+  if (!cold || !ARCHIVE_ID_PATTERN.test(reportId)) return false;
+  const store = await getStore();
+  const raw = await store.get(`report:${reportId}`);
+  if (!raw) return false;
+  const ttl = await store.ttl(`report:${reportId}`);
+  const index = await store.get(`idx:sub:${reportId}`);
+  await cold.put(archiveKey(reportId), JSON.stringify({
+    id: reportId,
+    archived_at: new Date().toISOString(),
+    expires_at: ttl > 0 ? new Date(Date.now() + ttl * 1000).toISOString() : null,
+    record: JSON.parse(raw),
+    revisions: await store.hGetAll(`revisions:${reportId}`),
+    index: index ? JSON.parse(index) : null,
+  }));
+  return true;
+}
+
+export async function getArchivedReport(reportId) {
+  if (!ARCHIVE_ID_PATTERN.test(String(reportId))) return null;
+  const cold = await getColdStore();
+  if (!cold) return null;
+  const raw = await cold.get(archiveKey(reportId));
   return raw ? JSON.parse(raw) : null;
-}
\ No newline at end of file
+}
+
+// Data-subject requests (lib/privacy.js) read a report wherever it is without
+// restoring it: { record, revisions, archived, index }, or null. `index` is the
+// report index summary archived with a hidden report.
+export async function readStoredReport(reportId) {
+  const store = await getStore();
+  const raw = await store.get(`report:${reportId}`);
+  if (raw) return { record: openFields(JSON.parse(raw)), revisions: await getReportRevisions(reportId), archived: false, index: null };
+  const archived = await getArchivedReport(reportId);
+  if (!archived) return null;
+  return {
+    record: openFields(archived.record),
+    revisions: parseRevisions(archived.revisions || {}),
+    archived: true,
+    index: archived.index ? openFields(archived.index) : null,
+  };
+}
+
+// Index summaries archived with hidden reports, for rebuilding the archived
+// index sets (lib/reportIndex.js)
+export async function listArchivedIndexEntries() {
+  const cold = await getColdStore();
+  const entries = [];
+  for (const key of cold ? await cold.list("reports/") : []) {
+    const archived = JSON.parse(await cold.get(key));
+    if (archived.index) entries.push(openFields(archived.index));
+  }
+  return entries;
+}
+
+// Removes a report everywhere: hot record, revisions, expiry tracking, archive
+export async function deleteReport(reportId) {
+  const store = await getStore();
+  await store.del(`report:${reportId}`);
+  await store.del(`revisions:${reportId}`);
+  await store.zRem("report-expiry", reportId);
+  const cold = await getColdStore();
+  if (cold && ARCHIVE_ID_PATTERN.test(reportId)) await cold.del(archiveKey(reportId));
+}
+
+// Hash counters used for aggregate stats (no report content).
+export async function incrementCounters(key, fields) {
+  const store = await getStore();
+  for (const [field, by] of Object.entries(fields)) await store.hIncrBy(key, field, by);
+}
+
+export async function getCounters(key) {
+  const store = await getStore();
+  const raw = await store.hGetAll(key);
+  const out = {};
+  for (const [field, value] of Object.entries(raw)) out[field] = Number(value) || 0;
+  return out;
+}
+
+// Resume tokens for the "complete your diagnostic" flow. The token is the only
+// credential, so it is long and random; state lives as long as the reports.
+export function makeResumeToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+export async function saveResume(token, state) {
+  const store = await getStore();
+  await store.set(`resume:${token}`, JSON.stringify(sealFields(state, RESUME_SEALED_FIELDS)), {
+    ex: 60 * 60 * 24 * 30,
+  });
+}
+
+export async function getResume(token) {
+  const store = await getStore();
+  const raw = await store.get(`resume:${token}`);
+  return raw ? openFields(JSON.parse(raw)) : null;
+}
+
+// Short lock so a double-submitted resume form is scored once.
+export async function claimResume(token, seconds = 300) {
+  const store = await getStore();
+  return store.set(`resume-lock:${token}`, "1", { nx: true, ex: seconds });
+}
+
+export async function releaseResume(token) {
+  const store = await getStore();
+  await store.del(`resume-lock:${token}`);
+}
+
+export async function deleteResume(token) {
+  const store = await getStore();
+  await store.del(`resume:${token}`);
+  await store.del(`resume-lock:${token}`);
+}
+
+// Group ids and company ids are usually a company's domain, so with
+// REPORT_INDEX_KEY set their hashes are named by a keyed hash of the id, like
+// the report index sets (lib/reportIndex.js). Each entry also carries the id,
+// sealed, so the hashes can be listed and renamed when the key changes.
+function hashedKey(prefix, id, hashKey = indexHashKey()) {
+  return `${prefix}:${hashKey ? keyedHash(hashKey, id) : id}`;
+}
+
+// Every hash under `prefix` as { key, id, entries: [[field, record]] }. A hash
+// whose entries carry no id was written with a plaintext name, which is the id.
+async function listHashedRecords(store, prefix, idField) {
+  const out = [];
+  for (const key of await store.scanKeys(`${prefix}:`)) {
+    const entries = Object.entries(await store.hGetAll(key)).map(([field, value]) => [field, openFields(JSON.parse(value))]);
+    if (!entries.length) continue;
+    const id = entries.find(([, record]) => record[idField])?.[1][idField] || key.slice(prefix.length + 1);
+    out.push({ key, id, entries });
+  }
+  return out;
+}
+
+// Moves each hash to its name under REPORT_INDEX_KEY, renaming fields with
+// `renameField(field, record)`, and keeps its TTL. With `plaintext` (before
+// encryption is turned off) names and entries are stored in plaintext. Returns
+// the number of hashes rewritten.
+async function rekeyHashes(prefix, idField, fields, { plaintext, renameField = async (field) => field }) {
+  const store = await getStore();
+  const hashKey = plaintext ? null : indexHashKey();
+  let count = 0;
+  for (const { key, id, entries } of await listHashedRecords(store, prefix, idField)) {
+    const next = hashedKey(prefix, id, hashKey);
+    const renamed = [];
+    for (const [field, record] of entries) renamed.push([await renameField(field, record), { ...record, [idField]: id }]);
+    if (next === key && renamed.every(([field], i) => field === entries[i][0])) continue;
+    const ttl = await store.ttl(key);
+    await store.del(key);
+    for (const [field, record] of renamed) await store.hSet(next, field, JSON.stringify(plaintext ? record : sealFields(record, fields)));
+    if (ttl > 0) await store.expire(next, ttl);
+    count += 1;
+  }
+  return count;
+}
+
+// Multi-respondent company diagnostics: one hash per group, one field per
+// respondent, so a respondent who submits again replaces their earlier entry.
+export async function addGroupMember(groupId, memberKey, member) {
+  const store = await getStore();
+  const key = hashedKey("group", groupId);
+  await store.hSet(key, memberKey, JSON.stringify(sealFields({ ...member, group_id: groupId }, GROUP_SEALED_FIELDS)));
+  await store.expire(key, 60 * 60 * 24 * 30);
+}
+
+export async function getGroupMembers(groupId) {
+  const store = await getStore();
+  const raw = await store.hGetAll(hashedKey("group", groupId));
+  return Object.entries(raw).map(([key, value]) => ({ key, ...openFields(JSON.parse(value)) }));
+}
+
+export async function removeGroupMember(groupId, memberKey) {
+  const store = await getStore();
+  await store.hDel(hashedKey("group", groupId), memberKey);
+}
+
+// Renames group hashes for the current REPORT_INDEX_KEY, or stores them in
+// plaintext with `plaintext`. Member keys depend on the key too: `renameMember(key,
+// member)` returns the new one (lib/groups.js rebuildGroupKeys).
+export async function rekeyGroups(renameMember, { plaintext = false } = {}) {
+  return rekeyHashes("group", "group_id", GROUP_SEALED_FIELDS, { plaintext, renameField: renameMember });
+}
+
+// Longitudinal company tracking (lib/companyHistory.js): one hash per company,
+// one field per submission (its hidden report id), kept for
+// COMPANY_HISTORY_DAYS after the latest one.
+export async function addCompanyAssessment(companyId, hiddenReportId, snapshot) {
+  const store = await getStore();
+  const key = hashedKey("history", companyId);
+  await store.hSet(key, hiddenReportId, JSON.stringify(sealFields({ ...snapshot, company_id: companyId }, HISTORY_SEALED_FIELDS)));
+  await store.expire(key, companyHistorySeconds());
+}
+
+export async function getCompanyAssessments(companyId) {
+  const store = await getStore();
+  const raw = await store.hGetAll(hashedKey("history", companyId));
+  return Object.values(raw).map((value) => openFields(JSON.parse(value)));
+}
+
+export async function removeCompanyAssessment(companyId, hiddenReportId) {
+  const store = await getStore();
+  await store.hDel(hashedKey("history", companyId), hiddenReportId);
+}
+
+// Renames company history hashes for the current REPORT_INDEX_KEY, or stores
+// them in plaintext with `plaintext`
+export async function rekeyCompanyHistories({ plaintext = false } = {}) {
+  return rekeyHashes("history", "company_id", HISTORY_SEALED_FIELDS, { plaintext });
+}
+
+// Enrichment queue: /api/batch pushes runEnrichment jobs, GET /api/enrich pops
+// them a few at a time.
+export async function queueEnrichment(job) {
+  const store = await getStore();
+  return store.rPush("enrich-queue", JSON.stringify(sealFields(job, ENRICH_JOB_SEALED_FIELDS)));
+}
+
+// A job that cannot be opened (its key was removed, or it was tampered with)
+// is moved to `enrich-dead-letter` as stored, so the jobs taken with it still run.
+export async function takeEnrichmentJobs(limit) {
+  const store = await getStore();
+  const jobs = [];
+  for (let taken = 0; taken < limit; taken += 1) {
+    const raw = await store.lPop("enrich-queue");
+    if (!raw) break;
+    try {
+      jobs.push(openFields(JSON.parse(raw)));
+    } catch (err) {
+      await store.rPush("enrich-dead-letter", raw);
+      console.error("[enrich] queued job could not be opened, moved to enrich-dead-letter:", err.message);
+    }
+  }
+  return jobs;
+}
+
+// Every queued and dead-lettered job, without taking it: [{ list, raw, job }],
+// with `job` null when it cannot be opened. For data-subject requests.
+export async function listEnrichmentJobs() {
+  const store = await getStore();
+  const entries = [];
+  for (const list of ["enrich-queue", "enrich-dead-letter"]) {
+    for (const raw of await store.lRange(list, 0, -1)) {
+      let job = null;
+      try {
+        job = openFields(JSON.parse(raw));
+      } catch {
+        // Sealed with a removed key; reported as unreadable
+      }
+      entries.push({ list, raw, job });
+    }
+  }
+  return entries;
+}
+
+export async function removeEnrichmentJob(list, raw) {
+  const store = await getStore();
+  await store.lRem(list, raw);
+}
+
+export async function enrichmentQueueLength() {
+  const store = await getStore();
+  return store.lLen("enrich-queue");
+}
+
+// Idempotent submissions: one record per idempotency key, "pending" while the
+// first request runs, then its stored response.
+export async function claimIdempotencyKey(key, record, seconds) {
+  const store = await getStore();
+  return store.set(`idem:${key}`, JSON.stringify(record), { nx: true, ex: seconds });
+}
+
+export async function getIdempotencyRecord(key) {
+  const store = await getStore();
+  const raw = await store.get(`idem:${key}`);
+  return raw ? openFields(JSON.parse(raw)) : null;
+}
+
+// The stored response includes the full report, contact fields and answers
+export async function saveIdempotencyRecord(key, record, seconds) {
+  const store = await getStore();
+  await store.set(`idem:${key}`, JSON.stringify(sealFields(record, IDEMPOTENCY_SEALED_FIELDS)), { ex: seconds });
+}
+
+export async function releaseIdempotencyKey(key) {
+  const store = await getStore();
+  await store.del(`idem:${key}`);
+}
+
+// Report index (lib/reportIndex.js): one summary per submission, keyed by its
+// hidden report id, and sorted sets of those ids scored by submission time.
+// Entries last as long as the hidden report.
+export async function saveIndexEntry(id, entry) {
+  const store = await getStore();
+  await store.set(`idx:sub:${id}`, JSON.stringify(sealFields(entry, INDEX_SEALED_FIELDS)), {
+    ex: reportRetentionSeconds("hidden"),
+  });
+}
+
+export async function getIndexEntry(id) {
+  const store = await getStore();
+  const raw = await store.get(`idx:sub:${id}`);
+  return raw ? openFields(JSON.parse(raw)) : null;
+}
+
+export async function deleteIndexEntry(id) {
+  const store = await getStore();
+  await store.del(`idx:sub:${id}`);
+}
+
+export async function listIndexedIds() {
+  const store = await getStore();
+  return (await store.scanKeys("idx:sub:")).map((key) => key.slice("idx:sub:".length));
+}
+
+// Index set keys (without "idx:") starting with prefix
+export async function listIndexKeys(prefix) {
+  const store = await getStore();
+  return (await store.scanKeys(`idx:${prefix}`)).map((key) => key.slice("idx:".length));
+}
+
+export async function deleteIndex(key) {
+  const store = await getStore();
+  await store.del(`idx:${key}`);
+}
+
+export async function addToIndex(key, id, score) {
+  const store = await getStore();
+  await store.zAdd(`idx:${key}`, score, id);
+  await store.expire(`idx:${key}`, reportRetentionSeconds("hidden"));
+}
+
+export async function removeFromIndex(key, id) {
+  const store = await getStore();
+  await store.zRem(`idx:${key}`, id);
+}
+
+// Ids newest first, optionally limited to a submission-time range (ms)
+export async function readIndex(key, { from = -Infinity, to = Infinity } = {}) {
+  const store = await getStore();
+  return store.zRangeByScore(`idx:${key}`, from, to, { rev: true });
+}
+
+// Archived submissions stay findable by data-subject requests after their
+// index entries expire: `idx-archived:<set key>` holds the hidden report ids
+// archived under each email and domain set key, without expiry.
+export async function addToArchivedIndex(key, id, score) {
+  const store = await getStore();
+  await store.zAdd(`idx-archived:${key}`, score, id);
+}
+
+export async function removeFromArchivedIndex(key, id) {
+  const store = await getStore();
+  await store.zRem(`idx-archived:${key}`, id);
+}
+
+export async function readArchivedIndex(key) {
+  const store = await getStore();
+  return store.zRangeByScore(`idx-archived:${key}`, -Infinity, Infinity, { rev: true });
+}
+
+// Archived index set keys (without "idx-archived:")
+export async function listArchivedIndexKeys() {
+  const store = await getStore();
+  return (await store.scanKeys("idx-archived:")).map((key) => key.slice("idx-archived:".length));
+}
+
+export async function deleteArchivedIndex(key) {
+  const store = await getStore();
+  await store.del(`idx-archived:${key}`);
+}
+
+/* ===== Privacy log ===== */
+
+// One entry per data-subject export or erasure (lib/privacy.js), scored by
+// time and kept without expiry: the record that a request was handled has to
+// outlive the data it removed.
+export async function appendPrivacyLog(entry) {
+  const store = await getStore();
+  await store.zAdd("privacy-log", Date.parse(entry.at) || Date.now(), JSON.stringify(entry));
+}
+
+// Newest first
+export async function readPrivacyLog(limit) {
+  const store = await getStore();
+  const raw = await store.zRangeByScore("privacy-log", -Infinity, Infinity, { rev: true, count: limit });
+  return raw.map((value) => JSON.parse(value));
+}
+
+/* ===== Key rotation ===== */
+
+// The record sealed with the active key (or, when decrypting, in plaintext);
+// null when it already is. A record sealed before a field was added to its
+// list is sealed again.
+function reseal(record, fields, { decrypt }) {
+  const keyId = sealedKeyId(record);
+  if (decrypt) return keyId ? openFields(record) : null;
+  if (keyId === encryptionKeys().active.id && !plaintextFields(record, fields).length) return null;
+  const next = sealFields(openFields(record), fields);
+  return sealedKeyId(next) ? next : null;
+}
+
+async function resealValue(store, key, fields, mode) {
+  const raw = await store.get(key);
+  const next = raw ? reseal(JSON.parse(raw), fields, mode) : null;
+  if (!next) return false;
+  const ttl = await store.ttl(key);
+  await store.set(key, JSON.stringify(next), ttl > 0 ? { ex: ttl } : {});
+  return true;
+}
+
+function resealJson(value, fields, mode) {
+  const next = reseal(JSON.parse(value), fields, mode);
+  return next ? JSON.stringify(next) : null;
+}
+
+// Revision hashes hold { revision, author, created_at, record } per field
+function resealRevision(value, mode) {
+  const revision = JSON.parse(value);
+  const record = reseal(revision.record, REPORT_SEALED_FIELDS, mode);
+  return record ? JSON.stringify({ ...revision, record }) : null;
+}
+
+// Hash fields are rewritten in place; HSET keeps the hash's TTL
+async function resealHash(store, key, resealField) {
+  let changed = false;
+  for (const [field, value] of Object.entries(await store.hGetAll(key))) {
+    if (field === "count") continue;
+    const next = resealField(value);
+    if (!next) continue;
+    await store.hSet(key, field, next);
+    changed = true;
+  }
+  return changed;
+}
+
+// Lists are rewritten by popping each item and pushing it back, which keeps
+// their order. An item that cannot be re-sealed goes back unchanged.
+async function resealList(store, key, fields, mode, onError) {
+  const result = { changed: 0, failed: 0 };
+  const length = await store.lLen(key);
+  for (let i = 0; i < length; i += 1) {
+    const raw = await store.lPop(key);
+    if (!raw) break;
+    let next = null;
+    try {
+      next = reseal(JSON.parse(raw), fields, mode);
+    } catch (err) {
+      result.failed += 1;
+      onError(`${key}[${i}]`, err);
+    }
+    await store.rPush(key, next ? JSON.stringify(next) : raw);
+    if (next) result.changed += 1;
+  }
+  return result;
+}
+
+async function resealArchive(cold, key, mode) {
+  const archived = JSON.parse(await cold.get(key));
+  const record = reseal(archived.record, REPORT_SEALED_FIELDS, mode);
+  const revisions = {};
+  for (const [field, value] of Object.entries(archived.revisions || {})) {
+    const next = field === "count" ? null : resealRevision(value, mode);
+    if (next) revisions[field] = next;
+  }
+  const index = archived.index ? reseal(archived.index, INDEX_SEALED_FIELDS, mode) : null;
+  if (!record && !index && !Object.keys(revisions).length) return false;
+  await cold.put(key, JSON.stringify({
+    ...archived,
+    record: record || archived.record,
+    revisions: { ...archived.revisions, ...revisions },
+    index: index || archived.index,
+  }));
+  return true;
+}
+
+// Re-encrypts every stored record that is not sealed with the active key: old
+// keys' records and plaintext written before encryption was turned on. With
+// `decrypt` it stores everything in plaintext instead (keys are still needed to
+// read). A record saved while this runs can be overwritten with its previous
+// content, so run it when no diagnostics are being submitted. Returns counts
+// per record kind.
+export async function reencryptStoredRecords({ decrypt = false, onError = () => {} } = {}) {
+  if (!decrypt && !encryptionKeys().active) throw new Error("REPORT_ENCRYPTION_KEYS is not set");
+  const mode = { decrypt };
+  const store = await getStore();
+  const counts = { reports: 0, revisions: 0, resumes: 0, idempotency: 0, index: 0, groups: 0, history: 0, queued: 0, archives: 0, failed: 0 };
+  const kinds = [
+    ["reports", "report:", (key) => resealValue(store, key, REPORT_SEALED_FIELDS, mode)],
+    ["revisions", "revisions:", (key) => resealHash(store, key, (value) => resealRevision(value, mode))],
+    ["resumes", "resume:", (key) => resealValue(store, key, RESUME_SEALED_FIELDS, mode)],
+    ["idempotency", "idem:", (key) => resealValue(store, key, IDEMPOTENCY_SEALED_FIELDS, mode)],
+    ["index", "idx:sub:", (key) => resealValue(store, key, INDEX_SEALED_FIELDS, mode)],
+    ["groups", "group:", (key) => resealHash(store, key, (value) => resealJson(value, GROUP_SEALED_FIELDS, mode))],
+    ["history", "history:", (key) => resealHash(store, key, (value) => resealJson(value, HISTORY_SEALED_FIELDS, mode))],
+  ];
+  for (const [kind, prefix, resealKey] of kinds) {
+    for (const key of await store.scanKeys(prefix)) {
+      try {
+        if (await resealKey(key)) counts[kind] += 1;
+      } catch (err) {
+        counts.failed += 1;
+        onError(key, err);
+      }
+    }
+  }
+
+  // Queued enrichment jobs, and dead-lettered ones in case their key is back
+  for (const key of ["enrich-queue", "enrich-dead-letter"]) {
+    const { changed, failed } = await resealList(store, key, ENRICH_JOB_SEALED_FIELDS, mode, onError);
+    counts.queued += changed;
+    counts.failed += failed;
+  }
+
+  const cold = await getColdStore();
+  for (const key of cold ? await cold.list("reports/") : []) {
+    try {
+      if (await resealArchive(cold, key, mode)) counts.archives += 1;
+    } catch (err) {
+      counts.failed += 1;
+      onError(key, err);
+    }
+  }
+  return counts;
+}
@@ -0,0 +1,43 @@
+// lib/retention.js
+// How long stored reports stay in the hot store, per tier. The exec record
+// follows the exec policy; the hidden record backs both the audit and hidden
+// links and follows the audit policy.
+//
+//   REPORT_RETENTION_DAYS           default for both (30)
+//   REPORT_RETENTION_EXEC_DAYS      exec reports
+//   REPORT_RETENTION_AUDIT_DAYS     audit / hidden reports
+//   REPORT_EXTEND_ON_VIEW=1         opening a report restarts its retention
+//   ARCHIVE_BEFORE_EXPIRY_HOURS     how early GET /api/archive copies a report
+//                                   to the cold store (72)
+//   COMPANY_HISTORY_DAYS            how long a company's assessment history is
+//                                   kept after its latest assessment (730)
+
+const DAY_SECONDS = 60 * 60 * 24;
+
+function positiveNumber(name, fallback) {
+  const raw = String(process.env[name] ?? "").trim();
+  if (!raw) return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// Stored tier ("exec" or "hidden") → seconds
+export function reportRetentionSeconds(tier) {
+  const fallback = positiveNumber("REPORT_RETENTION_DAYS", 30);
+  const days = tier === "exec"
+    ? positiveNumber("REPORT_RETENTION_EXEC_DAYS", fallback)
+    : positiveNumber("REPORT_RETENTION_AUDIT_DAYS", fallback);
+  return Math.round(days * DAY_SECONDS);
+}
+
+export function extendOnView() {
+  return process.env.REPORT_EXTEND_ON_VIEW === "1";
+}
+
+export function archiveLeadSeconds() {
+  return Math.round(positiveNumber("ARCHIVE_BEFORE_EXPIRY_HOURS", 72) * 60 * 60);
+}
+
+export function companyHistorySeconds() {
+  return Math.round(positiveNumber("COMPANY_HISTORY_DAYS", 730) * DAY_SECONDS);
+}
@@ -0,0 +1,134 @@
+// lib/revisions.js
+// Report revision history. lib/reportStore.js keeps every saved version of a
+// report as a numbered revision; this module lists them, diffs two of them
+// field by field, applies consultant edits and rolls back. Edits and rollbacks
+// are new revisions, so nothing is ever lost while the report is retained.
+
+import { getReport, getReportRevisions, saveReport } from "./reportStore.js";
+
+const PATH_SEGMENT = /^[A-Za-z0-9_]+$/;
+const UNSAFE_SEGMENTS = new Set(["__proto__", "constructor", "prototype"]);
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// Dotted paths to leaf values. Arrays are compared whole: a reordered list of
+// observations is one change, not one per item.
+function flatten(value, prefix = "", out = {}) {
+  if (isPlainObject(value) && Object.keys(value).length) {
+    for (const [key, child] of Object.entries(value)) flatten(child, prefix ? `${prefix}.${key}` : key, out);
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+// Field-by-field changes between two stored records ({ tier, reportData }).
+// Paths are relative to reportData, as in edits.
+export function diffRecords(from, to) {
+  const before = flatten(from?.reportData ?? from);
+  const after = flatten(to?.reportData ?? to);
+  const changes = [];
+  for (const path of [...new Set([...Object.keys(before), ...Object.keys(after)])].sort()) {
+    const inBefore = Object.hasOwn(before, path);
+    const inAfter = Object.hasOwn(after, path);
+    if (inBefore && !inAfter) changes.push({ path, change: "removed", from: before[path] });
+    else if (!inBefore && inAfter) changes.push({ path, change: "added", to: after[path] });
+    else if (JSON.stringify(before[path]) !== JSON.stringify(after[path])) {
+      changes.push({ path, change: "changed", from: before[path], to: after[path] });
+    }
+  }
+  return changes;
+}
+
+// Revision metadata, oldest first; `changed_fields` counts the fields that
+// differ from the revision before. Null when the report has no revisions.
+export async function listRevisions(reportId) {
+  const revisions = await getReportRevisions(reportId);
+  if (!revisions.length) return null;
+  return {
+    report_id: reportId,
+    current: revisions[revisions.length - 1].revision,
+    revisions: revisions.map((r, i) => ({
+      revision: r.revision,
+      author: r.author,
+      created_at: r.created_at,
+      changed_fields: i ? diffRecords(revisions[i - 1].record, r.record).length : null,
+    })),
+  };
+}
+
+export async function getRevision(reportId, revision) {
+  const revisions = await getReportRevisions(reportId);
+  return revisions.find((r) => r.revision === revision) || null;
+}
+
+// Returns { from, to, changes } or { error, status }. `to` defaults to the
+// current revision.
+export async function diffRevisions(reportId, fromRevision, toRevision = null) {
+  const revisions = await getReportRevisions(reportId);
+  if (!revisions.length) return { error: "Report not found", status: 404 };
+  const from = revisions.find((r) => r.revision === fromRevision);
+  const to = toRevision === null ? revisions[revisions.length - 1] : revisions.find((r) => r.revision === toRevision);
+  if (!from) return { error: `Revision ${fromRevision} not found`, status: 404 };
+  if (!to) return { error: `Revision ${toRevision} not found`, status: 404 };
+  return { from: from.revision, to: to.revision, changes: diffRecords(from.record, to.record) };
+}
+
+// Reads { "narrative.headline_diagnosis": "...", ... } into [{ segments, value }]
+// or { error }. Paths are relative to reportData.
+export function readChanges(changes) {
+  if (!isPlainObject(changes) || !Object.keys(changes).length) {
+    return { error: "changes must be an object of { \"field.path\": value }" };
+  }
+  const parsed = [];
+  for (const [path, value] of Object.entries(changes)) {
+    const segments = path.split(".");
+    if (!segments.every((s) => PATH_SEGMENT.test(s) && !UNSAFE_SEGMENTS.has(s))) {
+      return { error: `Invalid field path "${path}"` };
+    }
+    parsed.push({ segments, value });
+  }
+  return { parsed };
+}
+
+function applyChange(target, segments, value) {
+  let node = target;
+  for (const segment of segments.slice(0, -1)) {
+    if (!isPlainObject(node[segment])) node[segment] = {};
+    node = node[segment];
+  }
+  node[segments[segments.length - 1]] = value;
+}
+
+// Consultant edit of the current version. Returns { revision } or { error, status }.
+export async function editReport(reportId, { editor, changes }) {
+  const { parsed, error } = readChanges(changes);
+  if (error) return { error, status: 400 };
+  const stored = await getReport(reportId);
+  if (!stored) return { error: "Report not found", status: 404 };
+
+  const record = structuredClone(stored);
+  record.reportData ||= {};
+  for (const { segments, value } of parsed) applyChange(record.reportData, segments, value);
+  const revision = await saveReport(reportId, record, { keepTtl: true, author: { type: "consultant", name: editor } });
+  return { revision };
+}
+
+// Makes an earlier revision current again, as a new revision. Returns
+// { revision } or { error, status }.
+export async function rollbackReport(reportId, { revision, editor }) {
+  const revisions = await getReportRevisions(reportId);
+  if (!revisions.length) return { error: "Report not found", status: 404 };
+  const target = revisions.find((r) => r.revision === revision);
+  if (!target) return { error: `Revision ${revision} not found`, status: 404 };
+  if (target.revision === revisions[revisions.length - 1].revision) {
+    return { error: `Revision ${revision} is already current`, status: 409 };
+  }
+  const next = await saveReport(reportId, target.record, {
+    keepTtl: true,
+    author: { type: "rollback", name: editor, from_revision: revision },
+  });
+  return { revision: next };
+}
@@ -0,0 +1,207 @@
+// lib/rulebook.js
+// Loads versioned scoring rulebooks from /rulebooks and evaluates their conditions.
+// A rulebook is a directory named after its version containing a manifest, one
+// rule file per pillar, heuristics.json, normalization.json, stages.json and
+// contradictions.json.
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { validateContradictionRules } from "./contradictions.js";
+import { fieldQuantity, inRange } from "./quantity.js";
+
+export const DEFAULT_RULEBOOK_VERSION = "os_v2.0_consulting";
+
+const RULEBOOK_ROOT = path.join(process.cwd(), "rulebooks");
+const VERSION_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+const cache = new Map();
+
+/* =========================================================
+   Value helpers
+========================================================= */
+
+export function asString(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.join(", ");
+  return String(value).trim();
+}
+
+export function lower(value) {
+  return asString(value).toLowerCase();
+}
+
+export function includesAny(value, needles = []) {
+  const v = lower(value);
+  return needles.some((n) => v.includes(String(n).toLowerCase()));
+}
+
+export function safeArray(value) {
+  if (Array.isArray(value)) {
+    return value.map((v) => asString(v)).filter(Boolean);
+  }
+
+  if (typeof value === "string") {
+    return value
+      .split(/,|\n/)
+      .map((s) => s.trim())
+      .filter(Boolean);
+  }
+
+  return [];
+}
+
+/* =========================================================
+   Conditions
+========================================================= */
+
+// Supported condition shapes:
+//   { field, any: [...] }   field contains any needle
+//   { field, none: [...] }  field contains none of the needles
+//   { field, range: [lo, hi] }  numeric answer falls in the range (null = open end)
+//   { present: field }      field has a non-empty answer
+//   { score: pillar, lt|lte|gt|gte: n }  running pillar score comparison
+export function matchesCondition(condition, inputs, scores = {}) {
+  if (condition.present) {
+    return lower(inputs[condition.present]) !== "";
+  }
+
+  if (condition.score) {
+    const value = scores[condition.score];
+    if (typeof value !== "number") return false;
+    if (condition.lt !== undefined && !(value < condition.lt)) return false;
+    if (condition.lte !== undefined && !(value <= condition.lte)) return false;
+    if (condition.gt !== undefined && !(value > condition.gt)) return false;
+    if (condition.gte !== undefined && !(value >= condition.gte)) return false;
+    return true;
+  }
+
+  const value = inputs[condition.field];
+  if (condition.any && !includesAny(value, condition.any)) return false;
+  if (condition.none && includesAny(value, condition.none)) return false;
+  if (condition.range && !inRange(fieldQuantity(condition.field, value), condition.range)) return false;
+  return true;
+}
+
+export function matchesConditions(conditions = [], inputs, scores) {
+  return conditions.every((c) => matchesCondition(c, inputs, scores));
+}
+
+/* =========================================================
+   Loading
+========================================================= */
+
+function readJson(dir, file) {
+  const fullPath = path.join(dir, file);
+  if (!fs.existsSync(fullPath)) {
+    throw new Error(`Rulebook file missing: ${fullPath}`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(fullPath, "utf8"));
+  } catch (err) {
+    throw new Error(`Rulebook file ${fullPath} is not valid JSON: ${err.message}`);
+  }
+}
+
+function validateRules(rules, where) {
+  if (!Array.isArray(rules)) throw new Error(`Rulebook ${where}: rules must be an array`);
+  for (const rule of rules) {
+    if (!rule.id) throw new Error(`Rulebook ${where}: every rule needs an id`);
+    if (typeof rule.delta !== "number") throw new Error(`Rulebook ${where}: rule ${rule.id} needs a numeric delta`);
+    if (!rule.any && !rule.range && !rule.when) throw new Error(`Rulebook ${where}: rule ${rule.id} needs "any", "range" or "when"`);
+    if (rule.range) validateRange(rule.range, `${where}.${rule.id}`);
+  }
+}
+
+function validateRange(range, where) {
+  if (!Array.isArray(range) || range.length !== 2 || !range.every((n) => n === null || typeof n === "number")) {
+    throw new Error(`Rulebook ${where}: range must be [min, max] with numbers or null`);
+  }
+}
+
+// Continuous groups score a numeric answer on a piecewise-linear curve.
+function validateCurve(group, where) {
+  const points = group.curve.points;
+  if (!Array.isArray(points) || points.length < 2 || points.some((p) => !Array.isArray(p) || p.length !== 2 || !p.every((n) => typeof n === "number"))) {
+    throw new Error(`Rulebook ${where}: curve needs at least two [x, delta] points`);
+  }
+  if (points.some((p, i) => i > 0 && p[0] <= points[i - 1][0])) {
+    throw new Error(`Rulebook ${where}: curve points must be in ascending x order`);
+  }
+  if (!group.field) throw new Error(`Rulebook ${where}: curve groups need a field`);
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function resolveRulebookDir(versionOrDir) {
+  if (versionOrDir.includes("/") || versionOrDir.includes(path.sep)) {
+    return path.resolve(versionOrDir);
+  }
+  if (!VERSION_PATTERN.test(versionOrDir)) {
+    throw new Error(`Invalid rulebook version: ${versionOrDir}`);
+  }
+  return path.join(RULEBOOK_ROOT, versionOrDir);
+}
+
+export function getActiveRulebookVersion() {
+  return process.env.OS_RULEBOOK_VERSION || DEFAULT_RULEBOOK_VERSION;
+}
+
+// Accepts a version name (resolved under /rulebooks) or a directory path,
+// so candidate rulebooks can be evaluated before they are checked in.
+export function loadRulebook(versionOrDir = getActiveRulebookVersion()) {
+  const dir = resolveRulebookDir(versionOrDir);
+  if (cache.has(dir)) return cache.get(dir);
+
+  const manifest = readJson(dir, "manifest.json");
+  if (!manifest.version) throw new Error(`Rulebook manifest in ${dir} is missing a version`);
+
+  const pillars = {};
+  for (const key of manifest.pillars || []) {
+    const pillar = readJson(dir, `${key}.json`);
+    if (typeof pillar.base !== "number") throw new Error(`Rulebook pillar ${key}: base must be a number`);
+    for (const group of pillar.groups || []) {
+      validateRules(group.rules, `${key}.${group.id}`);
+      if (group.curve) validateCurve(group, `${key}.${group.id}`);
+    }
+    pillars[key] = pillar;
+  }
+
+  const heuristics = readJson(dir, "heuristics.json");
+  validateRules(heuristics.rules, "heuristics");
+
+  const normalization = readJson(dir, "normalization.json");
+  if (!normalization.curve || !normalization.contradiction_penalty || !normalization.confidence) {
+    throw new Error(`Rulebook ${dir}: normalization.json needs curve, contradiction_penalty and confidence`);
+  }
+  const provisional = normalization.provisional;
+  if (provisional && (typeof provisional.min_pillar_coverage !== "number" || !provisional.imputed_scores)) {
+    throw new Error(`Rulebook ${dir}: normalization.provisional needs min_pillar_coverage and imputed_scores`);
+  }
+
+  const stages = readJson(dir, "stages.json");
+  if (!Array.isArray(stages.stages) || !stages.stages.length) throw new Error(`Rulebook ${dir}: stages.json needs at least one stage`);
+  for (const stage of stages.stages) {
+    if (!stage.id || !stage.targets) throw new Error(`Rulebook stages: every stage needs an id and targets`);
+  }
+
+  const contradictions = readJson(dir, "contradictions.json");
+  if (!Array.isArray(contradictions.rules)) throw new Error(`Rulebook ${dir}: contradictions.json needs a rules array`);
+  validateContradictionRules(contradictions.rules);
+
+  const content = { manifest, pillars, heuristics, normalization, stages, contradictions };
+  const hash = crypto.createHash("sha256").update(stableStringify(content)).digest("hex");
+
+  const rulebook = { version: manifest.version, hash, ...content };
+  cache.set(dir, rulebook);
+  return rulebook;
+}
@@ -1,424 +1,284 @@
 // lib/scoring.js
 // Brand-to-GTM OS scoring engine (consulting-calibrated)
 // Uses normalized snake_case keys from api/diagnostic.js
+// Point values live in the versioned rulebooks loaded by lib/rulebook.js
 
-function clamp(value, min, max) {
-  return Math.max(min, Math.min(max, value));
-}
-
-function asString(value) {
-  if (value === null || value === undefined) return "";
-  if (Array.isArray(value)) return value.join(", ");
-  return String(value).trim();
-}
-
-function lower(value) {
-  return asString(value).toLowerCase();
-}
-
-function includesAny(value, needles = []) {
-  const v = lower(value);
-  return needles.some((n) => v.includes(String(n).toLowerCase()));
-}
-
-function safeArray(value) {
-  if (Array.isArray(value)) {
-    return value.map((v) => asString(v)).filter(Boolean);
-  }
-
-  if (typeof value === "string") {
-    return value
-      .split(/,|\n/)
-      .map((s) => s.trim())
-      .filter(Boolean);
-  }
+import { evaluateContradictions } from "./contradictions.js";
+import { PILLARS } from "./pillars.js";
+import { curveDelta, fieldQuantity, formatQuantity, inRange } from "./quantity.js";
+import { QUESTIONS } from "./questions.js";
+import { asString, includesAny, loadRulebook, lower, matchesConditions, safeArray } from "./rulebook.js";
+import { classifyStage, getTargetPillarScores } from "./stage.js";
 
-  return [];
-}
+const REQUIRED_INPUTS = QUESTIONS.filter((q) => q.required).map((q) => q.input);
 
-function scorePositioning(inputs) {
-  let score = 5;
-
-  const win = lower(inputs.win_reason);
-  const lose = lower(inputs.lose_reason);
-  const consistency = lower(inputs.consistency);
-  const comparedTo = lower(inputs.compared_to);
-  const category = lower(inputs.category);
-
-  // Win reason
-  if (includesAny(win, ["clear differentiation"])) score += 5;
-  else if (includesAny(win, ["brand trust"])) score += 4;
-  else if (includesAny(win, ["feature depth"])) score += 3;
-  else if (includesAny(win, ["speed", "ease of use"])) score += 3;
-  else if (includesAny(win, ["product breadth"])) score += 4;
-  else if (includesAny(win, ["strong relationships", "relationships"])) score += 1;
-  else if (includesAny(win, ["lowest price", "price"])) score += 0;
-
-  // Loss reason
-  if (includesAny(lose, ["price"])) score += 4;
-  else if (includesAny(lose, ["feature gaps"])) score += 3;
-  else if (includesAny(lose, ["procurement friction"])) score += 2;
-  else if (includesAny(lose, ["brand trust"])) score += 1;
-  else if (includesAny(lose, ["unclear roi"])) score += 1;
-  else if (includesAny(lose, ["lack of differentiation", "category confusion"])) score += 0;
-
-  // Consistency
-  if (includesAny(consistency, ["very consistent"])) score += 5;
-  else if (includesAny(consistency, ["somewhat"])) score += 3;
-  else if (includesAny(consistency, ["often unclear", "unclear"])) score += 1;
-
-  // Small maturity signal
-  if (comparedTo && category) score += 1;
-
-  return clamp(score, 0, 20);
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
 }
 
-function scoreValue(inputs) {
-  let score = 4;
-
-  const roi = lower(inputs.roi_quantifiable);
-  const lead = lower(inputs.sales_lead_with);
-  const metrics = lower(inputs.financial_metrics_improved);
-
-  if (includesAny(roi, ["documented", "repeatable"])) score += 6;
-  else if (includesAny(roi, ["yes"])) score += 5;
-  else if (includesAny(roi, ["somewhat"])) score += 3;
-  else if (includesAny(roi, ["no"])) score += 1;
-
-  if (includesAny(lead, ["financial roi"])) score += 5;
-  else if (includesAny(lead, ["business outcomes"])) score += 4;
-  else if (includesAny(lead, ["technical differentiation"])) score += 3;
-  else if (includesAny(lead, ["features"])) score += 1;
-
-  if (includesAny(metrics, ["revenue growth", "margin expansion"])) score += 4;
-  else if (includesAny(metrics, ["cost reduction"])) score += 3;
-  else if (includesAny(metrics, ["risk reduction"])) score += 3;
-  else if (includesAny(metrics, ["productivity gains"])) score += 2;
-  else if (includesAny(metrics, ["not clearly defined"])) score += 1;
-
-  return clamp(score, 0, 20);
+function ruleMatches(rule, value, inputs, scores, field) {
+  if (rule.any && !includesAny(value, rule.any)) return false;
+  if (rule.range && !inRange(fieldQuantity(field, value), rule.range)) return false;
+  if (rule.when && !matchesConditions(rule.when, inputs, scores)) return false;
+  return true;
 }
 
-function scorePricing(inputs) {
-  let score = 4;
-
-  const discount = lower(inputs.discount_frequency);
-  const clarity = lower(inputs.pricing_tiers_clarity);
-  const margin = lower(inputs.gross_margin);
-
-  if (includesAny(discount, ["rarely"])) score += 4;
-  else if (includesAny(discount, ["sometimes"])) score += 2;
-  else if (includesAny(discount, ["frequently", "often", "40%+"])) score += 0;
-
-  if (includesAny(clarity, ["very clear"])) score += 4;
-  else if (includesAny(clarity, ["somewhat", "clear"])) score += 2;
-  else if (includesAny(clarity, ["often confused", "confused"])) score += 0;
-
-  if (includesAny(margin, ["75%+"])) score += 4;
-  else if (includesAny(margin, ["65–75%", "65-75%"])) score += 3;
-  else if (includesAny(margin, ["50–65%", "50-65%"])) score += 2;
-  else if (includesAny(margin, ["under 50%"])) score += 0;
-
-  return clamp(score, 0, 20);
-}
-
-function scoreGtm(inputs) {
-  let score = 3;
-
-  const channels = safeArray(inputs.acquisition_channels).map((c) => c.toLowerCase());
-  const cycle = lower(inputs.sales_cycle);
-  const closeRate = lower(inputs.close_rate);
-
-  let channelScore = 0;
-
-  channels.slice(0, 3).forEach((ch) => {
-    if (includesAny(ch, ["partnerships"])) channelScore += 2;
-    else if (includesAny(ch, ["content"])) channelScore += 2;
-    else if (includesAny(ch, ["product-led"])) channelScore += 2;
-    else if (includesAny(ch, ["outbound sdr"])) channelScore += 1;
-    else if (includesAny(ch, ["founder-led selling"])) channelScore += 1;
-    else if (includesAny(ch, ["events"])) channelScore += 1;
-    else if (includesAny(ch, ["paid search"])) channelScore += 1;
-    else if (includesAny(ch, ["paid social"])) channelScore += 1;
+function conditionInputs(conditions = [], inputs, scores = {}) {
+  const out = {};
+  conditions.forEach((c) => {
+    const field = c.field || c.present;
+    if (field) out[field] = asString(inputs[field]) || null;
+    if (c.score) out[`${c.score}_score`] = scores[c.score] ?? null;
   });
-
-  score += clamp(channelScore, 0, 4);
-
-  if (includesAny(cycle, ["under 1 month"])) score += 4;
-  else if (includesAny(cycle, ["1–3 months", "1-3 months"])) score += 3;
-  else if (includesAny(cycle, ["3–6 months", "3-6 months"])) score += 2;
-  else if (includesAny(cycle, ["6–12 months", "6-12 months"])) score += 1;
-  else if (includesAny(cycle, ["12+ months"])) score += 0;
-
-  if (includesAny(closeRate, ["40%+"])) score += 4;
-  else if (includesAny(closeRate, ["25–40%", "25-40%"])) score += 3;
-  else if (includesAny(closeRate, ["15–25%", "15-25%"])) score += 2;
-  else if (includesAny(closeRate, ["under 15%"])) score += 0;
-
-  return clamp(score, 0, 20);
+  return out;
 }
 
-function scoreMeasurement(inputs) {
-  let score = 3;
-
-  const measuredBy = lower(inputs.marketing_measured_by);
-  const attribution = lower(inputs.attribution_trusted);
-  const forecast = lower(inputs.forecast_accuracy);
-  const cac = lower(inputs.cac_by_channel);
-
-  if (includesAny(measuredBy, ["revenue"])) score += 4;
-  else if (includesAny(measuredBy, ["pipeline"])) score += 3;
-  else if (includesAny(measuredBy, ["brand metrics"])) score += 2;
-  else if (includesAny(measuredBy, ["leads"])) score += 0;
-
-  if (includesAny(attribution, ["yes"])) score += 4;
-  else if (includesAny(attribution, ["debated"])) score += 2;
-  else if (includesAny(attribution, ["no"])) score += 0;
-
-  if (includesAny(forecast, ["yes"])) score += 3;
-  else if (includesAny(forecast, ["no"])) score += 0;
+// Within a group the first matching rule wins, mirroring an if / else-if chain.
+// "each" groups score every item of a multi-select answer and clamp the sum.
+// "curve" groups score an exact numeric answer ("32%") continuously; band
+// answers and anything else fall through to the group's rules.
+// Every fired rule is appended to the trace with its running pillar total.
+function scoreGroup(group, inputs, pillarKey, running, trace) {
+  if (group.each) {
+    const items = safeArray(inputs[group.field])
+      .map((item) => item.toLowerCase())
+      .slice(0, group.each.limit ?? Infinity);
+
+    let total = 0;
+    items.forEach((item) => {
+      const rule = group.rules.find((r) => ruleMatches(r, item, inputs));
+      if (rule) {
+        total += rule.delta;
+        trace.push({ stage: "rule", pillar: pillarKey, group: group.id, rule_id: rule.id, field: group.field, input: item, delta: rule.delta, total: running + total });
+      } else {
+        trace.push({ stage: "unmatched", pillar: pillarKey, group: group.id, rule_id: null, field: group.field, input: item, delta: 0, total: running + total });
+      }
+    });
 
-  if (includesAny(cac, ["yes"])) score += 3;
-  else if (includesAny(cac, ["rough estimates"])) score += 2;
-  else if (includesAny(cac, ["no"])) score += 0;
+    if (group.clamp) {
+      const clamped = clamp(total, group.clamp[0], group.clamp[1]);
+      if (clamped !== total) {
+        trace.push({ stage: "group_clamp", pillar: pillarKey, group: group.id, rule_id: null, field: group.field, input: total, delta: clamped - total, total: running + clamped, note: `Group capped to ${group.clamp[0]}–${group.clamp[1]}` });
+      }
+      return clamped;
+    }
+    return total;
+  }
 
-  return clamp(score, 0, 20);
-}
+  const value = group.field ? inputs[group.field] : null;
 
-function applyHeuristics(inputs, scores) {
-  const revenue = lower(inputs.annual_revenue);
-  const acv = lower(inputs.acv);
-  const cycle = lower(inputs.sales_cycle);
-  const discount = lower(inputs.discount_frequency);
-  const clarity = lower(inputs.pricing_tiers_clarity);
-  const win = lower(inputs.win_reason);
-  const forecast = lower(inputs.forecast_accuracy);
-  const roi = lower(inputs.roi_quantifiable);
-  const attribution = lower(inputs.attribution_trusted);
-  const growth = lower(inputs.growth_status);
-
-  // GTM efficiency
-  if (
-    includesAny(acv, ["$25–75k", "$25-75k", "25–75", "25-75"]) &&
-    includesAny(cycle, ["1–3 months", "1-3 months"])
-  ) {
-    scores.gtm += 1;
+  const quantity = group.curve ? fieldQuantity(group.field, value) : null;
+  if (quantity?.exact) {
+    const x = quantity.min;
+    const delta = curveDelta(group.curve, x);
+    trace.push({ stage: "rule", pillar: pillarKey, group: group.id, rule_id: `${group.id}_curve`, field: group.field, input: asString(value), delta, total: running + delta, note: `Continuous score at ${formatQuantity(x, quantity.unit)}` });
+    return delta;
   }
 
-  if (
-    includesAny(acv, ["$75–250k", "$75-250k", "75–250", "75-250"]) &&
-    includesAny(cycle, ["3–6 months", "3-6 months"])
-  ) {
-    scores.gtm += 1;
-  }
+  const rule = group.rules.find((r) => ruleMatches(r, value, inputs, {}, group.field));
+  const input = group.field ? asString(value) || null : conditionInputs(rule?.when, inputs);
 
-  if (
-    includesAny(acv, ["$250k+", "250k+"]) &&
-    includesAny(cycle, ["6–12 months", "6-12 months"])
-  ) {
-    scores.gtm += 1;
+  if (rule) {
+    trace.push({ stage: "rule", pillar: pillarKey, group: group.id, rule_id: rule.id, field: group.field || null, input, delta: rule.delta, total: running + rule.delta });
+    return rule.delta;
   }
 
-  // Enterprise maturity
-  if (includesAny(revenue, ["$100m+", "100m+"])) {
-    scores.measurement += 1;
+  if (group.field && input) {
+    trace.push({ stage: "unmatched", pillar: pillarKey, group: group.id, rule_id: null, field: group.field, input, delta: 0, total: running });
   }
+  return 0;
+}
 
-  // Pricing power signal
-  if (includesAny(discount, ["rarely"]) && includesAny(clarity, ["very clear"])) {
-    scores.pricing += 1;
+function clampPillar(key, score, pillar, trace) {
+  const min = pillar?.min ?? 0;
+  const max = pillar?.max ?? 20;
+  const clamped = clamp(score, min, max);
+  if (clamped !== score) {
+    trace.push({ stage: "clamp", pillar: key, rule_id: null, input: score, delta: clamped - score, total: clamped, note: `Pillar bounded to ${min}–${max}` });
   }
+  return clamped;
+}
 
-  // Mature brand/category signal
-  if (includesAny(win, ["brand trust"]) && includesAny(revenue, ["$100m+", "100m+"])) {
-    scores.positioning += 1;
-  }
+function scorePillar(key, pillar, inputs, trace) {
+  let score = pillar.base;
+  trace.push({ stage: "base", pillar: key, rule_id: null, input: null, delta: pillar.base, total: score });
 
-  // Outcome maturity
-  if (includesAny(roi, ["documented", "repeatable"]) && includesAny(attribution, ["yes"])) {
-    scores.value += 1;
+  for (const group of pillar.groups || []) {
+    score += scoreGroup(group, inputs, key, score, trace);
   }
+  return clampPillar(key, score, pillar, trace);
+}
 
-  // Forecast bonus only if attribution is also trusted
-  if (includesAny(forecast, ["yes"]) && includesAny(attribution, ["yes"])) {
-    scores.measurement += 1;
+function applyHeuristics(inputs, scores, rulebook, trace) {
+  for (const rule of rulebook.heuristics.rules) {
+    if (matchesConditions(rule.when, inputs, scores)) {
+      const input = conditionInputs(rule.when, inputs, scores);
+      scores[rule.pillar] += rule.delta;
+      trace.push({ stage: "heuristic", pillar: rule.pillar, rule_id: rule.id, description: rule.description || null, input, delta: rule.delta, total: scores[rule.pillar] });
+    }
   }
 
-  // Plateau penalty
-  if (includesAny(growth, ["plateau", "stalled", "holding steady", "below expectations", "it's complicated"]) && scores.positioning < 14) {
-    scores.positioning -= 1;
+  for (const key of Object.keys(scores)) {
+    scores[key] = clampPillar(key, scores[key], rulebook.pillars[key], trace);
   }
 
-  scores.positioning = clamp(scores.positioning, 0, 20);
-  scores.value = clamp(scores.value, 0, 20);
-  scores.pricing = clamp(scores.pricing, 0, 20);
-  scores.gtm = clamp(scores.gtm, 0, 20);
-  scores.measurement = clamp(scores.measurement, 0, 20);
-
   return scores;
 }
 
-function detectContradictions(inputs, scores) {
-  const contradictions = [];
-
-  const roi = lower(inputs.roi_quantifiable);
-  const salesLead = lower(inputs.sales_lead_with);
-  const pricing = lower(inputs.pricing_tiers_clarity);
-  const discount = lower(inputs.discount_frequency);
-  const consistency = lower(inputs.consistency);
-  const attribution = lower(inputs.attribution_trusted);
-  const forecast = lower(inputs.forecast_accuracy);
-  const growth = lower(inputs.growth_status);
-  const cac = lower(inputs.cac_by_channel);
-  const measureBy = lower(inputs.marketing_measured_by);
-  const revenue = lower(inputs.annual_revenue);
-  const win = lower(inputs.win_reason);
-  const lose = lower(inputs.lose_reason);
-
-  if (
-    includesAny(salesLead, ["business outcomes", "financial roi"]) &&
-    !includesAny(roi, ["yes", "documented", "repeatable"])
-  ) {
-    contradictions.push({
-      id: "outcomes_without_proof",
-      tension: "Outcome-led selling without strong ROI proof",
-      implication:
-        "The team is trying to sell on value, but quantified proof may be too weak to consistently support pricing power and conversion.",
-      pillar: "Value Architecture",
-      severity: 3,
-    });
-  }
+// Share of a pillar's rule-group fields that were answered.
+export function pillarCoverage(pillar, inputs = {}) {
+  const fields = [...new Set((pillar?.groups || []).map((g) => g.field).filter(Boolean))];
+  const answered = fields.filter((f) => lower(inputs[f]) !== "");
+  return {
+    answered,
+    missing: fields.filter((f) => !answered.includes(f)),
+    coverage: fields.length ? Math.round((answered.length / fields.length) * 100) / 100 : 1,
+  };
+}
 
-  if (
-    includesAny(pricing, ["very clear", "somewhat", "clear"]) &&
-    includesAny(discount, ["sometimes", "frequently", "often"])
-  ) {
-    contradictions.push({
-      id: "clear_pricing_discount_pressure",
-      tension: "Clear packaging but persistent discount pressure",
-      implication:
-        "Customers may understand the offer structure, but the system may still lack enough value anchoring or differentiation to defend price.",
-      pillar: "Pricing & Packaging",
-      severity: 3,
-    });
+// Provisional scoring only: a pillar with too few answers to score takes the
+// rulebook's neutral imputed value instead of its base plus whatever fired.
+function imputePillars(inputs, scores, rulebook, trace) {
+  const cfg = rulebook.normalization.provisional;
+  if (!cfg) throw new Error(`Rulebook ${rulebook.version} has no normalization.provisional block`);
+
+  const imputed = [];
+  for (const [key, pillar] of Object.entries(rulebook.pillars)) {
+    const { answered, missing, coverage } = pillarCoverage(pillar, inputs);
+    if (coverage >= cfg.min_pillar_coverage) continue;
+    const value = cfg.imputed_scores[key] ?? pillar.base;
+    trace.push({ stage: "imputed", pillar: key, rule_id: null, input: { answered, missing }, delta: value - scores[key], total: value, note: `Imputed — ${answered.length} of ${answered.length + missing.length} inputs answered` });
+    scores[key] = value;
+    imputed.push(key);
   }
+  return imputed;
+}
 
-  if (includesAny(consistency, ["very consistent"]) && includesAny(lose, ["price"])) {
-    contradictions.push({
-      id: "consistent_message_still_losing_on_price",
-      tension: "Consistent messaging without pricing insulation",
-      implication:
-        "The brand may be understood, but the value story may still not be strong enough to protect margin in competitive deals.",
-      pillar: "Pricing & Packaging",
-      severity: 2,
-    });
-  }
+// Confidence combines how much of the required form was answered, how many
+// answers landed on a scoring rule, "Other" answers, contradiction severity and,
+// for provisional scores, imputed pillars. The numeric score sets the label and
+// the width of the plausible score range.
+function computeConfidence(inputs, contradictions, trace, osScore, rulebook, imputed = []) {
+  const cfg = rulebook.normalization.confidence;
 
-  if (includesAny(measureBy, ["revenue"]) && includesAny(attribution, ["debated"])) {
-    contradictions.push({
-      id: "revenue_focus_attribution_gap",
-      tension: "Revenue accountability without trusted attribution",
-      implication:
-        "Marketing is being held to revenue outcomes without a fully trusted system for proving contribution.",
-      pillar: "Measurement",
-      severity: 3,
-    });
-  }
+  const present = REQUIRED_INPUTS.filter((k) => lower(inputs[k]) !== "");
+  const coverage = present.length / REQUIRED_INPUTS.length;
 
-  if (includesAny(revenue, ["$100m+", "100m+"]) && !includesAny(cac, ["yes"])) {
-    contradictions.push({
-      id: "scale_without_cac_visibility",
-      tension: "Scale-stage business with incomplete CAC visibility",
-      implication:
-        "The company may have grown into a level of complexity that now requires stronger channel economics discipline.",
-      pillar: "Measurement",
-      severity: 2,
-    });
-  }
+  const matched = trace.filter((t) => t.field && t.stage === "rule").length;
+  const unmatched = trace.filter((t) => t.stage === "unmatched").length;
+  const matchRate = matched + unmatched ? matched / (matched + unmatched) : 1;
 
-  if (includesAny(forecast, ["yes"]) && includesAny(attribution, ["debated"])) {
-    contradictions.push({
-      id: "forecasting_without_attribution_alignment",
-      tension: "Forecast confidence without measurement alignment",
-      implication:
-        "The business may forecast top-line performance reasonably well while still lacking trusted visibility into what is driving it.",
-      pillar: "Measurement",
-      severity: 2,
-    });
-  }
+  const otherAnswers = Object.entries(inputs)
+    .filter(([, v]) => safeArray(v).some((item) => /^other\b/i.test(item)))
+    .map(([k]) => k);
 
-  if (
-    includesAny(growth, ["plateau", "stalled", "holding steady", "below expectations", "it's complicated"]) &&
-    scores.measurement >= 13 &&
-    scores.gtm >= 13
-  ) {
-    contradictions.push({
-      id: "plateau_despite_operating_discipline",
-      tension: "Operational discipline without growth acceleration",
-      implication:
-        "Execution may be functioning, but positioning, value communication, or category differentiation may be constraining growth.",
-      pillar: "Positioning & Category",
-      severity: 3,
-    });
-  }
+  const severity = contradictions.reduce((sum, c) => sum + (c.severity || 0), 0);
 
-  if (includesAny(win, ["feature depth"]) && includesAny(salesLead, ["features"])) {
-    contradictions.push({
-      id: "feature_loop",
-      tension: "Feature-led commercial motion may suppress pricing power",
-      implication:
-        "The system may be reinforcing product depth without translating that depth into higher-order business value.",
-      pillar: "Value Architecture",
-      severity: 2,
-    });
+  const penalties = {
+    coverage: cfg.coverage_weight * (1 - coverage),
+    match_rate: cfg.match_rate_weight * (1 - matchRate),
+    other_answers: Math.min(cfg.other_answer_max, otherAnswers.length * cfg.other_answer_points),
+    contradictions: Math.min(cfg.contradiction_max, severity * cfg.severity_points),
+  };
+  if (imputed.length) {
+    penalties.imputed_pillars = imputed.length * (rulebook.normalization.provisional.imputed_confidence_points || 0);
   }
 
-  return contradictions;
-}
+  const score = clamp(Math.round(100 - Object.values(penalties).reduce((a, b) => a + b, 0)), 0, 100);
+  const label = score >= cfg.labels.high ? "High" : score >= cfg.labels.moderate ? "Moderate" : "Lower";
+  const margin = Math.round(cfg.margin.min + (cfg.margin.max - cfg.margin.min) * (1 - score / 100));
 
-function getConfidenceLevel(contradictions) {
-  const totalSeverity = contradictions.reduce((sum, c) => sum + (c.severity || 0), 0);
+  return {
+    score,
+    label,
+    margin,
+    score_range: { low: Math.max(0, osScore - margin), high: Math.min(100, osScore + margin) },
+    coverage: Math.round(coverage * 100) / 100,
+    match_rate: Math.round(matchRate * 100) / 100,
+    other_answers: otherAnswers,
+    contradiction_severity: severity,
+    penalties: Object.fromEntries(Object.entries(penalties).map(([k, v]) => [k, Math.round(v * 10) / 10])),
+  };
+}
 
-  if (totalSeverity <= 2) return "High";
-  if (totalSeverity <= 5) return "Moderate";
-  return "Lower";
+function tieBreakNote(entry, other, ahead) {
+  const position = ahead ? "ahead of" : "behind";
+  const base = `Tied with ${other.label} at adjusted score ${entry.effective_score}`;
+  if (entry.gap_to_target !== other.gap_to_target) {
+    return `${base}; ranked ${position} it on gap to target (${entry.gap_to_target} vs ${other.gap_to_target}).`;
+  }
+  return `${base} and gap to target ${entry.gap_to_target}; ranked ${position} it by pillar order.`;
 }
 
-function determinePrimaryConstraint(scores, contradictions) {
-  const candidates = [
-    { key: "Positioning & Category", score: scores.positioning, bias: 0 },
-    { key: "Value Architecture", score: scores.value, bias: 0 },
-    { key: "Pricing & Packaging", score: scores.pricing, bias: 0 },
-    { key: "GTM Focus", score: scores.gtm, bias: 0 },
-    { key: "Measurement", score: scores.measurement, bias: 0 },
-  ];
+// Every pillar, most constraining first. Contradictions tied to a pillar lower its
+// effective score by their severity. Equal effective scores go to the pillar
+// furthest below its stage target, then to the fixed pillar order. Imputed
+// pillars (provisional scoring) rank after every scored pillar.
+export function rankConstraints(scores = {}, contradictions = [], targets = {}, imputed = []) {
+  const entries = PILLARS.map((p, order) => {
+    const score = scores[p.engineKey] ?? 0;
+    const bias = contradictions
+      .filter((c) => c.pillar === p.label)
+      .reduce((sum, c) => sum + (c.severity || 0), 0);
+    const target = targets[p.key] ?? null;
+    return {
+      key: p.key,
+      engine_key: p.engineKey,
+      label: p.label,
+      score,
+      bias,
+      effective_score: score - bias,
+      target,
+      gap_to_target: target === null ? null : target - score,
+      imputed: imputed.includes(p.engineKey),
+      order,
+    };
+  });
+
+  entries.sort((a, b) =>
+    a.imputed - b.imputed ||
+    a.effective_score - b.effective_score ||
+    (b.gap_to_target ?? 0) - (a.gap_to_target ?? 0) ||
+    a.order - b.order
+  );
 
-  contradictions.forEach((c) => {
-    const target = candidates.find((item) => item.key === c.pillar);
-    if (target) target.bias += c.severity || 0;
+  return entries.map(({ order, ...entry }, i) => {
+    const next = entries[i + 1];
+    const prev = entries[i - 1];
+    const tied = (other) => other && other.imputed === entry.imputed && other.effective_score === entry.effective_score;
+    let tieBreak = null;
+    if (tied(next)) tieBreak = tieBreakNote(entry, next, true);
+    else if (tied(prev)) tieBreak = tieBreakNote(entry, prev, false);
+    return { rank: i + 1, ...entry, tie_break: tieBreak };
   });
+}
 
-  candidates.sort((a, b) => (a.score - a.bias) - (b.score - b.bias));
-  return candidates[0].key;
+export function scoreBand(totalScore) {
+  if (totalScore >= 85) return "Your revenue system is well aligned";
+  if (totalScore >= 70) return "Good foundation with room to optimize";
+  if (totalScore >= 55) return "One constraint is likely holding the system back";
+  return "High potential — the system is ready to be unlocked";
 }
 
-export function scoreDiagnostic(inputs = {}) {
-  const scores = {
-    positioning: scorePositioning(inputs),
-    value: scoreValue(inputs),
-    pricing: scorePricing(inputs),
-    gtm: scoreGtm(inputs),
-    measurement: scoreMeasurement(inputs),
-  };
+export function scoreDiagnostic(inputs = {}, options = {}) {
+  const rulebook =
+    options.rulebook && typeof options.rulebook === "object"
+      ? options.rulebook
+      : loadRulebook(options.rulebook);
+
+  const trace = [];
 
-  applyHeuristics(inputs, scores);
+  const scores = {};
+  for (const [key, pillar] of Object.entries(rulebook.pillars)) {
+    scores[key] = scorePillar(key, pillar, inputs, trace);
+  }
 
-  const contradictions = detectContradictions(inputs, scores);
+  applyHeuristics(inputs, scores, rulebook, trace);
 
-  const contradictionPenalty = Math.min(
-    4,
-    contradictions.reduce((sum, c) => sum + (c.severity >= 3 ? 1 : 0), 0)
-  );
+  const imputedPillars = options.provisional ? imputePillars(inputs, scores, rulebook, trace) : [];
+
+  const contradictionChecks = evaluateContradictions(inputs, scores, { rulebook });
+  const contradictions = contradictionChecks.triggered;
 
   const rawScore =
     scores.positioning +
@@ -427,19 +287,38 @@ export function scoreDiagnostic(inputs = {}) {
     scores.gtm +
     scores.measurement;
 
+  trace.push({ stage: "raw_total", pillar: null, rule_id: null, input: { ...scores }, delta: rawScore, total: rawScore });
+
+  const penaltyRules = rulebook.normalization.contradiction_penalty;
+  let uncappedPenalty = 0;
+  contradictions.forEach((c) => {
+    if (c.severity < penaltyRules.min_severity) return;
+    uncappedPenalty += penaltyRules.points;
+    trace.push({ stage: "contradiction_penalty", pillar: null, rule_id: c.id, input: { severity: c.severity }, delta: -penaltyRules.points, total: rawScore - uncappedPenalty });
+  });
+
+  const contradictionPenalty = Math.min(penaltyRules.max, uncappedPenalty);
+  if (contradictionPenalty !== uncappedPenalty) {
+    trace.push({ stage: "penalty_cap", pillar: null, rule_id: null, input: uncappedPenalty, delta: uncappedPenalty - contradictionPenalty, total: rawScore - contradictionPenalty, note: `Penalty capped at ${penaltyRules.max}` });
+  }
+
   const adjustedRawScore = rawScore - contradictionPenalty;
 
   // Cooler normalization curve:
   // - keeps weaker companies from collapsing too low
   // - prevents strong companies from saturating in the 90s too easily
-  const osScore = clamp(
-    Math.round((adjustedRawScore - 55) * 0.9 + 55),
-    35,
-    90
-  );
+  const curve = rulebook.normalization.curve;
+  const curved = Math.round((adjustedRawScore - curve.pivot) * curve.slope + curve.pivot);
+  trace.push({ stage: "curve", pillar: null, rule_id: null, input: adjustedRawScore, delta: curved - adjustedRawScore, total: curved, note: `(${adjustedRawScore} − ${curve.pivot}) × ${curve.slope} + ${curve.pivot}` });
+
+  const osScore = clamp(curved, curve.min, curve.max);
+  if (osScore !== curved) {
+    trace.push({ stage: "clamp", pillar: null, rule_id: null, input: curved, delta: osScore - curved, total: osScore, note: `OS score bounded to ${curve.min}–${curve.max}` });
+  }
 
-  const confidence = getConfidenceLevel(contradictions);
-  const primaryConstraint = determinePrimaryConstraint(scores, contradictions);
+  const confidenceDetail = computeConfidence(inputs, contradictions, trace, osScore, rulebook, imputedPillars);
+  const stage = options.stage || classifyStage(inputs, { rulebook });
+  const constraintRanking = rankConstraints(scores, contradictions, getTargetPillarScores(inputs, "exec", { rulebook, stage }), imputedPillars);
 
   return {
     scores: {
@@ -452,9 +331,20 @@ export function scoreDiagnostic(inputs = {}) {
     rawScore,
     adjustedRawScore,
     osScore,
-    confidence,
+    confidence: confidenceDetail.label,
+    confidenceDetail,
     contradictions,
+    contradictionChecks: {
+      clean: contradictionChecks.clean,
+      not_evaluated: contradictionChecks.not_evaluated,
+      disabled: contradictionChecks.disabled,
+    },
     contradictionPenalty,
-    primaryConstraint,
+    primaryConstraint: constraintRanking[0].label,
+    constraintRanking,
+    provisional: !!options.provisional,
+    imputedPillars,
+    rulebook: { version: rulebook.version, hash: rulebook.hash },
+    trace,
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,138 @@
+// lib/simulation.js
+// What-if scoring: re-runs scoreDiagnostic with answer overrides (nothing is saved)
+// and ranks the single answer changes that would move the OS score most.
+
+import { buildOsInputs, normalizeAnswers } from "./answers.js";
+import { pillarKeyFromEngineKey, pillarKeyFromLabel, prettyPillar, toReportPillarScores } from "./pillars.js";
+import { getQuestionByInput } from "./questions.js";
+import { asString, includesAny, loadRulebook } from "./rulebook.js";
+import { scoreBand, scoreDiagnostic } from "./scoring.js";
+import { classifyStage, getTargetPillarScores } from "./stage.js";
+
+function snapshot(scoring, inputs, rulebook) {
+  const primaryKey = pillarKeyFromLabel(scoring.primaryConstraint);
+  const stage = classifyStage(inputs, { rulebook });
+  return {
+    os_score: scoring.osScore,
+    band: scoreBand(scoring.osScore),
+    pillar_scores: toReportPillarScores(scoring.scores),
+    primary_constraint: primaryKey,
+    primary_constraint_label: prettyPillar(primaryKey),
+    constraint_ranking: scoring.constraintRanking.map((c) => c.key),
+    contradictions: scoring.contradictions.map((c) => c.id),
+    stage: stage.id,
+    target_pillar_scores: getTargetPillarScores(inputs, "exec", { rulebook, stage }),
+  };
+}
+
+function pillarDeltas(from, to) {
+  const out = {};
+  for (const key of Object.keys(from.pillar_scores)) {
+    out[key] = to.pillar_scores[key] - from.pillar_scores[key];
+  }
+  return out;
+}
+
+// Overrides may be keyed by scoring input key (e.g. "roi_quantifiable")
+// or by the original question text.
+export function resolveOverrides(inputs, overrides = {}) {
+  const next = { ...inputs };
+  const applied = [];
+  const unknown = [];
+
+  for (const [key, value] of Object.entries(overrides || {})) {
+    let targets = key in inputs ? { [key]: value } : null;
+
+    if (!targets) {
+      const mapped = buildOsInputs(normalizeAnswers({ [key]: value }));
+      const hits = Object.entries(mapped).filter(([, v]) => (Array.isArray(v) ? v.length > 0 : v !== null && v !== undefined));
+      targets = hits.length ? Object.fromEntries(hits) : null;
+    }
+
+    if (!targets) {
+      unknown.push(key);
+      continue;
+    }
+
+    for (const [field, v] of Object.entries(targets)) {
+      applied.push({ key: field, from: next[field] ?? null, to: v });
+      next[field] = v;
+    }
+  }
+
+  return { inputs: next, applied, unknown };
+}
+
+// Candidate answers are the registry options that fire each rule, so suggestions
+// read like real form answers. Rules no option reaches fall back to their first needle.
+function candidateAnswers(rulebook) {
+  const out = [];
+  for (const [engineKey, pillar] of Object.entries(rulebook.pillars)) {
+    for (const group of pillar.groups || []) {
+      if (!group.field || group.each) continue;
+      const options = getQuestionByInput(group.field)?.options || [];
+      const values = group.rules
+        .filter((r) => r.any?.length)
+        .map((r) => options.find((o) => includesAny(o, r.any)) || r.any[0]);
+      out.push({ field: group.field, pillar: pillarKeyFromEngineKey(engineKey), values: [...new Set(values)] });
+    }
+  }
+  return out;
+}
+
+export function rankLeverage(inputs, { rulebook, baseline, top = 5 } = {}) {
+  const book = rulebook || loadRulebook();
+  const base = baseline || snapshot(scoreDiagnostic(inputs, { rulebook: book }), inputs, book);
+  const ranked = [];
+
+  for (const { field, pillar, values } of candidateAnswers(book)) {
+    const current = asString(inputs[field]).toLowerCase();
+    let best = null;
+
+    for (const value of values) {
+      if (current && current.includes(String(value).toLowerCase())) continue;
+      const trial = { ...inputs, [field]: value };
+      const result = snapshot(scoreDiagnostic(trial, { rulebook: book }), trial, book);
+      const osDelta = result.os_score - base.os_score;
+      const pillarDelta = result.pillar_scores[pillar] - base.pillar_scores[pillar];
+      if (osDelta <= 0 && pillarDelta <= 0) continue;
+      if (!best || osDelta > best.os_score_delta || (osDelta === best.os_score_delta && pillarDelta > best.pillar_delta)) {
+        best = {
+          key: field,
+          from: inputs[field] ?? null,
+          to: value,
+          pillar,
+          pillar_delta: pillarDelta,
+          os_score: result.os_score,
+          os_score_delta: osDelta,
+          primary_constraint: result.primary_constraint,
+        };
+      }
+    }
+
+    if (best) ranked.push(best);
+  }
+
+  ranked.sort((a, b) => b.os_score_delta - a.os_score_delta || b.pillar_delta - a.pillar_delta);
+  return ranked.slice(0, top);
+}
+
+export function simulate(inputs, overrides = {}, { rulebook, top = 5 } = {}) {
+  const book = rulebook || loadRulebook();
+
+  const baseline = snapshot(scoreDiagnostic(inputs, { rulebook: book }), inputs, book);
+  const resolved = resolveOverrides(inputs, overrides);
+  const simulated = snapshot(scoreDiagnostic(resolved.inputs, { rulebook: book }), resolved.inputs, book);
+
+  return {
+    rulebook: { version: book.version, hash: book.hash },
+    baseline,
+    simulated,
+    os_score_delta: simulated.os_score - baseline.os_score,
+    pillar_deltas: pillarDeltas(baseline, simulated),
+    primary_constraint_changed: baseline.primary_constraint !== simulated.primary_constraint,
+    applied_overrides: resolved.applied,
+    unknown_overrides: resolved.unknown,
+    highest_leverage_changes: rankLeverage(resolved.inputs, { rulebook: book, baseline: simulated, top }),
+  };
+}
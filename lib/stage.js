@@ -0,0 +1,55 @@
+// lib/stage.js
+// Company-stage classifier and stage target profiles. Stages, their signals and the
+// target pillar scores drawn as the radar target line live in the rulebook's stages.json.
+
+import { PILLARS } from "./pillars.js";
+import { asString, loadRulebook, matchesCondition, matchesConditions } from "./rulebook.js";
+
+// Stages are checked in rulebook order; the first with a matching signal wins.
+// A stage with no signals is the fallback.
+export function classifyStage(answers = {}, { rulebook, rulebookVersion } = {}) {
+  const { stages } = (rulebook || loadRulebook(rulebookVersion)).stages;
+
+  for (const stage of stages) {
+    const signals = stage.signals || [];
+    const matched = signals
+      .filter((signal) => matchesCondition(signal, answers))
+      .map((signal) => ({ id: signal.id, field: signal.field, value: asString(answers[signal.field]), label: signal.label }));
+
+    if (signals.length && !matched.length) continue;
+
+    const rationale = matched.length
+      ? `${stage.label}: ${matched.map((m) => `${m.label} of ${m.value}`).join(" and ")}.`
+      : `${stage.label}: no ${stages.filter((s) => s !== stage).map((s) => s.label.toLowerCase()).join(" or ")} signals in revenue or ACV.`;
+
+    return { id: stage.id, label: stage.label, rationale, signals: matched };
+  }
+
+  const fallback = stages[stages.length - 1];
+  return { id: fallback.id, label: fallback.label, rationale: `${fallback.label}: default stage.`, signals: [] };
+}
+
+// Stage targets plus the rulebook's answer-driven adjustments. Audit and hidden
+// tiers use a slightly higher bar.
+export function getTargetPillarScores(answers = {}, tier = "exec", { rulebook, rulebookVersion, stage } = {}) {
+  const book = rulebook || loadRulebook(rulebookVersion);
+  const config = book.stages;
+  const stageId = (stage || classifyStage(answers, { rulebook: book })).id;
+  const profile = config.stages.find((s) => s.id === stageId) || config.stages[config.stages.length - 1];
+
+  const targets = {};
+  for (const p of PILLARS) targets[p.key] = profile.targets[p.key] ?? 0;
+
+  for (const adj of config.adjustments || []) {
+    if (!matchesConditions(adj.when, answers)) continue;
+    for (const [key, delta] of Object.entries(adj.deltas || {})) targets[key] += delta;
+  }
+
+  const tierDeltas = config.tier_adjustments?.[tier] || {};
+  const max = config.max ?? 20;
+  for (const key of Object.keys(targets)) {
+    targets[key] = Math.min(max, targets[key] + (tierDeltas[key] || 0));
+  }
+
+  return targets;
+}
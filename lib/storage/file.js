@@ -0,0 +1,52 @@
+// lib/storage/file.js
+// Filesystem backend: one JSON file per key under STORAGE_DIR (default
+// .data/store). Survives restarts, so `vercel dev` keeps reports between
+// requests without a Redis server. Single-machine only; there is no locking
+// between processes.
+
+import fs from "fs/promises";
+import path from "path";
+import { createLocalStore } from "./local.js";
+
+// Keys contain ":" and may contain "/", neither of which is safe in file names
+function fileFor(dir, key) {
+  return path.join(dir, `${encodeURIComponent(key)}.json`);
+}
+
+export function createFileStore({ dir }) {
+  let ready = null;
+  const ensureDir = () => (ready ||= fs.mkdir(dir, { recursive: true }));
+
+  return createLocalStore({
+    async read(key) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(dir, key), "utf8"));
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+    // Write-then-rename so a reader never sees a half-written file
+    async write(key, entry) {
+      await ensureDir();
+      const file = fileFor(dir, key);
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(entry));
+      await fs.rename(tmp, file);
+    },
+    async remove(key) {
+      await fs.rm(fileFor(dir, key), { force: true });
+    },
+    // In-flight writes end in .tmp and are skipped
+    async keys() {
+      let names;
+      try {
+        names = await fs.readdir(dir);
+      } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+      }
+      return names.filter((name) => name.endsWith(".json")).map((name) => decodeURIComponent(name.slice(0, -".json".length)));
+    },
+  });
+}
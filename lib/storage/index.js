@@ -0,0 +1,79 @@
+// lib/storage/index.js
+// Storage backend selection. lib/reportStore.js talks to whichever backend the
+// deployment configures through one small Redis-shaped interface:
+//
+//   get(key)                      → string | null
+//   set(key, value, { ex, nx })   → true when written (false: nx and key exists)
+//   del(key)
+//   expire(key, seconds)          → true when the key exists
+//   ttl(key)                      → seconds left, -1 without expiry, -2 missing
+//   hSet(key, field, value), hGetAll(key) → { field: value }, hIncrBy(key, field, by)
+//   hDel(key, field)              → an emptied hash disappears
+//   rPush(key, value), lPop(key), lLen(key)
+//   lRange(key, start, stop)      → items; stop is inclusive, -1 for the end
+//   lRem(key, value)              → removes every occurrence of value
+//   zAdd(key, score, member), zRem(key, member), zCard(key)
+//   zRangeByScore(key, min, max, { rev, offset, count }) → members; min/max may
+//                                 be -Infinity / Infinity
+//   scanKeys(prefix)              → every live key starting with prefix, in no
+//                                 particular order (maintenance scripts only)
+//
+// Values are strings; callers serialize. Every backend keeps the same TTL and
+// key semantics (see lib/storage/local.js for the in-process ones).
+//
+// STORAGE_BACKEND picks one of BACKENDS. Without it, REDIS_URL selects redis and
+// UPSTASH_REDIS_REST_URL (or Vercel KV's KV_REST_API_URL) selects upstash.
+
+import path from "path";
+
+export const BACKENDS = ["memory", "file", "redis", "upstash"];
+
+export function storageBackend() {
+  const configured = String(process.env.STORAGE_BACKEND || "").trim().toLowerCase();
+  if (configured) {
+    if (!BACKENDS.includes(configured)) {
+      throw new Error(`Unknown STORAGE_BACKEND "${configured}" (expected ${BACKENDS.join(", ")})`);
+    }
+    return configured;
+  }
+  if (process.env.REDIS_URL) return "redis";
+  if (process.env.UPSTASH_REDIS_REST_URL || process.env.KV_REST_API_URL) return "upstash";
+  throw new Error("No storage configured: set REDIS_URL, UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN, or STORAGE_BACKEND=file for local development");
+}
+
+// Backends are imported on first use so a deployment only loads its own client
+async function createStore(backend) {
+  if (backend === "memory") {
+    const { createMemoryStore } = await import("./memory.js");
+    return createMemoryStore();
+  }
+  if (backend === "file") {
+    const { createFileStore } = await import("./file.js");
+    return createFileStore({ dir: path.resolve(process.env.STORAGE_DIR || ".data/store") });
+  }
+  if (backend === "redis") {
+    if (!process.env.REDIS_URL) throw new Error("Missing REDIS_URL");
+    const { createRedisStore } = await import("./redis.js");
+    return createRedisStore({ url: process.env.REDIS_URL });
+  }
+  const url = process.env.UPSTASH_REDIS_REST_URL || process.env.KV_REST_API_URL;
+  const token = process.env.UPSTASH_REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN;
+  if (!url || !token) throw new Error("Missing UPSTASH_REDIS_REST_URL / UPSTASH_REDIS_REST_TOKEN");
+  const { createUpstashStore } = await import("./upstash.js");
+  return createUpstashStore({ url, token });
+}
+
+let storePromise = null;
+
+export function getStore() {
+  if (!storePromise) {
+    storePromise = Promise.resolve()
+      .then(() => createStore(storageBackend()))
+      .catch((err) => {
+        // Let the next request retry after a configuration error
+        storePromise = null;
+        throw err;
+      });
+  }
+  return storePromise;
+}
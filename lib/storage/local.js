@@ -0,0 +1,163 @@
+// lib/storage/local.js
+// Redis semantics for the in-process backends (memory and file). Each key holds
+// one entry, { type: "string" | "hash" | "list" | "zset", value, expires_at },
+// and the backend only has to read, write and remove entries by key, and list
+// its keys.
+//
+// Matches Redis where the API relies on it: SET replaces the value and clears
+// any TTL unless one is given; HSET, HINCRBY, RPUSH and ZADD keep the TTL; an
+// empty hash, list or sorted set disappears; expired keys read as missing; using a key as the wrong type
+// throws WRONGTYPE.
+
+function wrongType(key) {
+  return new Error(`WRONGTYPE Operation against a key holding the wrong kind of value (${key})`);
+}
+
+export function createLocalStore(backing) {
+  async function read(key) {
+    const entry = await backing.read(key);
+    if (!entry) return null;
+    if (entry.expires_at !== null && entry.expires_at <= Date.now()) {
+      await backing.remove(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async function readAs(key, type) {
+    const entry = await read(key);
+    if (entry && entry.type !== type) throw wrongType(key);
+    return entry;
+  }
+
+  return {
+    async get(key) {
+      const entry = await readAs(key, "string");
+      return entry ? entry.value : null;
+    },
+
+    async set(key, value, { ex, nx } = {}) {
+      if (nx && (await read(key))) return false;
+      await backing.write(key, { type: "string", value: String(value), expires_at: ex ? Date.now() + ex * 1000 : null });
+      return true;
+    },
+
+    async del(key) {
+      await backing.remove(key);
+    },
+
+    async expire(key, seconds) {
+      const entry = await read(key);
+      if (!entry) return false;
+      await backing.write(key, { ...entry, expires_at: Date.now() + seconds * 1000 });
+      return true;
+    },
+
+    async ttl(key) {
+      const entry = await read(key);
+      if (!entry) return -2;
+      return entry.expires_at === null ? -1 : Math.ceil((entry.expires_at - Date.now()) / 1000);
+    },
+
+    async hSet(key, field, value) {
+      const entry = (await readAs(key, "hash")) || { type: "hash", value: {}, expires_at: null };
+      entry.value = { ...entry.value, [field]: String(value) };
+      await backing.write(key, entry);
+    },
+
+    async hGetAll(key) {
+      const entry = await readAs(key, "hash");
+      return entry ? { ...entry.value } : {};
+    },
+
+    async hDel(key, field) {
+      const entry = await readAs(key, "hash");
+      if (!entry || !(field in entry.value)) return;
+      const { [field]: _removed, ...rest } = entry.value;
+      if (Object.keys(rest).length) await backing.write(key, { ...entry, value: rest });
+      else await backing.remove(key);
+    },
+
+    async hIncrBy(key, field, by) {
+      const entry = (await readAs(key, "hash")) || { type: "hash", value: {}, expires_at: null };
+      const next = (Number(entry.value[field]) || 0) + by;
+      entry.value = { ...entry.value, [field]: String(next) };
+      await backing.write(key, entry);
+      return next;
+    },
+
+    async rPush(key, value) {
+      const entry = (await readAs(key, "list")) || { type: "list", value: [], expires_at: null };
+      entry.value = [...entry.value, String(value)];
+      await backing.write(key, entry);
+      return entry.value.length;
+    },
+
+    async lPop(key) {
+      const entry = await readAs(key, "list");
+      if (!entry) return null;
+      const [first, ...rest] = entry.value;
+      if (rest.length) await backing.write(key, { ...entry, value: rest });
+      else await backing.remove(key);
+      return first ?? null;
+    },
+
+    async lLen(key) {
+      const entry = await readAs(key, "list");
+      return entry ? entry.value.length : 0;
+    },
+
+    async lRange(key, start, stop) {
+      const entry = await readAs(key, "list");
+      if (!entry) return [];
+      return entry.value.slice(start, stop === -1 ? undefined : stop + 1);
+    },
+
+    async lRem(key, value) {
+      const entry = await readAs(key, "list");
+      if (!entry) return;
+      const rest = entry.value.filter((item) => item !== String(value));
+      if (rest.length) await backing.write(key, { ...entry, value: rest });
+      else await backing.remove(key);
+    },
+
+    async zAdd(key, score, member) {
+      const entry = (await readAs(key, "zset")) || { type: "zset", value: {}, expires_at: null };
+      entry.value = { ...entry.value, [member]: score };
+      await backing.write(key, entry);
+    },
+
+    async zRem(key, member) {
+      const entry = await readAs(key, "zset");
+      if (!entry || !(member in entry.value)) return;
+      const { [member]: _removed, ...rest } = entry.value;
+      if (Object.keys(rest).length) await backing.write(key, { ...entry, value: rest });
+      else await backing.remove(key);
+    },
+
+    // Ties are ordered by member, as Redis does
+    async zRangeByScore(key, min, max, { rev = false, offset = 0, count } = {}) {
+      const entry = await readAs(key, "zset");
+      if (!entry) return [];
+      const members = Object.entries(entry.value)
+        .filter(([, score]) => score >= min && score <= max)
+        .sort(([a, sa], [b, sb]) => sa - sb || (a < b ? -1 : a > b ? 1 : 0))
+        .map(([member]) => member);
+      if (rev) members.reverse();
+      return members.slice(offset, count === undefined ? undefined : offset + count);
+    },
+
+    async zCard(key) {
+      const entry = await readAs(key, "zset");
+      return entry ? Object.keys(entry.value).length : 0;
+    },
+
+    async scanKeys(prefix) {
+      const keys = [];
+      for (const key of await backing.keys()) {
+        if (key.startsWith(prefix) && (await read(key))) keys.push(key);
+      }
+      return keys;
+    },
+  };
+}
@@ -0,0 +1,26 @@
+// lib/storage/memory.js
+// In-memory backend. Data lives as long as the process: fine for local runs and
+// scripts, useless across serverless invocations.
+
+import { createLocalStore } from "./local.js";
+
+export function createMemoryStore() {
+  const entries = new Map();
+
+  // Entries are copied in and out so callers never share state with the store
+  return createLocalStore({
+    async read(key) {
+      const entry = entries.get(key);
+      return entry ? structuredClone(entry) : null;
+    },
+    async write(key, entry) {
+      entries.set(key, structuredClone(entry));
+    },
+    async remove(key) {
+      entries.delete(key);
+    },
+    async keys() {
+      return [...entries.keys()];
+    },
+  });
+}
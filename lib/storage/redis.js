@@ -0,0 +1,122 @@
+// lib/storage/redis.js
+// TCP Redis backend (node `redis` client), used when REDIS_URL is set.
+
+import { createClient } from "redis";
+
+// Redis spells unbounded score ranges as "-inf" / "+inf"
+function scoreBound(value) {
+  if (value === -Infinity) return "-inf";
+  if (value === Infinity) return "+inf";
+  return value;
+}
+
+// SCAN MATCH pattern for keys starting with `prefix`
+function prefixPattern(prefix) {
+  return `${prefix.replace(/[*?[\]\\]/g, "\\$&")}*`;
+}
+
+export function createRedisStore({ url }) {
+  let clientPromise = null;
+
+  function client() {
+    if (!clientPromise) {
+      const c = createClient({ url });
+      c.on("error", (err) => {
+        console.error("[redis] Client error:", err);
+      });
+      clientPromise = c.connect().then(() => c);
+    }
+    return clientPromise;
+  }
+
+  return {
+    async get(key) {
+      return (await client()).get(key);
+    },
+
+    async set(key, value, { ex, nx } = {}) {
+      const options = {};
+      if (ex) options.EX = ex;
+      if (nx) options.NX = true;
+      return (await (await client()).set(key, value, options)) === "OK";
+    },
+
+    async del(key) {
+      await (await client()).del(key);
+    },
+
+    async expire(key, seconds) {
+      return Boolean(await (await client()).expire(key, seconds));
+    },
+
+    async ttl(key) {
+      return (await client()).ttl(key);
+    },
+
+    async hSet(key, field, value) {
+      await (await client()).hSet(key, field, value);
+    },
+
+    async hGetAll(key) {
+      return { ...((await (await client()).hGetAll(key)) || {}) };
+    },
+
+    async hDel(key, field) {
+      await (await client()).hDel(key, field);
+    },
+
+    async hIncrBy(key, field, by) {
+      return Number(await (await client()).hIncrBy(key, field, by));
+    },
+
+    async rPush(key, value) {
+      return (await client()).rPush(key, value);
+    },
+
+    async lPop(key) {
+      return (await client()).lPop(key);
+    },
+
+    async lLen(key) {
+      return (await client()).lLen(key);
+    },
+
+    async lRange(key, start, stop) {
+      return (await client()).lRange(key, start, stop);
+    },
+
+    async lRem(key, value) {
+      await (await client()).lRem(key, 0, value);
+    },
+
+    async zAdd(key, score, member) {
+      await (await client()).zAdd(key, { score, value: member });
+    },
+
+    async zRem(key, member) {
+      await (await client()).zRem(key, member);
+    },
+
+    async zRangeByScore(key, min, max, { rev = false, offset = 0, count } = {}) {
+      // With REV the range is given high to low
+      const [from, to] = rev ? [max, min] : [min, max];
+      const options = { BY: "SCORE" };
+      if (rev) options.REV = true;
+      if (offset || count !== undefined) options.LIMIT = { offset, count: count ?? -1 };
+      return (await client()).zRange(key, scoreBound(from), scoreBound(to), options);
+    },
+
+    async zCard(key) {
+      return (await client()).zCard(key);
+    },
+
+    // SCAN may return a key more than once; node-redis 5 yields batches
+    async scanKeys(prefix) {
+      const keys = new Set();
+      for await (const batch of (await client()).scanIterator({ MATCH: prefixPattern(prefix), COUNT: 500 })) {
+        for (const key of [].concat(batch)) keys.add(key);
+      }
+      return [...keys];
+    },
+  };
+}
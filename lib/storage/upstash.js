@@ -0,0 +1,114 @@
+// lib/storage/upstash.js
+// Upstash REST backend (@upstash/redis), for deployments without a TCP Redis.
+// Values stay plain strings: the client's automatic JSON (de)serialization is
+// off so every backend returns exactly what was stored.
+
+import { Redis } from "@upstash/redis";
+
+function scoreBound(value) {
+  if (value === -Infinity) return "-inf";
+  if (value === Infinity) return "+inf";
+  return value;
+}
+
+function prefixPattern(prefix) {
+  return `${prefix.replace(/[*?[\]\\]/g, "\\$&")}*`;
+}
+
+export function createUpstashStore({ url, token }) {
+  const redis = new Redis({ url, token, automaticDeserialization: false });
+
+  return {
+    async get(key) {
+      return redis.get(key);
+    },
+
+    async set(key, value, { ex, nx } = {}) {
+      const options = {};
+      if (ex) options.ex = ex;
+      if (nx) options.nx = true;
+      return (await redis.set(key, value, options)) === "OK";
+    },
+
+    async del(key) {
+      await redis.del(key);
+    },
+
+    async expire(key, seconds) {
+      return Boolean(await redis.expire(key, seconds));
+    },
+
+    async ttl(key) {
+      return redis.ttl(key);
+    },
+
+    async hSet(key, field, value) {
+      await redis.hset(key, { [field]: value });
+    },
+
+    async hGetAll(key) {
+      return { ...((await redis.hgetall(key)) || {}) };
+    },
+
+    async hDel(key, field) {
+      await redis.hdel(key, field);
+    },
+
+    async hIncrBy(key, field, by) {
+      return Number(await redis.hincrby(key, field, by));
+    },
+
+    async rPush(key, value) {
+      return redis.rpush(key, value);
+    },
+
+    async lPop(key) {
+      return redis.lpop(key);
+    },
+
+    async lLen(key) {
+      return redis.llen(key);
+    },
+
+    async lRange(key, start, stop) {
+      return redis.lrange(key, start, stop);
+    },
+
+    async lRem(key, value) {
+      await redis.lrem(key, 0, value);
+    },
+
+    async zAdd(key, score, member) {
+      await redis.zadd(key, { score, member });
+    },
+
+    async zRem(key, member) {
+      await redis.zrem(key, member);
+    },
+
+    async zRangeByScore(key, min, max, { rev = false, offset = 0, count } = {}) {
+      // With rev the range is given high to low
+      const [from, to] = rev ? [max, min] : [min, max];
+      const options = { byScore: true };
+      if (rev) options.rev = true;
+      if (offset || count !== undefined) Object.assign(options, { offset, count: count ?? -1 });
+      return (await redis.zrange(key, scoreBound(from), scoreBound(to), options)).map(String);
+    },
+
+    async zCard(key) {
+      return redis.zcard(key);
+    },
+
+    // SCAN may return a key more than once
+    async scanKeys(prefix) {
+      const keys = new Set();
+      let cursor = "0";
+      do {
+        const [next, batch] = await redis.scan(cursor, { match: prefixPattern(prefix), count: 500 });
+        for (const key of batch) keys.add(String(key));
+        cursor = String(next);
+      } while (cursor !== "0");
+      return [...keys];
+    },
+  };
+}
@@ -0,0 +1,165 @@
+// lib/validation.js
+// Request schema for diagnostic submissions (/api/diagnostic and each entry of
+// /api/batch). Problems are reported per field as { path, code, message }, with
+// paths such as `tier`, `client_email` or `answers["Close Rate (%)"][1]`.
+//
+// Two modes:
+//   strict  — an unknown tier, a malformed contact field, a non-boolean flag or
+//             a non-text item in a multi-select answer is an error
+//   lenient — the same problems come back as warnings and the submission is
+//             scored with the value cleaned up (unknown tiers score as exec)
+// Missing answers, answers given as objects and an invalid group id are errors
+// in both modes.
+//
+// The mode is the payload's `validation` field, else DIAGNOSTIC_VALIDATION,
+// else lenient.
+
+import { isValidCompanyId } from "./companyHistory.js";
+import { domainFromWebsite, isValidGroupId } from "./groups.js";
+
+export const VALIDATION_MODES = ["strict", "lenient"];
+export const TIERS = ["exec", "audit", "full"];
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@.]+$/;
+
+const CONTACT_FIELDS = ["client_email", "client_name", "client_company", "client_website"];
+const TRUE_VALUES = [true, "true", 1, "1"];
+const FALSE_VALUES = [false, "false", 0, "0"];
+
+function issue(path, code, message) {
+  return { path, code, message };
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function answerPath(key, index) {
+  return `answers[${JSON.stringify(key)}]${index === undefined ? "" : `[${index}]`}`;
+}
+
+function present(value) {
+  return value !== undefined && value !== null && value !== "";
+}
+
+export function validationMode(payload) {
+  const requested = isPlainObject(payload) ? payload.validation : undefined;
+  if (VALIDATION_MODES.includes(requested)) return requested;
+  const configured = String(process.env.DIAGNOSTIC_VALIDATION || "").trim().toLowerCase();
+  return VALIDATION_MODES.includes(configured) ? configured : "lenient";
+}
+
+// Multi-select items must be text. Numbers and booleans are kept as text,
+// anything else is dropped.
+function checkAnswers(answers, { mode, soft, errors }) {
+  const cleaned = {};
+  for (const [key, value] of Object.entries(answers)) {
+    if (isPlainObject(value)) {
+      errors.push(issue(answerPath(key), "invalid_type", `Answer "${key}" must be text, a number or a list of options, not an object.`));
+      continue;
+    }
+    if (!Array.isArray(value)) {
+      cleaned[key] = value;
+      continue;
+    }
+
+    cleaned[key] = [];
+    value.forEach((item, i) => {
+      if (typeof item === "string") {
+        cleaned[key].push(item);
+        return;
+      }
+      const keep = typeof item === "number" || typeof item === "boolean";
+      const got = item === null ? "null" : Array.isArray(item) ? "a list" : typeof item;
+      const outcome = mode === "lenient" ? (keep ? " Read as text." : " Ignored.") : "";
+      soft(issue(answerPath(key, i), "invalid_item", `Item ${i + 1} of "${key}" must be text (got ${got}).${outcome}`));
+      if (keep) cleaned[key].push(String(item));
+    });
+  }
+  return cleaned;
+}
+
+// Validates a payload together with lib/intake.js's parse of it. Returns
+// { mode, errors, warnings, tier, client, groupId, companyId, respondentRole,
+// excludeFromBenchmarks, answers }; the values are the cleaned ones to score
+// with and only meaningful when `errors` is empty.
+export function validateSubmission(payload, intake) {
+  const mode = validationMode(payload);
+  const errors = [];
+  const warnings = [];
+  const soft = (entry) => (mode === "strict" ? errors : warnings).push(entry);
+  const result = { mode, errors, warnings };
+
+  if (!isPlainObject(payload)) {
+    errors.push(issue("", "invalid_type", "The request body must be a JSON object."));
+    return result;
+  }
+
+  if (payload.validation !== undefined && !VALIDATION_MODES.includes(payload.validation)) {
+    errors.push(issue("validation", "invalid_value", `validation must be one of ${VALIDATION_MODES.join(", ")}.`));
+  }
+
+  // Answers
+  if (intake.error) {
+    if (intake.source) errors.push(issue(intake.source === "csv" ? "csv" : "", "invalid_payload", intake.error));
+    else errors.push(issue("answers", payload.answers === undefined || payload.answers === null ? "required" : "invalid_type", intake.error));
+  } else if (!isPlainObject(intake.answers) || !Object.keys(intake.answers).length) {
+    errors.push(issue("answers", "empty", intake.source === "honeybook" ? "'answers' must be a non-empty object." : `No answers found in ${intake.source} payload.`));
+  } else {
+    result.answers = checkAnswers(intake.answers, { mode, soft, errors });
+  }
+
+  // Tier
+  const rawTier = payload.tier ?? intake.tier;
+  result.tier = "exec";
+  if (present(rawTier)) {
+    const tier = String(rawTier).trim().toLowerCase();
+    if (TIERS.includes(tier)) result.tier = tier === "full" ? "audit" : tier;
+    else soft(issue("tier", "unknown_tier", `Unknown tier "${rawTier}"; expected exec or audit.${mode === "lenient" ? " Scored as exec." : ""}`));
+  }
+
+  // Contact fields — top-level fields win over the ones found in the form
+  result.client = {};
+  for (const field of CONTACT_FIELDS) {
+    let value = present(payload[field]) ? payload[field] : intake.client?.[field];
+    if (present(value) && typeof value !== "string") {
+      soft(issue(field, "invalid_type", `${field} must be text.`));
+      value = typeof value === "number" ? String(value) : "";
+    }
+    result.client[field] = String(value || "").trim();
+  }
+  if (result.client.client_email && !EMAIL_PATTERN.test(result.client.client_email)) {
+    soft(issue("client_email", "invalid_email", `client_email "${result.client.client_email}" is not an email address.`));
+  }
+  if (result.client.client_website && !domainFromWebsite(result.client.client_website)) {
+    soft(issue("client_website", "invalid_website", `client_website "${result.client.client_website}" is not a website address.`));
+  }
+
+  // Options
+  const groupId = payload.group_id || intake.client?.group_id || null;
+  if (groupId && (typeof groupId !== "string" || !isValidGroupId(groupId))) {
+    errors.push(issue("group_id", "invalid_group_id", "group_id must be 1–64 letters, digits, dots, dashes or underscores."));
+  }
+  result.groupId = groupId;
+
+  const companyId = payload.company_id || intake.client?.company_id || null;
+  if (companyId && (typeof companyId !== "string" || !isValidCompanyId(companyId))) {
+    errors.push(issue("company_id", "invalid_company_id", "company_id must be 1–64 letters, digits, dots, dashes or underscores."));
+  }
+  result.companyId = companyId;
+
+  result.respondentRole = null;
+  if (present(payload.respondent_role)) {
+    if (typeof payload.respondent_role === "string") result.respondentRole = payload.respondent_role;
+    else soft(issue("respondent_role", "invalid_type", "respondent_role must be text."));
+  }
+
+  const exclude = payload.exclude_from_benchmarks;
+  result.excludeFromBenchmarks = TRUE_VALUES.includes(exclude);
+  if (present(exclude) && !TRUE_VALUES.includes(exclude) && !FALSE_VALUES.includes(exclude)) {
+    soft(issue("exclude_from_benchmarks", "invalid_type", "exclude_from_benchmarks must be true or false."));
+  } else if (present(exclude) && typeof exclude !== "boolean") {
+    soft(issue("exclude_from_benchmarks", "invalid_type", `exclude_from_benchmarks must be true or false; read "${exclude}" as ${result.excludeFromBenchmarks}.`));
+  }
+
+  return result;
+}
@@ -0,0 +1,102 @@
+// scripts/import-csv.js
+// Imports diagnostic responses from a CSV export (one response per row, question
+// text or question ids as column headers) by posting each row to /api/diagnostic.
+// Contact columns such as "Email", "Name", "Company" and "Website" fill the client fields.
+//
+// Usage:
+//   VW_TOKEN=your_token npm run import:csv -- responses.csv
+//   VW_TOKEN=your_token npm run import:csv -- responses.csv --tier audit --exclude-from-benchmarks
+//   npm run import:csv -- responses.csv --dry-run
+//
+// Options:
+//   --tier <exec|audit>          report tier for every row (default: a "tier" column, else exec)
+//   --exclude-from-benchmarks    keep imported rows out of the peer benchmark cohorts
+//   --dry-run                    map the rows and print answer issues without posting
+
+import fs from "fs";
+import { normalizeIncomingAnswers, resolveAnswers } from "../lib/answers.js";
+import { parseCsv, parseIntake, toCsv } from "../lib/intake.js";
+
+const url = process.env.DIAGNOSTIC_URL || "http://localhost:3000/api/diagnostic";
+const token = process.env.VW_TOKEN;
+
+function parseArgs(argv) {
+  const args = { files: [], dryRun: false, excludeFromBenchmarks: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--tier") args.tier = argv[++i];
+    else if (arg === "--dry-run") args.dryRun = true;
+    else if (arg === "--exclude-from-benchmarks") args.excludeFromBenchmarks = true;
+    else if (arg.startsWith("--")) throw new Error(`Unknown option: ${arg}`);
+    else args.files.push(arg);
+  }
+  if (args.files.length !== 1) throw new Error("Pass exactly one CSV file.");
+  return args;
+}
+
+function dryRun(index, payload) {
+  const intake = parseIntake(payload);
+  if (intake.error) {
+    console.log(`[import] row ${index}: ${intake.error}`);
+    return false;
+  }
+  const { unknownKeys, unrecognizedValues } = resolveAnswers(normalizeIncomingAnswers(intake.answers));
+  console.log(
+    `[import] row ${index}: ${intake.client.client_company || "(no company)"} — ${Object.keys(intake.answers).length} answers, ` +
+    `${unknownKeys.length} unknown columns, ${unrecognizedValues.length} unrecognized values`
+  );
+  if (unknownKeys.length) console.log(`  unknown: ${unknownKeys.join(" | ")}`);
+  unrecognizedValues.forEach((v) => console.log(`  ${v.question}: "${v.value}"`));
+  return true;
+}
+
+async function post(index, payload) {
+  let res;
+  try {
+    res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "x-vw-token": token },
+      body: JSON.stringify(payload),
+    });
+  } catch (err) {
+    console.error(`[import] row ${index}: could not reach ${url} — ${err.message}`);
+    return false;
+  }
+
+  const data = await res.json().catch(() => ({}));
+  if (res.status !== 200) {
+    console.error(`[import] row ${index}: HTTP ${res.status} — ${data.error || "no error message"}`);
+    return false;
+  }
+  const summary = data.summary || {};
+  console.log(`[import] row ${index}: ${data.report?.client?.company_name || "(no company)"} — ${summary.provisional ? `provisional ${summary.score}/100, ${summary.questions_needed} more answers needed` : `${summary.score}/100`} ${data.exec_report_url || data.audit_report_url || ""}`);
+  return true;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.dryRun && !token) throw new Error("VW_TOKEN environment variable is not set.");
+
+  const rows = parseCsv(fs.readFileSync(args.files[0], "utf8"));
+  console.log(`[import] ${rows.length} rows from ${args.files[0]}${args.dryRun ? " (dry run)" : ` → ${url}`}`);
+
+  let ok = 0;
+  // Rows are posted one at a time so a large file does not flood the endpoint
+  for (const [i, row] of rows.entries()) {
+    const payload = {
+      source: "csv",
+      csv: toCsv([row]),
+      ...(args.tier ? { tier: args.tier } : {}),
+      ...(args.excludeFromBenchmarks ? { exclude_from_benchmarks: true } : {}),
+    };
+    if (args.dryRun ? dryRun(i + 1, payload) : await post(i + 1, payload)) ok++;
+  }
+
+  console.log(`[import] ${ok}/${rows.length} rows ${args.dryRun ? "mapped" : "imported"}`);
+  if (ok !== rows.length) process.exit(1);
+}
+
+main().catch((err) => {
+  console.error(`[import] ${err.message}`);
+  process.exit(2);
+});
@@ -0,0 +1,57 @@
+// scripts/rotate-encryption-key.js
+// Re-encrypts stored records with the active key in REPORT_ENCRYPTION_KEYS (see
+// lib/encryption.js): reports and their revisions, resume state, idempotency
+// responses, index summaries, group members, company history snapshots, queued
+// enrichment jobs and archived reports. It then rebuilds the key names hashed
+// with REPORT_INDEX_KEY: the company, email and domain index sets, group and
+// company history hashes, and group member keys. Run it against the same
+// storage and archive settings as the deployment.
+//
+// To rotate: put the new key first in REPORT_ENCRYPTION_KEYS, keep the old one
+// after it, deploy, run this, then remove the old key. The first run after
+// turning encryption on also encrypts the existing plaintext records.
+//
+// Usage:
+//   REPORT_ENCRYPTION_KEYS=new:...,old:... REDIS_URL=... npm run encryption:rotate
+//   REPORT_ENCRYPTION_KEYS=... REDIS_URL=... npm run encryption:rotate -- --decrypt
+//
+// --decrypt stores every record and index key in plaintext again, before
+// encryption is turned off.
+
+import { encryptionKeys } from "../lib/encryption.js";
+import { rebuildGroupKeys } from "../lib/groups.js";
+import { rebuildIndexKeys } from "../lib/reportIndex.js";
+import { reencryptStoredRecords, rekeyCompanyHistories } from "../lib/reportStore.js";
+
+async function main() {
+  const args = process.argv.slice(2);
+  const unknown = args.find((arg) => arg !== "--decrypt");
+  if (unknown) throw new Error(`Unknown option: ${unknown}`);
+  const decrypt = args.includes("--decrypt");
+  const { active } = encryptionKeys();
+  if (!active) throw new Error("REPORT_ENCRYPTION_KEYS is not set.");
+
+  console.log(decrypt ? "[rotate] decrypting every record" : `[rotate] re-encrypting with key "${active.id}"`);
+  const counts = await reencryptStoredRecords({
+    decrypt,
+    onError: (key, err) => console.error(`[rotate] ${key}: ${err.message}`),
+  });
+  console.log(
+    `[rotate] ${counts.reports} reports, ${counts.revisions} revision histories, ${counts.resumes} resume states, ` +
+    `${counts.idempotency} idempotency records, ${counts.index} index entries, ${counts.groups} groups, ` +
+    `${counts.history} company histories, ${counts.queued} queued jobs, ` +
+    `${counts.archives} archives updated; ${counts.failed} failed`
+  );
+  const indexed = await rebuildIndexKeys({ plaintext: decrypt });
+  console.log(`[rotate] ${indexed} submissions re-indexed`);
+  const groups = await rebuildGroupKeys({ plaintext: decrypt });
+  const histories = await rekeyCompanyHistories({ plaintext: decrypt });
+  console.log(`[rotate] ${groups} groups and ${histories} company histories renamed`);
+  // The Redis client keeps the process alive
+  process.exit(counts.failed ? 1 : 0);
+}
+
+main().catch((err) => {
+  console.error(`[rotate] ${err.message}`);
+  process.exit(2);
+});
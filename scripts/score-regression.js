@@ -0,0 +1,243 @@
+// scripts/score-regression.js
+// Scores a corpus of submissions with a baseline and a candidate engine/rulebook and
+// reports what moved: OS score shifts, band changes, primary-constraint flips,
+// constraint-ranking reorders and added or removed contradictions. Prints JSON to stdout and a short summary to stderr.
+//
+// Usage:
+//   npm run score:regression -- --candidate os_v2.1_continuous
+//   npm run score:regression -- --candidate ./rulebooks-draft/os_v2.1 --fixtures ./exports --out diff.json
+//   npm run score:regression -- --candidate-engine ../other-checkout/lib/scoring.js --fail-on-change
+//
+// Options:
+//   --baseline <version|dir>        rulebook for the baseline run (default: OS_RULEBOOK_VERSION or the default)
+//   --candidate <version|dir>       rulebook for the candidate run (default: same as baseline)
+//   --baseline-engine <file>        scoring module for the baseline run (default: lib/scoring.js)
+//   --candidate-engine <file>       scoring module for the candidate run (default: lib/scoring.js)
+//   --fixtures <dir>                add every .json / .jsonl file in a directory (repeatable)
+//   --out <file>                    also write the JSON report to a file
+//   --fail-on-change                exit 1 when any band changes or primary constraint flips
+//   [files...]                      extra fixture files; defaults to the payloads in the repo root
+//
+// A fixture may be a diagnostic payload ({ answers }), a diagnostic response
+// ({ report: { inputs: { raw_answers } } }), a stored report record
+// ({ reportData: { normalized_answers } }), an array of those, or JSON lines.
+
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import {
+  MIN_REQUIRED_FIELDS,
+  buildOsInputs,
+  countPresentRequired,
+  normalizeIncomingAnswers,
+  resolveAnswers,
+} from "../lib/answers.js";
+import { classifyAnswersLocal } from "../lib/classifier.js";
+import { pillarKeyFromLabel, toReportPillarScores } from "../lib/pillars.js";
+import { getActiveRulebookVersion, loadRulebook } from "../lib/rulebook.js";
+import { scoreBand } from "../lib/scoring.js";
+
+const DEFAULT_FIXTURES = ["scored-payload.json", "insufficient-payload.json", "test.json", "scored.json", "insufficient.json"];
+
+function parseArgs(argv) {
+  const args = { fixtures: [], files: [], failOnChange: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      const value = argv[++i];
+      if (value === undefined) throw new Error(`Missing value for ${arg}`);
+      return value;
+    };
+    if (arg === "--baseline") args.baseline = next();
+    else if (arg === "--candidate") args.candidate = next();
+    else if (arg === "--baseline-engine") args.baselineEngine = next();
+    else if (arg === "--candidate-engine") args.candidateEngine = next();
+    else if (arg === "--fixtures") args.fixtures.push(next());
+    else if (arg === "--out") args.out = next();
+    else if (arg === "--fail-on-change") args.failOnChange = true;
+    else if (arg.startsWith("--")) throw new Error(`Unknown option: ${arg}`);
+    else args.files.push(arg);
+  }
+  return args;
+}
+
+/* =========================================================
+   Corpus
+========================================================= */
+
+function readFixtureFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  if (file.endsWith(".jsonl")) {
+    return text.split("\n").filter((line) => line.trim()).map((line) => JSON.parse(line));
+  }
+  const parsed = JSON.parse(text);
+  return Array.isArray(parsed) ? parsed : [parsed];
+}
+
+// Returns { answers, normalized } — raw question-text answers when available,
+// otherwise the already-normalized answers from a stored record.
+function extractAnswers(entry) {
+  if (entry?.answers && typeof entry.answers === "object") return { answers: entry.answers };
+  const report = entry?.report || entry;
+  if (report?.inputs?.raw_answers) return { answers: report.inputs.raw_answers };
+  if (report?.inputs?.normalized_answers) return { normalized: report.inputs.normalized_answers };
+  const data = entry?.reportData || entry;
+  if (data?.normalized_answers) return { normalized: data.normalized_answers };
+  return null;
+}
+
+function companyOf(entry) {
+  return (
+    entry?.client_company ||
+    entry?.report?.client?.company_name ||
+    entry?.client?.company_name ||
+    entry?.reportData?.company_name ||
+    entry?.company_name ||
+    null
+  );
+}
+
+function collectFixtures(args) {
+  const files = [...args.files];
+  for (const dir of args.fixtures) {
+    for (const name of fs.readdirSync(dir).sort()) {
+      if (name.endsWith(".json") || name.endsWith(".jsonl")) files.push(path.join(dir, name));
+    }
+  }
+  if (!files.length) files.push(...DEFAULT_FIXTURES.filter((f) => fs.existsSync(f)));
+
+  const corpus = [];
+  for (const file of files) {
+    readFixtureFile(file).forEach((entry, index) => {
+      const extracted = extractAnswers(entry);
+      if (!extracted) {
+        console.error(`[regression] skipping ${file}#${index}: no answers found`);
+        return;
+      }
+      let normalized = extracted.normalized;
+      if (!normalized) {
+        const resolved = resolveAnswers(normalizeIncomingAnswers(extracted.answers));
+        normalized = classifyAnswersLocal(resolved.normalized, resolved.unrecognizedValues).normalized;
+      }
+      corpus.push({ id: `${path.basename(file)}#${index}`, company: companyOf(entry), normalized });
+    });
+  }
+  return corpus;
+}
+
+/* =========================================================
+   Scoring
+========================================================= */
+
+async function loadEngine(file) {
+  if (!file) return import("../lib/scoring.js");
+  const mod = await import(pathToFileURL(path.resolve(file)).href);
+  if (typeof mod.scoreDiagnostic !== "function") throw new Error(`${file} does not export scoreDiagnostic`);
+  return mod;
+}
+
+function runOne(engine, rulebook, inputs) {
+  const scoring = engine.scoreDiagnostic(inputs, { rulebook });
+  return {
+    os_score: scoring.osScore,
+    band: (engine.scoreBand || scoreBand)(scoring.osScore),
+    primary_constraint: pillarKeyFromLabel(scoring.primaryConstraint),
+    constraint_ranking: (scoring.constraintRanking || []).map((c) => c.key),
+    pillar_scores: toReportPillarScores(scoring.scores),
+    contradictions: (scoring.contradictions || []).map((c) => c.id),
+  };
+}
+
+function diffResults(base, cand) {
+  const pillarDeltas = {};
+  for (const key of Object.keys(base.pillar_scores)) {
+    pillarDeltas[key] = cand.pillar_scores[key] - base.pillar_scores[key];
+  }
+  const added = cand.contradictions.filter((id) => !base.contradictions.includes(id));
+  const removed = base.contradictions.filter((id) => !cand.contradictions.includes(id));
+  const osDelta = cand.os_score - base.os_score;
+  const bandChanged = base.band !== cand.band;
+  const flipped = base.primary_constraint !== cand.primary_constraint;
+  // Engines from before the full ranking return none; only compare when both do
+  const reordered = base.constraint_ranking.length > 0 && cand.constraint_ranking.length > 0 &&
+    base.constraint_ranking.join() !== cand.constraint_ranking.join();
+  return {
+    changed: osDelta !== 0 || bandChanged || flipped || reordered || added.length > 0 || removed.length > 0 || Object.values(pillarDeltas).some((d) => d !== 0),
+    os_score_delta: osDelta,
+    band_changed: bandChanged,
+    primary_constraint_flipped: flipped,
+    constraint_ranking_changed: reordered,
+    contradictions_added: added,
+    contradictions_removed: removed,
+    pillar_deltas: pillarDeltas,
+  };
+}
+
+/* =========================================================
+   Main
+========================================================= */
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const baselineBook = loadRulebook(args.baseline || getActiveRulebookVersion());
+  const candidateBook = loadRulebook(args.candidate || args.baseline || getActiveRulebookVersion());
+  const baselineEngine = await loadEngine(args.baselineEngine);
+  const candidateEngine = await loadEngine(args.candidateEngine);
+
+  const corpus = collectFixtures(args);
+  const submissions = [];
+
+  for (const item of corpus) {
+    const inputs = buildOsInputs(item.normalized);
+    const { presentCount } = countPresentRequired(inputs);
+    if (presentCount < MIN_REQUIRED_FIELDS) {
+      submissions.push({ id: item.id, company: item.company, insufficient_data: true, present_required_count: presentCount });
+      continue;
+    }
+    const baseline = runOne(baselineEngine, baselineBook, inputs);
+    const candidate = runOne(candidateEngine, candidateBook, inputs);
+    submissions.push({ id: item.id, company: item.company, insufficient_data: false, baseline, candidate, diff: diffResults(baseline, candidate) });
+  }
+
+  const scored = submissions.filter((s) => !s.insufficient_data);
+  const shifts = scored.map((s) => s.diff.os_score_delta);
+  const summary = {
+    submissions: submissions.length,
+    scored: scored.length,
+    insufficient_data: submissions.length - scored.length,
+    changed: scored.filter((s) => s.diff.changed).length,
+    band_changes: scored.filter((s) => s.diff.band_changed).length,
+    primary_constraint_flips: scored.filter((s) => s.diff.primary_constraint_flipped).length,
+    ranking_changes: scored.filter((s) => s.diff.constraint_ranking_changed).length,
+    contradiction_changes: scored.filter((s) => s.diff.contradictions_added.length || s.diff.contradictions_removed.length).length,
+    max_abs_os_shift: shifts.length ? Math.max(...shifts.map(Math.abs)) : 0,
+    mean_os_shift: shifts.length ? Math.round((shifts.reduce((a, b) => a + b, 0) / shifts.length) * 100) / 100 : 0,
+  };
+
+  const report = {
+    generated_at: new Date().toISOString(),
+    baseline: { rulebook: { version: baselineBook.version, hash: baselineBook.hash }, engine: args.baselineEngine || "lib/scoring.js" },
+    candidate: { rulebook: { version: candidateBook.version, hash: candidateBook.hash }, engine: args.candidateEngine || "lib/scoring.js" },
+    summary,
+    submissions,
+  };
+
+  const json = JSON.stringify(report, null, 2);
+  if (args.out) fs.writeFileSync(args.out, json + "\n");
+  process.stdout.write(json + "\n");
+
+  console.error(
+    `[regression] ${summary.scored} scored, ${summary.changed} changed, ${summary.band_changes} band changes, ` +
+    `${summary.primary_constraint_flips} constraint flips, ${summary.ranking_changes} ranking changes, ${summary.contradiction_changes} contradiction changes, ` +
+    `max shift ${summary.max_abs_os_shift}`
+  );
+
+  if (args.failOnChange && (summary.band_changes > 0 || summary.primary_constraint_flips > 0)) {
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error(`[regression] ${err.message}`);
+  process.exit(2);
+});
@@ -16,6 +16,7 @@ const payload = {
   client_company: "Smoke Test Co",
   client_website: "smoketest.com",
   tier: "audit",
+  exclude_from_benchmarks: true,
   answers: {
     "Annual Revenue": "$10-25M",
     "Primary Revenue Model": "Subscription (SaaS)",
@@ -69,7 +70,9 @@ async function runSmokeTest() {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
-        "x-vw-token": token
+        "x-vw-token": token,
+        // Fresh key per run so repeated runs are scored, not replayed
+        "Idempotency-Key": `smoke-${Date.now()}`
       },
       body: JSON.stringify(payload)
     });
@@ -0,0 +1,54 @@
+// test/batch.test.js
+// POST /api/batch: payload checks, per-submission results, and deferral once
+// BATCH_TIME_BUDGET_MS has run out. The budget is 1 ms here, so a batch scores
+// its first submission and defers the rest.
+
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { callHandler, samplePayload } from "./helpers.js";
+
+process.env.STORAGE_BACKEND = "memory";
+process.env.BATCH_TIME_BUDGET_MS = "1";
+
+describe("POST /api/batch", () => {
+  let batch;
+
+  before(async () => {
+    // The budget is read when the module loads
+    batch = (await import("../api/batch.js")).default;
+  });
+
+  it("rejects empty, oversized and malformed batches", async () => {
+    assert.equal((await callHandler(batch, { body: { submissions: [] } })).statusCode, 400);
+    assert.equal((await callHandler(batch, { body: { submissions: Array(51).fill(samplePayload()) } })).statusCode, 400);
+    assert.equal((await callHandler(batch, { body: { rows: [] } })).statusCode, 400);
+    assert.equal((await callHandler(batch, { body: { submissions: [] }, auth: false })).statusCode, 401);
+  });
+
+  it("reports an invalid submission without failing the batch", async () => {
+    const res = await callHandler(batch, { body: { submissions: [{ answers: "not an object" }] } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.companies[0].status, "invalid");
+    assert.equal(res.body.scored, 0);
+    assert.equal(res.body.failed, 1);
+  });
+
+  it("defers submissions not started within the time budget", async () => {
+    const submissions = [
+      samplePayload({ client_company: "First Co" }),
+      samplePayload({ client_company: "Second Co" }),
+      samplePayload({ client_company: "Third Co" }),
+    ];
+    const res = await callHandler(batch, { body: { submissions } });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.companies.map((c) => c.status), ["scored", "deferred", "deferred"]);
+    assert.deepEqual(res.body.companies.slice(1), [{ index: 1, status: "deferred" }, { index: 2, status: "deferred" }]);
+    assert.equal(res.body.submitted, 3);
+    assert.equal(res.body.scored, 1);
+    assert.equal(res.body.deferred, 2);
+    assert.equal(res.body.failed, 0);
+    assert.equal(res.body.companies[0].company, "First Co");
+    assert.ok(res.body.companies[0].hidden_report_url);
+    assert.equal(res.body.portfolio.companies_scored, 1);
+  });
+});
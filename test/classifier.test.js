@@ -0,0 +1,157 @@
+// test/classifier.test.js
+// The local keyword / synonym classifier. The LLM fallback is not called here:
+// it only runs with CLASSIFIER_LLM=1 and something left to map.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { classifyAnswers, classifyAnswersLocal, classifyText, confidenceLevel } from "../lib/classifier.js";
+import { getQuestion } from "../lib/questions.js";
+
+describe("confidenceLevel", () => {
+  it("bands confidence at 0.75 and 0.4", () => {
+    assert.equal(confidenceLevel(0.75), "high");
+    assert.equal(confidenceLevel(0.74), "medium");
+    assert.equal(confidenceLevel(0.4), "medium");
+    assert.equal(confidenceLevel(0.39), "low");
+  });
+});
+
+describe("classifyText", () => {
+  it("maps a clear answer with high confidence", () => {
+    const result = classifyText(getQuestion("discounting"), "On most deals, usually");
+    assert.equal(result.option, "Frequently (40%+)");
+    assert.equal(result.confidence, 1);
+    assert.equal(result.level, "high");
+    assert.deepEqual(result.matched.sort(), ["most deals", "usually"]);
+  });
+
+  it("matches stems and strips an \"Other:\" prefix", () => {
+    const result = classifyText(getQuestion("lose_reason"), "Other: procurement and legal reviews");
+    assert.equal(result.option, "Procurement friction");
+    assert.equal(result.level, "high");
+  });
+
+  it("lowers confidence when the answer is short on signal", () => {
+    const result = classifyText(getQuestion("win_reason"), "our support");
+    assert.equal(result.option, "Strong relationships");
+    assert.equal(result.confidence, 0.5);
+    assert.equal(result.level, "medium");
+  });
+
+  it("has no confidence when two options tie", () => {
+    const result = classifyText(getQuestion("lose_reason"), "roi or brand");
+    assert.equal(result.confidence, 0);
+    assert.equal(result.level, "low");
+  });
+
+  it("matches whole words only", () => {
+    assert.equal(classifyText(getQuestion("pricing_clarity"), "nope").option, null);
+  });
+
+  it("returns no option when nothing matches, and null without synonyms or text", () => {
+    assert.deepEqual(classifyText(getQuestion("win_reason"), "the weather"), { option: null, confidence: 0, level: "none", matched: [] });
+    assert.equal(classifyText(getQuestion("category"), "CRM"), null);
+    assert.equal(classifyText(getQuestion("win_reason"), "  "), null);
+  });
+});
+
+describe("classifyAnswersLocal", () => {
+  const normalized = {
+    discounting: "On most deals, usually",
+    revenue_model: "mix of subscription and services",
+    financial_metrics_improved: ["Cost reduction", "fewer hours"],
+    win_reason: "Brand trust",
+    lose_reason: "Other",
+    win_lose_other: "legal and procurement slowed us",
+  };
+  const unrecognized = [
+    { question: "discounting", key: "How often are discounts required to close deals?", value: "On most deals, usually" },
+    { question: "revenue_model", key: "Revenue Model", value: "mix of subscription and services" },
+    { question: "financial_metrics_improved", key: "financial_metrics_improved", value: "fewer hours" },
+    { question: "category", key: "category", value: "CRM" },
+  ];
+  const { normalized: out, mappings } = classifyAnswersLocal(normalized, unrecognized);
+  const mappingFor = (question) => mappings.find((m) => m.question === question);
+
+  it("applies high and medium confidence mappings", () => {
+    assert.equal(out.discounting, "Frequently (40%+)");
+    assert.deepEqual(out.financial_metrics_improved, ["Cost reduction", "Productivity gains"]);
+    assert.equal(mappingFor("discounting").applied, true);
+    assert.equal(mappingFor("financial_metrics_improved").level, "medium");
+  });
+
+  it("keeps low confidence mappings as suggestions", () => {
+    const m = mappingFor("revenue_model");
+    assert.equal(m.applied, false);
+    assert.equal(m.level, "low");
+    assert.equal(out.revenue_model, normalized.revenue_model);
+  });
+
+  it("maps an \"Other\" reason from the win_lose_other text", () => {
+    const m = mappingFor("lose_reason");
+    assert.equal(m.key, "win_lose_other");
+    assert.equal(m.mapped, "Procurement friction");
+    assert.equal(out.lose_reason, "Procurement friction");
+    assert.equal(out.win_reason, "Brand trust");
+    assert.equal(mappingFor("win_reason"), undefined);
+  });
+
+  it("skips questions without synonyms and records the method", () => {
+    assert.equal(mappingFor("category"), undefined);
+    assert.equal(mappings.length, 4);
+    assert.ok(mappings.every((m) => m.method === "keyword"));
+  });
+
+  it("does not change the answers it was given", () => {
+    assert.equal(normalized.discounting, "On most deals, usually");
+    assert.deepEqual(normalized.financial_metrics_improved, ["Cost reduction", "fewer hours"]);
+  });
+});
+
+describe("classifyAnswersLocal with both reasons \"Other\"", () => {
+  const classify = (text) => classifyAnswersLocal({ win_reason: "Other", lose_reason: "Other", win_lose_other: text }, []);
+
+  it("maps each reason only from the text about it", () => {
+    const { normalized: out, mappings } = classify("We win on our support; we lose on price");
+    assert.equal(out.win_reason, "Strong relationships");
+    assert.equal(out.lose_reason, "Price");
+    assert.deepEqual(mappings.map((m) => [m.question, m.original]), [
+      ["win_reason", "We win on our support"],
+      ["lose_reason", "we lose on price"],
+    ]);
+  });
+
+  it("maps only the reason the text addresses", () => {
+    const { normalized: out, mappings } = classify("Deals are lost in procurement and legal reviews");
+    assert.equal(out.lose_reason, "Procurement friction");
+    assert.equal(out.win_reason, "Other");
+    assert.deepEqual(mappings.map((m) => m.question), ["lose_reason"]);
+  });
+
+  it("leaves both reasons alone when the text does not say which it explains", () => {
+    const { normalized: out, mappings } = classify("procurement and legal reviews");
+    assert.deepEqual(mappings, []);
+    assert.equal(out.win_reason, "Other");
+    assert.equal(out.lose_reason, "Other");
+    assert.equal(classify("We win and lose on price").mappings.length, 0);
+  });
+});
+
+describe("classifyAnswers", () => {
+  const normalized = { discounting: "hardly ever", revenue_model: "mix of subscription and services" };
+  const unrecognized = [
+    { question: "discounting", key: "discounting", value: "hardly ever" },
+    { question: "revenue_model", key: "Revenue Model", value: "mix of subscription and services" },
+  ];
+
+  it("returns the local result when the LLM is off", async () => {
+    const result = await classifyAnswers(normalized, unrecognized, { llm: false });
+    assert.deepEqual(result, classifyAnswersLocal(normalized, unrecognized));
+    assert.equal(result.normalized.discounting, "Rarely (<10%)");
+  });
+
+  it("does not call the LLM when the local model applied everything", async () => {
+    const result = await classifyAnswers(normalized, unrecognized.slice(0, 1), { llm: true });
+    assert.deepEqual(result, classifyAnswersLocal(normalized, unrecognized.slice(0, 1)));
+  });
+});
@@ -0,0 +1,84 @@
+// test/companyHistory.test.js
+// Which submissions join a company's assessment history, and what their
+// reports show of it. A website typed into the form is not enough: the email
+// has to be on its domain, or the consulting team has to assign a company_id.
+
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { callHandler, reportIdOf, samplePayload } from "./helpers.js";
+import diagnostic from "../api/diagnostic.js";
+import report from "../api/report.js";
+import { resolveCompanyId } from "../lib/companyHistory.js";
+import { addCompanyAssessment, getCompanyAssessments } from "../lib/reportStore.js";
+
+process.env.STORAGE_BACKEND = "memory";
+
+const DOMAIN = "history.example";
+
+async function submit(fields) {
+  const res = await callHandler(diagnostic, { body: samplePayload({ client_website: DOMAIN, ...fields }) });
+  assert.equal(res.statusCode, 200);
+  return { hiddenId: reportIdOf(res.body.hidden_report_url), companyId: res.body.report.inputs.company_id };
+}
+
+async function historyOf(hiddenId) {
+  const res = await callHandler(report, { method: "GET", query: { id: hiddenId, tier: "audit" }, auth: false });
+  assert.equal(res.statusCode, 200);
+  return JSON.parse(res.body.match(/window\.REPORT_DATA = (.*);<\/script>/)[1]).history;
+}
+
+// An assessment from a quarter ago, so new submissions are a later round
+async function seedEarlierAssessment(companyId) {
+  await addCompanyAssessment(companyId, `earlier-${companyId}`, {
+    hidden_report_id: `earlier-${companyId}`,
+    assessed_at: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString(),
+    tier: "audit",
+    respondent_role: null,
+    score: 41,
+    band: "Fragmented",
+    primary_constraint: "pricing",
+    pillar_scores: {},
+    tensions: [],
+  });
+}
+
+describe("resolveCompanyId", () => {
+  it("uses a valid explicit company id", () => {
+    assert.equal(resolveCompanyId({ companyId: " Acme-Holdings ", website: "other.com" }), "acme-holdings");
+    assert.equal(resolveCompanyId({ companyId: "not valid!", website: "acme.com", email: "a@acme.com" }), null);
+  });
+
+  it("uses the website domain only when the email is on it", () => {
+    assert.equal(resolveCompanyId({ website: "https://acme.com", email: "ceo@acme.com" }), "acme.com");
+    assert.equal(resolveCompanyId({ website: "acme.com", email: "someone@rival.com" }), null);
+    assert.equal(resolveCompanyId({ website: "acme.com" }), null);
+  });
+});
+
+describe("company history", () => {
+  before(async () => {
+    await seedEarlierAssessment(DOMAIN);
+    await seedEarlierAssessment("acme-portfolio-7");
+  });
+
+  it("does not link a submission that only names the company's website", async () => {
+    const { hiddenId, companyId } = await submit({ client_email: "curious@elsewhere.example" });
+    assert.equal(companyId, null);
+    assert.equal(await historyOf(hiddenId), undefined);
+    assert.ok(!(await getCompanyAssessments(DOMAIN)).some((s) => s.hidden_report_id === hiddenId));
+  });
+
+  it("links a submission whose email is on the website's domain", async () => {
+    const { hiddenId, companyId } = await submit({ client_email: "cfo@history.example" });
+    assert.equal(companyId, DOMAIN);
+    const history = await historyOf(hiddenId);
+    assert.equal(history.assessments, 2);
+    assert.equal(history.previous.score, 41);
+  });
+
+  it("links a submission under a company id the consulting team assigned", async () => {
+    const { hiddenId, companyId } = await submit({ client_email: "owner@gmail.com", company_id: "acme-portfolio-7" });
+    assert.equal(companyId, "acme-portfolio-7");
+    assert.equal((await historyOf(hiddenId)).previous.score, 41);
+  });
+});
@@ -0,0 +1,149 @@
+// test/contradictions.test.js
+// Every contradiction rule in the checked-in rulebooks, one at a time: answers
+// that trigger it, answers that leave it clean, a missing answer that leaves it
+// not evaluated, and switched off through OS_DISABLED_CONTRADICTIONS. A rule
+// added to a rulebook without cases here fails the coverage test.
+
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import { evaluateContradictions, getContradictionRules, register, unregister } from "../lib/contradictions.js";
+import { loadRulebook } from "../lib/rulebook.js";
+
+const RULEBOOK_VERSIONS = ["os_v2.0_consulting", "os_v2.1_continuous"];
+
+// { triggered, clean } answers and running pillar scores per rule id
+const CASES = {
+  outcomes_without_proof: {
+    triggered: { inputs: { sales_lead_with: "Business outcomes", roi_quantifiable: "Somewhat" } },
+    clean: { inputs: { sales_lead_with: "Business outcomes", roi_quantifiable: "Yes — documented & repeatable" } },
+  },
+  clear_pricing_discount_pressure: {
+    triggered: { inputs: { pricing_tiers_clarity: "Yes — very clear", discount_frequency: "Frequently (40%+)" } },
+    clean: { inputs: { pricing_tiers_clarity: "Yes — very clear", discount_frequency: "Rarely (<10%)" } },
+  },
+  consistent_message_still_losing_on_price: {
+    triggered: { inputs: { consistency: "Yes — very consistent", lose_reason: "Price" } },
+    clean: { inputs: { consistency: "Yes — very consistent", lose_reason: "Feature gaps" } },
+  },
+  revenue_focus_attribution_gap: {
+    triggered: { inputs: { marketing_measured_by: "Revenue", attribution_trusted: "Debated" } },
+    clean: { inputs: { marketing_measured_by: "Revenue", attribution_trusted: "Yes" } },
+  },
+  scale_without_cac_visibility: {
+    triggered: { inputs: { annual_revenue: "$100M+", cac_by_channel: "Rough estimates" } },
+    clean: { inputs: { annual_revenue: "$25–50M", cac_by_channel: "Rough estimates" } },
+  },
+  forecasting_without_attribution_alignment: {
+    triggered: { inputs: { forecast_accuracy: "Yes", attribution_trusted: "Debated" } },
+    clean: { inputs: { forecast_accuracy: "No", attribution_trusted: "Debated" } },
+  },
+  plateau_despite_operating_discipline: {
+    triggered: { inputs: { growth_status: "Plateauing" }, scores: { measurement: 14, gtm: 13 } },
+    clean: { inputs: { growth_status: "Plateauing" }, scores: { measurement: 14, gtm: 9 } },
+  },
+  feature_loop: {
+    triggered: { inputs: { win_reason: "Feature depth", sales_lead_with: "Features" } },
+    clean: { inputs: { win_reason: "Feature depth", sales_lead_with: "Financial ROI" } },
+  },
+};
+
+function evaluate(rulebook, { inputs, scores = {} }, options) {
+  return evaluateContradictions(inputs, scores, { rulebook, ...options });
+}
+
+function ids(list) {
+  return list.map((entry) => entry.id);
+}
+
+afterEach(() => {
+  delete process.env.OS_DISABLED_CONTRADICTIONS;
+});
+
+for (const version of RULEBOOK_VERSIONS) {
+  const rulebook = loadRulebook(version);
+  const rules = getContradictionRules(rulebook);
+
+  describe(`contradiction rules in ${version}`, () => {
+    it("has cases for every rule", () => {
+      assert.deepEqual(ids(rules).filter((id) => !CASES[id]), []);
+    });
+
+    for (const rule of rules) {
+      const cases = CASES[rule.id];
+      if (!cases) continue;
+
+      describe(rule.id, () => {
+        it("triggers", () => {
+          const result = evaluate(rulebook, cases.triggered);
+          const hit = result.triggered.find((c) => c.id === rule.id);
+          assert.ok(hit, "rule did not trigger");
+          assert.equal(hit.pillar, rule.pillar);
+          assert.equal(hit.severity, rule.severity);
+          assert.equal(hit.tension, rule.tension);
+          assert.ok(!ids(result.clean).includes(rule.id));
+        });
+
+        it("reports clean when every answer it reads was given", () => {
+          const result = evaluate(rulebook, cases.clean);
+          assert.ok(!ids(result.triggered).includes(rule.id), "rule triggered");
+          const entry = result.clean.find((c) => c.id === rule.id);
+          assert.ok(entry, "rule not reported clean");
+          assert.equal(entry.check, rule.check || rule.tension);
+        });
+
+        it("reports not evaluated when an answer it reads is missing", () => {
+          const field = rule.when.find((c) => c.field).field;
+          const inputs = { ...cases.triggered.inputs };
+          delete inputs[field];
+          const result = evaluate(rulebook, { ...cases.triggered, inputs });
+          assert.ok(!ids(result.triggered).includes(rule.id), "rule triggered");
+          assert.ok(!ids(result.clean).includes(rule.id), "rule reported clean");
+          const entry = result.not_evaluated.find((c) => c.id === rule.id);
+          assert.ok(entry, "rule not reported as not evaluated");
+          assert.deepEqual(entry.missing_inputs, [field]);
+        });
+
+        it("is skipped when listed in OS_DISABLED_CONTRADICTIONS", () => {
+          process.env.OS_DISABLED_CONTRADICTIONS = `some_other_rule, ${rule.id}`;
+          const result = evaluate(rulebook, cases.triggered);
+          assert.deepEqual(result.disabled, [rule.id]);
+          assert.ok(!ids(result.triggered).includes(rule.id));
+          assert.ok(!ids(result.clean).includes(rule.id));
+          assert.ok(!ids(result.not_evaluated).includes(rule.id));
+        });
+      });
+    }
+  });
+}
+
+describe("registered rules", () => {
+  const rulebook = loadRulebook(RULEBOOK_VERSIONS[0]);
+
+  afterEach(() => {
+    unregister("feature_loop");
+    unregister("tiny_close_rate");
+  });
+
+  it("adds a code rule evaluated through its test function", () => {
+    register({
+      id: "tiny_close_rate",
+      pillar: "GTM Focus",
+      severity: 1,
+      tension: "Close rate below 5%",
+      test: (inputs) => inputs.close_rate === "2%",
+    });
+    assert.ok(ids(evaluate(rulebook, { inputs: { close_rate: "2%" } }).triggered).includes("tiny_close_rate"));
+    assert.ok(ids(evaluate(rulebook, { inputs: { close_rate: "30%" } }).clean).includes("tiny_close_rate"));
+  });
+
+  it("replaces a rulebook rule with the same id", () => {
+    register({ id: "feature_loop", pillar: "Value Architecture", severity: 1, tension: "Replaced", test: () => true });
+    const result = evaluate(rulebook, { inputs: {} });
+    const hits = result.triggered.filter((c) => c.id === "feature_loop");
+    assert.deepEqual(hits.map((c) => c.tension), ["Replaced"]);
+  });
+
+  it("rejects a rule without conditions or a test function", () => {
+    assert.throws(() => register({ id: "broken", pillar: "Measurement", severity: 1, tension: "No check" }), /needs "when" conditions/);
+  });
+});
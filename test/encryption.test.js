@@ -0,0 +1,203 @@
+// test/encryption.test.js
+// Field-level encryption at rest: sealing and opening records, rejecting
+// tampered ones, rotating to a new master key with older records still
+// readable, and the key names hashed with REPORT_INDEX_KEY (index sets, group
+// and company history hashes, group member keys).
+
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { afterEach, describe, it } from "node:test";
+import { callHandler, reportIdOf, samplePayload } from "./helpers.js";
+import diagnostic from "../api/diagnostic.js";
+import { openFields, sealFields, sealedKeyId } from "../lib/encryption.js";
+import { memberKeyFor, rebuildGroupKeys } from "../lib/groups.js";
+import { listSubmissions, rebuildIndexKeys } from "../lib/reportIndex.js";
+import {
+  addCompanyAssessment,
+  getCompanyAssessments,
+  getGroupMembers,
+  getReport,
+  reencryptStoredRecords,
+  rekeyCompanyHistories,
+} from "../lib/reportStore.js";
+import { getStore } from "../lib/storage/index.js";
+
+process.env.STORAGE_BACKEND = "memory";
+
+const OLD_KEY = `old:${crypto.randomBytes(32).toString("base64")}`;
+const NEW_KEY = `new:${crypto.randomBytes(32).toString("base64")}`;
+const INDEX_KEY = crypto.randomBytes(32).toString("base64");
+
+const hmac = (value) => crypto.createHmac("sha256", Buffer.from(INDEX_KEY, "base64")).update(value).digest("hex");
+
+function useKeys(keys, indexKeyValue = INDEX_KEY) {
+  process.env.REPORT_ENCRYPTION_KEYS = keys;
+  if (indexKeyValue) process.env.REPORT_INDEX_KEY = indexKeyValue;
+  else delete process.env.REPORT_INDEX_KEY;
+}
+
+async function rawRecord(key) {
+  return JSON.parse(await (await getStore()).get(key));
+}
+
+afterEach(() => {
+  delete process.env.REPORT_ENCRYPTION_KEYS;
+  delete process.env.REPORT_INDEX_KEY;
+});
+
+describe("sealFields / openFields", () => {
+  const record = { tier: "hidden", reportData: { company_name: "Acme", contact_email: "ceo@acme.example", normalized_answers: { arr: "$10-25M" } } };
+  const fields = ["reportData.contact_email", "reportData.normalized_answers", "reportData.missing"];
+
+  it("round-trips the listed fields and leaves the rest in plaintext", () => {
+    useKeys(OLD_KEY);
+    const sealed = sealFields(record, fields);
+    assert.equal(sealedKeyId(sealed), "old");
+    assert.deepEqual(sealed.encryption.fields, ["reportData.contact_email", "reportData.normalized_answers"]);
+    assert.ok(sealed.reportData.contact_email.$enc);
+    assert.ok(!JSON.stringify(sealed).includes("acme.example"));
+    assert.equal(sealed.reportData.company_name, "Acme");
+    assert.deepEqual(openFields(sealed), record);
+  });
+
+  it("stores plaintext without keys and reads plaintext records as they are", () => {
+    assert.equal(sealFields(record, fields), record);
+    useKeys(OLD_KEY);
+    assert.equal(openFields(record), record);
+  });
+
+  it("rejects a tampered ciphertext, a moved field and a tampered data key", () => {
+    useKeys(OLD_KEY);
+    const sealed = sealFields(record, fields);
+
+    const flipped = structuredClone(sealed);
+    const bytes = Buffer.from(flipped.reportData.contact_email.$enc, "base64");
+    bytes[bytes.length - 1] ^= 1;
+    flipped.reportData.contact_email.$enc = bytes.toString("base64");
+    assert.throws(() => openFields(flipped));
+
+    const moved = structuredClone(sealed);
+    moved.reportData.contact_email = sealed.reportData.normalized_answers;
+    assert.throws(() => openFields(moved));
+
+    const wrongKey = structuredClone(sealed);
+    wrongKey.encryption.data_key = sealFields(record, fields).encryption.data_key;
+    assert.throws(() => openFields(wrongKey));
+  });
+
+  it("refuses a record whose key is no longer configured", () => {
+    useKeys(OLD_KEY);
+    const sealed = sealFields(record, fields);
+    useKeys(NEW_KEY);
+    assert.throws(() => openFields(sealed), /"old".*not in REPORT_ENCRYPTION_KEYS/);
+  });
+});
+
+describe("key rotation", () => {
+  it("keeps old records readable and re-encrypts them, history snapshots included", async () => {
+    useKeys(OLD_KEY);
+    const res = await callHandler(diagnostic, { body: samplePayload({ client_company: "Rotation Co", client_email: "cfo@rotation.example", client_website: "rotation.example" }) });
+    const hiddenId = reportIdOf(res.body.hidden_report_url);
+    assert.equal(sealedKeyId(await rawRecord(`report:${hiddenId}`)), "old");
+    const [snapshot] = await getCompanyAssessments("rotation.example");
+    assert.equal(snapshot.company_id, "rotation.example");
+
+    useKeys(`${NEW_KEY},${OLD_KEY}`);
+    assert.equal((await getReport(hiddenId)).reportData.contact_email, "cfo@rotation.example");
+
+    const counts = await reencryptStoredRecords();
+    assert.equal(counts.failed, 0);
+    assert.ok(counts.reports >= 1 && counts.revisions >= 1 && counts.history >= 1 && counts.groups >= 1);
+    assert.equal(sealedKeyId(await rawRecord(`report:${hiddenId}`)), "new");
+    const history = await (await getStore()).hGetAll(`history:${hmac("rotation.example")}`);
+    assert.equal(Object.keys(history).length, 1);
+    for (const value of Object.values(history)) {
+      assert.equal(sealedKeyId(JSON.parse(value)), "new");
+    }
+
+    useKeys(NEW_KEY);
+    assert.equal((await getReport(hiddenId)).reportData.contact_email, "cfo@rotation.example");
+    assert.deepEqual(await getCompanyAssessments("rotation.example"), [snapshot]);
+    assert.equal((await reencryptStoredRecords()).reports, 0);
+  });
+
+  it("seals history snapshots and keeps their key names free of the company domain", async () => {
+    useKeys(NEW_KEY);
+    await addCompanyAssessment("sealed.example", "snapshot-1", { hidden_report_id: "snapshot-1", tensions: [{ id: "t1", tension: "Price vs value" }] });
+    const store = await getStore();
+    const names = await store.scanKeys("history:");
+    assert.ok(!names.some((key) => key.includes("sealed.example")));
+    assert.ok(names.includes(`history:${hmac("sealed.example")}`));
+    const raw = JSON.stringify(await store.hGetAll(`history:${hmac("sealed.example")}`));
+    assert.ok(!raw.includes("Price vs value"));
+    assert.equal((await getCompanyAssessments("sealed.example"))[0].tensions[0].tension, "Price vs value");
+  });
+});
+
+describe("hashed key names", () => {
+  const email = "vp@rekey.example";
+  const domain = "rekey.example";
+
+  async function submit() {
+    const res = await callHandler(diagnostic, { body: samplePayload({ client_company: "Rekey Co", client_email: email, client_website: domain }) });
+    return reportIdOf(res.body.hidden_report_url);
+  }
+
+  const listed = async () => (await listSubmissions({ filters: { email } })).reports.map((r) => r.hidden_report_id);
+
+  it("keys group members by an HMAC of the email under REPORT_INDEX_KEY", () => {
+    useKeys(NEW_KEY);
+    const key = memberKeyFor(email, "r1");
+    assert.equal(key, `email:${hmac(email)}`);
+    delete process.env.REPORT_ENCRYPTION_KEYS;
+    delete process.env.REPORT_INDEX_KEY;
+    assert.notEqual(memberKeyFor(email, "r1"), key);
+  });
+
+  it("moves index sets, groups and company history to the new REPORT_INDEX_KEY and back to plaintext", async () => {
+    const hiddenId = await submit();
+    const store = await getStore();
+    assert.deepEqual(await listed(), [hiddenId]);
+    assert.ok((await store.scanKeys(`idx:email:${email}`)).length);
+    assert.ok((await store.scanKeys(`group:${domain}`)).length);
+    assert.ok((await store.scanKeys(`history:${domain}`)).length);
+
+    // Turning encryption on: the plaintext names are not found until rebuilt
+    useKeys(NEW_KEY);
+    assert.deepEqual(await listed(), []);
+    assert.equal((await getGroupMembers(domain)).length, 0);
+    await reencryptStoredRecords();
+    assert.ok((await rebuildIndexKeys()) >= 1);
+    assert.ok((await rebuildGroupKeys()) >= 1);
+    assert.ok((await rekeyCompanyHistories()) >= 1);
+    assert.deepEqual(await listed(), [hiddenId]);
+    const [member] = await getGroupMembers(domain);
+    assert.equal(member.hidden_report_id, hiddenId);
+    assert.equal(member.key, memberKeyFor(email, hiddenId));
+    assert.equal((await getCompanyAssessments(domain)).length, 1);
+    for (const prefix of ["idx:email:", "idx:domain:", "group:", "history:"]) {
+      assert.ok(!(await store.scanKeys(prefix)).some((key) => key.includes(email) || key.includes(domain)), prefix);
+    }
+
+    // A new REPORT_INDEX_KEY: rebuilt again
+    useKeys(NEW_KEY, crypto.randomBytes(32).toString("base64"));
+    await rebuildIndexKeys();
+    await rebuildGroupKeys();
+    await rekeyCompanyHistories();
+    assert.deepEqual(await listed(), [hiddenId]);
+    assert.equal((await getGroupMembers(domain))[0].key, memberKeyFor(email, hiddenId));
+    assert.equal((await getCompanyAssessments(domain)).length, 1);
+
+    // Decrypting: plaintext names and records, readable with the keys removed
+    await reencryptStoredRecords({ decrypt: true });
+    await rebuildIndexKeys({ plaintext: true });
+    await rebuildGroupKeys({ plaintext: true });
+    await rekeyCompanyHistories({ plaintext: true });
+    delete process.env.REPORT_ENCRYPTION_KEYS;
+    delete process.env.REPORT_INDEX_KEY;
+    assert.deepEqual(await listed(), [hiddenId]);
+    assert.equal((await getGroupMembers(domain))[0].key, memberKeyFor(email, hiddenId));
+    assert.equal((await getCompanyAssessments(domain))[0].company_id, domain);
+    assert.equal(sealedKeyId(await rawRecord(`report:${hiddenId}`)), null);
+  });
+});
@@ -0,0 +1,93 @@
+// test/enrich.test.js
+// POST /api/enrich for a saved report: re-enriching from the stored hidden
+// record keeps the answers, trace, tensions, stage and mappings scoring saved.
+// The Anthropic API is a local server returning one canned message.
+
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, describe, it } from "node:test";
+import { callHandler, reportIdOf, samplePayload } from "./helpers.js";
+
+process.env.STORAGE_BACKEND = "memory";
+process.env.ANTHROPIC_API_KEY = "test-key";
+delete process.env.LLM_ENRICH;
+
+const ENRICHED = {
+  swot: { strengths: ["Clear differentiation"], weaknesses: [], opportunities: [], threats: [] },
+  constraint_hypothesis_summary: "Proof lags the outcome-led pitch.",
+};
+
+const server = http.createServer((req, res) => {
+  req.resume();
+  req.on("end", () => {
+    res.writeHead(200, { "content-type": "application/json" });
+    res.end(JSON.stringify({
+      id: "msg_test",
+      type: "message",
+      role: "assistant",
+      model: "test-model",
+      content: [{ type: "text", text: JSON.stringify(ENRICHED) }],
+      stop_reason: "end_turn",
+      stop_sequence: null,
+      usage: { input_tokens: 1, output_tokens: 1 },
+    }));
+  });
+});
+
+const KEPT_FIELDS = ["normalized_answers", "score_trace", "operating_tensions", "stage", "answer_mappings", "contradiction_checks", "peer_benchmark"];
+
+describe("POST /api/enrich with a stored hidden report", () => {
+  let enrich;
+  let diagnostic;
+  let store;
+
+  before(async () => {
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    process.env.ANTHROPIC_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+    // Imported after the environment is set: the Anthropic client is built on load
+    enrich = (await import("../api/enrich.js")).default;
+    diagnostic = (await import("../api/diagnostic.js")).default;
+    store = await import("../lib/reportStore.js");
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  it("keeps the fields scoring stored", async () => {
+    const res = await callHandler(diagnostic, {
+      body: samplePayload({ answers: { ...samplePayload().answers, "Why do you most often lose deals?": "procurement and legal reviews" } }),
+    });
+    assert.equal(res.statusCode, 200);
+    const hiddenId = reportIdOf(res.body.hidden_report_url);
+    const scored = (await store.getReport(hiddenId)).reportData;
+    for (const field of ["normalized_answers", "score_trace", "operating_tensions", "answer_mappings"]) {
+      assert.ok(Object.keys(scored[field] || {}).length > 0, `${field} empty after scoring`);
+    }
+    assert.ok(scored.stage);
+
+    const enriched = await callHandler(enrich, { body: { hiddenReportId: hiddenId, tier: "audit" } });
+    assert.equal(enriched.statusCode, 200);
+
+    const saved = (await store.getReport(hiddenId)).reportData;
+    for (const field of KEPT_FIELDS) assert.deepEqual(saved[field], scored[field], field);
+    assert.equal(saved.report_date, scored.report_date);
+    assert.deepEqual(saved.scoring.rulebook, scored.scoring.rulebook);
+    assert.deepEqual(saved.swot, ENRICHED.swot);
+    assert.equal(saved.constraint_hypothesis_summary, ENRICHED.constraint_hypothesis_summary);
+
+    const revisions = await store.getReportRevisions(hiddenId);
+    assert.deepEqual(revisions.map((r) => r.author.type), ["scoring", "enrichment"]);
+  });
+
+  it("keeps enriched sections when enriched again", async () => {
+    const res = await callHandler(diagnostic, { body: samplePayload() });
+    const hiddenId = reportIdOf(res.body.hidden_report_url);
+    await callHandler(enrich, { body: { hiddenReportId: hiddenId } });
+    const first = (await store.getReport(hiddenId)).reportData;
+
+    ENRICHED.swot = null;
+    await callHandler(enrich, { body: { hiddenReportId: hiddenId } });
+    const second = (await store.getReport(hiddenId)).reportData;
+    assert.deepEqual(second.swot, first.swot);
+    assert.deepEqual(second.normalized_answers, first.normalized_answers);
+  });
+});
@@ -0,0 +1,141 @@
+// test/groups.test.js
+// Multi-respondent diagnostics: who is grouped with whom, the aggregate, and
+// what the client-facing audit report is allowed to show about colleagues.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { callHandler, reportIdOf, samplePayload, SAMPLE_ANSWERS } from "./helpers.js";
+import diagnostic from "../api/diagnostic.js";
+import group from "../api/group.js";
+import report from "../api/report.js";
+import { clientGroupView, resolveGroupId, verifiedDomain } from "../lib/groups.js";
+
+process.env.STORAGE_BACKEND = "memory";
+
+function reportData(html) {
+  return JSON.parse(html.match(/window\.REPORT_DATA = (.*);<\/script>/)[1]);
+}
+
+async function submit(fields) {
+  const res = await callHandler(diagnostic, { body: samplePayload(fields) });
+  assert.equal(res.statusCode, 200);
+  return { hiddenId: reportIdOf(res.body.hidden_report_url) };
+}
+
+async function render(id, tier) {
+  const res = await callHandler(report, { method: "GET", query: { id, tier }, auth: false });
+  assert.equal(res.statusCode, 200);
+  return res.body;
+}
+
+describe("resolveGroupId", () => {
+  it("uses a valid explicit group id", () => {
+    assert.equal(resolveGroupId({ groupId: " Acme-Leadership ", website: "other.com" }), "acme-leadership");
+    assert.equal(resolveGroupId({ groupId: "not valid!", website: "acme.com", email: "a@acme.com" }), null);
+  });
+
+  it("uses the website domain only when the email is on it", () => {
+    assert.equal(resolveGroupId({ website: "https://www.acme.com/about", email: "cmo@acme.com" }), "acme.com");
+    assert.equal(resolveGroupId({ website: "acme.com", email: "cro@eu.acme.com" }), "acme.com");
+    assert.equal(resolveGroupId({ website: "acme.com", email: "someone@rival.com" }), null);
+    assert.equal(resolveGroupId({ website: "acme.com", email: "someone@notacme.com" }), null);
+    assert.equal(resolveGroupId({ website: "acme.com" }), null);
+  });
+
+  it("never groups by a webmail domain", () => {
+    assert.equal(verifiedDomain({ website: "gmail.com", email: "me@gmail.com" }), null);
+  });
+});
+
+describe("clientGroupView", () => {
+  const aggregate = {
+    group_id: "acme.com",
+    respondent_count: 3,
+    respondents: [
+      { label: "CEO", role: "CEO", name: "Ann", hidden_report_id: "h1", exec_report_id: "e1", os_score: 60, pillar_scores: { positioning: 10 } },
+      { label: "CMO (Bo)", role: "CMO", name: "Bo", hidden_report_id: "h2", exec_report_id: "e2", os_score: 70, pillar_scores: { positioning: 14 } },
+      { label: "CMO (Cy)", role: "CMO", name: "Cy", hidden_report_id: "h3", exec_report_id: "e3", os_score: 75, pillar_scores: { positioning: 15 } },
+    ],
+    os: { mean: 68.3, min: 60, max: 75, spread: 15 },
+    pillars: [{ key: "positioning", label: "Positioning", mean: 13, min: 10, max: 15, spread: 5, scores: [{ respondent: "CEO", score: 10 }, { respondent: "CMO (Bo)", score: 14 }, { respondent: "CMO (Cy)", score: 15 }] }],
+    alignment_tensions: [{
+      question: "discounting",
+      question_label: "Discounting",
+      pillar: "pricing",
+      pillar_label: "Pricing",
+      spread: 4,
+      severity: 3,
+      answers: [
+        { respondent: "CMO (Bo)", role: "CMO", value: "Rarely", points: 2 },
+        { respondent: "CEO", role: "CEO", value: "Often", points: -2 },
+      ],
+      tension: "CMO (Bo) says \"Rarely\", CEO says \"Often\"",
+      implication: "Pricing moves 4 points on this answer depending on who responds.",
+    }],
+  };
+  const view = clientGroupView(aggregate);
+
+  it("keeps medians and spread per role and across the group", () => {
+    assert.equal(view.respondent_count, 3);
+    assert.deepEqual(view.roles.map((r) => [r.role, r.respondents, r.os_median]), [["CEO", 1, 60], ["CMO", 2, 72.5]]);
+    assert.equal(view.roles[1].pillar_medians.positioning, 14.5);
+    assert.deepEqual(view.os, { median: 70, spread: 15 });
+    assert.deepEqual(view.pillars, [{ key: "positioning", label: "Positioning", median: 14, spread: 5 }]);
+  });
+
+  it("attributes tensions to roles and drops names, ids and individual scores", () => {
+    assert.equal(view.alignment_tensions[0].tension, "CMO says \"Rarely\", CEO says \"Often\"");
+    assert.equal(view.alignment_tensions[0].answers, undefined);
+    assert.equal(view.respondents, undefined);
+    assert.equal(view.group_id, undefined);
+    const text = JSON.stringify(view);
+    for (const leak of ["Ann", "Bo", "Cy", "h1", "e2", "\"score\""]) assert.ok(!text.includes(leak), leak);
+  });
+});
+
+describe("group reports", () => {
+  const website = "grouptest.example";
+  const ids = {};
+
+  it("groups respondents whose email is on the website's domain", async () => {
+    ids.ceo = await submit({ client_website: website, client_email: "ceo@grouptest.example", client_name: "Ada Ceo", respondent_role: "CEO" });
+    ids.cmo = await submit({
+      client_website: website,
+      client_email: "cmo@grouptest.example",
+      client_name: "Cal Cmo",
+      respondent_role: "CMO",
+      answers: { ...SAMPLE_ANSWERS, "How often are discounts required to close deals?": "Rarely (<10%)" },
+    });
+    await submit({ client_website: website, client_email: "outsider@elsewhere.example", client_name: "Eve Outsider", respondent_role: "CRO" });
+
+    const res = await callHandler(group, { method: "GET", query: { id: website } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.respondent_count, 2);
+    assert.deepEqual(res.body.respondents.map((r) => r.name).sort(), ["Ada Ceo", "Cal Cmo"]);
+  });
+
+  it("gives the hidden report the full respondent list", async () => {
+    const data = reportData(await render(ids.ceo.hiddenId, "hidden"));
+    assert.equal(data.group.self_report_id, ids.ceo.hiddenId);
+    assert.deepEqual(data.group.respondents.map((r) => r.hidden_report_id).sort(), [ids.ceo.hiddenId, ids.cmo.hiddenId].sort());
+  });
+
+  it("gives the audit report role-level data only", async () => {
+    const html = await render(ids.ceo.hiddenId, "audit");
+    const data = reportData(html);
+    assert.equal(data.group.respondent_count, 2);
+    assert.deepEqual(data.group.roles.map((r) => r.role).sort(), ["CEO / Founder", "CMO / Marketing"]);
+    assert.ok(data.group.alignment_tensions.length > 0);
+    const group = JSON.stringify(data.group);
+    for (const leak of [ids.cmo.hiddenId, "Cal Cmo", "self_report_id", "respondents\":["]) assert.ok(!group.includes(leak), leak);
+  });
+
+  it("escapes client text injected into the report script", async () => {
+    const company = "Acme\u2028</script><script>alert(1)</script>\u2029<!-- & Co";
+    const { hiddenId } = await submit({ client_company: company, client_website: "escape.example", client_email: "a@escape.example" });
+    const html = await render(hiddenId, "audit");
+    assert.ok(!html.includes("<script>alert(1)"));
+    assert.ok(!/[\u2028\u2029]/.test(html));
+    assert.equal(reportData(html).company_name, company);
+  });
+});
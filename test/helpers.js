@@ -0,0 +1,85 @@
+// test/helpers.js
+// Shared fixtures for the API suites: a sample submission and a minimal
+// request / response pair for calling the handlers in api/ directly.
+
+export const TOKEN = "test-token";
+process.env.VW_TOKEN = TOKEN;
+
+// The smoke test's submission: every required field answered
+export const SAMPLE_ANSWERS = {
+  "Annual Revenue": "$10-25M",
+  "Primary Revenue Model": "Subscription (SaaS)",
+  "Average Contract Value (ACV)": "$25-75K",
+  "Average Sales Cycle Length": "3-6 months",
+  "Close Rate (%)": "25-40%",
+  "What category do you compete in?": "B2B Marketing Software",
+  "Who do customers compare you to most often?": "HubSpot, Marketo",
+  "Why do you most often win deals?": "Clear differentiation",
+  "Why do you most often lose deals?": "Price",
+  "Do customers describe your company consistently?": "Somewhat",
+  "Can you quantify ROI for most customers?": "Somewhat",
+  "Sales conversations primarily lead with:": "Business outcomes",
+  "What financial metrics do customers see improve due to your product?": "Revenue growth",
+  "How often are discounts required to close deals?": "Sometimes (10-40%)",
+  "Do customers clearly understand your pricing tiers?": "Somewhat",
+  "What is your gross margin (%)?": "75%+",
+  "What are your primary acquisition channels (select up to 3)": ["Content", "Outbound SDR", "Partnerships"],
+  "Do you know CAC by channel?": "Rough estimates",
+  "How would you rate your growth status?": "Plateauing",
+  "Marketing is measured primarily by:": "Pipeline",
+  "Is attribution trusted internally?": "Debated",
+  "Are revenue forecasts accurate within 10%": "No",
+};
+
+// A /api/diagnostic body for the sample answers
+export function samplePayload(fields = {}) {
+  return {
+    client_name: "Test Client",
+    client_email: "client@example.com",
+    client_company: "Example Co",
+    client_website: "example.com",
+    tier: "audit",
+    exclude_from_benchmarks: true,
+    answers: SAMPLE_ANSWERS,
+    ...fields,
+  };
+}
+
+// The id query parameter of a report URL
+export function reportIdOf(url) {
+  return new URL(url).searchParams.get("id");
+}
+
+export function mockResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+    end(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+// Calls a handler with the API token unless `auth` is false
+export async function callHandler(handler, { method = "POST", body, query = {}, headers = {}, auth = true } = {}) {
+  const res = mockResponse();
+  await handler({ method, body, query, headers: { host: "localhost:3000", ...(auth ? { "x-vw-token": TOKEN } : {}), ...headers } }, res);
+  return res;
+}
@@ -0,0 +1,126 @@
+// test/idempotency.test.js
+// Idempotent /api/diagnostic submissions: replay by Idempotency-Key and by
+// payload hash, key reuse with a different payload, requests still running,
+// and the top-level respondent_role that readSubmission folds into the answers.
+
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import { callHandler, SAMPLE_ANSWERS, samplePayload } from "./helpers.js";
+import diagnostic, { readSubmission } from "../api/diagnostic.js";
+import { resolveAnswers } from "../lib/answers.js";
+import { beginIdempotentRequest, submissionFingerprint } from "../lib/idempotency.js";
+
+process.env.STORAGE_BACKEND = "memory";
+
+let counter = 0;
+
+// A payload no other test has sent, so payload hashes do not replay across tests
+function uniquePayload(fields = {}) {
+  counter += 1;
+  return samplePayload({ client_company: `Idempotency Co ${counter}`, ...fields });
+}
+
+function post(body, headers = {}) {
+  return callHandler(diagnostic, { body, headers });
+}
+
+afterEach(() => {
+  delete process.env.IDEMPOTENCY_HASH_TTL_SECONDS;
+});
+
+describe("Idempotency-Key", () => {
+  it("replays the first response for the same key and payload", async () => {
+    const body = uniquePayload();
+    const first = await post(body, { "idempotency-key": "zap-run-1" });
+    assert.equal(first.statusCode, 200);
+    assert.equal(first.headers["idempotent-replayed"], undefined);
+
+    const retry = await post(body, { "idempotency-key": "zap-run-1" });
+    assert.equal(retry.statusCode, 200);
+    assert.equal(retry.headers["idempotent-replayed"], "true");
+    assert.deepEqual(retry.body, first.body);
+  });
+
+  it("rejects the same key with a different payload", async () => {
+    await post(uniquePayload(), { "idempotency-key": "zap-run-2" });
+    const res = await post(uniquePayload(), { "idempotency-key": "zap-run-2" });
+    assert.equal(res.statusCode, 422);
+    assert.match(res.body.error, /different payload/);
+  });
+
+  it("scores the same payload again under a new key", async () => {
+    const body = uniquePayload();
+    const first = await post(body, { "idempotency-key": "zap-run-3" });
+    const second = await post(body, { "idempotency-key": "zap-run-4" });
+    assert.equal(second.headers["idempotent-replayed"], undefined);
+    assert.notEqual(second.body.hidden_report_url, first.body.hidden_report_url);
+  });
+
+  it("rejects an overlong key", async () => {
+    const res = await post(uniquePayload(), { "idempotency-key": "k".repeat(256) });
+    assert.equal(res.statusCode, 400);
+  });
+
+  it("answers 409 while the first request is still running", async () => {
+    const body = uniquePayload();
+    const started = await beginIdempotentRequest("zap-run-5", readSubmission(body).options);
+    assert.ok(started.claim);
+    const res = await post(body, { "idempotency-key": "zap-run-5" });
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.headers["retry-after"], "10");
+  });
+});
+
+describe("payload hash", () => {
+  it("replays an identical payload sent without a key", async () => {
+    const body = uniquePayload();
+    const first = await post(body);
+    const retry = await post({ ...body, answers: Object.fromEntries(Object.entries(body.answers).reverse()) });
+    assert.equal(retry.headers["idempotent-replayed"], "true");
+    assert.equal(retry.body.hidden_report_url, first.body.hidden_report_url);
+  });
+
+  it("does not collide for payloads that differ in an answer, a contact field or an option", async () => {
+    const base = uniquePayload();
+    const variants = [
+      { ...base, answers: { ...SAMPLE_ANSWERS, "Close Rate (%)": "15-25%" } },
+      { ...base, client_email: "someone.else@example.com" },
+      { ...base, tier: "exec" },
+      { ...base, exclude_from_benchmarks: false },
+    ];
+    const fingerprints = new Set([base, ...variants].map((payload) => submissionFingerprint(readSubmission(payload).options)));
+    assert.equal(fingerprints.size, variants.length + 1);
+
+    const first = await post(base);
+    for (const variant of variants) {
+      const res = await post(variant);
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.headers["idempotent-replayed"], undefined);
+      assert.notEqual(res.body.hidden_report_url, first.body.hidden_report_url);
+    }
+  });
+
+  it("is off when IDEMPOTENCY_HASH_TTL_SECONDS is 0", async () => {
+    process.env.IDEMPOTENCY_HASH_TTL_SECONDS = "0";
+    const body = uniquePayload();
+    const first = await post(body);
+    const second = await post(body);
+    assert.equal(second.headers["idempotent-replayed"], undefined);
+    assert.notEqual(second.body.hidden_report_url, first.body.hidden_report_url);
+  });
+});
+
+describe("top-level respondent_role", () => {
+  const roleOf = (payload) => resolveAnswers(readSubmission(payload).options.answers).normalized.respondent_role;
+
+  it("overrides the role answered in the form, under any of its keys", () => {
+    for (const key of ["respondent_role", "What is your role?", "Job title"]) {
+      const payload = { answers: { ...SAMPLE_ANSWERS, [key]: "CFO / Finance" }, respondent_role: "CRO / Sales" };
+      assert.equal(roleOf(payload), "CRO / Sales", key);
+    }
+  });
+
+  it("leaves the form's role alone when not sent", () => {
+    assert.equal(roleOf({ answers: { ...SAMPLE_ANSWERS, "What is your role?": "CFO / Finance" } }), "CFO / Finance");
+  });
+});
@@ -0,0 +1,182 @@
+// test/privacy.test.js
+// /api/privacy: exporting and erasing a data subject's records, found through
+// the report index (archived reports included), and the privacy log entries
+// each request leaves behind.
+
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { callHandler, reportIdOf, SAMPLE_ANSWERS, samplePayload } from "./helpers.js";
+import archive from "../api/archive.js";
+import diagnostic from "../api/diagnostic.js";
+import privacy from "../api/privacy.js";
+import resume from "../api/resume.js";
+import { normalizeAnswers } from "../lib/answers.js";
+import { listSubmissions } from "../lib/reportIndex.js";
+import { getCompanyAssessments, getGroupMembers, getReport, getResume } from "../lib/reportStore.js";
+import { getStore } from "../lib/storage/index.js";
+
+process.env.STORAGE_BACKEND = "memory";
+
+const DOMAIN = "privacy.example";
+const EMAIL = "cfo@privacy.example";
+const PARTIAL_ANSWERS = Object.fromEntries(Object.entries(SAMPLE_ANSWERS).slice(0, 4));
+const BY_QUESTION = normalizeAnswers(SAMPLE_ANSWERS);
+
+async function submit(fields, headers = {}) {
+  const res = await callHandler(diagnostic, { body: samplePayload({ client_website: DOMAIN, ...fields }), headers });
+  assert.equal(res.statusCode, 200);
+  return res.body;
+}
+
+function request(body) {
+  return callHandler(privacy, { body: { requested_by: "Dana Privacy", ...body } });
+}
+
+async function exportCounts(subject) {
+  const res = await request({ action: "export", ...subject });
+  assert.equal(res.statusCode, 200);
+  return res.body.bundle.counts;
+}
+
+async function privacyLog() {
+  return (await callHandler(privacy, { method: "GET", query: { limit: "10" } })).body.entries;
+}
+
+const nothing = (counts) => Object.values(counts).every((n) => n === 0);
+
+// The cold store is read once per process, so it is configured for every suite
+let archiveDir;
+
+before(async () => {
+  archiveDir = await fs.mkdtemp(path.join(os.tmpdir(), "vw-privacy-"));
+  process.env.ARCHIVE_DIR = archiveDir;
+});
+
+after(async () => {
+  delete process.env.ARCHIVE_DIR;
+  await fs.rm(archiveDir, { recursive: true, force: true });
+});
+
+describe("export and erase by email", () => {
+  let subject;
+  let colleagueId;
+
+  before(async () => {
+    const body = await submit({ client_email: EMAIL, tier: "exec", answers: PARTIAL_ANSWERS }, { "idempotency-key": "privacy-run-1" });
+    subject = {
+      hiddenId: reportIdOf(body.hidden_report_url),
+      execId: reportIdOf(body.exec_report_url),
+      token: new URL(body.resume_url).searchParams.get("token"),
+    };
+    // Completing it adds a revision and joins the company's group and history
+    const answers = Object.fromEntries(
+      body.summary.missing_questions.map((q) => q.id).filter((id) => BY_QUESTION[id] !== undefined).map((id) => [id, BY_QUESTION[id]])
+    );
+    const completed = await callHandler(resume, { body: { token: subject.token, answers }, auth: false });
+    assert.equal(completed.statusCode, 200);
+    colleagueId = reportIdOf((await submit({ client_email: "cmo@privacy.example" })).hidden_report_url);
+  });
+
+  it("exports the subject's reports and everything linked to them, and logs it", async () => {
+    const res = await request({ action: "export", email: EMAIL });
+    assert.equal(res.statusCode, 200);
+    const { bundle } = res.body;
+    assert.deepEqual(bundle.reports.map((r) => r.report_id).sort(), [subject.execId, subject.hiddenId].sort());
+    assert.deepEqual(Object.keys(res.body.html).sort(), [subject.execId, subject.hiddenId].sort());
+    assert.equal(bundle.counts.resume_states, 1);
+    assert.equal(bundle.counts.idempotency_records, 1);
+    assert.deepEqual(bundle.index_entries.map((e) => e.hidden_report_id), [subject.hiddenId]);
+    assert.deepEqual(bundle.group_memberships.map((m) => m.hidden_report_id), [subject.hiddenId]);
+    assert.deepEqual(bundle.company_history.map((s) => s.hidden_report_id), [subject.hiddenId]);
+    assert.ok(!JSON.stringify(bundle).includes(colleagueId));
+
+    const [entry] = await privacyLog();
+    assert.equal(entry.id, res.body.log_id);
+    assert.equal(entry.action, "export");
+    assert.equal(entry.subject.masked, "c***@privacy.example");
+    assert.ok(!JSON.stringify(entry).includes(EMAIL));
+  });
+
+  it("needs the subject repeated to erase", async () => {
+    const res = await request({ action: "erase", email: EMAIL, confirm: "someone@else.example" });
+    assert.equal(res.statusCode, 400);
+    assert.ok(await getReport(subject.hiddenId));
+  });
+
+  it("erases it all, leaves colleagues alone, and logs the erasure before its verification", async () => {
+    const res = await request({ action: "erase", email: EMAIL, confirm: EMAIL });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.verified, true);
+    assert.equal(res.body.erased.reports, 2);
+    assert.ok(nothing(res.body.remaining));
+
+    assert.equal(await getReport(subject.hiddenId), null);
+    assert.equal(await getReport(subject.execId), null);
+    assert.equal(await getResume(subject.token), null);
+    assert.deepEqual((await listSubmissions({ filters: { email: EMAIL } })).reports, []);
+    assert.deepEqual((await getGroupMembers(DOMAIN)).map((m) => m.hidden_report_id), [colleagueId]);
+    assert.ok(!(await getCompanyAssessments(DOMAIN)).some((s) => s.hidden_report_id === subject.hiddenId));
+    assert.ok(await getReport(colleagueId));
+
+    const [verification, erasure] = await privacyLog();
+    assert.equal(erasure.id, res.body.log_id);
+    assert.equal(erasure.action, "erase");
+    assert.deepEqual(erasure.report_ids.sort(), [subject.execId, subject.hiddenId].sort());
+    assert.equal(verification.action, "erase-verification");
+    assert.equal(verification.erase_log_id, erasure.id);
+    assert.equal(verification.verified, true);
+  });
+
+  it("finds nothing afterwards", async () => {
+    assert.ok(nothing(await exportCounts({ email: EMAIL })));
+    const retry = await submit({ client_email: EMAIL, tier: "exec", answers: PARTIAL_ANSWERS }, { "idempotency-key": "privacy-run-1" });
+    assert.notEqual(reportIdOf(retry.hidden_report_url), subject.hiddenId);
+  });
+});
+
+describe("archived reports", () => {
+  const email = "founder@archived-privacy.example";
+  let hiddenId;
+
+  before(async () => {
+    process.env.ARCHIVE_BEFORE_EXPIRY_HOURS = String(100 * 24);
+    const body = await submit({ client_email: email, client_website: "archived-privacy.example" });
+    hiddenId = reportIdOf(body.hidden_report_url);
+    const swept = await callHandler(archive, { method: "GET" });
+    assert.ok(swept.body.archived >= 1);
+
+    // What the hot store's TTLs would have done
+    const store = await getStore();
+    for (const key of await store.scanKeys("")) {
+      if (key.includes(hiddenId) || key.includes("archived-privacy.example")) {
+        if (!key.startsWith("idx-archived:")) await store.del(key);
+      }
+    }
+    assert.equal(await store.get(`report:${hiddenId}`), null);
+  });
+
+  after(() => {
+    delete process.env.ARCHIVE_BEFORE_EXPIRY_HOURS;
+  });
+
+  it("finds an archived submission by email and domain after its listing expired", async () => {
+    const res = await request({ action: "export", email });
+    const { bundle } = res.body;
+    assert.deepEqual(bundle.reports.map((r) => [r.report_id, r.archived]), [[hiddenId, true]]);
+    assert.equal(bundle.index_entries[0].contact_email, email);
+    assert.equal((await exportCounts({ domain: "https://archived-privacy.example" })).archived_reports, 1);
+  });
+
+  it("erases it from the archive and the archived index", async () => {
+    const res = await request({ action: "erase", domain: "archived-privacy.example", confirm: "archived-privacy.example" });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.verified, true);
+    assert.equal(res.body.erased.archived_reports, 1);
+    assert.ok(!(await fs.readdir(archiveDir, { recursive: true })).some((name) => name.includes(hiddenId)));
+    assert.ok(!(await (await getStore()).scanKeys("idx-archived:")).some((key) => key.includes("archived-privacy.example")));
+    assert.ok(nothing(await exportCounts({ email })));
+  });
+});
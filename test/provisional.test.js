@@ -0,0 +1,93 @@
+// test/provisional.test.js
+// Provisional scoring for submissions under MIN_REQUIRED_FIELDS answers and the
+// "complete your diagnostic" flow through /api/resume.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { callHandler, reportIdOf, SAMPLE_ANSWERS, samplePayload } from "./helpers.js";
+import diagnostic from "../api/diagnostic.js";
+import resume from "../api/resume.js";
+import { MIN_REQUIRED_FIELDS, normalizeAnswers } from "../lib/answers.js";
+import { getReport, getResume } from "../lib/reportStore.js";
+
+process.env.STORAGE_BACKEND = "memory";
+
+const PARTIAL_ANSWERS = Object.fromEntries(Object.entries(SAMPLE_ANSWERS).slice(0, 4));
+const BY_QUESTION = normalizeAnswers(SAMPLE_ANSWERS);
+
+async function submitPartial() {
+  const res = await callHandler(diagnostic, { body: samplePayload({ answers: PARTIAL_ANSWERS, tier: "exec" }) });
+  assert.equal(res.statusCode, 200);
+  return { body: res.body, token: new URL(res.body.resume_url).searchParams.get("token") };
+}
+
+describe("provisional scoring", () => {
+  it("scores a short submission with imputed pillars and a resume link", async () => {
+    const { body, token } = await submitPartial();
+    assert.equal(body.provisional, true);
+    assert.ok(body.summary.imputed_pillars.length > 0);
+    assert.equal(body.summary.questions_needed, MIN_REQUIRED_FIELDS - body.summary.present_required_count);
+    assert.ok(body.summary.missing_questions.length >= body.summary.questions_needed);
+    assert.ok(token);
+
+    const hidden = (await getReport(reportIdOf(body.hidden_report_url))).reportData;
+    assert.equal(hidden.scoring.provisional, true);
+    assert.equal(hidden.scoring.resume_url, body.resume_url);
+    assert.deepEqual(hidden.scoring.imputed_pillars, body.summary.imputed_pillars);
+
+    const state = await getResume(token);
+    assert.equal(state.hidden_report_id, reportIdOf(body.hidden_report_url));
+    assert.equal(state.exec_report_id, reportIdOf(body.exec_report_url));
+    assert.equal(state.completed_at, null);
+  });
+});
+
+describe("/api/resume", () => {
+  it("renders a form with only the missing questions", async () => {
+    const { body, token } = await submitPartial();
+    const res = await callHandler(resume, { method: "GET", query: { token }, auth: false });
+    assert.equal(res.statusCode, 200);
+    const data = JSON.parse(res.body.match(/window\.RESUME_DATA = (.*);<\/script>/)[1]);
+    assert.deepEqual(data.questions.map((q) => q.id), body.summary.missing_questions.map((q) => q.id));
+    assert.equal(data.questions_needed, body.summary.questions_needed);
+  });
+
+  it("rejects bad and unknown tokens and questions that were not missing", async () => {
+    const { token } = await submitPartial();
+    assert.equal((await callHandler(resume, { method: "GET", query: { token: "short" }, auth: false })).statusCode, 400);
+    assert.equal((await callHandler(resume, { method: "GET", query: { token: "x".repeat(32) }, auth: false })).statusCode, 404);
+    const res = await callHandler(resume, { body: { token, answers: { annual_revenue: BY_QUESTION.annual_revenue } }, auth: false });
+    assert.equal(res.statusCode, 400);
+  });
+
+  it("asks for more answers while the total is under the minimum", async () => {
+    const { body, token } = await submitPartial();
+    const first = body.summary.missing_questions[0].id;
+    const res = await callHandler(resume, { body: { token, answers: { [first]: BY_QUESTION[first] } }, auth: false });
+    assert.equal(res.statusCode, 422);
+    assert.equal(res.body.questions_needed, body.summary.questions_needed - 1);
+  });
+
+  it("re-scores the completed submission under the same report ids, once", async () => {
+    const { body, token } = await submitPartial();
+    const answers = Object.fromEntries(
+      body.summary.missing_questions.map((q) => q.id).filter((id) => BY_QUESTION[id] !== undefined).map((id) => [id, BY_QUESTION[id]])
+    );
+
+    const res = await callHandler(resume, { body: { token, answers }, auth: false });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.report_url, body.exec_report_url);
+    assert.equal(res.body.summary.provisional, false);
+
+    const hidden = (await getReport(reportIdOf(body.hidden_report_url))).reportData;
+    assert.equal(hidden.scoring.provisional, false);
+    assert.equal(hidden.normalized_answers.annual_revenue, BY_QUESTION.annual_revenue);
+    assert.ok((await getResume(token)).completed_at);
+
+    const again = await callHandler(resume, { body: { token, answers }, auth: false });
+    assert.equal(again.statusCode, 409);
+    const form = await callHandler(resume, { method: "GET", query: { token }, auth: false });
+    assert.equal(form.statusCode, 302);
+    assert.equal(form.headers.location, body.exec_report_url);
+  });
+});
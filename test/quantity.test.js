@@ -0,0 +1,123 @@
+// test/quantity.test.js
+// The range / quantity parser: the form's bands, exact values, open ends,
+// magnitudes and time units, and answers it must refuse.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { getQuestion } from "../lib/questions.js";
+import { curveDelta, fieldQuantity, inRange, parseQuantity, quantityBand } from "../lib/quantity.js";
+
+function range(value, unit) {
+  const q = parseQuantity(value, unit);
+  return q && [q.min, q.max, q.exact];
+}
+
+describe("parseQuantity", () => {
+  it("reads percent bands and exact values", () => {
+    assert.deepEqual(range("25–40%", "percent"), [25, 40, false]);
+    assert.deepEqual(range("32%", "percent"), [32, 32, true]);
+    assert.deepEqual(range("about 18 percent", "percent"), [18, 18, true]);
+  });
+
+  it("leaves open ends null", () => {
+    assert.deepEqual(range("Under 15%", "percent"), [null, 15, false]);
+    assert.deepEqual(range("40%+", "percent"), [40, null, false]);
+    assert.deepEqual(range("$100M+", "currency"), [100e6, null, false]);
+    assert.deepEqual(range("more than 6 months", "months"), [6, null, false]);
+  });
+
+  it("expands magnitudes and lends the last suffix to the first number", () => {
+    assert.deepEqual(range("$25-75K", "currency"), [25e3, 75e3, false]);
+    assert.deepEqual(range("$12.5M", "currency"), [12.5e6, 12.5e6, true]);
+    assert.deepEqual(range("€48,000", "currency"), [48e3, 48e3, true]);
+    assert.deepEqual(range("between 2 and 3bn", "currency"), [2e9, 3e9, false]);
+  });
+
+  it("records the currency without converting", () => {
+    assert.equal(parseQuantity("€48,000", "currency").currency, "EUR");
+    assert.equal(parseQuantity("250k GBP", "currency").currency, "GBP");
+    assert.equal(parseQuantity("250k", "currency").currency, null);
+    assert.equal(parseQuantity("30%", "percent").currency, null);
+  });
+
+  it("converts days, weeks and years to months", () => {
+    assert.deepEqual(range("Under 1 month", "months"), [null, 1, false]);
+    assert.deepEqual(range("1–3 months", "months"), [1, 3, false]);
+    assert.deepEqual(range("6 weeks", "months"), [1.38, 1.38, true]);
+    assert.deepEqual(range("95 days", "months"), [3.12, 3.12, true]);
+    assert.deepEqual(range("2 years", "months"), [24, 24, true]);
+  });
+
+  it("orders reversed ranges", () => {
+    assert.deepEqual(range("40 to 25%", "percent"), [25, 40, false]);
+  });
+
+  it("passes finite numbers through as exact values", () => {
+    assert.deepEqual(parseQuantity(42, "percent"), { min: 42, max: 42, unit: "percent", exact: true, currency: null });
+    assert.equal(parseQuantity(Number.NaN, "percent"), null);
+  });
+
+  it("refuses prose, other units and malformed answers", () => {
+    assert.equal(parseQuantity("depends on the deal", "percent"), null);
+    assert.equal(parseQuantity("$30", "percent"), null);
+    assert.equal(parseQuantity("30%", "currency"), null);
+    assert.equal(parseQuantity("30%", "months"), null);
+    assert.equal(parseQuantity("under 10%+", "percent"), null);
+    assert.equal(parseQuantity("over 10-20%", "percent"), null);
+    assert.equal(parseQuantity("10, 20 and 30%", "percent"), null);
+    assert.equal(parseQuantity(["10%"], "percent"), null);
+    assert.equal(parseQuantity("", "percent"), null);
+    assert.equal(parseQuantity(null, "percent"), null);
+    assert.equal(parseQuantity("10%", undefined), null);
+  });
+});
+
+describe("fieldQuantity", () => {
+  it("reads a scoring input in its question's unit", () => {
+    assert.deepEqual(fieldQuantity("sales_cycle", "3–6 months"), { min: 3, max: 6, unit: "months", exact: false, currency: null });
+    assert.equal(fieldQuantity("sales_lead_with", "Features"), null);
+  });
+});
+
+describe("inRange", () => {
+  it("counts exact values from the lower bound up to, not including, the upper one", () => {
+    const inBand = (value) => inRange(parseQuantity(value, "percent"), [25, 40]);
+    assert.equal(inBand("25%"), true);
+    assert.equal(inBand("32%"), true);
+    assert.equal(inBand("40%"), false);
+    assert.equal(inRange(parseQuantity("90%", "percent"), [75, null]), true);
+  });
+
+  it("needs bands to sit entirely inside the range", () => {
+    assert.equal(inRange(parseQuantity("25–40%", "percent"), [15, 40]), true);
+    assert.equal(inRange(parseQuantity("15–25%", "percent"), [20, 40]), false);
+    assert.equal(inRange(parseQuantity("40%+", "percent"), [25, 60]), false);
+    assert.equal(inRange(null, [0, 10]), false);
+  });
+});
+
+describe("quantityBand", () => {
+  it("maps exact values and equivalent bands onto the registry options", () => {
+    const closeRate = getQuestion("close_rate");
+    assert.equal(quantityBand(closeRate, "32%"), "25–40%");
+    assert.equal(quantityBand(closeRate, "40%"), "40%+");
+    assert.equal(quantityBand(closeRate, "25-40 percent"), "25–40%");
+    assert.equal(quantityBand(closeRate, "20–30%"), null);
+    assert.equal(quantityBand(getQuestion("acv"), "$48,000"), "$25–75K");
+    assert.equal(quantityBand(getQuestion("sales_cycle"), "95 days"), "3–6 months");
+  });
+});
+
+describe("curveDelta", () => {
+  const curve = { points: [[0, -4], [20, 0], [40, 4]], step: 0.5 };
+
+  it("interpolates between points and rounds to the step", () => {
+    assert.equal(curveDelta(curve, 10), -2);
+    assert.equal(curveDelta(curve, 27), 1.5);
+  });
+
+  it("stays flat beyond either end", () => {
+    assert.equal(curveDelta(curve, -10), -4);
+    assert.equal(curveDelta(curve, 90), 4);
+  });
+});
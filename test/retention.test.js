@@ -0,0 +1,167 @@
+// test/retention.test.js
+// Report retention per tier, extend-on-view, the GET /api/archive sweep, and
+// restoring an expired report from the cold store with its revisions and its
+// report index entry.
+
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, afterEach, before, describe, it } from "node:test";
+import { callHandler, reportIdOf, samplePayload } from "./helpers.js";
+import archive from "../api/archive.js";
+import diagnostic from "../api/diagnostic.js";
+import report from "../api/report.js";
+import { listSubmissions, removeSubmissionFromIndex } from "../lib/reportIndex.js";
+import { getReportRevisions } from "../lib/reportStore.js";
+import { reportRetentionSeconds } from "../lib/retention.js";
+import { getStore } from "../lib/storage/index.js";
+
+process.env.STORAGE_BACKEND = "memory";
+
+const DAY = 24 * 60 * 60;
+
+async function submit(fields) {
+  const res = await callHandler(diagnostic, { body: samplePayload(fields) });
+  assert.equal(res.statusCode, 200);
+  return {
+    execId: res.body.exec_report_url ? reportIdOf(res.body.exec_report_url) : null,
+    hiddenId: reportIdOf(res.body.hidden_report_url),
+  };
+}
+
+function view(id, tier) {
+  return callHandler(report, { method: "GET", query: { id, tier }, auth: false });
+}
+
+async function ttlOf(id) {
+  return (await getStore()).ttl(`report:${id}`);
+}
+
+afterEach(() => {
+  for (const name of ["REPORT_RETENTION_DAYS", "REPORT_RETENTION_EXEC_DAYS", "REPORT_RETENTION_AUDIT_DAYS", "REPORT_EXTEND_ON_VIEW"]) {
+    delete process.env[name];
+  }
+});
+
+describe("retention", () => {
+  it("reads the per-tier settings, falling back to REPORT_RETENTION_DAYS and 30 days", () => {
+    assert.equal(reportRetentionSeconds("exec"), 30 * DAY);
+    process.env.REPORT_RETENTION_DAYS = "10";
+    process.env.REPORT_RETENTION_EXEC_DAYS = "7";
+    assert.equal(reportRetentionSeconds("exec"), 7 * DAY);
+    assert.equal(reportRetentionSeconds("hidden"), 10 * DAY);
+    process.env.REPORT_RETENTION_AUDIT_DAYS = "nonsense";
+    assert.equal(reportRetentionSeconds("hidden"), 10 * DAY);
+  });
+
+  it("expires the exec and hidden records of a submission on their own tier's schedule", async () => {
+    process.env.REPORT_RETENTION_EXEC_DAYS = "7";
+    process.env.REPORT_RETENTION_AUDIT_DAYS = "90";
+    const { execId, hiddenId } = await submit({ client_company: "Retention Co", tier: "exec" });
+    const execTtl = await ttlOf(execId);
+    const hiddenTtl = await ttlOf(hiddenId);
+    assert.ok(execTtl > 7 * DAY - 5 && execTtl <= 7 * DAY, `exec ttl ${execTtl}`);
+    assert.ok(hiddenTtl > 90 * DAY - 5 && hiddenTtl <= 90 * DAY, `hidden ttl ${hiddenTtl}`);
+    assert.equal(await (await getStore()).ttl(`revisions:${execId}`), execTtl);
+  });
+});
+
+describe("extend on view", () => {
+  let ids;
+
+  before(async () => {
+    ids = await submit({ client_company: "Extend Co", tier: "exec" });
+  });
+
+  async function shorten() {
+    const store = await getStore();
+    for (const id of [ids.execId, ids.hiddenId]) await store.expire(`report:${id}`, 60);
+  }
+
+  it("leaves retention alone by default", async () => {
+    await shorten();
+    assert.equal((await view(ids.execId, "exec")).statusCode, 200);
+    assert.ok((await ttlOf(ids.execId)) <= 60);
+    assert.ok((await ttlOf(ids.hiddenId)) <= 60);
+  });
+
+  it("restarts the exec report's retention and its hidden record's with REPORT_EXTEND_ON_VIEW=1", async () => {
+    process.env.REPORT_EXTEND_ON_VIEW = "1";
+    await shorten();
+    assert.equal((await view(ids.execId, "exec")).statusCode, 200);
+    assert.ok((await ttlOf(ids.execId)) > 30 * DAY - 5);
+    assert.ok((await ttlOf(ids.hiddenId)) > 30 * DAY - 5);
+    const expiry = await (await getStore()).zRangeByScore("report-expiry", Date.now() + 29 * DAY * 1000, Infinity);
+    assert.ok(expiry.includes(ids.execId));
+  });
+});
+
+describe("GET /api/archive", () => {
+  let archiveDir;
+
+  before(async () => {
+    archiveDir = await fs.mkdtemp(path.join(os.tmpdir(), "vw-archive-"));
+    process.env.ARCHIVE_DIR = archiveDir;
+  });
+
+  after(async () => {
+    delete process.env.ARCHIVE_DIR;
+    delete process.env.ARCHIVE_BEFORE_EXPIRY_HOURS;
+    await fs.rm(archiveDir, { recursive: true, force: true });
+  });
+
+  it("needs the cron secret or API token", async () => {
+    assert.equal((await callHandler(archive, { method: "GET", auth: false })).statusCode, 401);
+    assert.equal((await callHandler(archive, { method: "POST" })).statusCode, 405);
+  });
+
+  it("stops tracking expired reports when no cold store is configured", async () => {
+    const store = await getStore();
+    await store.zAdd("report-expiry", Date.now() - 1000, "long-gone");
+    await store.zAdd("report-expiry", Date.now() + 60 * 60 * 1000, "still-here");
+    delete process.env.ARCHIVE_DIR;
+    const res = await callHandler(archive, { method: "GET" });
+    process.env.ARCHIVE_DIR = archiveDir;
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.backend, null);
+    assert.equal(res.body.archived, 0);
+    assert.ok(res.body.expired >= 1);
+    const tracked = await store.zRangeByScore("report-expiry", -Infinity, Infinity);
+    assert.ok(!tracked.includes("long-gone"));
+    assert.ok(tracked.includes("still-here"));
+    await store.zRem("report-expiry", "still-here");
+  });
+
+  it("restores an archived report after expiry, with its revisions and index entry", async () => {
+    process.env.ARCHIVE_BEFORE_EXPIRY_HOURS = String(100 * 24);
+    const email = "restore@archive.example";
+    const { hiddenId } = await submit({ client_company: "Archive Co", client_email: email, client_website: "archive.example" });
+    const listed = async () => (await listSubmissions({ filters: { email } })).reports.map((r) => r.hidden_report_id);
+    assert.deepEqual(await listed(), [hiddenId]);
+
+    const res = await callHandler(archive, { method: "GET" });
+    assert.equal(res.body.backend, "dir");
+    assert.ok(res.body.archived >= 1);
+    assert.equal(res.body.failed, 0);
+
+    // What the hot store's TTLs would have done
+    const store = await getStore();
+    await store.del(`report:${hiddenId}`);
+    await store.del(`revisions:${hiddenId}`);
+    await removeSubmissionFromIndex(hiddenId);
+    assert.deepEqual(await listed(), []);
+
+    const opened = await view(hiddenId, "hidden");
+    assert.equal(opened.statusCode, 200);
+    assert.match(opened.body, /Archive Co/);
+    assert.ok((await ttlOf(hiddenId)) > 29 * DAY);
+    assert.equal((await getReportRevisions(hiddenId)).length, 1);
+    assert.deepEqual(await listed(), [hiddenId]);
+    assert.ok((await store.zRangeByScore("report-expiry", -Infinity, Infinity)).includes(hiddenId));
+  });
+
+  it("returns 404 for a report that was never archived", async () => {
+    assert.equal((await view("0".repeat(32), "hidden")).statusCode, 404);
+  });
+});
@@ -0,0 +1,84 @@
+// test/revisions.test.js
+// /api/revisions: consultant edits and rollbacks are new revisions, the
+// rolled-back report is what links serve, and the retention clock keeps running.
+
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { callHandler, reportIdOf, samplePayload } from "./helpers.js";
+import diagnostic from "../api/diagnostic.js";
+import report from "../api/report.js";
+import revisions from "../api/revisions.js";
+import { getStore } from "../lib/storage/index.js";
+
+process.env.STORAGE_BACKEND = "memory";
+
+const EDITED = "Pricing, not pipeline, is what holds growth back";
+
+function post(body) {
+  return callHandler(revisions, { body });
+}
+
+function get(query) {
+  return callHandler(revisions, { method: "GET", query });
+}
+
+describe("report rollback", () => {
+  let id;
+  let original;
+
+  before(async () => {
+    const res = await callHandler(diagnostic, { body: samplePayload({ client_company: "Revision Co" }) });
+    id = reportIdOf(res.body.hidden_report_url);
+    original = (await get({ id, revision: "1" })).body.record;
+    const edit = await post({ id, action: "edit", editor: "Dana Consultant", changes: { headline_diagnosis: EDITED } });
+    assert.equal(edit.body.revision, 2);
+  });
+
+  it("restores an earlier revision as a new revision", async () => {
+    const store = await getStore();
+    await store.expire(`report:${id}`, 1000);
+
+    const res = await post({ id, action: "rollback", editor: "Lee Lead", revision: 1 });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { report_id: id, revision: 3 });
+
+    const history = (await get({ id })).body;
+    assert.equal(history.current, 3);
+    assert.deepEqual(history.revisions.map((r) => r.author.type), ["scoring", "consultant", "rollback"]);
+    assert.deepEqual(history.revisions[2].author, { type: "rollback", name: "Lee Lead", from_revision: 1 });
+    assert.equal(history.revisions[2].changed_fields, 1);
+
+    assert.deepEqual((await get({ id, revision: "3" })).body.record, original);
+    assert.deepEqual((await get({ id, from: "1" })).body.changes, []);
+    assert.deepEqual((await get({ id, from: "2", to: "3" })).body.changes, [
+      { path: "headline_diagnosis", change: "changed", from: EDITED, to: original.reportData.headline_diagnosis },
+    ]);
+
+    const ttl = await store.ttl(`report:${id}`);
+    assert.ok(ttl > 0 && ttl <= 1000, `ttl ${ttl}`);
+    assert.equal(await store.ttl(`revisions:${id}`), ttl);
+  });
+
+  it("serves the rolled-back version on the report link", async () => {
+    const res = await callHandler(report, { method: "GET", query: { id, tier: "hidden" }, auth: false });
+    assert.equal(res.statusCode, 200);
+    assert.ok(!res.body.includes(EDITED));
+  });
+
+  it("rejects the current revision, unknown revisions and bad input", async () => {
+    const cases = [
+      [{ id, action: "rollback", editor: "Lee Lead", revision: 3 }, 409],
+      [{ id, action: "rollback", editor: "Lee Lead", revision: 9 }, 404],
+      [{ id: "0".repeat(32), action: "rollback", editor: "Lee Lead", revision: 1 }, 404],
+      [{ id, action: "rollback", editor: "Lee Lead", revision: "first" }, 400],
+      [{ id, action: "rollback", revision: 1 }, 400],
+      [{ id, action: "delete", editor: "Lee Lead" }, 400],
+      [{ id, action: "edit", editor: "Lee Lead", changes: { "__proto__.polluted": true } }, 400],
+    ];
+    for (const [body, status] of cases) {
+      assert.equal((await post(body)).statusCode, status, JSON.stringify(body));
+    }
+    assert.equal((await get({ id })).body.current, 3);
+    assert.equal((await callHandler(revisions, { body: { id }, auth: false })).statusCode, 401);
+  });
+});
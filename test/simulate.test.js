@@ -0,0 +1,80 @@
+// test/simulate.test.js
+// POST /api/simulate: what-if scoring of raw answers and of stored reports,
+// which are re-scored with the rulebook they were scored with.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { callHandler, SAMPLE_ANSWERS } from "./helpers.js";
+import handler from "../api/simulate.js";
+import { normalizeAnswers } from "../lib/answers.js";
+import { makeReportId, saveReport } from "../lib/reportStore.js";
+import { DEFAULT_RULEBOOK_VERSION } from "../lib/rulebook.js";
+
+process.env.STORAGE_BACKEND = "memory";
+
+const ROI = "Can you quantify ROI for most customers?";
+
+describe("POST /api/simulate", () => {
+  it("rejects other methods, missing auth and bad payloads", async () => {
+    assert.equal((await callHandler(handler, { method: "GET" })).statusCode, 405);
+    assert.equal((await callHandler(handler, { body: { answers: SAMPLE_ANSWERS }, auth: false })).statusCode, 401);
+    assert.equal((await callHandler(handler, { body: { answers: SAMPLE_ANSWERS, overrides: [] } })).statusCode, 400);
+    assert.equal((await callHandler(handler, { body: {} })).statusCode, 400);
+  });
+
+  it("re-scores raw answers with overrides keyed by question text or input key", async () => {
+    const res = await callHandler(handler, {
+      body: { answers: SAMPLE_ANSWERS, overrides: { [ROI]: "Yes — documented & repeatable", not_a_question: "x" }, top: 3 },
+    });
+    assert.equal(res.statusCode, 200);
+    const body = res.body;
+    assert.equal(body.rulebook.version, DEFAULT_RULEBOOK_VERSION);
+    assert.deepEqual(body.applied_overrides.map((o) => o.key), ["roi_quantifiable"]);
+    assert.deepEqual(body.unknown_overrides, ["not_a_question"]);
+    assert.equal(body.os_score_delta, body.simulated.os_score - body.baseline.os_score);
+    assert.ok(body.os_score_delta > 0);
+    assert.ok(body.highest_leverage_changes.length <= 3);
+    assert.equal(body.insufficient_data, false);
+
+    const byKey = await callHandler(handler, { body: { answers: SAMPLE_ANSWERS, overrides: { roi_quantifiable: "Yes — documented & repeatable" } } });
+    assert.deepEqual(byKey.body.simulated, body.simulated);
+  });
+
+  it("saves nothing and leaves the baseline equal to a plain score", async () => {
+    const res = await callHandler(handler, { body: { answers: SAMPLE_ANSWERS } });
+    assert.equal(res.body.os_score_delta, 0);
+    assert.deepEqual(res.body.baseline, res.body.simulated);
+    assert.deepEqual(res.body.applied_overrides, []);
+  });
+
+  it("re-scores a stored report with the rulebook it was scored with", async () => {
+    const hiddenId = makeReportId();
+    const execId = makeReportId();
+    const normalized = normalizeAnswers(SAMPLE_ANSWERS);
+    await saveReport(hiddenId, { tier: "audit", normalized_answers: normalized, scoring: { rulebook: { version: "os_v2.1_continuous" } } });
+    await saveReport(execId, { tier: "audit", hidden_report_id: hiddenId });
+
+    for (const id of [hiddenId, execId]) {
+      const res = await callHandler(handler, { body: { report_id: id } });
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.rulebook.version, "os_v2.1_continuous");
+    }
+
+    const raw = await callHandler(handler, { body: { answers: SAMPLE_ANSWERS } });
+    assert.equal(raw.body.rulebook.version, DEFAULT_RULEBOOK_VERSION);
+  });
+
+  it("fails with 404 for an unknown report and 422 when its rulebook is gone", async () => {
+    assert.equal((await callHandler(handler, { body: { report_id: makeReportId() } })).statusCode, 404);
+
+    const hiddenId = makeReportId();
+    await saveReport(hiddenId, { tier: "audit", normalized_answers: normalizeAnswers(SAMPLE_ANSWERS), scoring: { rulebook: { version: "os_v0.1_retired" } } });
+    const res = await callHandler(handler, { body: { report_id: hiddenId } });
+    assert.equal(res.statusCode, 422);
+    assert.match(res.body.error, /os_v0\.1_retired/);
+
+    const empty = makeReportId();
+    await saveReport(empty, { tier: "audit", normalized_answers: {} });
+    assert.equal((await callHandler(handler, { body: { report_id: empty } })).statusCode, 422);
+  });
+});
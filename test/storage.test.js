@@ -0,0 +1,215 @@
+// test/storage.test.js
+// One conformance suite for every storage backend in lib/storage/: the
+// Redis-shaped interface lib/reportStore.js relies on, with its TTL, empty-key
+// and sorted-set semantics. memory and file always run; redis and upstash run
+// when REDIS_URL / UPSTASH_REDIS_REST_URL are set, under a throwaway key prefix.
+
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { createFileStore } from "../lib/storage/file.js";
+import { createMemoryStore } from "../lib/storage/memory.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const BACKENDS = [
+  { name: "memory", create: async () => createMemoryStore() },
+  {
+    name: "file",
+    create: async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), "vw-store-"));
+      return { store: createFileStore({ dir }), cleanup: () => fs.rm(dir, { recursive: true, force: true }) };
+    },
+  },
+  {
+    name: "redis",
+    skip: !process.env.REDIS_URL && "REDIS_URL not set",
+    create: async () => (await import("../lib/storage/redis.js")).createRedisStore({ url: process.env.REDIS_URL }),
+  },
+  {
+    name: "upstash",
+    skip: !(process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN) && "UPSTASH_REDIS_REST_URL not set",
+    create: async () => (await import("../lib/storage/upstash.js")).createUpstashStore({
+      url: process.env.UPSTASH_REDIS_REST_URL,
+      token: process.env.UPSTASH_REDIS_REST_TOKEN,
+    }),
+  },
+];
+
+for (const backend of BACKENDS) {
+  describe(`${backend.name} storage backend`, { skip: backend.skip }, () => {
+    const prefix = `conformance:${crypto.randomBytes(4).toString("hex")}:`;
+    const k = (name) => `${prefix}${name}`;
+    let store;
+    let cleanup = async () => {};
+
+    before(async () => {
+      const created = await backend.create();
+      if (created.store) ({ store, cleanup } = created);
+      else store = created;
+    });
+
+    after(async () => {
+      for (const key of await store.scanKeys(prefix)) await store.del(key);
+      await cleanup();
+    });
+
+    describe("strings", () => {
+      it("sets, gets, replaces and deletes", async () => {
+        assert.equal(await store.get(k("missing")), null);
+        assert.equal(await store.set(k("s"), "one"), true);
+        assert.equal(await store.get(k("s")), "one");
+        await store.set(k("s"), "two");
+        assert.equal(await store.get(k("s")), "two");
+        await store.del(k("s"));
+        assert.equal(await store.get(k("s")), null);
+        await store.del(k("s"));
+      });
+
+      it("writes with nx only when the key is missing", async () => {
+        assert.equal(await store.set(k("nx"), "first", { nx: true }), true);
+        assert.equal(await store.set(k("nx"), "second", { nx: true }), false);
+        assert.equal(await store.get(k("nx")), "first");
+      });
+
+      it("throws when a key is used as the wrong type", async () => {
+        await store.hSet(k("typed"), "f", "v");
+        await assert.rejects(store.get(k("typed")), /WRONGTYPE/);
+      });
+    });
+
+    describe("TTL", () => {
+      it("reports -2 for a missing key, -1 without expiry, and seconds left", async () => {
+        assert.equal(await store.ttl(k("ttl-missing")), -2);
+        await store.set(k("ttl"), "v");
+        assert.equal(await store.ttl(k("ttl")), -1);
+        await store.set(k("ttl"), "v", { ex: 100 });
+        const left = await store.ttl(k("ttl"));
+        assert.ok(left > 98 && left <= 100, `ttl ${left}`);
+      });
+
+      it("clears the TTL when a plain set replaces the value", async () => {
+        await store.set(k("ttl-reset"), "v", { ex: 100 });
+        await store.set(k("ttl-reset"), "w");
+        assert.equal(await store.ttl(k("ttl-reset")), -1);
+      });
+
+      it("sets expiry on existing keys only", async () => {
+        assert.equal(await store.expire(k("expire-missing"), 60), false);
+        await store.rPush(k("expire-list"), "a");
+        assert.equal(await store.expire(k("expire-list"), 60), true);
+        const left = await store.ttl(k("expire-list"));
+        assert.ok(left > 58 && left <= 60, `ttl ${left}`);
+      });
+
+      it("keeps the TTL when a hash, list or sorted set is written to", async () => {
+        await store.hSet(k("keep-h"), "a", "1");
+        await store.rPush(k("keep-l"), "a");
+        await store.zAdd(k("keep-z"), 1, "a");
+        for (const key of [k("keep-h"), k("keep-l"), k("keep-z")]) await store.expire(key, 100);
+        await store.hSet(k("keep-h"), "b", "2");
+        await store.hIncrBy(k("keep-h"), "c", 1);
+        await store.rPush(k("keep-l"), "b");
+        await store.zAdd(k("keep-z"), 2, "b");
+        for (const key of [k("keep-h"), k("keep-l"), k("keep-z")]) assert.ok((await store.ttl(key)) > 98, key);
+      });
+
+      it("expires keys of every type", async () => {
+        await store.set(k("exp-s"), "v", { ex: 1 });
+        await store.hSet(k("exp-h"), "f", "v");
+        await store.zAdd(k("exp-z"), 1, "m");
+        await store.expire(k("exp-h"), 1);
+        await store.expire(k("exp-z"), 1);
+        await sleep(2100);
+        assert.equal(await store.get(k("exp-s")), null);
+        assert.deepEqual(await store.hGetAll(k("exp-h")), {});
+        assert.equal(await store.zCard(k("exp-z")), 0);
+        assert.equal(await store.ttl(k("exp-s")), -2);
+        assert.equal(await store.set(k("exp-s"), "again", { nx: true }), true);
+        assert.deepEqual((await store.scanKeys(k("exp-"))).sort(), [k("exp-s")]);
+      });
+    });
+
+    describe("hashes", () => {
+      it("sets, increments and deletes fields; an emptied hash disappears", async () => {
+        await store.hSet(k("h"), "a", "1");
+        await store.hSet(k("h"), "b", 2);
+        assert.deepEqual(await store.hGetAll(k("h")), { a: "1", b: "2" });
+        assert.equal(await store.hIncrBy(k("h"), "a", 4), 5);
+        assert.equal(await store.hIncrBy(k("h"), "count", 1), 1);
+        assert.equal((await store.hGetAll(k("h"))).a, "5");
+        await store.hDel(k("h"), "missing");
+        for (const field of ["a", "b", "count"]) await store.hDel(k("h"), field);
+        assert.deepEqual(await store.hGetAll(k("h")), {});
+        assert.equal(await store.ttl(k("h")), -2);
+      });
+    });
+
+    describe("lists", () => {
+      it("pushes, ranges, pops and removes; an emptied list disappears", async () => {
+        assert.equal(await store.rPush(k("l"), "a"), 1);
+        await store.rPush(k("l"), "b");
+        await store.rPush(k("l"), "a");
+        assert.equal(await store.rPush(k("l"), "c"), 4);
+        assert.deepEqual(await store.lRange(k("l"), 0, -1), ["a", "b", "a", "c"]);
+        assert.deepEqual(await store.lRange(k("l"), 1, 2), ["b", "a"]);
+        await store.lRem(k("l"), "a");
+        assert.deepEqual(await store.lRange(k("l"), 0, -1), ["b", "c"]);
+        assert.equal(await store.lPop(k("l")), "b");
+        assert.equal(await store.lLen(k("l")), 1);
+        assert.equal(await store.lPop(k("l")), "c");
+        assert.equal(await store.lPop(k("l")), null);
+        assert.equal(await store.lLen(k("l")), 0);
+        assert.equal(await store.ttl(k("l")), -2);
+      });
+    });
+
+    describe("sorted sets", () => {
+      before(async () => {
+        for (const [score, member] of [[3, "c"], [1, "a"], [2, "b2"], [2, "b1"], [5, "e"]]) await store.zAdd(k("z"), score, member);
+      });
+
+      it("ranges by inclusive score, ties ordered by member", async () => {
+        assert.deepEqual(await store.zRangeByScore(k("z"), -Infinity, Infinity), ["a", "b1", "b2", "c", "e"]);
+        assert.deepEqual(await store.zRangeByScore(k("z"), 2, 3), ["b1", "b2", "c"]);
+        assert.deepEqual(await store.zRangeByScore(k("z"), 4, 4), []);
+        assert.deepEqual(await store.zRangeByScore(k("missing-z"), -Infinity, Infinity), []);
+      });
+
+      it("ranges in reverse and pages with offset and count", async () => {
+        assert.deepEqual(await store.zRangeByScore(k("z"), -Infinity, Infinity, { rev: true }), ["e", "c", "b2", "b1", "a"]);
+        assert.deepEqual(await store.zRangeByScore(k("z"), -Infinity, Infinity, { count: 2 }), ["a", "b1"]);
+        assert.deepEqual(await store.zRangeByScore(k("z"), -Infinity, Infinity, { offset: 2, count: 2 }), ["b2", "c"]);
+        assert.deepEqual(await store.zRangeByScore(k("z"), 1, 3, { rev: true, count: 2 }), ["c", "b2"]);
+      });
+
+      it("updates scores, counts and removes; an emptied set disappears", async () => {
+        await store.zAdd(k("z2"), 1, "x");
+        await store.zAdd(k("z2"), 9, "y");
+        await store.zAdd(k("z2"), 10, "x");
+        assert.deepEqual(await store.zRangeByScore(k("z2"), -Infinity, Infinity), ["y", "x"]);
+        assert.equal(await store.zCard(k("z2")), 2);
+        await store.zRem(k("z2"), "x");
+        await store.zRem(k("z2"), "missing");
+        await store.zRem(k("z2"), "y");
+        assert.equal(await store.zCard(k("z2")), 0);
+        assert.equal(await store.ttl(k("z2")), -2);
+      });
+    });
+
+    describe("scanKeys", () => {
+      it("lists every live key with the prefix, of any type", async () => {
+        await store.set(k("scan:a"), "1");
+        await store.hSet(k("scan:b"), "f", "v");
+        await store.rPush(k("scan:c"), "x");
+        await store.zAdd(k("scan:d"), 1, "m");
+        await store.set(k("scanned"), "not under scan:");
+        assert.deepEqual((await store.scanKeys(k("scan:"))).sort(), ["a", "b", "c", "d"].map((s) => k(`scan:${s}`)));
+        assert.deepEqual(await store.scanKeys(k("nothing:")), []);
+      });
+    });
+  });
+}
@@ -0,0 +1,106 @@
+// test/validation.test.js
+// Field-level payload validation on /api/diagnostic: the same problems are
+// 422 errors in strict mode and warnings on a scored response in lenient mode;
+// some are errors in both.
+
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import { callHandler, SAMPLE_ANSWERS, samplePayload } from "./helpers.js";
+import diagnostic from "../api/diagnostic.js";
+
+process.env.STORAGE_BACKEND = "memory";
+
+const CHANNELS = "What are your primary acquisition channels (select up to 3)";
+
+// Every problem that strict mode rejects and lenient mode lets through
+const SOFT_PROBLEMS = {
+  tier: "platinum",
+  client_email: "not-an-email",
+  client_website: "nowhere",
+  client_name: 42,
+  exclude_from_benchmarks: "yes",
+  answers: { ...SAMPLE_ANSWERS, [CHANNELS]: ["Content", 7, { bad: true }] },
+};
+
+function codes(list) {
+  return list.map((entry) => `${entry.path}:${entry.code}`).sort();
+}
+
+const EXPECTED = [
+  "answers[\"What are your primary acquisition channels (select up to 3)\"][1]:invalid_item",
+  "answers[\"What are your primary acquisition channels (select up to 3)\"][2]:invalid_item",
+  "client_email:invalid_email",
+  "client_name:invalid_type",
+  "client_website:invalid_website",
+  "exclude_from_benchmarks:invalid_type",
+  "tier:unknown_tier",
+];
+
+async function post(fields) {
+  return callHandler(diagnostic, { body: samplePayload(fields) });
+}
+
+afterEach(() => {
+  delete process.env.DIAGNOSTIC_VALIDATION;
+});
+
+describe("strict validation", () => {
+  it("returns 422 with every problem as an error", async () => {
+    const res = await post({ ...SOFT_PROBLEMS, validation: "strict" });
+    assert.equal(res.statusCode, 422);
+    assert.equal(res.body.validation, "strict");
+    assert.deepEqual(codes(res.body.errors), EXPECTED);
+    assert.deepEqual(res.body.warnings, []);
+    assert.match(res.body.error, /^Invalid payload: .* \(and 6 more\)$/);
+  });
+
+  it("is the default when DIAGNOSTIC_VALIDATION is strict", async () => {
+    process.env.DIAGNOSTIC_VALIDATION = "strict";
+    const res = await post({ tier: "platinum" });
+    assert.equal(res.statusCode, 422);
+    assert.deepEqual(codes(res.body.errors), ["tier:unknown_tier"]);
+  });
+});
+
+describe("lenient validation", () => {
+  it("scores the cleaned-up submission and returns the problems as warnings", async () => {
+    const res = await post({ ...SOFT_PROBLEMS, client_company: "Lenient Co", validation: "lenient" });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.validation, "lenient");
+    assert.deepEqual(codes(res.body.warnings), EXPECTED);
+    assert.equal(res.body.tier, "exec");
+    assert.deepEqual(res.body.report.inputs.normalized_answers.acquisition_channels, ["Content", "7"]);
+  });
+
+  it("is the default", async () => {
+    const res = await post({ client_company: "Default Co", tier: "platinum" });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.validation, "lenient");
+    assert.deepEqual(codes(res.body.warnings), ["tier:unknown_tier"]);
+  });
+});
+
+describe("errors in both modes", () => {
+  for (const mode of ["strict", "lenient"]) {
+    it(`rejects broken answers, ids and modes (${mode})`, async () => {
+      const cases = [
+        [{ answers: undefined }, "answers:required"],
+        [{ answers: {} }, "answers:empty"],
+        [{ answers: { ...SAMPLE_ANSWERS, "Annual Revenue": { min: 10 } } }, "answers[\"Annual Revenue\"]:invalid_type"],
+        [{ group_id: "bad group!" }, "group_id:invalid_group_id"],
+        [{ company_id: "bad company!" }, "company_id:invalid_company_id"],
+      ];
+      for (const [fields, expected] of cases) {
+        const res = await post({ ...fields, validation: mode });
+        assert.equal(res.statusCode, 422, expected);
+        assert.deepEqual(codes(res.body.errors), [expected]);
+      }
+    });
+  }
+
+  it("rejects an unknown validation mode", async () => {
+    const res = await post({ validation: "loose" });
+    assert.equal(res.statusCode, 422);
+    assert.deepEqual(codes(res.body.errors), ["validation:invalid_value"]);
+  });
+});